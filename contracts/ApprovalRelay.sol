@@ -0,0 +1,76 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
+interface IEscrow {
+    function listingCount(uint256 _nftID) external view returns (uint256);
+
+    function relayInspection(uint256 _nftID, address _inspector, bool _passed) external;
+
+    function relayApproval(uint256 _nftID, address _party) external;
+
+    function finalizeSale(uint256 _nftID) external;
+}
+
+// Gas-less sign-offs for Escrow sales: inspectors, buyers, sellers and lenders sign EIP-712
+// typed data off-chain, and any relayer submits the signature and pays the gas.
+// -> each signature names the listing it is for, so it cannot be replayed on a relisting
+// -> nonces are per signer and used in order; a deadline bounds how long a signature is valid
+// Funding a loan still moves money, so lenders send fundLoan/fundMortgage themselves.
+contract ApprovalRelay is EIP712, Nonces {
+    bytes32 public constant INSPECTION_TYPEHASH =
+        keccak256("Inspection(uint256 nftID,uint256 listing,bool passed,uint256 nonce,uint256 deadline)");
+    bytes32 public constant SALE_APPROVAL_TYPEHASH =
+        keccak256("SaleApproval(uint256 nftID,uint256 listing,uint256 nonce,uint256 deadline)");
+
+    IEscrow public escrow;
+
+    event InspectionRelayed(uint256 indexed nftID, address indexed inspector, address indexed relayer, bool passed);
+    event ApprovalRelayed(uint256 indexed nftID, address indexed party, address indexed relayer);
+
+    constructor(address _escrow) EIP712("BlockNexus Escrow", "1") {
+        escrow = IEscrow(_escrow);
+    }
+
+    // Relay Inspection - the inspector's signed pass/fail for the listing's current sale
+    function relayInspection(uint256 _nftID, bool _passed, address _inspector, uint256 _deadline, bytes calldata _signature) public {
+        bytes32 structHash = keccak256(
+            abi.encode(INSPECTION_TYPEHASH, _nftID, escrow.listingCount(_nftID), _passed, _useNonce(_inspector), _deadline)
+        );
+        _verify(structHash, _inspector, _deadline, _signature);
+
+        escrow.relayInspection(_nftID, _inspector, _passed);
+
+        emit InspectionRelayed(_nftID, _inspector, msg.sender, _passed);
+    }
+
+    // Relay Approval - a buyer's, seller's or lender's signed approval of the listing's current sale
+    function relayApproval(uint256 _nftID, address _party, uint256 _deadline, bytes calldata _signature) public {
+        bytes32 structHash = keccak256(
+            abi.encode(SALE_APPROVAL_TYPEHASH, _nftID, escrow.listingCount(_nftID), _useNonce(_party), _deadline)
+        );
+        _verify(structHash, _party, _deadline, _signature);
+
+        escrow.relayApproval(_nftID, _party);
+
+        emit ApprovalRelayed(_nftID, _party, msg.sender);
+    }
+
+    // Finalize Sale - anyone can close a sale once every party and condition has signed off
+    function finalizeSale(uint256 _nftID) public {
+        escrow.finalizeSale(_nftID);
+    }
+
+    // EIP-712 domain separator, for clients that build the digest themselves
+    function domainSeparator() public view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function _verify(bytes32 _structHash, address _signer, uint256 _deadline, bytes calldata _signature) internal view {
+        require(block.timestamp <= _deadline, "Signature expired");
+        require(ECDSA.recover(_hashTypedDataV4(_structHash), _signature) == _signer, "Invalid signature");
+    }
+}
@@ -1,118 +1,1028 @@
 //SPDX-License-Identifier: Unlicense
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+
 interface IERC721 {
     function transferFrom(
         address _from,
         address _to,
         uint256 _id
     ) external;
+
+    function ownerOf(uint256 _id) external view returns (address);
+}
+
+interface IPropertyMortgage {
+    function originate(
+        uint256 _nftID,
+        address _borrower,
+        address _lender,
+        address _paymentToken,
+        uint256 _principal,
+        uint256 _rateBps,
+        uint256 _term
+    ) external returns (uint256);
 }
 
-contract Escrow {
+// Deployed behind an ERC1967 (UUPS) proxy; the owner authorizes upgrades.
+// Storage layout is append-only: new state variables must go after the existing ones.
+contract Escrow is Initializable, UUPSUpgradeable {
+    using SafeERC20 for IERC20;
+
+    // Lifecycle of a single listing; every state-changing method is gated on it
+    enum State {
+        Unlisted,
+        Listed,
+        EarnestDeposited,
+        Inspected,
+        Approved,
+        Closed,
+        Cancelled
+    }
+
+    // Offer on a listing that is open to offers (listed without a buyer)
+    enum OfferStatus {
+        None,
+        Open,
+        Accepted,
+        Rejected,
+        Withdrawn
+    }
+
+    // Dispute between the buyer and seller of a listing under contract, decided by the arbiter
+    enum DisputeStatus {
+        None,
+        Open,
+        Resolved,
+        Dismissed
+    }
+
+    struct Dispute {
+        uint256 nftID;
+        uint256 listing;
+        address openedBy;
+        uint256 openedAt;
+        uint256 closedAt;
+        uint256 buyerAward;
+        uint256 sellerAward;
+        DisputeStatus status;
+    }
+
+    struct Offer {
+        uint256 nftID;
+        uint256 listing;
+        address buyer;
+        address paymentToken;
+        uint256 price;
+        uint256 earnest;
+        uint256 expiresAt;
+        OfferStatus status;
+    }
+
     address public nftAddress;
-    address payable public seller;
-    address public inspector;
-    address public lender;
+    address public owner;
+
+    event Listed(
+        uint256 indexed nftID,
+        address indexed seller,
+        address indexed buyer,
+        address inspector,
+        address lender,
+        uint256 purchasePrice,
+        uint256 escrowAmount
+    );
+    event EarnestDeposited(uint256 indexed nftID, address indexed buyer, uint256 amount);
+    event LoanFunded(uint256 indexed nftID, address indexed lender, uint256 amount);
+    event InspectionUpdated(uint256 indexed nftID, address indexed inspector, bool passed);
+    event SaleApproved(uint256 indexed nftID, address indexed party);
+    event SaleFinalized(uint256 indexed nftID, address indexed buyer, address indexed seller, uint256 amount);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event SaleCancelled(uint256 indexed nftID, address indexed cancelledBy, uint256 earnestRefunded, uint256 earnestForfeited);
+    event OfferMade(uint256 indexed nftID, uint256 indexed offerId, address indexed buyer, uint256 price, uint256 earnest, uint256 expiresAt);
+    event OfferAccepted(uint256 indexed nftID, uint256 indexed offerId, address indexed buyer, uint256 price);
+    event OfferRejected(uint256 indexed nftID, uint256 indexed offerId, address indexed buyer);
+    event OfferWithdrawn(uint256 indexed nftID, uint256 indexed offerId, address indexed buyer, uint256 earnestRefunded);
+    event AuctionHouseUpdated(address indexed previousAuctionHouse, address indexed newAuctionHouse);
+    event AuctionStarted(uint256 indexed nftID, address indexed auctionHouse);
+    event AuctionSettled(uint256 indexed nftID, address indexed buyer, uint256 price);
+    event AuctionReleased(uint256 indexed nftID);
+    event MortgageRegistryUpdated(address indexed previousRegistry, address indexed newRegistry);
+    event LoanTermsSet(uint256 indexed nftID, address indexed lender, uint256 rateBps, uint256 term);
+    event ClosingConditionsSet(uint256 indexed nftID, address titleAgent, address appraiser);
+    event TitleUpdated(uint256 indexed nftID, address indexed titleAgent, bool cleared);
+    event AppraisalSubmitted(uint256 indexed nftID, address indexed appraiser, uint256 value, uint256 loanAmount);
+    event ArbiterUpdated(address indexed previousArbiter, address indexed newArbiter);
+    event DisputeOpened(uint256 indexed nftID, uint256 indexed disputeId, address indexed openedBy, string reason);
+    event EvidenceSubmitted(uint256 indexed nftID, uint256 indexed disputeId, address indexed party, string documentId, bytes32 contentHash);
+    event DisputeResolved(uint256 indexed nftID, uint256 indexed disputeId, address indexed arbiter, uint256 buyerAward, uint256 sellerAward);
+    event DisputeDismissed(uint256 indexed nftID, uint256 indexed disputeId, address indexed arbiter);
+    event ApprovalRelayUpdated(address indexed previousRelay, address indexed newRelay);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can call this method");
+        _;
+    }
+
+    modifier onlyAuctionHouse() {
+        require(msg.sender == auctionHouse && auctionHouse != address(0), "Only auction house can call this method");
+        _;
+    }
 
     modifier onlyBuyer(uint256 _nftID) {
         require(msg.sender == buyer[_nftID], "Only buyer can call this method");
         _;
     }
 
-    modifier onlySeller() {
-        require(msg.sender == seller, "Only seller can call this method");
+    modifier onlySeller(uint256 _nftID) {
+        require(msg.sender == seller[_nftID], "Only seller can call this method");
         _;
     }
 
-    modifier onlyInspector() {
-        require(msg.sender == inspector, "Only inspector can call this method");
+    modifier onlyLender(uint256 _nftID) {
+        require(msg.sender == lender[_nftID], "Only lender can call this method");
         _;
     }
 
+    modifier onlyInspector(uint256 _nftID) {
+        require(msg.sender == inspector[_nftID], "Only inspector can call this method");
+        _;
+    }
+
+    modifier onlyTitleAgent(uint256 _nftID) {
+        require(msg.sender == titleAgent[_nftID], "Only title agent can call this method");
+        _;
+    }
+
+    modifier onlyAppraiser(uint256 _nftID) {
+        require(msg.sender == appraiser[_nftID], "Only appraiser can call this method");
+        _;
+    }
+
+    modifier onlyParty(uint256 _nftID) {
+        require(
+            msg.sender == buyer[_nftID] ||
+            msg.sender == seller[_nftID] ||
+            msg.sender == lender[_nftID],
+            "Only buyer, seller or lender can call this method"
+        );
+        _;
+    }
+
+    modifier onlyApprovalRelay() {
+        require(msg.sender == approvalRelay && approvalRelay != address(0), "Only approval relay can call this method");
+        _;
+    }
+
+    modifier onlyArbiter() {
+        require(msg.sender == arbiter && arbiter != address(0), "Only arbiter can call this method");
+        _;
+    }
+
+    // A listing under dispute is frozen until the arbiter resolves or dismisses the dispute
+    modifier notDisputed(uint256 _nftID) {
+        _requireNotDisputed(_nftID);
+        _;
+    }
+
+    modifier inState(uint256 _nftID, State _state) {
+        require(state[_nftID] == _state, "Invalid listing state");
+        _;
+    }
+
+    mapping(uint256 => State) public state;
     mapping(uint256 => bool) public isListed;
+    mapping(uint256 => address) public paymentToken;
     mapping(uint256 => uint256) public purchasePrice;
     mapping(uint256 => uint256) public escrowAmount;
     mapping(uint256 => address) public buyer;
+    mapping(uint256 => address payable) public seller;
+    mapping(uint256 => address) public inspector;
+    mapping(uint256 => address) public lender;
+    mapping(uint256 => uint256) public earnestDeposited;
+    mapping(uint256 => uint256) public lenderFunded;
     mapping(uint256 => bool) public inspectionPassed;
+    mapping(uint256 => uint256) public inspectionDeadline;
+    mapping(uint256 => uint256) public financingDeadline;
     mapping(uint256 => mapping(address => bool)) public approval;
 
-    constructor(
-        address _nftAddress,
-        address payable _seller,
-        address _inspector,
-        address _lender
-    ) {
+    // Number of times each property has been listed; offers belong to a single listing
+    mapping(uint256 => uint256) public listingCount;
+    uint256 public offerCount;
+    mapping(uint256 => Offer) public offers;
+    mapping(uint256 => uint256[]) private offerIds;
+
+    // Contract that runs auctions on listings open to offers (see PropertyAuction)
+    address public auctionHouse;
+    // Listing (listingCount) each property was last put up for auction on
+    mapping(uint256 => uint256) public auctionedListing;
+
+    // Contract that records mortgages for financed sales (see PropertyMortgage)
+    address public mortgageRegistry;
+    // Annual rate (basis points) and term (months) of the lender's loan on the current listing
+    mapping(uint256 => uint256) public loanRateBps;
+    mapping(uint256 => uint256) public loanTerm;
+
+    // Closing conditions besides the structural inspection, each attested by its own role
+    // (address(0) = not required for the listing)
+    mapping(uint256 => address) public titleAgent;
+    mapping(uint256 => address) public appraiser;
+    mapping(uint256 => bool) public titleCleared;
+    mapping(uint256 => uint256) public appraisedValue;
+
+    // Neutral party that decides disputes between buyers and sellers
+    address public arbiter;
+    uint256 public disputeCount;
+    mapping(uint256 => Dispute) public disputes;
+    // Time after a dismissal before the listing can be disputed again
+    uint256 public constant DISPUTE_COOLDOWN = 3 days;
+    // Open dispute freezing each property's listing (0 = none)
+    mapping(uint256 => uint256) public activeDispute;
+    mapping(uint256 => uint256[]) private disputeIds;
+
+    // Contract that submits inspections and approvals parties signed off-chain (see ApprovalRelay)
+    address public approvalRelay;
+
+    // Listing (listingCount) each property was last sold at auction on
+    mapping(uint256 => uint256) public auctionSaleListing;
+    // Listing (listingCount) on which a closing condition (inspection, title or appraisal) was last reported failed
+    mapping(uint256 => uint256) public conditionFailedListing;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address _nftAddress) public initializer {
         nftAddress = _nftAddress;
-        seller = _seller;
-        inspector = _inspector;
-        lender = _lender;
+        owner = msg.sender;
+
+        emit OwnershipTransferred(address(0), msg.sender);
     }
 
+    // Implementation version, bumped with every upgrade
+    function version() public pure returns (uint256) {
+        return 7;
+    }
+
+    function transferOwnership(address _newOwner) public onlyOwner {
+        require(_newOwner != address(0), "Invalid owner");
+
+        emit OwnershipTransferred(owner, _newOwner);
+        owner = _newOwner;
+    }
+
+    function setAuctionHouse(address _auctionHouse) public onlyOwner {
+        emit AuctionHouseUpdated(auctionHouse, _auctionHouse);
+        auctionHouse = _auctionHouse;
+    }
+
+    function setMortgageRegistry(address _mortgageRegistry) public onlyOwner {
+        emit MortgageRegistryUpdated(mortgageRegistry, _mortgageRegistry);
+        mortgageRegistry = _mortgageRegistry;
+    }
+
+    function setArbiter(address _arbiter) public onlyOwner {
+        emit ArbiterUpdated(arbiter, _arbiter);
+        arbiter = _arbiter;
+    }
+
+    function setApprovalRelay(address _approvalRelay) public onlyOwner {
+        emit ApprovalRelayUpdated(approvalRelay, _approvalRelay);
+        approvalRelay = _approvalRelay;
+    }
+
+    // List Property (only current NFT owner)
+    // -> The owner becomes the seller for this listing
+    // -> Inspector and lender are chosen per listing
+    // -> Deadlines are unix timestamps for the inspection and financing contingencies (0 = none)
+    // -> Payment token is an ERC-20 used for earnest, funding and settlement (address(0) = ETH)
+    // -> Listing without a buyer (address(0)) opens it to offers; accepting one sets the buyer
     function list(
         uint256 _nftID,
         address _buyer,
+        address _inspector,
+        address _lender,
         uint256 _purchasePrice,
-        uint256 _escrowAmount
-    ) public payable onlySeller {
+        uint256 _escrowAmount,
+        uint256 _inspectionDeadline,
+        uint256 _financingDeadline,
+        address _paymentToken
+    ) public {
+        require(IERC721(nftAddress).ownerOf(_nftID) == msg.sender, "Only property owner can list");
+        require(_inspector != address(0), "Invalid inspector");
+        require(_lender != address(0), "Invalid lender");
+        require(
+            _inspectionDeadline == 0 || _inspectionDeadline > block.timestamp,
+            "Inspection deadline must be in the future"
+        );
+        require(
+            _financingDeadline == 0 || _financingDeadline > block.timestamp,
+            "Financing deadline must be in the future"
+        );
+        require(
+            state[_nftID] == State.Unlisted ||
+            state[_nftID] == State.Closed ||
+            state[_nftID] == State.Cancelled,
+            "Invalid listing state"
+        );
+
         // Transfer NFT from seller to this contract
         IERC721(nftAddress).transferFrom(msg.sender, address(this), _nftID);
 
+        // Clear approvals and closing conditions left over from a previous sale of this property
+        approval[_nftID][buyer[_nftID]] = false;
+        approval[_nftID][seller[_nftID]] = false;
+        approval[_nftID][lender[_nftID]] = false;
+        inspectionPassed[_nftID] = false;
+        titleAgent[_nftID] = address(0);
+        appraiser[_nftID] = address(0);
+        titleCleared[_nftID] = false;
+        appraisedValue[_nftID] = 0;
+
+        state[_nftID] = State.Listed;
         isListed[_nftID] = true;
+        listingCount[_nftID]++;
         purchasePrice[_nftID] = _purchasePrice;
         escrowAmount[_nftID] = _escrowAmount;
         buyer[_nftID] = _buyer;
+        seller[_nftID] = payable(msg.sender);
+        inspector[_nftID] = _inspector;
+        lender[_nftID] = _lender;
+        inspectionDeadline[_nftID] = _inspectionDeadline;
+        financingDeadline[_nftID] = _financingDeadline;
+        paymentToken[_nftID] = _paymentToken;
+
+        emit Listed(_nftID, msg.sender, _buyer, _inspector, _lender, _purchasePrice, _escrowAmount);
+    }
+
+    // Set Closing Conditions (only seller, before the listing is under contract)
+    // -> the structural inspection by the listing's inspector is always required
+    // -> a title agent attests the legal/title check, an appraiser the appraised value (address(0) = not required)
+    function setClosingConditions(uint256 _nftID, address _titleAgent, address _appraiser)
+        public
+        onlySeller(_nftID)
+        inState(_nftID, State.Listed)
+    {
+        require(!isAuctioned(_nftID), "Listing is being auctioned");
+
+        titleAgent[_nftID] = _titleAgent;
+        appraiser[_nftID] = _appraiser;
+
+        emit ClosingConditionsSet(_nftID, _titleAgent, _appraiser);
     }
 
     // Put Under Contract (only buyer - payable escrow)
-    function depositEarnest(uint256 _nftID) public payable onlyBuyer(_nftID) {
-        require(msg.value > 0, 'Value must be greater than 0');
-        require(msg.value >= escrowAmount[_nftID], 'Received amount is less than escrow amount');
+    // -> ETH listings take msg.value, token listings pull exactly the escrow amount
+    function depositEarnest(uint256 _nftID) public payable onlyBuyer(_nftID) inState(_nftID, State.Listed) {
+        uint256 amount = _receivePayment(_nftID, escrowAmount[_nftID]);
+        require(amount > 0, 'Value must be greater than 0');
+        require(amount >= escrowAmount[_nftID], 'Received amount is less than escrow amount');
+
+        earnestDeposited[_nftID] += amount;
+        state[_nftID] = State.EarnestDeposited;
+
+        emit EarnestDeposited(_nftID, msg.sender, amount);
+    }
+
+    // Make Offer (anyone but the seller, on a listing open to offers)
+    // -> earnest of at least the escrow amount is held with the offer, in the listing's currency
+    // -> the seller can accept the offer until `_expiresAt` (unix seconds, 0 = never)
+    function makeOffer(uint256 _nftID, uint256 _price, uint256 _expiresAt)
+        public
+        payable
+        inState(_nftID, State.Listed)
+        returns (uint256 offerId)
+    {
+        require(buyer[_nftID] == address(0), "Listing is not open to offers");
+        require(!isAuctioned(_nftID), "Listing is being auctioned");
+        require(msg.sender != seller[_nftID], "Seller cannot make an offer");
+        require(_price > 0, "Offer price must be greater than 0");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Offer expiry must be in the future");
+
+        uint256 earnest = _receivePayment(_nftID, escrowAmount[_nftID]);
+        require(earnest > 0, 'Value must be greater than 0');
+        require(earnest >= escrowAmount[_nftID], 'Received amount is less than escrow amount');
+        require(earnest <= _price, "Earnest cannot exceed the offer price");
+
+        offerId = ++offerCount;
+        offers[offerId] = Offer({
+            nftID: _nftID,
+            listing: listingCount[_nftID],
+            buyer: msg.sender,
+            paymentToken: paymentToken[_nftID],
+            price: _price,
+            earnest: earnest,
+            expiresAt: _expiresAt,
+            status: OfferStatus.Open
+        });
+        offerIds[_nftID].push(offerId);
+
+        emit OfferMade(_nftID, offerId, msg.sender, _price, earnest, _expiresAt);
+    }
+
+    // Accept Offer (only seller, before the offer expires)
+    // -> the offer's buyer and price become the listing's and its earnest is deposited
+    // -> every other open offer on the property is rejected and can be withdrawn
+    function acceptOffer(uint256 _offerId) public {
+        Offer storage offer = offers[_offerId];
+        uint256 nftID = offer.nftID;
+
+        require(msg.sender == seller[nftID], "Only seller can call this method");
+        require(state[nftID] == State.Listed && buyer[nftID] == address(0), "Invalid listing state");
+        require(!isAuctioned(nftID), "Listing is being auctioned");
+        require(offer.status == OfferStatus.Open && offer.listing == listingCount[nftID], "Offer is not open");
+        require(!isOfferExpired(_offerId), "Offer has expired");
+
+        offer.status = OfferStatus.Accepted;
+        buyer[nftID] = offer.buyer;
+        purchasePrice[nftID] = offer.price;
+        earnestDeposited[nftID] += offer.earnest;
+        state[nftID] = State.EarnestDeposited;
+
+        uint256[] storage ids = offerIds[nftID];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Offer storage other = offers[ids[i]];
+            if (other.status == OfferStatus.Open) {
+                other.status = OfferStatus.Rejected;
+                emit OfferRejected(nftID, ids[i], other.buyer);
+            }
+        }
+
+        emit OfferAccepted(nftID, _offerId, offer.buyer, offer.price);
+        emit EarnestDeposited(nftID, offer.buyer, offer.earnest);
+    }
+
+    // Reject Offer (only seller) - the buyer can then withdraw its earnest
+    function rejectOffer(uint256 _offerId) public {
+        Offer storage offer = offers[_offerId];
+
+        require(msg.sender == seller[offer.nftID], "Only seller can call this method");
+        require(offer.status == OfferStatus.Open, "Offer is not open");
+
+        offer.status = OfferStatus.Rejected;
+
+        emit OfferRejected(offer.nftID, _offerId, offer.buyer);
+    }
+
+    // Withdraw Offer (only the offer's buyer) - refunds the earnest of an open or rejected offer
+    function withdrawOffer(uint256 _offerId) public {
+        Offer storage offer = offers[_offerId];
+
+        require(msg.sender == offer.buyer, "Only the offer's buyer can call this method");
+        require(
+            offer.status == OfferStatus.Open || offer.status == OfferStatus.Rejected,
+            "Offer cannot be withdrawn"
+        );
+        require(offer.earnest > 0, "Earnest already refunded");
+
+        uint256 amount = offer.earnest;
+        offer.earnest = 0;
+        if (offer.status == OfferStatus.Open) {
+            offer.status = OfferStatus.Withdrawn;
+        }
+
+        _transferOut(offer.paymentToken, msg.sender, amount);
+
+        emit OfferWithdrawn(offer.nftID, _offerId, msg.sender, amount);
+    }
+
+    function isOfferExpired(uint256 _offerId) public view returns (bool) {
+        return offers[_offerId].expiresAt != 0 && block.timestamp > offers[_offerId].expiresAt;
+    }
+
+    // Every offer made on a property, across all of its listings
+    function getOfferIds(uint256 _nftID) public view returns (uint256[] memory) {
+        return offerIds[_nftID];
+    }
+
+    // Start Auction (only auction house, on a listing open to offers)
+    // -> offers can no longer be made or accepted, and the seller cannot withdraw the listing
+    function startAuction(uint256 _nftID) public onlyAuctionHouse inState(_nftID, State.Listed) {
+        require(buyer[_nftID] == address(0), "Listing is not open to offers");
+        require(!isAuctioned(_nftID), "Listing is being auctioned");
+
+        auctionedListing[_nftID] = listingCount[_nftID];
+
+        emit AuctionStarted(_nftID, msg.sender);
+    }
+
+    // Settle Auction (only auction house) - the winner becomes the buyer at the winning price
+    // -> the winner's deposit is the earnest (ETH in msg.value, tokens pulled from the auction house)
+    // -> the sale then goes through inspection, financing and approvals like any other
+    function settleAuction(uint256 _nftID, address _winner, uint256 _price)
+        public
+        payable
+        onlyAuctionHouse
+        inState(_nftID, State.Listed)
+    {
+        require(isAuctioned(_nftID), "Listing is not being auctioned");
+        require(_winner != address(0), "Invalid winner");
+
+        uint256 amount = _receivePayment(_nftID, escrowAmount[_nftID]);
+        require(amount >= escrowAmount[_nftID], 'Received amount is less than escrow amount');
+        require(amount <= _price, "Earnest cannot exceed the offer price");
+
+        auctionedListing[_nftID] = 0;
+        auctionSaleListing[_nftID] = listingCount[_nftID];
+        buyer[_nftID] = _winner;
+        purchasePrice[_nftID] = _price;
+        earnestDeposited[_nftID] += amount;
+        state[_nftID] = State.EarnestDeposited;
+
+        emit AuctionSettled(_nftID, _winner, _price);
+        emit EarnestDeposited(_nftID, _winner, amount);
+    }
+
+    // Release Auction (only auction house) - no sale; the listing is open to offers again
+    function releaseAuction(uint256 _nftID) public onlyAuctionHouse {
+        require(isAuctioned(_nftID), "Listing is not being auctioned");
+
+        auctionedListing[_nftID] = 0;
+
+        emit AuctionReleased(_nftID);
+    }
+
+    function isAuctioned(uint256 _nftID) public view returns (bool) {
+        return isListed[_nftID] && auctionedListing[_nftID] != 0 && auctionedListing[_nftID] == listingCount[_nftID];
+    }
+
+    // Fund Loan (only lender - covers the rest of the purchase price for this listing)
+    // -> ETH listings take msg.value, token listings pull whatever is still outstanding
+    // -> anything beyond the purchase price is refunded to the lender at settlement
+    function fundLoan(uint256 _nftID) public payable onlyLender(_nftID) notDisputed(_nftID) {
+        require(isListed[_nftID], 'Property is not listed');
+
+        uint256 outstanding = getListingBalance(_nftID) < purchasePrice[_nftID]
+            ? purchasePrice[_nftID] - getListingBalance(_nftID)
+            : 0;
+        uint256 amount = _receivePayment(_nftID, outstanding);
+        require(amount > 0, 'Value must be greater than 0');
+
+        lenderFunded[_nftID] += amount;
+
+        emit LoanFunded(_nftID, msg.sender, amount);
+    }
+
+    // Fund Mortgage (only lender) - funds the loan like fundLoan and records its terms
+    // -> `_rateBps` is the annual interest rate in basis points, `_term` the number of monthly installments
+    // -> when the sale closes the lender's share of the price becomes a mortgage on the property
+    function fundMortgage(uint256 _nftID, uint256 _rateBps, uint256 _term) public payable onlyLender(_nftID) {
+        require(mortgageRegistry != address(0), "Mortgages are not enabled");
+        require(_term > 0 && _term <= 480, "Term must be between 1 and 480 months");
+        require(_rateBps <= 10000, "Interest rate cannot exceed 100%");
+
+        loanRateBps[_nftID] = _rateBps;
+        loanTerm[_nftID] = _term;
+
+        emit LoanTermsSet(_nftID, msg.sender, _rateBps, _term);
+
+        fundLoan(_nftID);
+    }
+
+    // Update Inspection (only while under contract and not yet approved)
+    // -> passing moves the listing to Inspected (or Approved if every party already signed off)
+    // -> failing moves it back to EarnestDeposited
+    function updateInspectionStatus(uint256 _nftID, bool _passed) public onlyInspector(_nftID) {
+        _updateInspectionStatus(_nftID, msg.sender, _passed);
     }
 
-    function updateInspectionStatus(uint256 _nftID, bool _passed) public onlyInspector {
+    // Relay Inspection (only approval relay) - an inspection the inspector signed off-chain
+    function relayInspection(uint256 _nftID, address _inspector, bool _passed) public onlyApprovalRelay {
+        require(_inspector == inspector[_nftID], "Only inspector can call this method");
+        _updateInspectionStatus(_nftID, _inspector, _passed);
+    }
+
+    function _updateInspectionStatus(uint256 _nftID, address _inspector, bool _passed) internal notDisputed(_nftID) {
+        require(
+            state[_nftID] == State.EarnestDeposited ||
+            state[_nftID] == State.Inspected,
+            "Invalid listing state"
+        );
+
         inspectionPassed[_nftID] = _passed;
+
+        if (_passed) {
+            state[_nftID] = State.Inspected;
+            _advanceIfApproved(_nftID);
+        } else {
+            state[_nftID] = State.EarnestDeposited;
+            conditionFailedListing[_nftID] = listingCount[_nftID];
+        }
+
+        emit InspectionUpdated(_nftID, _inspector, _passed);
     }
 
-    // Approve Sale
-    function approveSale(uint256 _nftID) public {
-        approval[_nftID][msg.sender] = true;
+    // Update Title (only title agent, while under contract and not yet approved)
+    // -> a cleared title counts towards closing, a failed one blocks it until cleared
+    function updateTitleStatus(uint256 _nftID, bool _cleared) public onlyTitleAgent(_nftID) notDisputed(_nftID) {
+        require(
+            state[_nftID] == State.EarnestDeposited ||
+            state[_nftID] == State.Inspected,
+            "Invalid listing state"
+        );
+
+        titleCleared[_nftID] = _cleared;
+        if (!_cleared) conditionFailedListing[_nftID] = listingCount[_nftID];
+        _advanceIfApproved(_nftID);
+
+        emit TitleUpdated(_nftID, msg.sender, _cleared);
+    }
+
+    // Submit Appraisal (only appraiser, while under contract and not yet approved)
+    // -> the appraised value must meet the loan amount for the sale to close
+    function submitAppraisal(uint256 _nftID, uint256 _value) public onlyAppraiser(_nftID) notDisputed(_nftID) {
+        require(
+            state[_nftID] == State.EarnestDeposited ||
+            state[_nftID] == State.Inspected,
+            "Invalid listing state"
+        );
+        require(_value > 0, "Appraised value must be greater than 0");
+
+        appraisedValue[_nftID] = _value;
+        if (_value < getLoanAmount(_nftID)) conditionFailedListing[_nftID] = listingCount[_nftID];
+        _advanceIfApproved(_nftID);
+
+        emit AppraisalSubmitted(_nftID, msg.sender, _value, getLoanAmount(_nftID));
+    }
+
+    // Part of the purchase price the earnest does not cover, i.e. what the lender finances
+    function getLoanAmount(uint256 _nftID) public view returns (uint256) {
+        uint256 price = purchasePrice[_nftID];
+        uint256 earnest = earnestDeposited[_nftID];
+        return earnest < price ? price - earnest : 0;
+    }
+
+    // Inspection passed, and the title check and appraisal where the listing requires them
+    function areClosingConditionsMet(uint256 _nftID) public view returns (bool) {
+        return
+            inspectionPassed[_nftID] &&
+            (titleAgent[_nftID] == address(0) || titleCleared[_nftID]) &&
+            (appraiser[_nftID] == address(0) ||
+                (appraisedValue[_nftID] > 0 && appraisedValue[_nftID] >= getLoanAmount(_nftID)));
+    }
+
+    // Approve Sale (only buyer, seller or lender, once earnest is deposited)
+    function approveSale(uint256 _nftID) public onlyParty(_nftID) {
+        _approveSale(_nftID, msg.sender);
+    }
+
+    // Relay Approval (only approval relay) - an approval the buyer, seller or lender signed off-chain
+    function relayApproval(uint256 _nftID, address _party) public onlyApprovalRelay {
+        require(
+            _party == buyer[_nftID] ||
+            _party == seller[_nftID] ||
+            _party == lender[_nftID],
+            "Only buyer, seller or lender can call this method"
+        );
+        _approveSale(_nftID, _party);
+    }
+
+    function _approveSale(uint256 _nftID, address _party) internal notDisputed(_nftID) {
+        require(
+            state[_nftID] == State.EarnestDeposited ||
+            state[_nftID] == State.Inspected,
+            "Invalid listing state"
+        );
+
+        approval[_nftID][_party] = true;
+        _advanceIfApproved(_nftID);
+
+        emit SaleApproved(_nftID, _party);
+    }
+
+    function _advanceIfApproved(uint256 _nftID) internal {
+        if (
+            state[_nftID] == State.Inspected &&
+            areClosingConditionsMet(_nftID) &&
+            approval[_nftID][buyer[_nftID]] &&
+            approval[_nftID][seller[_nftID]] &&
+            approval[_nftID][lender[_nftID]]
+        ) {
+            state[_nftID] = State.Approved;
+        }
     }
 
     // Finalize Sale
-    // -> Require Inspection status (add more items here, like appraisal)
+    // -> Require closing conditions (inspection, plus title check and appraisal where configured)
     // -> Require sale to be authorized
     // -> Require funds to be correct amount
     // -> Transfer NFT to buyer
-    // -> Transfer Funds to Seller
-    function finalizeSale(uint256 _nftID) public {
-        require(inspectionPassed[_nftID]);
+    // -> Transfer exactly the purchase price to Seller
+    // -> Refund any overpayment to whoever sent it (earnest counts first, lender covers the rest)
+    // -> Any party can finalize, and so can the approval relay once every party has signed off
+    function finalizeSale(uint256 _nftID) public inState(_nftID, State.Approved) notDisputed(_nftID) {
+        require(
+            msg.sender == approvalRelay ||
+            msg.sender == buyer[_nftID] ||
+            msg.sender == seller[_nftID] ||
+            msg.sender == lender[_nftID],
+            "Only buyer, seller or lender can call this method"
+        );
+        require(areClosingConditionsMet(_nftID));
         require(approval[_nftID][buyer[_nftID]]);
-        require(approval[_nftID][seller]);
-        require(approval[_nftID][lender]);
-        require(address(this).balance >= purchasePrice[_nftID]);
+        require(approval[_nftID][seller[_nftID]]);
+        require(approval[_nftID][lender[_nftID]]);
+        require(getListingBalance(_nftID) >= purchasePrice[_nftID]);
 
+        state[_nftID] = State.Closed;
         isListed[_nftID] = false;
 
-        (bool success,) = payable(seller).call{value: address(this).balance}("");
-        require(success);
+        uint256 price = purchasePrice[_nftID];
+        uint256 earnest = earnestDeposited[_nftID];
+        uint256 loan = lenderFunded[_nftID];
+        earnestDeposited[_nftID] = 0;
+        lenderFunded[_nftID] = 0;
+
+        uint256 buyerShare = earnest < price ? earnest : price;
+        uint256 buyerRefund = earnest - buyerShare;
+        uint256 lenderRefund = loan - (price - buyerShare);
+
+        _sendPayment(_nftID, seller[_nftID], price);
+        _sendPayment(_nftID, buyer[_nftID], buyerRefund);
+        _sendPayment(_nftID, lender[_nftID], lenderRefund);
 
         IERC721(nftAddress).transferFrom(address(this), buyer[_nftID], _nftID);
+
+        _originateMortgage(_nftID, price - buyerShare);
+
+        emit SaleFinalized(_nftID, buyer[_nftID], seller[_nftID], price);
+    }
+
+    // Record the lender's share of the price as a mortgage if the lender funded with terms
+    function _originateMortgage(uint256 _nftID, uint256 _principal) internal {
+        uint256 term = loanTerm[_nftID];
+        uint256 rateBps = loanRateBps[_nftID];
+        loanTerm[_nftID] = 0;
+        loanRateBps[_nftID] = 0;
+
+        if (term == 0 || _principal == 0 || mortgageRegistry == address(0)) return;
+
+        IPropertyMortgage(mortgageRegistry).originate(
+            _nftID,
+            buyer[_nftID],
+            lender[_nftID],
+            paymentToken[_nftID],
+            _principal,
+            rateBps,
+            term
+        );
     }
 
     // Cancel Sale (handle earnest deposit)
-    // -> if inspection status is not approved, then refund, otherwise send to seller
-    function cancelSale(uint256 _nftID) public {
-        if (inspectionPassed[_nftID] == false) {
-            payable(buyer[_nftID]).transfer(address(this).balance);
+    // -> Listed: only the seller can withdraw the listing
+    // -> EarnestDeposited: buyer or seller can cancel, earnest is refunded
+    //    (except to an auction winner who backs out before any condition failed, whose deposit goes to the seller)
+    // -> Inspected: only the buyer can back out, earnest goes to the seller
+    // -> Approved, Closed or Cancelled sales cannot be cancelled
+    // -> if the closing conditions are not met, then refund, otherwise send to seller
+    function cancelSale(uint256 _nftID) public notDisputed(_nftID) {
+        State current = state[_nftID];
+
+        if (current == State.Listed) {
+            require(msg.sender == seller[_nftID], "Only seller can call this method");
+            require(!isAuctioned(_nftID), "Listing is being auctioned");
+        } else if (current == State.EarnestDeposited) {
+            require(
+                msg.sender == buyer[_nftID] || msg.sender == seller[_nftID],
+                "Only buyer or seller can call this method"
+            );
+            // Winning an auction commits the deposit, so bidding to block a sale isn't free,
+            // unless a closing condition was reported failed, which refunds it like any other sale
+            if (
+                msg.sender == buyer[_nftID] &&
+                auctionSaleListing[_nftID] == listingCount[_nftID] &&
+                conditionFailedListing[_nftID] != listingCount[_nftID]
+            ) {
+                return _cancel(_nftID, 0);
+            }
+        } else if (current == State.Inspected) {
+            require(msg.sender == buyer[_nftID], "Only buyer can call this method");
         } else {
-            payable(seller).transfer(address(this).balance);
+            revert("Invalid listing state");
         }
+
+        _cancel(_nftID, areClosingConditionsMet(_nftID) ? 0 : earnestDeposited[_nftID]);
     }
-  
-    receive() external payable{}
 
+    // Reclaim Earnest (only buyer, after a contingency deadline is missed)
+    // -> the closing conditions are not met by the inspection deadline, or
+    // -> the lender has not approved and funded the purchase by the financing deadline
+    function reclaimEarnest(uint256 _nftID) public onlyBuyer(_nftID) notDisputed(_nftID) {
+        require(
+            state[_nftID] == State.EarnestDeposited ||
+            state[_nftID] == State.Inspected ||
+            state[_nftID] == State.Approved,
+            "Invalid listing state"
+        );
+        require(
+            isInspectionDeadlineMissed(_nftID) || isFinancingDeadlineMissed(_nftID),
+            "No contingency deadline has been missed"
+        );
+
+        _cancel(_nftID, earnestDeposited[_nftID]);
+    }
+
+    // Claim Earnest (only seller, after the buyer misses the financing deadline)
+    // -> closing conditions met and the lender approved and funded, but the buyer never approved
+    function claimEarnest(uint256 _nftID) public onlySeller(_nftID) inState(_nftID, State.Inspected) notDisputed(_nftID) {
+        require(isBuyerDeadlineMissed(_nftID), "Buyer has not missed a deadline");
+
+        _cancel(_nftID, 0);
+    }
+
+    function isInspectionDeadlineMissed(uint256 _nftID) public view returns (bool) {
+        return
+            inspectionDeadline[_nftID] != 0 &&
+            block.timestamp > inspectionDeadline[_nftID] &&
+            !areClosingConditionsMet(_nftID);
+    }
+
+    function isFinancingDeadlineMissed(uint256 _nftID) public view returns (bool) {
+        return
+            financingDeadline[_nftID] != 0 &&
+            block.timestamp > financingDeadline[_nftID] &&
+            (!approval[_nftID][lender[_nftID]] || getListingBalance(_nftID) < purchasePrice[_nftID]);
+    }
+
+    function isBuyerDeadlineMissed(uint256 _nftID) public view returns (bool) {
+        return
+            financingDeadline[_nftID] != 0 &&
+            block.timestamp > financingDeadline[_nftID] &&
+            areClosingConditionsMet(_nftID) &&
+            !isFinancingDeadlineMissed(_nftID) &&
+            !approval[_nftID][buyer[_nftID]];
+    }
+
+    // Close the listing without a sale
+    // -> `_buyerRefund` of the earnest goes back to the buyer, the rest to the seller
+    // -> lender funding is always returned to the lender
+    // -> NFT is returned to the seller
+    function _cancel(uint256 _nftID, uint256 _buyerRefund) internal {
+        state[_nftID] = State.Cancelled;
+        isListed[_nftID] = false;
+
+        uint256 earnest = earnestDeposited[_nftID];
+        uint256 loan = lenderFunded[_nftID];
+        earnestDeposited[_nftID] = 0;
+        lenderFunded[_nftID] = 0;
+        loanTerm[_nftID] = 0;
+        loanRateBps[_nftID] = 0;
+
+        _sendPayment(_nftID, buyer[_nftID], _buyerRefund);
+        _sendPayment(_nftID, seller[_nftID], earnest - _buyerRefund);
+        _sendPayment(_nftID, lender[_nftID], loan);
+
+        IERC721(nftAddress).transferFrom(address(this), seller[_nftID], _nftID);
+
+        emit SaleCancelled(_nftID, msg.sender, _buyerRefund, earnest - _buyerRefund);
+    }
+
+    // Open Dispute (only buyer or seller, while under contract) - freezes the listing for the arbiter
+    function openDispute(uint256 _nftID, string calldata _reason) public notDisputed(_nftID) returns (uint256 disputeId) {
+        require(
+            msg.sender == buyer[_nftID] || msg.sender == seller[_nftID],
+            "Only buyer or seller can call this method"
+        );
+        require(
+            state[_nftID] == State.EarnestDeposited ||
+            state[_nftID] == State.Inspected ||
+            state[_nftID] == State.Approved,
+            "Invalid listing state"
+        );
+        require(arbiter != address(0), "Disputes are not enabled");
+
+        // A dismissed dispute can't be reopened straight away to keep the listing frozen
+        uint256[] storage ids = disputeIds[_nftID];
+        if (ids.length > 0) {
+            Dispute storage last = disputes[ids[ids.length - 1]];
+            require(
+                last.listing != listingCount[_nftID] ||
+                last.status != DisputeStatus.Dismissed ||
+                block.timestamp >= last.closedAt + DISPUTE_COOLDOWN,
+                "Dispute was recently dismissed"
+            );
+        }
+
+        disputeId = ++disputeCount;
+        disputes[disputeId] = Dispute({
+            nftID: _nftID,
+            listing: listingCount[_nftID],
+            openedBy: msg.sender,
+            openedAt: block.timestamp,
+            closedAt: 0,
+            buyerAward: 0,
+            sellerAward: 0,
+            status: DisputeStatus.Open
+        });
+        activeDispute[_nftID] = disputeId;
+        disputeIds[_nftID].push(disputeId);
+
+        emit DisputeOpened(_nftID, disputeId, msg.sender, _reason);
+    }
+
+    // Submit Evidence (buyer, seller or arbiter, while the dispute is open)
+    // -> the document is stored off-chain; its id and content hash are recorded here
+    function submitEvidence(uint256 _disputeId, string calldata _documentId, bytes32 _contentHash) public {
+        Dispute storage dispute = disputes[_disputeId];
+        uint256 nftID = dispute.nftID;
+
+        require(dispute.status == DisputeStatus.Open, "Dispute is not open");
+        require(
+            msg.sender == buyer[nftID] || msg.sender == seller[nftID] || msg.sender == arbiter,
+            "Only buyer, seller or arbiter can call this method"
+        );
+
+        emit EvidenceSubmitted(nftID, _disputeId, msg.sender, _documentId, _contentHash);
+    }
+
+    // Resolve Dispute (only arbiter) - cancels the sale with the earnest split as decided
+    // -> `_buyerAward` of the earnest goes back to the buyer, the rest to the seller
+    // -> lender funding is returned to the lender and the NFT to the seller
+    function resolveDispute(uint256 _disputeId, uint256 _buyerAward) public onlyArbiter {
+        Dispute storage dispute = disputes[_disputeId];
+        uint256 nftID = dispute.nftID;
+
+        require(dispute.status == DisputeStatus.Open, "Dispute is not open");
+        require(_buyerAward <= earnestDeposited[nftID], "Award exceeds the escrowed earnest");
+
+        dispute.status = DisputeStatus.Resolved;
+        dispute.closedAt = block.timestamp;
+        dispute.buyerAward = _buyerAward;
+        dispute.sellerAward = earnestDeposited[nftID] - _buyerAward;
+        activeDispute[nftID] = 0;
+
+        emit DisputeResolved(nftID, _disputeId, msg.sender, _buyerAward, dispute.sellerAward);
+
+        _cancel(nftID, _buyerAward);
+    }
+
+    // Dismiss Dispute (only arbiter) - unfreezes the listing and the sale carries on
+    function dismissDispute(uint256 _disputeId) public onlyArbiter {
+        Dispute storage dispute = disputes[_disputeId];
+
+        require(dispute.status == DisputeStatus.Open, "Dispute is not open");
+
+        dispute.status = DisputeStatus.Dismissed;
+        dispute.closedAt = block.timestamp;
+        activeDispute[dispute.nftID] = 0;
+
+        emit DisputeDismissed(dispute.nftID, _disputeId, msg.sender);
+    }
+
+    // Every dispute opened on a property, across all of its listings
+    function getDisputeIds(uint256 _nftID) public view returns (uint256[] memory) {
+        return disputeIds[_nftID];
+    }
+
+    function _requireNotDisputed(uint256 _nftID) internal view {
+        require(activeDispute[_nftID] == 0, "Listing is under dispute");
+    }
+
+    // Take a payment for a listing in its own currency and return the amount received
+    function _receivePayment(uint256 _nftID, uint256 _tokenAmount) internal returns (uint256) {
+        address token = paymentToken[_nftID];
+
+        if (token == address(0)) {
+            return msg.value;
+        }
+
+        require(msg.value == 0, 'ETH not accepted for token listings');
+        if (_tokenAmount > 0) {
+            IERC20(token).safeTransferFrom(msg.sender, address(this), _tokenAmount);
+        }
+        return _tokenAmount;
+    }
+
+    // Pay out of a listing's funds in its own currency
+    function _sendPayment(uint256 _nftID, address _to, uint256 _amount) internal {
+        _transferOut(paymentToken[_nftID], _to, _amount);
+    }
+
+    // Send ETH (token == address(0)) or an ERC-20 held by the escrow
+    function _transferOut(address token, address _to, uint256 _amount) internal {
+        if (_amount == 0) return;
+
+        if (token == address(0)) {
+            (bool success,) = payable(_to).call{value: _amount}("");
+            require(success);
+        } else {
+            IERC20(token).safeTransfer(_to, _amount);
+        }
+    }
+
+    // ETH held across all listings (token balances are tracked per listing)
     function getBalance() public view returns (uint256) {
         return address(this).balance;
     }
+
+    // Funds held for a single listing (buyer earnest + lender funding)
+    function getListingBalance(uint256 _nftID) public view returns (uint256) {
+        return earnestDeposited[_nftID] + lenderFunded[_nftID];
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
 }
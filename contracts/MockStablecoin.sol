@@ -0,0 +1,18 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Dollar-pegged test token for local Escrow listings settled in a stablecoin.
+// Anyone can mint, so never deploy this outside a development network.
+contract MockStablecoin is ERC20 {
+    constructor() ERC20("Mock USD", "mUSD") {}
+
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+}
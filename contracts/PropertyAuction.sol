@@ -0,0 +1,292 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+interface IEscrow {
+    function seller(uint256 _nftID) external view returns (address payable);
+
+    function paymentToken(uint256 _nftID) external view returns (address);
+
+    function escrowAmount(uint256 _nftID) external view returns (uint256);
+
+    function startAuction(uint256 _nftID) external;
+
+    function settleAuction(uint256 _nftID, address _winner, uint256 _price) external payable;
+
+    function releaseAuction(uint256 _nftID) external;
+}
+
+// Time-boxed auctions on Escrow listings that are open to offers (listed without a buyer).
+// -> English: open ascending bids, the auction is extended when a bid lands in its last minutes
+// -> Sealed-bid: bids are committed as hashes, then revealed once bidding closes
+// Every bidder locks the listing's escrow amount as a deposit. The winning bid becomes the
+// listing's purchase price and the winner's deposit its earnest, after which the sale goes
+// through the Escrow's inspection, financing and approval steps. Other deposits are withdrawn.
+contract PropertyAuction {
+    using SafeERC20 for IERC20;
+
+    // A bid in the last EXTENSION seconds of an English auction pushes its end back to EXTENSION from now
+    uint256 public constant EXTENSION = 5 minutes;
+
+    enum Kind {
+        English,
+        SealedBid
+    }
+
+    struct Auction {
+        uint256 nftID;
+        Kind kind;
+        address seller;
+        address paymentToken;
+        uint256 deposit;
+        uint256 reservePrice;
+        uint256 minIncrement;
+        uint256 endsAt;
+        uint256 revealEndsAt;
+        address highestBidder;
+        uint256 highestBid;
+        bool settled;
+    }
+
+    IEscrow public escrow;
+
+    uint256 public auctionCount;
+    mapping(uint256 => Auction) public auctions;
+    // Latest auction started on each property
+    mapping(uint256 => uint256) public latestAuction;
+    mapping(uint256 => mapping(address => uint256)) public deposits;
+    mapping(uint256 => mapping(address => bytes32)) public commitments;
+
+    event AuctionCreated(uint256 indexed nftID, uint256 indexed auctionId, Kind kind, uint256 reservePrice, uint256 endsAt, uint256 revealEndsAt);
+    event BidPlaced(uint256 indexed nftID, uint256 indexed auctionId, address indexed bidder, uint256 amount, uint256 endsAt);
+    event BidCommitted(uint256 indexed nftID, uint256 indexed auctionId, address indexed bidder);
+    event BidRevealed(uint256 indexed nftID, uint256 indexed auctionId, address indexed bidder, uint256 amount);
+    event AuctionEnded(uint256 indexed nftID, uint256 indexed auctionId, address indexed winner, uint256 price);
+    event DepositWithdrawn(uint256 indexed nftID, uint256 indexed auctionId, address indexed bidder, uint256 amount);
+
+    modifier onlyKind(uint256 _auctionId, Kind _kind) {
+        require(auctions[_auctionId].seller != address(0), "Auction does not exist");
+        require(auctions[_auctionId].kind == _kind, "Wrong auction type");
+        _;
+    }
+
+    constructor(address _escrow) {
+        escrow = IEscrow(_escrow);
+    }
+
+    // Create English Auction (only the listing's seller)
+    // -> bids must beat the highest bid by `_minIncrement`; below `_reservePrice` nothing is sold
+    function createEnglishAuction(
+        uint256 _nftID,
+        uint256 _reservePrice,
+        uint256 _minIncrement,
+        uint256 _duration
+    ) public returns (uint256) {
+        require(_duration > 0, "Duration must be greater than 0");
+
+        return _create(_nftID, Kind.English, _reservePrice, _minIncrement, block.timestamp + _duration, 0);
+    }
+
+    // Create Sealed-Bid Auction (only the listing's seller)
+    // -> bids are committed for `_commitDuration`, then revealed for `_revealDuration`; the highest reveal wins
+    function createSealedBidAuction(
+        uint256 _nftID,
+        uint256 _reservePrice,
+        uint256 _commitDuration,
+        uint256 _revealDuration
+    ) public returns (uint256) {
+        require(_commitDuration > 0 && _revealDuration > 0, "Duration must be greater than 0");
+
+        uint256 endsAt = block.timestamp + _commitDuration;
+        return _create(_nftID, Kind.SealedBid, _reservePrice, 0, endsAt, endsAt + _revealDuration);
+    }
+
+    function _create(
+        uint256 _nftID,
+        Kind _kind,
+        uint256 _reservePrice,
+        uint256 _minIncrement,
+        uint256 _endsAt,
+        uint256 _revealEndsAt
+    ) internal returns (uint256 auctionId) {
+        require(msg.sender == escrow.seller(_nftID), "Only seller can call this method");
+
+        // Reverts unless the listing is open to offers and not already being auctioned
+        escrow.startAuction(_nftID);
+
+        uint256 deposit = escrow.escrowAmount(_nftID);
+        require(deposit > 0, "Listing has no escrow amount");
+
+        auctionId = ++auctionCount;
+        auctions[auctionId] = Auction({
+            nftID: _nftID,
+            kind: _kind,
+            seller: msg.sender,
+            paymentToken: escrow.paymentToken(_nftID),
+            deposit: deposit,
+            reservePrice: _reservePrice,
+            minIncrement: _minIncrement,
+            endsAt: _endsAt,
+            revealEndsAt: _revealEndsAt,
+            highestBidder: address(0),
+            highestBid: 0,
+            settled: false
+        });
+        latestAuction[_nftID] = auctionId;
+
+        emit AuctionCreated(_nftID, auctionId, _kind, _reservePrice, _endsAt, _revealEndsAt);
+    }
+
+    // Bid (English) - the first bid also locks the deposit (msg.value for ETH, pulled for tokens)
+    function bid(uint256 _auctionId, uint256 _amount) public payable onlyKind(_auctionId, Kind.English) {
+        Auction storage auction = auctions[_auctionId];
+
+        require(block.timestamp < auction.endsAt, "Auction has ended");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+        require(_amount >= auction.deposit, "Bid cannot be less than the deposit");
+        require(
+            auction.highestBidder == address(0) ||
+            (_amount > auction.highestBid && _amount >= auction.highestBid + auction.minIncrement),
+            "Bid is too low"
+        );
+
+        _lockDeposit(_auctionId);
+
+        auction.highestBidder = msg.sender;
+        auction.highestBid = _amount;
+        if (auction.endsAt - block.timestamp < EXTENSION) {
+            auction.endsAt = block.timestamp + EXTENSION;
+        }
+
+        emit BidPlaced(auction.nftID, _auctionId, msg.sender, _amount, auction.endsAt);
+    }
+
+    // Commit Bid (sealed-bid) - `_commitment` is bidHash(auctionId, bidder, amount, salt);
+    // committing again replaces the earlier commitment
+    function commitBid(uint256 _auctionId, bytes32 _commitment) public payable onlyKind(_auctionId, Kind.SealedBid) {
+        Auction storage auction = auctions[_auctionId];
+
+        require(block.timestamp < auction.endsAt, "Bidding has closed");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+        require(_commitment != bytes32(0), "Invalid commitment");
+
+        _lockDeposit(_auctionId);
+        commitments[_auctionId][msg.sender] = _commitment;
+
+        emit BidCommitted(auction.nftID, _auctionId, msg.sender);
+    }
+
+    // Reveal Bid (sealed-bid, after bidding closes) - ties go to the earlier reveal
+    function revealBid(uint256 _auctionId, uint256 _amount, bytes32 _salt) public onlyKind(_auctionId, Kind.SealedBid) {
+        Auction storage auction = auctions[_auctionId];
+
+        require(block.timestamp >= auction.endsAt, "Bidding is still open");
+        require(block.timestamp < auction.revealEndsAt, "Reveal period has ended");
+        require(deposits[_auctionId][msg.sender] > 0, "No deposit locked");
+        require(
+            commitments[_auctionId][msg.sender] == bidHash(_auctionId, msg.sender, _amount, _salt),
+            "Bid does not match commitment"
+        );
+        require(_amount >= auction.deposit, "Bid cannot be less than the deposit");
+
+        delete commitments[_auctionId][msg.sender];
+
+        if (_amount > auction.highestBid) {
+            auction.highestBidder = msg.sender;
+            auction.highestBid = _amount;
+        }
+
+        emit BidRevealed(auction.nftID, _auctionId, msg.sender, _amount);
+    }
+
+    // Settle (anyone, once the auction is over)
+    // -> a highest bid at or above the reserve is sold through the Escrow, using the winner's deposit as earnest
+    // -> otherwise the listing is released and is open to offers again
+    function settle(uint256 _auctionId) public {
+        Auction storage auction = auctions[_auctionId];
+
+        require(auction.seller != address(0), "Auction does not exist");
+        require(isEnded(_auctionId), "Auction has not ended");
+        require(!auction.settled, "Auction already settled");
+
+        auction.settled = true;
+
+        if (auction.highestBidder == address(0) || auction.highestBid < auction.reservePrice) {
+            escrow.releaseAuction(auction.nftID);
+
+            emit AuctionEnded(auction.nftID, _auctionId, address(0), 0);
+            return;
+        }
+
+        address winner = auction.highestBidder;
+        uint256 amount = deposits[_auctionId][winner];
+        deposits[_auctionId][winner] = 0;
+
+        if (auction.paymentToken == address(0)) {
+            escrow.settleAuction{value: amount}(auction.nftID, winner, auction.highestBid);
+        } else {
+            IERC20(auction.paymentToken).forceApprove(address(escrow), amount);
+            escrow.settleAuction(auction.nftID, winner, auction.highestBid);
+        }
+
+        emit AuctionEnded(auction.nftID, _auctionId, winner, auction.highestBid);
+    }
+
+    // Withdraw Deposit - anyone but the leading bidder of an unsettled auction
+    function withdrawDeposit(uint256 _auctionId) public {
+        Auction storage auction = auctions[_auctionId];
+
+        require(
+            msg.sender != auction.highestBidder || auction.settled,
+            "Leading bidder cannot withdraw before settlement"
+        );
+
+        uint256 amount = deposits[_auctionId][msg.sender];
+        require(amount > 0, "No deposit to withdraw");
+
+        deposits[_auctionId][msg.sender] = 0;
+        delete commitments[_auctionId][msg.sender];
+
+        if (auction.paymentToken == address(0)) {
+            (bool success,) = payable(msg.sender).call{value: amount}("");
+            require(success);
+        } else {
+            IERC20(auction.paymentToken).safeTransfer(msg.sender, amount);
+        }
+
+        emit DepositWithdrawn(auction.nftID, _auctionId, msg.sender, amount);
+    }
+
+    // Bidding is over: English auctions at `endsAt`, sealed-bid auctions when the reveal period closes
+    function isEnded(uint256 _auctionId) public view returns (bool) {
+        Auction storage auction = auctions[_auctionId];
+        uint256 end = auction.kind == Kind.English ? auction.endsAt : auction.revealEndsAt;
+        return block.timestamp >= end;
+    }
+
+    // Commitment for a sealed bid; bound to the auction and bidder so it cannot be replayed by others
+    function bidHash(uint256 _auctionId, address _bidder, uint256 _amount, bytes32 _salt) public pure returns (bytes32) {
+        return keccak256(abi.encode(_auctionId, _bidder, _amount, _salt));
+    }
+
+    // Lock the auction's deposit (exactly the escrow amount) for the sender, once per auction
+    function _lockDeposit(uint256 _auctionId) internal {
+        Auction storage auction = auctions[_auctionId];
+
+        if (deposits[_auctionId][msg.sender] > 0) {
+            require(msg.value == 0, "Deposit already locked");
+            return;
+        }
+
+        if (auction.paymentToken == address(0)) {
+            require(msg.value == auction.deposit, "Deposit must equal the escrow amount");
+        } else {
+            require(msg.value == 0, "ETH not accepted for token listings");
+            IERC20(auction.paymentToken).safeTransferFrom(msg.sender, address(this), auction.deposit);
+        }
+
+        deposits[_auctionId][msg.sender] = auction.deposit;
+    }
+}
@@ -0,0 +1,237 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+interface IERC721 {
+    function ownerOf(uint256 _id) external view returns (address);
+}
+
+// Rental agreements for RealEstate tokens. The owner offers a lease (rent per 30-day period,
+// deposit, term in periods, late fee), the tenant signs it by paying the deposit, and rent is
+// either pushed by the tenant or, for ERC-20 leases, pulled by the landlord from the tenant's
+// allowance once due. At term end any unpaid rent and late fees come out of the deposit and
+// the rest is returned to the tenant. The property itself stays with its owner.
+contract PropertyLease {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant RENT_PERIOD = 30 days;
+
+    enum Status {
+        None,
+        Offered,
+        Active,
+        Ended,
+        Cancelled
+    }
+
+    struct Lease {
+        uint256 nftID;
+        address landlord;
+        address tenant;
+        address paymentToken;
+        uint256 rent;
+        uint256 deposit;
+        uint256 term;
+        uint256 lateFee;
+        uint256 gracePeriod;
+        uint256 startsAt;
+        uint256 periodsPaid;
+        Status status;
+    }
+
+    address public nftAddress;
+
+    uint256 public leaseCount;
+    mapping(uint256 => Lease) public leases;
+    // Offered or active lease of each property (0 = none)
+    mapping(uint256 => uint256) public currentLease;
+    // Leases each address is the landlord or tenant of
+    mapping(address => uint256[]) private leasesOf;
+
+    event LeaseOffered(uint256 indexed nftID, uint256 indexed leaseId, address indexed landlord, address tenant, uint256 rent, uint256 deposit, uint256 term);
+    event LeaseOfferCancelled(uint256 indexed nftID, uint256 indexed leaseId);
+    event LeaseSigned(uint256 indexed nftID, uint256 indexed leaseId, address indexed tenant, uint256 startsAt);
+    event RentPaid(uint256 indexed nftID, uint256 indexed leaseId, address indexed payer, uint256 period, uint256 amount, uint256 lateFee);
+    event LeaseEnded(uint256 indexed nftID, uint256 indexed leaseId, uint256 depositReturned, uint256 depositWithheld);
+
+    modifier onlyLandlord(uint256 _leaseId) {
+        require(msg.sender == leases[_leaseId].landlord, "Only landlord can call this method");
+        _;
+    }
+
+    modifier inStatus(uint256 _leaseId, Status _status) {
+        require(leases[_leaseId].status == _status, "Invalid lease status");
+        _;
+    }
+
+    constructor(address _nftAddress) {
+        nftAddress = _nftAddress;
+    }
+
+    // Offer Lease (only property owner, one offered or active lease per property)
+    // -> `_tenant` restricts who can sign (address(0) = anyone)
+    // -> rent and late fee are per RENT_PERIOD; `_term` is the number of periods
+    // -> rent paid more than `_gracePeriod` seconds after it is due carries the late fee
+    function offerLease(
+        uint256 _nftID,
+        address _tenant,
+        address _paymentToken,
+        uint256 _rent,
+        uint256 _deposit,
+        uint256 _term,
+        uint256 _lateFee,
+        uint256 _gracePeriod
+    ) public returns (uint256 leaseId) {
+        require(IERC721(nftAddress).ownerOf(_nftID) == msg.sender, "Only property owner can offer a lease");
+        require(_tenant != msg.sender, "Landlord cannot be the tenant");
+        require(_rent > 0, "Rent must be greater than 0");
+        require(_term > 0, "Term must be at least one period");
+        require(currentLease[_nftID] == 0, "Property already has a lease");
+
+        leaseId = ++leaseCount;
+        leases[leaseId] = Lease({
+            nftID: _nftID,
+            landlord: msg.sender,
+            tenant: _tenant,
+            paymentToken: _paymentToken,
+            rent: _rent,
+            deposit: _deposit,
+            term: _term,
+            lateFee: _lateFee,
+            gracePeriod: _gracePeriod,
+            startsAt: 0,
+            periodsPaid: 0,
+            status: Status.Offered
+        });
+        currentLease[_nftID] = leaseId;
+        leasesOf[msg.sender].push(leaseId);
+
+        emit LeaseOffered(_nftID, leaseId, msg.sender, _tenant, _rent, _deposit, _term);
+    }
+
+    function cancelOffer(uint256 _leaseId) public onlyLandlord(_leaseId) inStatus(_leaseId, Status.Offered) {
+        Lease storage lease = leases[_leaseId];
+
+        lease.status = Status.Cancelled;
+        currentLease[lease.nftID] = 0;
+
+        emit LeaseOfferCancelled(lease.nftID, _leaseId);
+    }
+
+    // Sign Lease (the named tenant, or anyone for open offers) - pays the deposit and starts the term
+    function signLease(uint256 _leaseId) public payable inStatus(_leaseId, Status.Offered) {
+        Lease storage lease = leases[_leaseId];
+
+        require(lease.tenant == address(0) || msg.sender == lease.tenant, "Only tenant can call this method");
+        require(msg.sender != lease.landlord, "Landlord cannot be the tenant");
+        require(IERC721(nftAddress).ownerOf(lease.nftID) == lease.landlord, "Landlord no longer owns the property");
+
+        _receive(lease.paymentToken, msg.sender, address(this), lease.deposit);
+
+        lease.tenant = msg.sender;
+        lease.startsAt = block.timestamp;
+        lease.status = Status.Active;
+        leasesOf[msg.sender].push(_leaseId);
+
+        emit LeaseSigned(lease.nftID, _leaseId, msg.sender, block.timestamp);
+    }
+
+    // Pay Rent (anyone, pushed) - pays the next unpaid period to the landlord, ahead of time if wanted
+    function payRent(uint256 _leaseId) public payable inStatus(_leaseId, Status.Active) {
+        Lease storage lease = leases[_leaseId];
+        require(lease.periodsPaid < lease.term, "Rent is paid for the whole term");
+
+        (uint256 amount, uint256 lateFee) = amountDue(_leaseId);
+        _receive(lease.paymentToken, msg.sender, lease.landlord, amount);
+
+        _recordPayment(_leaseId, amount, lateFee);
+    }
+
+    // Collect Rent (only landlord, ERC-20 leases) - pulls the next period from the tenant's allowance once due
+    function collectRent(uint256 _leaseId) public onlyLandlord(_leaseId) inStatus(_leaseId, Status.Active) {
+        Lease storage lease = leases[_leaseId];
+        require(lease.paymentToken != address(0), "Rent can only be collected for token leases");
+        require(lease.periodsPaid < lease.term, "Rent is paid for the whole term");
+        require(block.timestamp >= dueDate(_leaseId, lease.periodsPaid), "Rent is not due yet");
+
+        (uint256 amount, uint256 lateFee) = amountDue(_leaseId);
+        IERC20(lease.paymentToken).safeTransferFrom(lease.tenant, lease.landlord, amount);
+
+        _recordPayment(_leaseId, amount, lateFee);
+    }
+
+    // End Lease (landlord or tenant, once the term is over)
+    // -> unpaid periods and their late fees are withheld from the deposit for the landlord
+    // -> the rest of the deposit is returned to the tenant
+    function endLease(uint256 _leaseId) public inStatus(_leaseId, Status.Active) {
+        Lease storage lease = leases[_leaseId];
+
+        require(msg.sender == lease.landlord || msg.sender == lease.tenant, "Only landlord or tenant can call this method");
+        require(block.timestamp >= termEndsAt(_leaseId), "Lease term has not ended");
+
+        uint256 owed = (lease.term - lease.periodsPaid) * (lease.rent + lease.lateFee);
+        uint256 withheld = owed < lease.deposit ? owed : lease.deposit;
+        uint256 returned = lease.deposit - withheld;
+
+        lease.status = Status.Ended;
+        currentLease[lease.nftID] = 0;
+
+        _send(lease.paymentToken, lease.landlord, withheld);
+        _send(lease.paymentToken, lease.tenant, returned);
+
+        emit LeaseEnded(lease.nftID, _leaseId, returned, withheld);
+    }
+
+    // Due date of a rent period (0-based); each period's rent is due at its start
+    function dueDate(uint256 _leaseId, uint256 _period) public view returns (uint256) {
+        return leases[_leaseId].startsAt + _period * RENT_PERIOD;
+    }
+
+    function termEndsAt(uint256 _leaseId) public view returns (uint256) {
+        return dueDate(_leaseId, leases[_leaseId].term);
+    }
+
+    // Amount (rent plus any late fee) the next unpaid period costs right now
+    function amountDue(uint256 _leaseId) public view returns (uint256 amount, uint256 lateFee) {
+        Lease storage lease = leases[_leaseId];
+        if (block.timestamp > dueDate(_leaseId, lease.periodsPaid) + lease.gracePeriod) {
+            lateFee = lease.lateFee;
+        }
+        amount = lease.rent + lateFee;
+    }
+
+    function getLeasesOf(address _account) public view returns (uint256[] memory) {
+        return leasesOf[_account];
+    }
+
+    function _recordPayment(uint256 _leaseId, uint256 _amount, uint256 _lateFee) internal {
+        Lease storage lease = leases[_leaseId];
+        uint256 period = lease.periodsPaid++;
+
+        emit RentPaid(lease.nftID, _leaseId, msg.sender, period, _amount, _lateFee);
+    }
+
+    // Take exactly `_amount` from `_from` (msg.value for ETH leases) and deliver it to `_to`
+    function _receive(address _token, address _from, address _to, uint256 _amount) internal {
+        if (_token == address(0)) {
+            require(msg.value == _amount, "Incorrect payment amount");
+            if (_to != address(this)) _send(address(0), _to, _amount);
+        } else {
+            require(msg.value == 0, "ETH not accepted for token leases");
+            if (_amount > 0) IERC20(_token).safeTransferFrom(_from, _to, _amount);
+        }
+    }
+
+    function _send(address _token, address _to, uint256 _amount) internal {
+        if (_amount == 0) return;
+
+        if (_token == address(0)) {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success);
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+}
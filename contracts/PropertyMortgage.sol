@@ -0,0 +1,216 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+interface IRealEstate {
+    function ownerOf(uint256 _id) external view returns (address);
+
+    function placeLien(uint256 _tokenId, address _holder) external;
+
+    function releaseLien(uint256 _tokenId) external;
+}
+
+// Mortgages for lender-financed Escrow sales. When a sale the lender funded with `Escrow.fundMortgage`
+// closes, the Escrow originates a loan here for the part of the price the lender paid, at the rate
+// and term recorded at funding. The loan is repaid in equal monthly installments (standard
+// amortization), and the lender holds a lien on the property (a RealEstate lien manager) until the
+// balance is paid off.
+contract PropertyMortgage {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant PAYMENT_PERIOD = 30 days;
+    uint256 private constant WAD = 1e18;
+
+    enum Status {
+        None,
+        Active,
+        Repaid
+    }
+
+    struct Loan {
+        uint256 nftID;
+        address borrower;
+        address lender;
+        address paymentToken;
+        uint256 principal;
+        uint256 rateBps;
+        uint256 term;
+        uint256 installment;
+        uint256 startsAt;
+        uint256 installmentsPaid;
+        uint256 balance;
+        Status status;
+    }
+
+    address public nftAddress;
+    address public escrow;
+
+    uint256 public loanCount;
+    mapping(uint256 => Loan) public loans;
+    // Outstanding loan on each property (0 = none)
+    mapping(uint256 => uint256) public currentLoan;
+    // Loans each address is the borrower or lender of
+    mapping(address => uint256[]) private loansOf;
+
+    event LoanOriginated(uint256 indexed nftID, uint256 indexed loanId, address indexed borrower, address lender, uint256 principal, uint256 rateBps, uint256 term, uint256 installment);
+    event InstallmentPaid(uint256 indexed nftID, uint256 indexed loanId, address indexed payer, uint256 number, uint256 amount, uint256 interest, uint256 principal, uint256 balance);
+    event LoanRepaid(uint256 indexed nftID, uint256 indexed loanId);
+
+    modifier onlyEscrow() {
+        require(msg.sender == escrow, "Only escrow can call this method");
+        _;
+    }
+
+    modifier onlyActive(uint256 _loanId) {
+        require(loans[_loanId].status == Status.Active, "Loan is not active");
+        _;
+    }
+
+    constructor(address _nftAddress, address _escrow) {
+        nftAddress = _nftAddress;
+        escrow = _escrow;
+    }
+
+    // Originate Loan (only escrow, when a financed sale closes)
+    // -> `_rateBps` is the annual interest rate in basis points, `_term` the number of monthly installments
+    // -> places the lender's lien on the property
+    function originate(
+        uint256 _nftID,
+        address _borrower,
+        address _lender,
+        address _paymentToken,
+        uint256 _principal,
+        uint256 _rateBps,
+        uint256 _term
+    ) public onlyEscrow returns (uint256 loanId) {
+        require(_principal > 0, "Principal must be greater than 0");
+        require(_term > 0, "Term must be at least one installment");
+        require(IRealEstate(nftAddress).ownerOf(_nftID) == _borrower, "Borrower must own the property");
+
+        loanId = ++loanCount;
+        uint256 installment = installmentAmount(_principal, _rateBps, _term);
+        loans[loanId] = Loan({
+            nftID: _nftID,
+            borrower: _borrower,
+            lender: _lender,
+            paymentToken: _paymentToken,
+            principal: _principal,
+            rateBps: _rateBps,
+            term: _term,
+            installment: installment,
+            startsAt: block.timestamp,
+            installmentsPaid: 0,
+            balance: _principal,
+            status: Status.Active
+        });
+        currentLoan[_nftID] = loanId;
+        loansOf[_borrower].push(loanId);
+        loansOf[_lender].push(loanId);
+
+        IRealEstate(nftAddress).placeLien(_nftID, _lender);
+
+        emit LoanOriginated(_nftID, loanId, _borrower, _lender, _principal, _rateBps, _term, installment);
+    }
+
+    // Repay Installment (anyone) - pays the next installment to the lender, ahead of time if wanted
+    function repay(uint256 _loanId) public payable onlyActive(_loanId) {
+        (uint256 amount, uint256 interest, uint256 principal) = nextInstallment(_loanId);
+        _pay(_loanId, amount, interest, principal);
+    }
+
+    // Pay Off (anyone) - pays the whole balance plus this period's interest and releases the lien
+    function payOff(uint256 _loanId) public payable onlyActive(_loanId) {
+        Loan storage loan = loans[_loanId];
+        uint256 interest = _interest(loan);
+        _pay(_loanId, loan.balance + interest, interest, loan.balance);
+    }
+
+    // Equal monthly installment that amortizes `_principal` over `_term` months:
+    // P * r / (1 - (1 + r)^-n), or P / n without interest (rounded up)
+    function installmentAmount(uint256 _principal, uint256 _rateBps, uint256 _term) public pure returns (uint256) {
+        uint256 rate = monthlyRate(_rateBps);
+        if (rate == 0) return Math.ceilDiv(_principal, _term);
+
+        uint256 factor = _pow(WAD + rate, _term);
+        return Math.mulDiv(_principal, Math.mulDiv(rate, factor, WAD), factor - WAD, Math.Rounding.Ceil);
+    }
+
+    // Monthly interest rate (1e18 = 100%) for an annual rate in basis points
+    function monthlyRate(uint256 _rateBps) public pure returns (uint256) {
+        return (_rateBps * WAD) / (10000 * 12);
+    }
+
+    // Next installment: interest on the balance first, the rest repays principal; the last one clears the balance
+    function nextInstallment(uint256 _loanId) public view returns (uint256 amount, uint256 interest, uint256 principal) {
+        Loan storage loan = loans[_loanId];
+        interest = _interest(loan);
+        principal = loan.installment > interest ? loan.installment - interest : 0;
+
+        if (principal > loan.balance || loan.installmentsPaid + 1 >= loan.term) {
+            principal = loan.balance;
+        }
+        amount = principal + interest;
+    }
+
+    // Due date of an installment (0-based); the first is due one period after origination
+    function dueDate(uint256 _loanId, uint256 _number) public view returns (uint256) {
+        return loans[_loanId].startsAt + (_number + 1) * PAYMENT_PERIOD;
+    }
+
+    function payoffAmount(uint256 _loanId) public view returns (uint256) {
+        Loan storage loan = loans[_loanId];
+        return loan.balance + _interest(loan);
+    }
+
+    function getLoansOf(address _account) public view returns (uint256[] memory) {
+        return loansOf[_account];
+    }
+
+    function _pay(uint256 _loanId, uint256 _amount, uint256 _interestPaid, uint256 _principalPaid) internal {
+        Loan storage loan = loans[_loanId];
+
+        _receive(loan.paymentToken, loan.lender, _amount);
+
+        uint256 number = loan.installmentsPaid++;
+        loan.balance -= _principalPaid;
+
+        emit InstallmentPaid(loan.nftID, _loanId, msg.sender, number, _amount, _interestPaid, _principalPaid, loan.balance);
+
+        if (loan.balance == 0) {
+            loan.status = Status.Repaid;
+            currentLoan[loan.nftID] = 0;
+            IRealEstate(nftAddress).releaseLien(loan.nftID);
+
+            emit LoanRepaid(loan.nftID, _loanId);
+        }
+    }
+
+    function _interest(Loan storage loan) internal view returns (uint256) {
+        return (loan.balance * monthlyRate(loan.rateBps)) / WAD;
+    }
+
+    // Take exactly `_amount` from the caller (msg.value for ETH loans) and deliver it to `_to`
+    function _receive(address _token, address _to, uint256 _amount) internal {
+        if (_token == address(0)) {
+            require(msg.value == _amount, "Incorrect payment amount");
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success);
+        } else {
+            require(msg.value == 0, "ETH not accepted for token loans");
+            IERC20(_token).safeTransferFrom(msg.sender, _to, _amount);
+        }
+    }
+
+    // `_base` ^ `_exponent` in 1e18 fixed point, by squaring
+    function _pow(uint256 _base, uint256 _exponent) internal pure returns (uint256 result) {
+        result = WAD;
+        while (_exponent > 0) {
+            if (_exponent & 1 == 1) result = Math.mulDiv(result, _base, WAD);
+            _base = Math.mulDiv(_base, _base, WAD);
+            _exponent >>= 1;
+        }
+    }
+}
@@ -0,0 +1,238 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
+
+interface IERC721 {
+    function transferFrom(
+        address _from,
+        address _to,
+        uint256 _id
+    ) external;
+
+    function ownerOf(uint256 _id) external view returns (address);
+
+    function tokenURI(uint256 _id) external view returns (string memory);
+}
+
+// Locks a RealEstate token and issues ERC-1155 fractions (id == nftID) to its co-owners.
+// The underlying property can only be sold once holders of `quorumBps` of the shares approve.
+contract PropertyVault is ERC1155Supply {
+    uint256 public constant BPS = 10000;
+
+    address public nftAddress;
+
+    event Fractionalized(uint256 indexed nftID, address indexed curator, uint256 totalShares, uint256 quorumBps);
+    event SaleProposed(uint256 indexed nftID, uint256 indexed proposalId, address indexed proposer, address buyer, uint256 price);
+    event SaleApproved(uint256 indexed nftID, uint256 indexed proposalId, address indexed shareholder);
+    event SaleCompleted(uint256 indexed nftID, address indexed buyer, uint256 price);
+    event SharesRedeemed(uint256 indexed nftID, address indexed shareholder, uint256 shares, uint256 amount);
+    event Unlocked(uint256 indexed nftID, address indexed owner);
+
+    modifier onlyShareholder(uint256 _nftID) {
+        require(balanceOf(msg.sender, _nftID) > 0, "Only shareholders can call this method");
+        _;
+    }
+
+    modifier onlyVaulted(uint256 _nftID) {
+        require(isVaulted[_nftID], "Property is not in the vault");
+        _;
+    }
+
+    mapping(uint256 => bool) public isVaulted;
+    mapping(uint256 => address) public curator;
+    mapping(uint256 => uint256) public quorumBps;
+    // Every address that has held shares of a property, for cap table lookups
+    mapping(uint256 => address[]) private shareholders;
+    mapping(uint256 => mapping(address => bool)) private isShareholder;
+
+    // Current sale proposal per property; a new proposal discards earlier approvals
+    mapping(uint256 => uint256) public saleProposalId;
+    mapping(uint256 => address) public saleBuyer;
+    mapping(uint256 => uint256) public salePrice;
+    mapping(uint256 => address[]) private saleApprovers;
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasApprovedSale;
+
+    // Sale proceeds not yet redeemed by shareholders
+    mapping(uint256 => uint256) public saleProceeds;
+
+    constructor(address _nftAddress) ERC1155("") {
+        nftAddress = _nftAddress;
+    }
+
+    function fractionalize(
+        uint256 _nftID,
+        address[] memory _owners,
+        uint256[] memory _shares,
+        uint256 _quorumBps
+    ) public {
+        require(IERC721(nftAddress).ownerOf(_nftID) == msg.sender, "Only property owner can fractionalize");
+        require(_owners.length > 0 && _owners.length == _shares.length, "Invalid share allocation");
+        require(_quorumBps > 0 && _quorumBps <= BPS, "Invalid quorum");
+        require(totalSupply(_nftID) == 0, "Outstanding shares must be redeemed first");
+
+        isVaulted[_nftID] = true;
+        curator[_nftID] = msg.sender;
+        quorumBps[_nftID] = _quorumBps;
+        delete saleBuyer[_nftID];
+        delete salePrice[_nftID];
+        delete saleApprovers[_nftID];
+        saleProposalId[_nftID]++;
+
+        for (uint256 i = 0; i < _owners.length; i++) {
+            require(_shares[i] > 0, "Invalid share allocation");
+            _mint(_owners[i], _nftID, _shares[i], "");
+        }
+
+        // Lock the property in the vault
+        IERC721(nftAddress).transferFrom(msg.sender, address(this), _nftID);
+
+        emit Fractionalized(_nftID, msg.sender, totalSupply(_nftID), _quorumBps);
+    }
+
+    // Propose selling the property to `_buyer` for `_price`; the proposer approves it too
+    function proposeSale(uint256 _nftID, address _buyer, uint256 _price)
+        public
+        onlyVaulted(_nftID)
+        onlyShareholder(_nftID)
+    {
+        require(_buyer != address(0), "Invalid buyer");
+        require(_price > 0, "Invalid price");
+
+        uint256 proposalId = ++saleProposalId[_nftID];
+        saleBuyer[_nftID] = _buyer;
+        salePrice[_nftID] = _price;
+        delete saleApprovers[_nftID];
+
+        emit SaleProposed(_nftID, proposalId, msg.sender, _buyer, _price);
+
+        _approveSale(_nftID);
+    }
+
+    function approveSale(uint256 _nftID) public onlyVaulted(_nftID) onlyShareholder(_nftID) {
+        require(saleBuyer[_nftID] != address(0), "No sale has been proposed");
+        require(!hasApprovedSale[_nftID][saleProposalId[_nftID]][msg.sender], "Sale already approved");
+
+        _approveSale(_nftID);
+    }
+
+    // Buyer pays the proposed price once the quorum is reached and receives the property
+    function completeSale(uint256 _nftID) public payable onlyVaulted(_nftID) {
+        require(msg.sender == saleBuyer[_nftID], "Only buyer can call this method");
+        require(isSaleApproved(_nftID), "Sale quorum not reached");
+        require(msg.value == salePrice[_nftID], "Incorrect sale price");
+
+        isVaulted[_nftID] = false;
+        saleProceeds[_nftID] = msg.value;
+
+        IERC721(nftAddress).transferFrom(address(this), msg.sender, _nftID);
+
+        emit SaleCompleted(_nftID, msg.sender, msg.value);
+    }
+
+    // Burn all of the caller's shares of a sold property for their pro-rata part of the proceeds
+    function redeem(uint256 _nftID) public onlyShareholder(_nftID) {
+        require(!isVaulted[_nftID], "Property has not been sold");
+
+        uint256 shares = balanceOf(msg.sender, _nftID);
+        uint256 amount = (saleProceeds[_nftID] * shares) / totalSupply(_nftID);
+
+        _burn(msg.sender, _nftID, shares);
+        saleProceeds[_nftID] -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success);
+
+        emit SharesRedeemed(_nftID, msg.sender, shares, amount);
+    }
+
+    // A holder of every share can burn them and take the property back out of the vault
+    function unlock(uint256 _nftID) public onlyVaulted(_nftID) {
+        uint256 shares = totalSupply(_nftID);
+        require(balanceOf(msg.sender, _nftID) == shares, "Must hold all shares");
+
+        isVaulted[_nftID] = false;
+        _burn(msg.sender, _nftID, shares);
+
+        IERC721(nftAddress).transferFrom(address(this), msg.sender, _nftID);
+
+        emit Unlocked(_nftID, msg.sender);
+    }
+
+    // Shares currently held by addresses that approved the active proposal
+    function saleApprovalShares(uint256 _nftID) public view returns (uint256 approvedShares) {
+        address[] storage approvers = saleApprovers[_nftID];
+        for (uint256 i = 0; i < approvers.length; i++) {
+            approvedShares += balanceOf(approvers[i], _nftID);
+        }
+    }
+
+    function isSaleApproved(uint256 _nftID) public view returns (bool) {
+        uint256 supply = totalSupply(_nftID);
+        return
+            saleBuyer[_nftID] != address(0) &&
+            supply > 0 &&
+            saleApprovalShares(_nftID) * BPS >= supply * quorumBps[_nftID];
+    }
+
+    // Current shareholders and their balances
+    function getCapTable(uint256 _nftID)
+        public
+        view
+        returns (address[] memory holders, uint256[] memory balances)
+    {
+        address[] storage everHeld = shareholders[_nftID];
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < everHeld.length; i++) {
+            if (balanceOf(everHeld[i], _nftID) > 0) count++;
+        }
+
+        holders = new address[](count);
+        balances = new uint256[](count);
+
+        uint256 j = 0;
+        for (uint256 i = 0; i < everHeld.length; i++) {
+            uint256 balance = balanceOf(everHeld[i], _nftID);
+            if (balance > 0) {
+                holders[j] = everHeld[i];
+                balances[j] = balance;
+                j++;
+            }
+        }
+    }
+
+    function getSaleApprovers(uint256 _nftID) public view returns (address[] memory) {
+        return saleApprovers[_nftID];
+    }
+
+    // Fractions share the metadata of the underlying property
+    function uri(uint256 _nftID) public view override returns (string memory) {
+        return IERC721(nftAddress).tokenURI(_nftID);
+    }
+
+    function _approveSale(uint256 _nftID) internal {
+        uint256 proposalId = saleProposalId[_nftID];
+        hasApprovedSale[_nftID][proposalId][msg.sender] = true;
+        saleApprovers[_nftID].push(msg.sender);
+
+        emit SaleApproved(_nftID, proposalId, msg.sender);
+    }
+
+    function _update(
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory values
+    ) internal override {
+        super._update(from, to, ids, values);
+
+        if (to == address(0)) return;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (!isShareholder[ids[i]][to]) {
+                isShareholder[ids[i]][to] = true;
+                shareholders[ids[i]].push(to);
+            }
+        }
+    }
+}
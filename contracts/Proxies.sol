@@ -0,0 +1,5 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.28;
+
+// Compiles the OpenZeppelin proxy so deployments and tests can use its artifact
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
@@ -3,13 +3,200 @@ pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+// Only registrars can mint; owners submit mint requests that a registrar approves or rejects.
+// The admin (DEFAULT_ADMIN_ROLE) grants and revokes registrars and lien managers.
+// Lien managers (e.g. PropertyMortgage) place liens that block transfers until they are released.
+contract RealEstate is ERC721URIStorage, AccessControl {
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant LIEN_MANAGER_ROLE = keccak256("LIEN_MANAGER_ROLE");
 
-contract RealEstate is ERC721URIStorage {
     uint256 private _nextTokenId;
 
-    constructor() ERC721("Real Estate", "REAL") {}
+    // Land registry keys recorded for every minted property
+    struct PropertyRecord {
+        string surveyNumber;
+        string subDivision;
+        string pincode;
+        bytes32 coordinatesHash;
+    }
+
+    mapping(uint256 => PropertyRecord) private _records;
+    // keccak256(pincode, surveyNumber, subDivision) -> tokenId
+    mapping(bytes32 => uint256) private _tokenByParcel;
+    // keccak256(surveyNumber) -> tokenIds across pincodes and sub-divisions
+    mapping(bytes32 => uint256[]) private _tokensBySurveyNumber;
+
+    enum RequestStatus {
+        None,
+        Pending,
+        Approved,
+        Rejected
+    }
+
+    struct MintRequest {
+        address requester;
+        string tokenURI;
+        PropertyRecord record;
+        RequestStatus status;
+        uint256 tokenId;
+    }
+
+    uint256 public mintRequestCount;
+    mapping(uint256 => MintRequest) private _mintRequests;
+
+    // Holder of the lien on each token (address(0) = unencumbered)
+    mapping(uint256 => address) public lienHolder;
+
+    event PropertyMinted(uint256 indexed tokenId, address indexed owner, string tokenURI);
+    event PropertyRegistered(uint256 indexed tokenId, string surveyNumber, string subDivision, string pincode, bytes32 coordinatesHash);
+    event MintRequested(uint256 indexed requestId, address indexed requester, string surveyNumber, string pincode);
+    event MintRequestApproved(uint256 indexed requestId, address indexed registrar, uint256 indexed tokenId);
+    event MintRequestRejected(uint256 indexed requestId, address indexed registrar, string reason);
+    event LienPlaced(uint256 indexed tokenId, address indexed holder);
+    event LienReleased(uint256 indexed tokenId, address indexed holder);
+
+    constructor() ERC721("Real Estate", "REAL") {
+        // The deployer administers the registry and acts as its first registrar
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(REGISTRAR_ROLE, msg.sender);
+    }
+
+    // Registrars mint directly to the property owner
+    function mint(
+        address to,
+        string memory tokenURI,
+        string memory surveyNumber,
+        string memory subDivision,
+        string memory pincode,
+        bytes32 coordinatesHash
+    ) public onlyRole(REGISTRAR_ROLE) returns (uint256) {
+        return _mintProperty(to, tokenURI, PropertyRecord(surveyNumber, subDivision, pincode, coordinatesHash));
+    }
+
+    // Owners ask a registrar to mint their property
+    function requestMint(
+        string memory tokenURI,
+        string memory surveyNumber,
+        string memory subDivision,
+        string memory pincode,
+        bytes32 coordinatesHash
+    ) public returns (uint256) {
+        _validateRecord(surveyNumber, subDivision, pincode);
+
+        uint256 requestId = ++mintRequestCount;
+        _mintRequests[requestId] = MintRequest(
+            msg.sender,
+            tokenURI,
+            PropertyRecord(surveyNumber, subDivision, pincode, coordinatesHash),
+            RequestStatus.Pending,
+            0
+        );
+
+        emit MintRequested(requestId, msg.sender, surveyNumber, pincode);
+
+        return requestId;
+    }
+
+    function approveMintRequest(uint256 requestId) public onlyRole(REGISTRAR_ROLE) returns (uint256) {
+        MintRequest storage request = _mintRequests[requestId];
+        require(request.status == RequestStatus.Pending, "Mint request is not pending");
+
+        request.status = RequestStatus.Approved;
+        request.tokenId = _mintProperty(request.requester, request.tokenURI, request.record);
+
+        emit MintRequestApproved(requestId, msg.sender, request.tokenId);
+
+        return request.tokenId;
+    }
+
+    function rejectMintRequest(uint256 requestId, string memory reason) public onlyRole(REGISTRAR_ROLE) {
+        MintRequest storage request = _mintRequests[requestId];
+        require(request.status == RequestStatus.Pending, "Mint request is not pending");
+
+        request.status = RequestStatus.Rejected;
+
+        emit MintRequestRejected(requestId, msg.sender, reason);
+    }
+
+    function getMintRequest(uint256 requestId) public view returns (MintRequest memory) {
+        require(_mintRequests[requestId].status != RequestStatus.None, "Mint request does not exist");
+        return _mintRequests[requestId];
+    }
+
+    function getPendingMintRequestIds() public view returns (uint256[] memory) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= mintRequestCount; i++) {
+            if (_mintRequests[i].status == RequestStatus.Pending) count++;
+        }
+
+        uint256[] memory requestIds = new uint256[](count);
+        uint256 j = 0;
+        for (uint256 i = 1; i <= mintRequestCount; i++) {
+            if (_mintRequests[i].status == RequestStatus.Pending) requestIds[j++] = i;
+        }
+        return requestIds;
+    }
+
+    // The token cannot be transferred until the lien is released
+    function placeLien(uint256 tokenId, address holder) public onlyRole(LIEN_MANAGER_ROLE) {
+        _requireOwned(tokenId);
+        require(holder != address(0), "Invalid lien holder");
+        require(lienHolder[tokenId] == address(0), "Property already has a lien");
+
+        lienHolder[tokenId] = holder;
+
+        emit LienPlaced(tokenId, holder);
+    }
+
+    function releaseLien(uint256 tokenId) public onlyRole(LIEN_MANAGER_ROLE) {
+        address holder = lienHolder[tokenId];
+        require(holder != address(0), "Property has no lien");
+
+        lienHolder[tokenId] = address(0);
+
+        emit LienReleased(tokenId, holder);
+    }
+
+    function totalSupply() public view returns (uint256) {
+        return _nextTokenId;
+    }
+
+    function getPropertyRecord(uint256 tokenId) public view returns (PropertyRecord memory) {
+        _requireOwned(tokenId);
+        return _records[tokenId];
+    }
+
+    // Token registered for an exact parcel, or 0 if none
+    function getTokenIdByParcel(
+        string memory surveyNumber,
+        string memory subDivision,
+        string memory pincode
+    ) public view returns (uint256) {
+        return _tokenByParcel[getParcelKey(surveyNumber, subDivision, pincode)];
+    }
+
+    // Every token registered under a survey number
+    function getTokenIdsBySurveyNumber(string memory surveyNumber) public view returns (uint256[] memory) {
+        return _tokensBySurveyNumber[keccak256(bytes(surveyNumber))];
+    }
+
+    function getParcelKey(
+        string memory surveyNumber,
+        string memory subDivision,
+        string memory pincode
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode(pincode, surveyNumber, subDivision));
+    }
+
+    function _mintProperty(
+        address to,
+        string memory tokenURI,
+        PropertyRecord memory record
+    ) internal returns (uint256) {
+        _validateRecord(record.surveyNumber, record.subDivision, record.pincode);
 
-    function mint(string memory tokenURI) public returns (uint256) {
         // We use the `++` operator _before_ the assignment to ensure the local variable is incremented.
         // While technically the ERC721 standard doesn't mandate starting from 0 or 1, 
         // starting from 1 has become the de facto standard.
@@ -17,13 +204,46 @@ contract RealEstate is ERC721URIStorage {
         // ensures the totalSupply is always correct.
         uint256 newItemId = ++_nextTokenId;
 
-        _mint(msg.sender, newItemId);
+        _records[newItemId] = record;
+        _tokenByParcel[getParcelKey(record.surveyNumber, record.subDivision, record.pincode)] = newItemId;
+        _tokensBySurveyNumber[keccak256(bytes(record.surveyNumber))].push(newItemId);
+
+        _mint(to, newItemId);
         _setTokenURI(newItemId, tokenURI);
 
+        emit PropertyMinted(newItemId, to, tokenURI);
+        emit PropertyRegistered(newItemId, record.surveyNumber, record.subDivision, record.pincode, record.coordinatesHash);
+
         return newItemId;
     }
 
-    function totalSupply() public view returns (uint256) {
-        return _nextTokenId;
+    function _validateRecord(
+        string memory surveyNumber,
+        string memory subDivision,
+        string memory pincode
+    ) internal view {
+        require(bytes(surveyNumber).length > 0, "Survey number is required");
+        require(bytes(pincode).length > 0, "Pincode is required");
+        require(
+            _tokenByParcel[getParcelKey(surveyNumber, subDivision, pincode)] == 0,
+            "Property already registered"
+        );
+    }
+
+    // Block transfers (but not mints) of tokens under a lien
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        if (_ownerOf(tokenId) != address(0)) {
+            require(lienHolder[tokenId] == address(0), "Property has an active lien");
+        }
+        return super._update(to, tokenId, auth);
+    }
+
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721URIStorage, AccessControl)
+        returns (bool)
+    {
+        return super.supportsInterface(interfaceId);
     }
 }
@@ -2,5 +2,11 @@ require("@nomicfoundation/hardhat-toolbox");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      // Escrow is close to the 24 KiB contract size limit without the optimizer
+      optimizer: { enabled: true, runs: 200 },
+    },
+  },
 };
@@ -0,0 +1,18 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Upgrades the Escrow proxy to the current Escrow implementation.
+// Run with a new deployment id per upgrade, e.g.
+//   npx hardhat ignition deploy ignition/modules/EscrowUpgrade.js --network localhost \
+//     --parameters '{"EscrowUpgrade":{"proxyAddress":"0x..."}}' --deployment-id escrow-upgrade-v2
+module.exports = buildModule("EscrowUpgrade", (m) => {
+  // Only the proxy owner (the original deployer by default) can upgrade
+  const owner = m.getAccount(0);
+  const proxyAddress = m.getParameter("proxyAddress");
+
+  const escrowImplementation = m.contract("Escrow", [], { id: "EscrowImplementation" });
+  const escrow = m.contractAt("Escrow", proxyAddress, { id: "Escrow" });
+
+  m.call(escrow, "upgradeToAndCall", [escrowImplementation, "0x"], { from: owner });
+
+  return { escrow, escrowImplementation };
+});
@@ -1,83 +1,127 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const path = require("path");
+const { loadProfile } = require("../profiles");
+const { pinFile, toIpfsUri } = require("../../scripts/ipfs-store");
 
 const tokens = (n) => {
   return ethers.parseUnits(n.toString(), 'ether')
 }
 
-const IPFS_BASE_URL = "https://ipfs.io/ipfs/QmQVcpsjrA6cr1iJjZAodYwmPekYgbnXGo4DFubJiLc2EB";
+// Mock stablecoin amounts (6 decimals, like USDC)
+const usd = (n) => {
+  return ethers.parseUnits(n.toString(), 6)
+}
+
+// Seed data (role accounts, metadata and listings) comes from a profile in ignition/profiles,
+// selected with DEPLOY_PROFILE (defaults to demo-3)
+const profile = loadProfile();
+
+// Contingency deadlines (unix seconds) are module parameters rather than computed here, so a resumed
+// or re-run deployment lists with the same arguments. scripts/listing-deadlines.js turns the profile's
+// inspectionDays/financingDays into a parameters file; a deadline without a parameter is 0 (disabled).
+const deadline = (m, name, nftID) => {
+  return m.getParameter(`${name}_${nftID}`, 0)
+}
+
+// Metadata files from `metadataDir` are pinned to the local content store (served by
+// scripts/metadata-server.js) and minted as ipfs://<cid>; `metadataBaseUrl` links to hosted files instead
+const metadataURI = (file) => {
+  if (profile.metadataBaseUrl) return `${profile.metadataBaseUrl}/${file}`;
+  return toIpfsUri(pinFile(path.join(__dirname, "..", "..", profile.metadataDir, file)));
+}
+
+const coordinatesHash = (coordinates) => ethers.keccak256(ethers.toUtf8Bytes(coordinates));
 
 module.exports = buildModule("RealEstateDeployment", (m) => {
   // Get signers
-  const buyer = m.getAccount(0);
-  const seller = m.getAccount(1);
-  const inspector = m.getAccount(2);
-  const lender = m.getAccount(3);
+  const buyer = m.getAccount(profile.accounts.buyer);
+  const seller = m.getAccount(profile.accounts.seller);
+  const inspector = m.getAccount(profile.accounts.inspector);
+  const lender = m.getAccount(profile.accounts.lender);
+  const arbiter = m.getAccount(profile.accounts.arbiter);
 
-  // Deploy RealEstate contract
+  // Deploy the contracts before any seed data so their addresses don't depend on the profile
   const realEstate = m.contract("RealEstate");
 
-  // Mint 3 properties with unique IDs
-  const mintedProperties = [];
-  for (let i = 0; i < 3; i++) {
-    const mint = m.call(realEstate, "mint", [`${IPFS_BASE_URL}/${i + 1}.json`], {
-      from: seller,
-      id: `mint_property_${i + 1}`
-    });
-    mintedProperties.push(mint);
-  }
+  // Deploy Escrow behind a UUPS proxy, initialized with the RealEstate address.
+  // The deployer owns the proxy; see EscrowUpgrade.js for upgrades.
+  const escrowImplementation = m.contract("Escrow", [], { id: "EscrowImplementation", after: [realEstate] });
+  const escrowProxy = m.contract("ERC1967Proxy", [
+    escrowImplementation,
+    m.encodeFunctionCall(escrowImplementation, "initialize", [realEstate]),
+  ], { id: "EscrowProxy" });
+  const escrow = m.contractAt("Escrow", escrowProxy, { id: "Escrow" });
 
-  // Deploy Escrow with RealEstate address
-  const escrow = m.contract("Escrow", [
-    realEstate,
-    seller,
-    inspector,
-    lender
-  ]);
-  
-  // Approve properties with unique IDs
-  const approvedProperties = [];
-  for (let i = 0; i < 3; i++) {
-    const approve = m.call(
-      realEstate,
-      "approve",
-      [escrow, i + 1],
-      { from: seller, id: `approve_property_${i + 1}`, after: [mintedProperties[i]] }
-    );
-    approvedProperties.push(approve);
+  // Deploy a mock stablecoin for token-settled listings
+  const stablecoin = m.contract("MockStablecoin", [], { after: [escrow] });
+
+  // Deploy the co-ownership vault that fractionalizes RealEstate tokens
+  const propertyVault = m.contract("PropertyVault", [realEstate], { after: [stablecoin] });
+
+  // Deploy Multicall3 so the frontend can load every property in a few batched calls
+  const multicall = m.contract("Multicall3", [], { after: [propertyVault] });
+
+  // Deploy the auction house and let it settle auctions on the Escrow
+  const propertyAuction = m.contract("PropertyAuction", [escrow], { after: [multicall] });
+  const setAuctionHouse = m.call(escrow, "setAuctionHouse", [propertyAuction]);
+
+  // Deploy the lease registry for renting out leasehold properties
+  const propertyLease = m.contract("PropertyLease", [realEstate], { after: [setAuctionHouse] });
+
+  // Deploy the mortgage registry: the Escrow originates loans in it and it places liens on RealEstate
+  const propertyMortgage = m.contract("PropertyMortgage", [realEstate, escrow], { after: [propertyLease] });
+  const lienManagerRole = m.staticCall(realEstate, "LIEN_MANAGER_ROLE");
+  const grantLienManager = m.call(realEstate, "grantRole", [lienManagerRole, propertyMortgage], { id: "grant_lien_manager" });
+  const setMortgageRegistry = m.call(escrow, "setMortgageRegistry", [propertyMortgage], { after: [grantLienManager] });
+
+  // Appoint the arbiter that decides disputes between buyers and sellers
+  const setArbiter = m.call(escrow, "setArbiter", [arbiter], { after: [setMortgageRegistry] });
+
+  // Deploy the relay that submits inspections and approvals parties sign off-chain (EIP-712)
+  const approvalRelay = m.contract("ApprovalRelay", [escrow], { after: [setArbiter] });
+  const setApprovalRelay = m.call(escrow, "setApprovalRelay", [approvalRelay]);
+
+  // Fund the buyer and lender with the stablecoin
+  if (Number(profile.stablecoinFunding) > 0) {
+    m.call(stablecoin, "mint", [buyer, usd(profile.stablecoinFunding)], { id: 'mint_musd_buyer', after: [setApprovalRelay] });
+    m.call(stablecoin, "mint", [lender, usd(profile.stablecoinFunding)], { id: 'mint_musd_lender', after: [setApprovalRelay] });
   }
 
-  m.call(
-    escrow,
-    "list",
-    [1, buyer, tokens(20), tokens(10)],
-    {
-      from: seller,
-      id: 'list_property_1',
-      after: [approvedProperties[0]],
-    }
-  );
-
-  m.call(
-    escrow,
-    "list",
-    [2, buyer, tokens(15), tokens(5)],
-    {
-      from: seller,
-      id: 'list_property_2',
-      after: [approvedProperties[1]],
-    }
-  );
-
-  m.call(
-    escrow,
-    "list",
-    [3, buyer, tokens(10), tokens(5)],
-    {
+  // The deployer is the registry admin and registrar; mint each property to the seller.
+  // Mints are chained so token IDs follow the profile order.
+  let previous = setApprovalRelay;
+  profile.properties.forEach((property, i) => {
+    const nftID = i + 1;
+    const { surveyNumber, subDivision, pincode, coordinates } = property.parcel;
+    const mint = m.call(realEstate, "mint", [seller, metadataURI(property.metadata), surveyNumber, subDivision, pincode, coordinatesHash(coordinates)], {
+      id: `mint_property_${nftID}`,
+      after: [previous]
+    });
+    previous = mint;
+
+    if (!property.listing) return;
+
+    const { currency, purchasePrice, escrowAmount } = property.listing;
+    const amount = currency === 'mUSD' ? usd : tokens;
+    const paymentToken = currency === 'mUSD' ? stablecoin : ethers.ZeroAddress;
+
+    const approve = m.call(realEstate, "approve", [escrow, nftID], {
       from: seller,
-      id: 'list_property_3',
-      after: [approvedProperties[2]],
-    }
-  );
+      id: `approve_property_${nftID}`,
+      after: [mint]
+    });
+
+    m.call(
+      escrow,
+      "list",
+      [nftID, buyer, inspector, lender, amount(purchasePrice), amount(escrowAmount), deadline(m, "inspectionDeadline", nftID), deadline(m, "financingDeadline", nftID), paymentToken],
+      {
+        from: seller,
+        id: `list_property_${nftID}`,
+        after: [approve],
+      }
+    );
+  });
 
-  return { realEstate, escrow };
-}); 
\ No newline at end of file
+  return { realEstate, escrow, stablecoin, propertyVault, multicall, propertyAuction, propertyLease, propertyMortgage, approvalRelay };
+});
@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+
+// Seed-data profiles for ignition/modules/RealEstate.js.
+// Pick one with DEPLOY_PROFILE=<name>; each profile is a JSON file in this directory.
+const DEFAULT_PROFILE = "demo-3";
+
+const listProfiles = () => {
+  return fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => path.basename(file, ".json"));
+};
+
+// Expand `generate` into `count` properties cycling through its templates,
+// each with its own survey number so the registry accepts them
+const generateProperties = ({ count, surveyPrefix = "S", pincode, templates }) => {
+  return Array.from({ length: count }, (_, i) => {
+    const template = templates[i % templates.length];
+    return {
+      ...template,
+      parcel: { surveyNumber: `${surveyPrefix}-${i + 1}`, subDivision: "", pincode, coordinates: "" },
+    };
+  });
+};
+
+const loadProfile = (name = process.env.DEPLOY_PROFILE || DEFAULT_PROFILE) => {
+  const file = path.join(__dirname, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown deployment profile "${name}" (available: ${listProfiles().join(", ")})`);
+  }
+
+  const profile = JSON.parse(fs.readFileSync(file, "utf8"));
+  const properties = [
+    ...(profile.properties || []),
+    ...(profile.generate ? generateProperties(profile.generate) : []),
+  ];
+
+  return { ...profile, name, properties };
+};
+
+module.exports = { DEFAULT_PROFILE, listProfiles, loadProfile };
@@ -0,0 +1,153 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const config = require("../src/config.json");
+const ApprovalRelay = require("../src/abis/ApprovalRelay.json");
+const Escrow = require("../src/abis/Escrow.json");
+
+// Gas-less approvals for local development: accepts EIP-712 signatures from the frontend's
+// "sign only" mode at POST /relay and submits them to the ApprovalRelay contract, paying the
+// gas from a node account. Requests are sent one at a time so the relayer's nonces stay in order.
+// `deadline` is the unix timestamp the signature expires at (the frontend signs chain time + 1 hour).
+//   { "type": "inspection", "nftID": 1, "signer": "0x...", "passed": true, "deadline": 1793031735, "signature": "0x..." }
+//   { "type": "approval", "nftID": 1, "signer": "0x...", "deadline": 1793031735, "signature": "0x...", "finalize": true }
+// With `finalize`, an approval that completes the sign-offs also closes the sale. The approval is
+// relayed either way; if closing fails, the response carries `finalizeError` next to its hash.
+const PORT = Number(process.env.PORT || 8090);
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+// Node account that pays the gas (by default one no deployment profile gives a role), unless a private key is given
+const RELAYER_ACCOUNT = Number(process.env.RELAYER_ACCOUNT || 5);
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Escrow.State.Approved
+const APPROVED = 4n;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Content-Type": "application/json",
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message || "Unknown error";
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error("Request too large"));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  req.on("error", reject);
+});
+
+// Field errors in a relay request, or null if it is well formed
+const validate = (request) => {
+  if (request.type !== "inspection" && request.type !== "approval") return "type must be inspection or approval";
+  if (!(Number.isInteger(Number(request.nftID)) && Number(request.nftID) > 0)) return "nftID must be a token id";
+  if (!ethers.isAddress(request.signer)) return "signer must be an address";
+  if (!(Number(request.deadline) > 0)) return "deadline must be a unix timestamp";
+  if (!ethers.isHexString(request.signature, 65)) return "signature must be a 65-byte hex string";
+  if (request.type === "inspection" && typeof request.passed !== "boolean") return "passed must be true or false";
+  return null;
+};
+
+const start = async () => {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const relayAddress = config[chainId.toString()]?.approvalRelay?.address;
+  if (!relayAddress) {
+    throw new Error(`No approvalRelay address for chain ${chainId} in src/config.json`);
+  }
+
+  const signer = process.env.RELAYER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider)
+    : await provider.getSigner(RELAYER_ACCOUNT);
+  const relayer = await signer.getAddress();
+  const relay = new ethers.Contract(relayAddress, ApprovalRelay, signer);
+  const escrow = new ethers.Contract(await relay.escrow(), Escrow, provider);
+
+  // Simulate first so a bad signature is reported without spending gas
+  const submit = async (request) => {
+    const args = request.type === "inspection"
+      ? [request.nftID, request.passed, request.signer, request.deadline, request.signature]
+      : [request.nftID, request.signer, request.deadline, request.signature];
+    const method = request.type === "inspection" ? relay.relayInspection : relay.relayApproval;
+
+    await method.staticCall(...args);
+    const receipt = await (await method(...args)).wait();
+    console.log(`Relayed ${request.type} for property ${request.nftID} from ${request.signer} -> ${receipt.hash}`);
+    const result = { transactionHash: receipt.hash };
+
+    if (request.type === "approval" && request.finalize && (await escrow.state(request.nftID)) === APPROVED) {
+      try {
+        await relay.finalizeSale.staticCall(request.nftID);
+        const finalizeReceipt = await (await relay.finalizeSale(request.nftID)).wait();
+        console.log(`Finalized sale of property ${request.nftID} -> ${finalizeReceipt.hash}`);
+        result.finalizeTransactionHash = finalizeReceipt.hash;
+      } catch (error) {
+        console.error(`Could not finalize sale of property ${request.nftID}: ${errorMessage(error)}`);
+        result.finalizeError = errorMessage(error);
+      }
+    }
+
+    return result;
+  };
+
+  let queue = Promise.resolve();
+  const enqueue = (request) => {
+    const result = queue.then(() => submit(request));
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === "OPTIONS") {
+      return send(res, 204);
+    }
+    if (req.method === "GET" && pathname === "/health") {
+      return send(res, 200, { chainId: chainId.toString(), relay: relayAddress, relayer });
+    }
+    if (req.method !== "POST" || pathname !== "/relay") {
+      return send(res, 404, { error: "Expected POST /relay" });
+    }
+
+    let request;
+    try {
+      request = JSON.parse(await readBody(req));
+    } catch (error) {
+      return send(res, 400, { error: `Invalid request: ${error.message}` });
+    }
+
+    const invalid = validate(request);
+    if (invalid) return send(res, 400, { error: invalid });
+
+    try {
+      send(res, 200, await enqueue(request));
+    } catch (error) {
+      console.error(`Rejected ${request.type} for property ${request.nftID}: ${errorMessage(error)}`);
+      send(res, 422, { error: errorMessage(error) });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Relaying approvals to ${relayAddress} on chain ${chainId} as ${relayer}`);
+    console.log(`Listening at http://127.0.0.1:${PORT}/relay`);
+  });
+};
+
+start().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
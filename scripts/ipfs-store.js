@@ -0,0 +1,85 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Local content-addressed store for property metadata and assets.
+// Files are keyed by their CIDv1 (raw codec, sha2-256 multihash, base32), which is the CID
+// `ipfs add --cid-version=1` gives any file up to 256 KiB, so the same ipfs:// URIs resolve
+// on public gateways once the files are pinned there.
+const STORE_DIR = process.env.IPFS_STORE_DIR || path.join(__dirname, "..", ".ipfs-store");
+
+const CID_VERSION = 0x01;
+const RAW_CODEC = 0x55;
+const SHA2_256 = 0x12;
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+// RFC 4648 base32, lowercase and unpadded, as used by multibase prefix "b"
+const base32 = (bytes) => {
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const computeCid = (content) => {
+  const digest = crypto.createHash("sha256").update(content).digest();
+  const bytes = Buffer.concat([Buffer.from([CID_VERSION, RAW_CODEC, SHA2_256, digest.length]), digest]);
+  return `b${base32(bytes)}`;
+};
+
+const isCid = (value) => /^b[a-z2-7]{58}$/.test(value);
+
+const contentPath = (cid) => path.join(STORE_DIR, cid);
+
+// Add content to the store and return its CID; pinning the same bytes twice is a no-op
+const pin = (content) => {
+  const cid = computeCid(content);
+  if (!fs.existsSync(contentPath(cid))) {
+    fs.mkdirSync(STORE_DIR, { recursive: true });
+    fs.writeFileSync(contentPath(cid), content);
+  }
+  return cid;
+};
+
+const pinFile = (filePath) => pin(fs.readFileSync(filePath));
+
+// Pin every file under a directory; returns { relativePath: cid }
+const pinDirectory = (dir) => {
+  const pinned = {};
+  const walk = (current) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        walk(entryPath);
+      } else {
+        pinned[path.relative(dir, entryPath).split(path.sep).join("/")] = pinFile(entryPath);
+      }
+    }
+  };
+  walk(dir);
+  return pinned;
+};
+
+const has = (cid) => isCid(cid) && fs.existsSync(contentPath(cid));
+
+const read = (cid) => {
+  if (!has(cid)) throw new Error(`Content ${cid} is not pinned`);
+  return fs.readFileSync(contentPath(cid));
+};
+
+const toIpfsUri = (cid) => `ipfs://${cid}`;
+
+module.exports = { STORE_DIR, computeCid, isCid, pin, pinFile, pinDirectory, has, read, toIpfsUri };
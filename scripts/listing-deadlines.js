@@ -0,0 +1,25 @@
+const { loadProfile } = require("../ignition/profiles");
+
+// Prints Ignition parameters with the contingency deadlines for a profile's seeded listings,
+// measured from now: `inspectionDays`/`financingDays` become unix-second `inspectionDeadline_<id>`
+// and `financingDeadline_<id>` values for ignition/modules/RealEstate.js. Save the output once and
+// pass the same file when resuming or re-running a deployment, so its listing arguments don't change.
+//   DEPLOY_PROFILE=demo-3 node scripts/listing-deadlines.js > ignition/parameters.json
+const MODULE_ID = "RealEstateDeployment";
+const DAY = 24 * 60 * 60;
+
+const now = Math.floor(Date.now() / 1000);
+const deadline = (days) => {
+  return days ? now + days * DAY : 0;
+};
+
+const parameters = {};
+loadProfile().properties.forEach((property, i) => {
+  if (!property.listing) return;
+
+  const nftID = i + 1;
+  parameters[`inspectionDeadline_${nftID}`] = deadline(property.listing.inspectionDays);
+  parameters[`financingDeadline_${nftID}`] = deadline(property.listing.financingDays);
+});
+
+console.log(JSON.stringify({ [MODULE_ID]: parameters }, null, 2));
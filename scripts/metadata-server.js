@@ -0,0 +1,93 @@
+const http = require("http");
+const path = require("path");
+const { STORE_DIR, pin, pinDirectory, has, read, isCid, toIpfsUri } = require("./ipfs-store");
+
+// Minimal IPFS-style gateway for local development: serves pinned content at /ipfs/<cid>.
+// Everything under metadata/ is pinned on startup, so the ipfs:// token URIs written by the
+// deployment module resolve without network access. POST /ipfs pins the request body, which
+// is how the frontend publishes metadata for properties it tokenizes.
+const PORT = Number(process.env.PORT || 8080);
+const METADATA_DIR = path.join(__dirname, "..", "metadata");
+const MAX_UPLOAD_BYTES = 1024 * 1024;
+
+// The store keeps raw bytes only, so sniff the content type
+const contentType = (content) => {
+  if (content.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (content[0] === 0xff && content[1] === 0xd8) return "image/jpeg";
+
+  const text = content.subarray(0, 256).toString("utf8").trimStart();
+  if (text.startsWith("{") || text.startsWith("[")) return "application/json";
+  if (text.startsWith("<svg") || text.startsWith("<?xml")) return "image/svg+xml";
+
+  return "application/octet-stream";
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, HEAD, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    ...headers,
+  });
+  res.end(body);
+};
+
+const upload = (req, res) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_UPLOAD_BYTES) {
+      send(res, 413, "Upload too large");
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on("end", () => {
+    if (size === 0) return send(res, 400, "Empty upload");
+
+    const cid = pin(Buffer.concat(chunks));
+    console.log(`Pinned upload -> ${toIpfsUri(cid)}`);
+    send(res, 201, JSON.stringify({ cid, uri: toIpfsUri(cid) }), { "Content-Type": "application/json" });
+  });
+};
+
+const server = http.createServer((req, res) => {
+  const [, prefix, cid] = new URL(req.url, `http://localhost:${PORT}`).pathname.split("/");
+
+  if (req.method === "OPTIONS") {
+    return send(res, 204);
+  }
+  if (req.method === "POST" && prefix === "ipfs" && !cid) {
+    return upload(req, res);
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return send(res, 405, "Method not allowed");
+  }
+
+  if (prefix !== "ipfs" || !isCid(cid)) {
+    return send(res, 400, "Expected /ipfs/<cid>");
+  }
+  if (!has(cid)) {
+    return send(res, 404, "Not found");
+  }
+
+  const content = read(cid);
+  send(res, 200, req.method === "HEAD" ? undefined : content, {
+    "Content-Type": contentType(content),
+    "Content-Length": content.length,
+    // Content never changes for a given CID
+    "Cache-Control": "public, max-age=31536000, immutable",
+    "ETag": `"${cid}"`,
+  });
+});
+
+const pinned = pinDirectory(METADATA_DIR);
+Object.entries(pinned).forEach(([file, cid]) => console.log(`Pinned metadata/${file} -> ipfs://${cid}`));
+
+server.listen(PORT, () => {
+  console.log(`Serving ${STORE_DIR} at http://127.0.0.1:${PORT}/ipfs/<cid>`);
+});
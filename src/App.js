@@ -8,6 +8,12 @@ import PropertiesPage from './components/PropertiesPage';
 import AboutPage from './components/AboutPage';
 import Home from './components/Home';
 import PropertyList from './components/PropertyList';
+import RegistrarDashboard from './components/RegistrarDashboard';
+import UnsupportedNetwork from './components/UnsupportedNetwork';
+
+// Services
+import { isRegistrar as checkRegistrar } from './services/propertyRegistry';
+import { loadProperties } from './services/propertyLoader';
 
 // Context
 import { UserProvider } from './contexts/UserContext';
@@ -16,59 +22,134 @@ import { ThemeProvider } from './contexts/ThemeContext';
 // ABIs
 import RealEstate from './abis/RealEstate.json'
 import Escrow from './abis/Escrow.json'
+import PropertyVault from './abis/PropertyVault.json'
+import PropertyAuction from './abis/PropertyAuction.json'
+import PropertyMortgage from './abis/PropertyMortgage.json'
+import ApprovalRelay from './abis/ApprovalRelay.json'
 
 // Config
-import config from './config.json';
+import { isSupportedNetwork, getContractAddress, getIpfsGateways } from './utils/networkConfig';
+import { setIpfsGateways } from './utils/ipfs';
 
 function App() {
 
   const [provider, setProvider] = useState(null)
   const [escrow, setEscrow] = useState(null)
+  const [realEstate, setRealEstate] = useState(null)
+  const [propertyVault, setPropertyVault] = useState(null)
+  const [propertyAuction, setPropertyAuction] = useState(null)
+  const [propertyMortgage, setPropertyMortgage] = useState(null)
+  const [approvalRelay, setApprovalRelay] = useState(null)
 
   const [account, setAccount] = useState(null)
   const [homes, setHomes] = useState([])
   const [home, setHome] = useState({})
   const [toggle, setToggle] = useState(false)
   const [currentPage, setCurrentPage] = useState('home')
+  const [isRegistrar, setIsRegistrar] = useState(false)
+  const [showRegistrar, setShowRegistrar] = useState(false)
+  const [unsupportedChainId, setUnsupportedChainId] = useState(null)
 
   const loadBlockchainData = async () => {
     const provider = new ethers.BrowserProvider(window.ethereum)
     setProvider(provider)
 
+    // Contracts are bound to the chain they were loaded for, so start over on a switch
+    window.ethereum.on('chainChanged', () => window.location.reload())
+
     const network = await provider.getNetwork()
+    if (!isSupportedNetwork(network.chainId)) {
+      setUnsupportedChainId(network.chainId.toString())
+      return
+    }
 
-    const realEstate = new ethers.Contract(config[network.chainId].realEstate.address, RealEstate, provider)
-    const totalSupply = await realEstate.totalSupply()
-    const homes = []
+    // Token URIs are ipfs:// links, resolved through the chain's gateways
+    setIpfsGateways(getIpfsGateways(network.chainId))
 
-    for (var i = 1; i <= totalSupply; i++) {
-      const uri = await realEstate.tokenURI(i)
-      const response = await fetch(uri)
-      const metadata = await response.json()
-      homes.push(metadata)
-    }
-    setHomes(homes)
+    const realEstate = new ethers.Contract(getContractAddress(network.chainId, 'realEstate'), RealEstate, provider)
+    setRealEstate(realEstate)
 
-    const escrow = new ethers.Contract(config[network.chainId].escrow.address, Escrow, provider)
+    // Escrow is upgradeable; this is its proxy address
+    const escrow = new ethers.Contract(getContractAddress(network.chainId, 'escrow'), Escrow, provider)
     setEscrow(escrow)
 
+    const propertyVaultAddress = getContractAddress(network.chainId, 'propertyVault')
+    if (propertyVaultAddress) {
+      const propertyVault = new ethers.Contract(propertyVaultAddress, PropertyVault, provider)
+      setPropertyVault(propertyVault)
+    }
+
+    const propertyAuctionAddress = getContractAddress(network.chainId, 'propertyAuction')
+    if (propertyAuctionAddress) {
+      const propertyAuction = new ethers.Contract(propertyAuctionAddress, PropertyAuction, provider)
+      setPropertyAuction(propertyAuction)
+    }
+
+    const propertyMortgageAddress = getContractAddress(network.chainId, 'propertyMortgage')
+    if (propertyMortgageAddress) {
+      const propertyMortgage = new ethers.Contract(propertyMortgageAddress, PropertyMortgage, provider)
+      setPropertyMortgage(propertyMortgage)
+    }
+
+    const approvalRelayAddress = getContractAddress(network.chainId, 'approvalRelay')
+    if (approvalRelayAddress) {
+      const approvalRelay = new ethers.Contract(approvalRelayAddress, ApprovalRelay, provider)
+      setApprovalRelay(approvalRelay)
+    }
+
     window.ethereum.on('accountsChanged', async () => {
       const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
       const account = ethers.getAddress(accounts[0])
       setAccount(account)
     })
+
+    // Properties render as their metadata arrives
+    await loadProperties({
+      realEstate,
+      escrow,
+      multicallAddress: getContractAddress(network.chainId, 'multicall'),
+      onProgress: setHomes
+    })
   }
 
   useEffect(() => {
     loadBlockchainData()
   }, [])
 
+  // Registrars get access to the mint request dashboard
+  useEffect(() => {
+    if (!account) {
+      setIsRegistrar(false)
+      return
+    }
+
+    checkRegistrar(account)
+      .then(setIsRegistrar)
+      .catch(() => setIsRegistrar(false))
+  }, [account])
+
+  // Show a listing made from My Properties on the Properties page
+  const handlePropertyListed = async () => {
+    setCurrentPage('properties')
+    const { chainId } = await provider.getNetwork()
+    await loadProperties({
+      realEstate,
+      escrow,
+      multicallAddress: getContractAddress(chainId, 'multicall'),
+      onProgress: setHomes
+    })
+  }
+
   const togglePop = (home) => {
     setHome(home)
     toggle ? setToggle(false) : setToggle(true)
   }
 
   const renderPage = () => {
+    if (unsupportedChainId) {
+      return <UnsupportedNetwork chainId={unsupportedChainId} />;
+    }
+
     switch(currentPage) {
       case 'home':
         return <HomePage homes={homes} togglePop={togglePop} setCurrentPage={setCurrentPage} />;
@@ -81,7 +162,7 @@ function App() {
           setCurrentPage('home');
           return <HomePage homes={homes} togglePop={togglePop} setCurrentPage={setCurrentPage} />;
         }
-        return <PropertyList />;
+        return <PropertyList onPropertyListed={handlePropertyListed} />;
       case 'about':
         return <AboutPage />;
       default:
@@ -98,12 +179,18 @@ function App() {
             setAccount={setAccount} 
             currentPage={currentPage}
             setCurrentPage={setCurrentPage}
+            isRegistrar={isRegistrar}
+            onToggleRegistrar={() => setShowRegistrar(!showRegistrar)}
           />
           
           {renderPage()}
 
+          {isRegistrar && showRegistrar && (
+            <RegistrarDashboard account={account} onClose={() => setShowRegistrar(false)} />
+          )}
+
           {toggle && (
-            <Home home={home} provider={provider} account={account} escrow={escrow} togglePop={togglePop} />
+            <Home home={home} provider={provider} account={account} escrow={escrow} realEstate={realEstate} propertyVault={propertyVault} propertyAuction={propertyAuction} propertyMortgage={propertyMortgage} approvalRelay={approvalRelay} togglePop={togglePop} />
           )}
         </div>
       </UserProvider>
@@ -0,0 +1,267 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import {
+  getAuction,
+  getMinimumBid,
+  getAuctionBids,
+  getAuctionDeposit,
+  getSealedBid,
+  createAuction,
+  placeBid,
+  commitBid,
+  revealBid,
+  settleAuction,
+  withdrawAuctionDeposit,
+  subscribeToAuctionEvents
+} from '../services/auctionService';
+import DeadlineCountdown from './DeadlineCountdown';
+import './Offers.css';
+import './Auction.css';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message || 'Unknown error';
+
+const PHASE_LABELS = {
+  bidding: 'Bidding open',
+  reveal: 'Revealing bids',
+  ended: 'Awaiting settlement',
+  settled: 'Settled'
+};
+
+// Live English / sealed-bid auction for a listing open to offers.
+// The seller starts the auction; bidders bid (or commit and reveal); anyone settles it once it is over.
+const Auction = ({ auction, provider, account, nftID, seller, isOpen, paymentToken, formatAmount, onChange }) => {
+  const [data, setData] = useState(null);
+  const [bids, setBids] = useState([]);
+  const [deposit, setDeposit] = useState(0n);
+  const [sealedBid, setSealedBid] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [form, setForm] = useState({ kind: 'english', reservePrice: '', minIncrement: '', durationHours: '24', revealHours: '24' });
+  const [pending, setPending] = useState(null);
+
+  const decimals = paymentToken?.decimals ?? 18;
+  const symbol = paymentToken?.symbol || 'ETH';
+  const isSeller = account && seller && account.toLowerCase() === seller.toLowerCase();
+  const isMe = (address) => account && address.toLowerCase() === account.toLowerCase();
+
+  const fetchAuction = useCallback(async () => {
+    const data = await getAuction(auction, nftID);
+    setData(data);
+    if (!data) return;
+
+    const [bids, deposit] = await Promise.all([
+      getAuctionBids(auction, data.id),
+      getAuctionDeposit(auction, data.id, account)
+    ]);
+    setBids(bids);
+    setDeposit(deposit);
+    setSealedBid(account ? getSealedBid(await auction.getAddress(), data.id, account) : null);
+  }, [auction, nftID, account]);
+
+  useEffect(() => {
+    fetchAuction().catch(error => console.error('Error loading auction:', error));
+  }, [fetchAuction]);
+
+  // Live bidding: refresh on every auction event for this property
+  useEffect(() => {
+    const unsubscribe = subscribeToAuctionEvents(auction, nftID, () => {
+      fetchAuction().catch(error => console.error('Error loading auction:', error));
+    });
+    return () => unsubscribe();
+  }, [auction, nftID, fetchAuction]);
+
+  const send = async (key, action) => {
+    setPending(key);
+    try {
+      const signer = await provider.getSigner();
+      await action(signer);
+      await fetchAuction();
+      if (onChange) onChange();
+      return true;
+    } catch (error) {
+      console.error('Auction transaction failed:', error);
+      window.alert('Transaction failed: ' + errorMessage(error));
+      return false;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!(Number(form.durationHours) > 0) || (form.kind === 'sealed' && !(Number(form.revealHours) > 0))) {
+      window.alert('Enter how many hours the auction runs.');
+      return;
+    }
+    await send('create', signer => createAuction(auction, signer, nftID, form, decimals));
+  };
+
+  const handleBid = async (e) => {
+    e.preventDefault();
+    if (!(parseFloat(amount) > 0)) return;
+
+    const action = data.kind === 'sealed'
+      ? signer => commitBid(auction, signer, data, amount, decimals)
+      : signer => placeBid(auction, signer, data, amount, decimals);
+    if (await send('bid', action)) setAmount('');
+  };
+
+  const renderField = (name, label, props = {}) => (
+    <label key={name}>
+      {label}
+      <input name={name} value={form[name]} onChange={handleFormChange} type="number" min="0" step="any" {...props} />
+    </label>
+  );
+
+  const renderCreate = () => (
+    <form className="offers__form" onSubmit={handleCreate}>
+      <h3>Start an Auction</h3>
+      <div className="offers__fields">
+        <label>
+          Type
+          <select name="kind" value={form.kind} onChange={handleFormChange}>
+            <option value="english">English (open bids)</option>
+            <option value="sealed">Sealed bid (commit and reveal)</option>
+          </select>
+        </label>
+        {renderField('reservePrice', `Reserve price (${symbol})`)}
+        {form.kind === 'english'
+          ? renderField('minIncrement', `Minimum increment (${symbol})`)
+          : renderField('revealHours', 'Reveal period (hours)')}
+        {renderField('durationHours', 'Bidding period (hours)')}
+      </div>
+      <p className="offers__muted">
+        Offers are paused while the auction runs. Bidders lock the listing's earnest as a deposit; the winning
+        bid becomes the purchase price and continues through inspection, financing and approvals.
+      </p>
+      <button type="submit" className="home__buy" disabled={!!pending}>
+        {pending === 'create' ? 'Starting Auction...' : 'Start Auction'}
+      </button>
+    </form>
+  );
+
+  const renderBidForm = () => {
+    const minimum = data.kind === 'english' ? getMinimumBid(data) : data.deposit;
+
+    return (
+      <form className="offers__form" onSubmit={handleBid}>
+        <div className="offers__fields">
+          <label>
+            {data.kind === 'sealed' ? 'Sealed bid' : 'Your bid'} ({symbol}, min {ethers.formatUnits(minimum, decimals)})
+            <input type="number" min="0" step="any" value={amount} onChange={(e) => setAmount(e.target.value)} />
+          </label>
+        </div>
+        <p className="offers__muted">
+          {deposit > 0n
+            ? `Your deposit of ${formatAmount(deposit)} is locked.`
+            : `Your first ${data.kind === 'sealed' ? 'commitment' : 'bid'} locks a deposit of ${formatAmount(data.deposit)}.`}
+          {data.kind === 'sealed' && ' Bids stay hidden until the reveal period; the bid and its secret are saved in this browser for the reveal.'}
+        </p>
+        {sealedBid && !sealedBid.revealed && (
+          <p className="offers__muted">Committed bid: {formatAmount(ethers.toBigInt(sealedBid.amount))}. Committing again replaces it.</p>
+        )}
+        <button type="submit" className="home__buy" disabled={!account || !!pending}>
+          {pending === 'bid' ? 'Sending...' : data.kind === 'sealed' ? 'Commit Sealed Bid' : 'Place Bid'}
+        </button>
+      </form>
+    );
+  };
+
+  const renderAuction = () => {
+    const reserveMet = data.highestBid >= data.reservePrice && data.highestBidder !== ethers.ZeroAddress;
+    const isLeading = isMe(data.highestBidder);
+    const canWithdraw = deposit > 0n && (!isLeading || data.settled);
+
+    return (
+      <div className="auction">
+        <div className="auction__header">
+          <h3>{data.kind === 'sealed' ? 'Sealed-Bid Auction' : 'English Auction'}</h3>
+          <span className={`auction__phase auction__phase--${data.phase}`}>{PHASE_LABELS[data.phase]}</span>
+        </div>
+
+        {data.phase === 'bidding' && (
+          <DeadlineCountdown label="Bidding" deadline={data.endsAt} onExpire={fetchAuction} />
+        )}
+        {data.phase === 'reveal' && (
+          <DeadlineCountdown label="Reveal" deadline={data.revealEndsAt} onExpire={fetchAuction} />
+        )}
+
+        <div className="auction__stats">
+          <span>
+            {data.kind === 'sealed' && data.phase === 'bidding' ? 'Bids are sealed' : 'Highest bid'}
+            <strong>
+              {data.highestBidder === ethers.ZeroAddress
+                ? '—'
+                : `${formatAmount(data.highestBid)}${isLeading ? ' (you)' : ''}`}
+            </strong>
+          </span>
+          <span>
+            Reserve
+            <strong>{data.reservePrice > 0n ? (reserveMet ? 'Met' : 'Not met') : 'None'}</strong>
+          </span>
+          <span>
+            Deposit
+            <strong>{formatAmount(data.deposit)}</strong>
+          </span>
+        </div>
+
+        {data.phase === 'bidding' && !isSeller && renderBidForm()}
+
+        <div className="auction__actions">
+          {data.phase === 'reveal' && sealedBid && !sealedBid.revealed && (
+            <button className="home__buy" disabled={!!pending}
+              onClick={() => send('reveal', signer => revealBid(auction, signer, data))}>
+              {pending === 'reveal' ? 'Revealing...' : `Reveal ${formatAmount(ethers.toBigInt(sealedBid.amount))}`}
+            </button>
+          )}
+          {data.phase === 'ended' && account && (
+            <button className="home__buy" disabled={!!pending}
+              onClick={() => send('settle', signer => settleAuction(auction, signer, data.id))}>
+              {pending === 'settle' ? 'Settling...' : 'Settle Auction'}
+            </button>
+          )}
+          {canWithdraw && (data.kind === 'english' || data.phase !== 'bidding') && (
+            <button className="offers__action offers__action--secondary" disabled={!!pending}
+              onClick={() => send('withdraw', signer => withdrawAuctionDeposit(auction, signer, data.id))}>
+              {pending === 'withdraw' ? 'Sending...' : `Withdraw ${formatAmount(deposit)} deposit`}
+            </button>
+          )}
+        </div>
+
+        <h3>Bids</h3>
+        {bids.length === 0 ? (
+          <p className="offers__muted">No bids {data.kind === 'sealed' ? 'revealed ' : ''}yet.</p>
+        ) : (
+          <ul className="offers__list">
+            {bids.map(bid => (
+              <li key={`${bid.transactionHash}:${bid.bidder}`} className="offers__item">
+                <strong>{formatAmount(bid.amount)}</strong>
+                <span className="offers__muted">{isMe(bid.bidder) ? 'you' : shortAddress(bid.bidder)}</span>
+                <span className="offers__muted">{bid.revealed ? 'revealed' : 'bid'}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // A new auction can be started once the previous one is settled without a sale
+  const canStart = isSeller && isOpen && (!data || data.settled);
+
+  return (
+    <div className="offers">
+      {data && !(canStart && data.settled) && renderAuction()}
+      {canStart && renderCreate()}
+      {!data && !canStart && <p className="offers__muted">This property is not being auctioned.</p>}
+    </div>
+  );
+};
+
+export default Auction;
@@ -0,0 +1,47 @@
+import './CapTable.css';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
+// Ownership breakdown of a co-owned property.
+// `holders` is a list of { name, address, shares }; `quorumBps` is the share quorum needed to sell.
+const CapTable = ({ holders, quorumBps, account, compact = false }) => {
+  const totalShares = holders.reduce((total, holder) => total + Number(holder.shares), 0);
+
+  if (holders.length === 0 || totalShares === 0) return null;
+
+  return (
+    <div className={`cap-table ${compact ? 'compact' : ''}`}>
+      <div className="cap-table__header">
+        <h4>Cap Table</h4>
+        {quorumBps !== undefined && (
+          <span className="cap-table__quorum">Sale quorum: {Number(quorumBps) / 100}%</span>
+        )}
+      </div>
+
+      <ul className="cap-table__rows">
+        {holders.map((holder, index) => {
+          const percentage = (Number(holder.shares) / totalShares) * 100;
+          const isCurrentAccount = account && holder.address &&
+            holder.address.toLowerCase() === account.toLowerCase();
+
+          return (
+            <li key={holder.address || index} className={`cap-table__row ${isCurrentAccount ? 'current' : ''}`}>
+              <span className="cap-table__holder">
+                {holder.name || (holder.address ? shortAddress(holder.address) : 'Unnamed co-owner')}
+                {isCurrentAccount && ' (you)'}
+              </span>
+              <span className="cap-table__bar">
+                <span style={{ width: `${percentage}%` }}></span>
+              </span>
+              <span className="cap-table__share">
+                {holder.shares.toString()} ({percentage.toFixed(1)}%)
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default CapTable;
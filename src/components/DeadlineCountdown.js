@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import './DeadlineCountdown.css';
+
+const formatRemaining = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  return `${minutes}m ${secs}s`;
+};
+
+// Live countdown to an escrow contingency deadline (unix seconds)
+const DeadlineCountdown = ({ label, deadline, onExpire }) => {
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const remaining = deadline - now;
+  const expired = remaining <= 0;
+
+  // Let the parent re-read contract state once the deadline passes
+  useEffect(() => {
+    if (expired && onExpire) onExpire();
+  }, [expired, onExpire]);
+
+  return (
+    <div className={`deadline-countdown ${expired ? 'expired' : ''}`}>
+      <span className="deadline-label">⏳ {label} deadline</span>
+      <span className="deadline-remaining">
+        {expired ? 'Passed' : `${formatRemaining(remaining)} left`}
+      </span>
+      <small className="deadline-date">{new Date(deadline * 1000).toLocaleString()}</small>
+    </div>
+  );
+};
+
+export default DeadlineCountdown;
@@ -0,0 +1,260 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import {
+  getDisputes,
+  openDispute,
+  submitEvidence,
+  resolveDispute,
+  dismissDispute
+} from '../services/disputeService';
+import { getDocumentURL } from '../services/localTransactionService';
+import './Offers.css';
+import './Auction.css';
+import './Disputes.css';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message || 'Unknown error';
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+const EVENT_LABELS = {
+  DisputeOpened: 'Dispute opened',
+  EvidenceSubmitted: 'Evidence attached',
+  DisputeResolved: 'Resolved by the arbiter',
+  DisputeDismissed: 'Dismissed by the arbiter'
+};
+
+// Disputes on a listing under contract. The buyer or seller opens one to freeze the listing, either
+// side (or the arbiter) attaches evidence, and the arbiter splits the earnest or lets the sale carry on.
+const Disputes = ({ escrow, provider, account, nftID, buyer, seller, isUnderContract, paymentToken, formatAmount, onChange }) => {
+  const [arbiter, setArbiter] = useState(null);
+  const [activeDispute, setActiveDispute] = useState(null);
+  const [disputes, setDisputes] = useState([]);
+  const [earnest, setEarnest] = useState(0n);
+  const [reason, setReason] = useState('');
+  const [evidence, setEvidence] = useState(null);
+  const [buyerAward, setBuyerAward] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [pending, setPending] = useState(null);
+
+  const decimals = paymentToken?.decimals ?? 18;
+  const isMe = (address) => Boolean(account && address) && address.toLowerCase() === account.toLowerCase();
+  const isParty = isMe(buyer) || isMe(seller);
+  const isArbiter = isMe(arbiter);
+
+  const describe = (address) => {
+    if (isMe(address)) return 'You';
+    if (address.toLowerCase() === buyer?.toLowerCase()) return 'Buyer';
+    if (address.toLowerCase() === seller?.toLowerCase()) return 'Seller';
+    if (address.toLowerCase() === arbiter?.toLowerCase()) return 'Arbiter';
+    return shortAddress(address);
+  };
+
+  const fetchDisputes = useCallback(async () => {
+    const [result, earnest] = await Promise.all([getDisputes(escrow, nftID), escrow.earnestDeposited(nftID)]);
+    setArbiter(result.arbiter);
+    setActiveDispute(result.activeDispute);
+    setDisputes(result.disputes);
+    setEarnest(earnest);
+  }, [escrow, nftID]);
+
+  useEffect(() => {
+    fetchDisputes()
+      .catch(error => console.error('Error loading disputes:', error))
+      .finally(() => setIsLoading(false));
+  }, [fetchDisputes]);
+
+  // Run a dispute transaction, then refresh the disputes and the rest of the listing
+  const send = async (key, action) => {
+    setPending(key);
+    try {
+      const signer = await provider.getSigner();
+      await action(signer);
+      await fetchDisputes();
+      if (onChange) onChange();
+      return true;
+    } catch (error) {
+      console.error('Dispute transaction failed:', error);
+      window.alert('Transaction failed: ' + errorMessage(error));
+      return false;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    const sent = await send('open', signer => openDispute(escrow, signer, nftID, reason));
+    if (sent) setReason('');
+  };
+
+  const handleEvidence = async (dispute) => {
+    if (!evidence) {
+      window.alert('Choose a document to attach.');
+      return;
+    }
+    const sent = await send(`evidence-${dispute.id}`, signer => submitEvidence(escrow, signer, dispute, evidence));
+    if (sent) setEvidence(null);
+  };
+
+  const handleResolve = (dispute) => {
+    let award;
+    try {
+      award = ethers.parseUnits(buyerAward || '0', decimals);
+    } catch {
+      window.alert('Enter the amount refunded to the buyer.');
+      return;
+    }
+    if (award > earnest) {
+      window.alert(`The buyer can be refunded at most the escrowed earnest of ${formatAmount(earnest)}.`);
+      return;
+    }
+    send(`resolve-${dispute.id}`, signer => resolveDispute(escrow, signer, dispute.id, award));
+  };
+
+  const openDocument = async (documentId) => {
+    try {
+      const dataUrl = await getDocumentURL(documentId);
+      const popup = window.open();
+      if (popup) popup.document.write(`<iframe src="${dataUrl}" style="border:0;width:100%;height:100%"></iframe>`);
+    } catch (error) {
+      window.alert('Could not open the document: ' + errorMessage(error));
+    }
+  };
+
+  const renderEntryDetail = (entry) => {
+    switch (entry.event) {
+      case 'DisputeOpened':
+        return <p className="disputes__detail">"{entry.reason}"</p>;
+      case 'EvidenceSubmitted':
+        return entry.document ? (
+          <p className="disputes__detail">
+            <button className="disputes__document" onClick={() => openDocument(entry.documentId)}>
+              {entry.document.filename}
+            </button>
+            <span className={`offers__status ${entry.verified ? 'offers__status--accepted' : 'offers__status--rejected'}`}>
+              {entry.verified ? 'hash verified' : 'hash mismatch'}
+            </span>
+          </p>
+        ) : (
+          <p className="disputes__detail offers__muted">
+            Document {entry.documentId} is not stored in this browser (hash {entry.contentHash.slice(0, 10)}...)
+          </p>
+        );
+      case 'DisputeResolved':
+        return (
+          <p className="disputes__detail">
+            Buyer refunded {formatAmount(entry.buyerAward)}, seller awarded {formatAmount(entry.sellerAward)}. The sale was cancelled.
+          </p>
+        );
+      case 'DisputeDismissed':
+        return <p className="disputes__detail">The listing is no longer frozen and the sale carries on.</p>;
+      default:
+        return null;
+    }
+  };
+
+  const renderDispute = (dispute) => {
+    const isOpen = dispute.status === 'open';
+
+    return (
+      <li key={dispute.id} className="disputes__item">
+        <div className="auction__header">
+          <h3>Dispute #{dispute.id}</h3>
+          <span className={`offers__status disputes__status--${dispute.status}`}>{dispute.status}</span>
+        </div>
+
+        <ol className="disputes__timeline">
+          {dispute.timeline.map(entry => (
+            <li key={`${entry.transactionHash}-${entry.logIndex}`} className={`disputes__entry disputes__entry--${entry.event}`}>
+              <div className="disputes__entry-header">
+                <strong>{EVENT_LABELS[entry.event]}</strong>
+                <span className="offers__muted">{describe(entry.actor)} · {formatTime(entry.timestamp)}</span>
+              </div>
+              {renderEntryDetail(entry)}
+            </li>
+          ))}
+        </ol>
+
+        {isOpen && (isParty || isArbiter) && (
+          <div className="offers__form">
+            <div className="offers__fields">
+              <label>
+                Evidence document
+                <input type="file" onChange={(e) => setEvidence(e.target.files[0] || null)} />
+              </label>
+            </div>
+            <div className="auction__actions">
+              <button className="offers__action" disabled={!!pending} onClick={() => handleEvidence(dispute)}>
+                {pending === `evidence-${dispute.id}` ? 'Attaching...' : 'Attach Evidence'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isOpen && isArbiter && (
+          <div className="offers__form">
+            <h3>Decision</h3>
+            <div className="offers__fields">
+              <label>
+                Refund to buyer ({paymentToken ? paymentToken.symbol : 'ETH'})
+                <input type="number" min="0" step="any" value={buyerAward}
+                  onChange={(e) => setBuyerAward(e.target.value)} />
+              </label>
+            </div>
+            <p className="offers__muted">
+              Escrowed earnest: {formatAmount(earnest)}. The seller gets the rest; lender funding goes back to the lender.
+            </p>
+            <div className="auction__actions">
+              <button className="offers__action" disabled={!!pending} onClick={() => handleResolve(dispute)}>
+                {pending === `resolve-${dispute.id}` ? 'Resolving...' : 'Split & Cancel Sale'}
+              </button>
+              <button className="offers__action offers__action--secondary" disabled={!!pending}
+                onClick={() => send(`dismiss-${dispute.id}`, signer => dismissDispute(escrow, signer, dispute.id))}>
+                {pending === `dismiss-${dispute.id}` ? 'Dismissing...' : 'Dismiss'}
+              </button>
+            </div>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  if (isLoading) return <p className="offers__muted">Loading disputes...</p>;
+
+  return (
+    <div className="offers">
+      <div className="auction__header">
+        <h3>Disputes</h3>
+        {activeDispute && <span className="auction__phase">Listing frozen</span>}
+      </div>
+
+      {!arbiter && <p className="offers__muted">No arbiter is appointed on this Escrow, so disputes cannot be opened.</p>}
+
+      {arbiter && isParty && isUnderContract && !activeDispute && (
+        <form className="offers__form" onSubmit={handleOpen}>
+          <h3>Open a Dispute</h3>
+          <p className="offers__muted">
+            The listing is frozen until the arbiter ({shortAddress(arbiter)}) splits the escrowed earnest or dismisses the dispute.
+          </p>
+          <textarea className="disputes__reason" rows="3" value={reason} placeholder="What is the dispute about?"
+            onChange={(e) => setReason(e.target.value)} />
+          <div className="auction__actions">
+            <button type="submit" className="offers__action" disabled={!!pending || !reason.trim()}>
+              {pending === 'open' ? 'Opening...' : 'Open Dispute'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {disputes.length === 0 ? (
+        <p className="offers__muted">No disputes on this property.</p>
+      ) : (
+        <ul className="offers__list">{disputes.map(renderDispute)}</ul>
+      )}
+    </div>
+  );
+};
+
+export default Disputes;
@@ -39,7 +39,7 @@ const EStampPaper = ({ transaction, currentUserRole }) => {
   };
 
   const formatCurrency = (amount) => {
-    return `${amount} ETH`;
+    return `${amount} ${transaction.currency || 'ETH'}`;
   };
 
   const formatDate = (timestamp) => {
@@ -181,7 +181,7 @@ const EStampPaper = ({ transaction, currentUserRole }) => {
                 </tr>
                 <tr>
                   <td><strong>Currency:</strong></td>
-                  <td>Ethereum (ETH)</td>
+                  <td>{!transaction.currency || transaction.currency === 'ETH' ? 'Ethereum (ETH)' : transaction.currency}</td>
                 </tr>
                 <tr>
                   <td><strong>Transaction Hash:</strong></td>
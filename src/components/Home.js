@@ -1,23 +1,59 @@
 import { useEffect, useState, useCallback } from 'react';
-import { getTransactionByProperty, createTransaction, updateTransactionStatus, subscribeToTransaction } from '../services/transactionService';
+import { ethers } from 'ethers';
+import { getTransactionByProperty, createTransaction, updateTransactionStatus } from '../services/transactionService';
+import { getPropertySaleState, subscribeToPropertyEvents } from '../services/escrowEventIndexer';
+import { isOpenToOffers } from '../services/offerService';
+import { getLoan, toLoanTerms, validateLoanTerms } from '../services/mortgageService';
+import { relayInspection, relayApproval } from '../services/approvalRelayService';
+import { getProfile, getProfileDisplayName } from '../services/userProfileStore';
 import { useUser } from '../contexts/UserContext';
 import TransactionProgress from './TransactionProgress';
 import KYCDocumentViewer from './KYCDocumentViewer';
 import EStampPaper from './EStampPaper';
+import DeadlineCountdown from './DeadlineCountdown';
+import CapTable from './CapTable';
+import Offers from './Offers';
+import Auction from './Auction';
+import Mortgage from './Mortgage';
+import Disputes from './Disputes';
+import IpfsImage from './IpfsImage';
 import { sendTransactionNotification } from './NotificationSystem';
 
+import ERC20 from '../abis/ERC20.json';
+
 import close from '../assets/close.svg';
 
-const Home = ({ home, provider, account, escrow, togglePop }) => {
+const Home = ({ home, provider, account, escrow, realEstate, propertyVault, propertyAuction, propertyMortgage, approvalRelay, togglePop }) => {
     const { user, isAuthenticated } = useUser();
     const [hasBought, setHasBought] = useState(false)
     const [hasLended, setHasLended] = useState(false)
     const [hasInspected, setHasInspected] = useState(false)
     const [hasSold, setHasSold] = useState(false)
+    const [buyer, setBuyer] = useState(null)
     const [lender, setLender] = useState(null)
     const [inspector, setInspector] = useState(null)
     const [seller, setSeller] = useState(null)
     const [buyRequestSent, setBuyRequestSent] = useState(false)
+    const [escrowBalance, setEscrowBalance] = useState(null)
+    const [saleState, setSaleState] = useState(null)
+    const [paymentToken, setPaymentToken] = useState(null)
+    const [purchasePrice, setPurchasePrice] = useState(null)
+    const [tokenBalance, setTokenBalance] = useState(null)
+    const [capTable, setCapTable] = useState(null)
+    const [deadlines, setDeadlines] = useState({ inspection: 0, financing: 0 })
+    const [canReclaim, setCanReclaim] = useState(false)
+    const [canClaim, setCanClaim] = useState(false)
+    const [openToOffers, setOpenToOffers] = useState(false)
+    const [isAuctioned, setIsAuctioned] = useState(false)
+    const [hasMortgage, setHasMortgage] = useState(false)
+    const [loanTerms, setLoanTerms] = useState({ rate: '6', years: '30' })
+    const [titleAgent, setTitleAgent] = useState(null)
+    const [appraiser, setAppraiser] = useState(null)
+    const [closing, setClosing] = useState({ met: false, titleCleared: false, appraisedValue: 0n, loanAmount: 0n })
+    const [appraisalValue, setAppraisalValue] = useState('')
+    const [activeDispute, setActiveDispute] = useState(0n)
+    // Sign approvals as EIP-712 typed data for the relayer instead of sending transactions
+    const [signOnly, setSignOnly] = useState(false)
 
     const [owner, setOwner] = useState(null)
     const [ownerName, setOwnerName] = useState(null)
@@ -26,36 +62,88 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
     const [activeTab, setActiveTab] = useState('overview');
   
     const fetchDetails = useCallback(async () => {
-      // -- Buyer
+      // Parties and approvals are rebuilt from the escrow's event logs
+      const saleState = await getPropertySaleState(escrow, realEstate, home.id)
+      setSaleState(saleState)
+
+      const { parties, approvals } = saleState
+      if (!parties) return
 
-      const buyer = await escrow.buyer(home.id)
+      // Listings without a buyer take offers until the seller accepts one
+      setOpenToOffers(await isOpenToOffers(escrow, home.id))
+      setIsAuctioned(await escrow.isAuctioned(home.id))
 
-      const hasBought = await escrow.approval(home.id, buyer)
-      setHasBought(hasBought)
+      // -- Buyer
+
+      const buyer = parties.buyer
+      setBuyer(buyer)
+      setHasBought(approvals.buyer)
       
       // -- Seller
 
-      const seller = await escrow.seller()
+      const seller = parties.seller
       setSeller(seller)
-
-      const hasSold = await escrow.approval(home.id, seller)
-      setHasSold(hasSold)
+      setHasSold(approvals.seller)
 
       // -- Lender
 
-      const lender = await escrow.lender()
+      const lender = parties.lender
       setLender(lender)
-
-      const hasLended = await escrow.approval(home.id, lender)
-      setHasLended(hasLended)
+      setHasLended(approvals.lender)
 
       // -- Inspector
 
-      const inspector = await escrow.inspector()
+      const inspector = parties.inspector
       setInspector(inspector)
+      setHasInspected(saleState.inspectionPassed)
+
+      // -- Title agent and appraiser (only on listings that require those closing conditions)
+
+      setTitleAgent(parties.titleAgent)
+      setAppraiser(parties.appraiser)
+      const [met, titleCleared, appraisedValue, loanAmount] = await Promise.all([
+        escrow.areClosingConditionsMet(home.id),
+        escrow.titleCleared(home.id),
+        escrow.appraisedValue(home.id),
+        escrow.getLoanAmount(home.id)
+      ])
+      setClosing({ met, titleCleared, appraisedValue, loanAmount })
 
-      const hasInspected = await escrow.inspectionPassed(home.id)
-      setHasInspected(hasInspected)
+      // -- Arbiter, and the dispute freezing the listing (if any)
+
+      const [arbiter, activeDispute] = await Promise.all([escrow.arbiter(), escrow.activeDispute(home.id)])
+      setActiveDispute(activeDispute)
+
+      // -- Settlement currency (ETH unless the listing names an ERC-20 token)
+
+      const tokenAddress = await escrow.paymentToken(home.id)
+      if (tokenAddress !== ethers.ZeroAddress) {
+        const token = new ethers.Contract(tokenAddress, ERC20, provider)
+        const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()])
+        setPaymentToken({ address: tokenAddress, contract: token, symbol, decimals })
+        setTokenBalance(account ? await token.balanceOf(account) : null)
+      } else {
+        setPaymentToken(null)
+        setTokenBalance(null)
+      }
+
+      setPurchasePrice(await escrow.purchasePrice(home.id))
+
+      // -- Funds held for this listing
+
+      const escrowBalance = await escrow.getListingBalance(home.id)
+      setEscrowBalance(escrowBalance)
+
+      // -- Contingency deadlines
+
+      const inspectionDeadline = await escrow.inspectionDeadline(home.id)
+      const financingDeadline = await escrow.financingDeadline(home.id)
+      setDeadlines({ inspection: Number(inspectionDeadline), financing: Number(financingDeadline) })
+
+      const inspectionMissed = await escrow.isInspectionDeadlineMissed(home.id)
+      const financingMissed = await escrow.isFinancingDeadlineMissed(home.id)
+      setCanReclaim(inspectionMissed || financingMissed)
+      setCanClaim(await escrow.isBuyerDeadlineMissed(home.id))
 
       // Determine user role
       if (account) {
@@ -79,6 +167,12 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         } else if (account.toLowerCase() === inspector.toLowerCase()) {
           setUserRole('inspector');
           console.log('Set role to inspector');
+        } else if (parties.titleAgent && account.toLowerCase() === parties.titleAgent.toLowerCase()) {
+          setUserRole('title_agent');
+        } else if (parties.appraiser && account.toLowerCase() === parties.appraiser.toLowerCase()) {
+          setUserRole('appraiser');
+        } else if (arbiter !== ethers.ZeroAddress && account.toLowerCase() === arbiter.toLowerCase()) {
+          setUserRole('arbiter');
         } else {
           setUserRole('buyer');
           console.log('Set role to buyer (default for any connected account)');
@@ -87,35 +181,67 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         setUserRole(null);
         console.log('No account, role set to null');
       }
-    }, [escrow, home.id, account])
+    }, [escrow, realEstate, provider, home.id, account])
+
+    // Format an on-chain amount in the listing's settlement currency
+    const formatAmount = (amount) => {
+      return paymentToken
+        ? `${ethers.formatUnits(amount, paymentToken.decimals)} ${paymentToken.symbol}`
+        : `${ethers.formatEther(amount)} ETH`
+    }
+
+    // Approve the escrow to pull a token amount for token-settled listings
+    const approveTokenSpend = async (signer, amount) => {
+      const approveTx = await paymentToken.contract.connect(signer).approve(await escrow.getAddress(), amount)
+      await approveTx.wait()
+    }
+
+    // Co-owners of a property locked in the fractional ownership vault
+    const fetchCapTable = useCallback(async () => {
+      if (!propertyVault || !(await propertyVault.isVaulted(home.id))) {
+        setCapTable(null)
+        return
+      }
+
+      const [holders, balances] = await propertyVault.getCapTable(home.id)
+      setCapTable({
+        holders: holders.map((address, index) => ({ address, shares: balances[index] })),
+        quorumBps: await propertyVault.quorumBps(home.id)
+      })
+    }, [propertyVault, home.id])
+
+    // Financed purchases carry a mortgage, and the lender's lien, once the sale closes
+    const fetchMortgage = useCallback(async () => {
+      if (!propertyMortgage) {
+        setHasMortgage(false)
+        return
+      }
+
+      setHasMortgage(Boolean(await getLoan(propertyMortgage, home.id)))
+    }, [propertyMortgage, home.id])
 
     const fetchOwner = useCallback(async () => {
-      if (await escrow.isListed(home.id)) return 
+      // A listed property is in escrow; clear any holder shown before it was (re)listed
+      if (await escrow.isListed(home.id)) {
+        setOwner(null)
+        setOwnerName(null)
+        return
+      }
 
-      const ownerAddress = await escrow.buyer(home.id)
+      // The NFT's holder, not the last buyer: a cancelled, reclaimed or disputed sale returns it to the seller
+      const ownerAddress = await realEstate.ownerOf(home.id)
       setOwner(ownerAddress)
       
-      // Fetch owner name from localStorage
+      // Use the owner's name if their wallet has a profile in this browser
       if (ownerAddress) {
         try {
-          // Try to get user data from localStorage
-          const userData = localStorage.getItem('blockNexusUser');
-          if (userData) {
-            const parsedData = JSON.parse(userData);
-            if (parsedData.walletAddress === ownerAddress) {
-              setOwnerName(parsedData.fullName || parsedData.name || 'Property Owner');
-            } else {
-              setOwnerName(`${ownerAddress.slice(0, 6)}...${ownerAddress.slice(-4)}`);
-            }
-          } else {
-            setOwnerName(`${ownerAddress.slice(0, 6)}...${ownerAddress.slice(-4)}`);
-          }
+          setOwnerName(getProfileDisplayName(ownerAddress) || `${ownerAddress.slice(0, 6)}...${ownerAddress.slice(-4)}`);
         } catch (error) {
           console.error('Error fetching owner data:', error);
           setOwnerName(`${ownerAddress.slice(0, 6)}...${ownerAddress.slice(-4)}`);
         }
       }
-    }, [escrow, home.id])
+    }, [escrow, realEstate, home.id])
 
     const loadTransaction = useCallback(async () => {
       try {
@@ -204,8 +330,10 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
           sellerAddress: seller,
           lenderAddress: lender,
           inspectorAddress: inspector,
-          salePrice: parseFloat(home.attributes[0].value),
-          currency: 'ETH',
+          salePrice: paymentToken && purchasePrice !== null
+            ? parseFloat(ethers.formatUnits(purchasePrice, paymentToken.decimals))
+            : parseFloat(home.attributes[0].value),
+          currency: paymentToken ? paymentToken.symbol : 'ETH',
           participants: [account, seller, lender, inspector],
           propertyDetails: {
             name: home.name,
@@ -220,7 +348,14 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         const createResult = await createTransaction(transactionData);
 
         // Buyer deposit earnest - This will call MetaMask
-        let transaction = await escrow.connect(signer).depositEarnest(home.id, { value: escrowAmount })
+        let transaction
+        if (paymentToken) {
+          // Token listings pull the escrow amount, so approve it first
+          await approveTokenSpend(signer, escrowAmount)
+          transaction = await escrow.connect(signer).depositEarnest(home.id)
+        } else {
+          transaction = await escrow.connect(signer).depositEarnest(home.id, { value: escrowAmount })
+        }
         await transaction.wait()
 
         // Buyer approves - This will call MetaMask again
@@ -270,11 +405,17 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         console.log('Account:', account);
         console.log('Inspector address from contract:', inspector);
         
-        // Inspector updates status
-        console.log('Calling updateInspectionStatus...');
-        const blockchainTx = await escrow.connect(signer).updateInspectionStatus(home.id, true)
-        await blockchainTx.wait()
-        console.log('updateInspectionStatus completed');
+        // Inspector updates status, or signs it for the relayer to submit
+        if (signOnly) {
+          console.log('Signing inspection for the relayer...');
+          const { transactionHash } = await relayInspection(approvalRelay, escrow, signer, home.id, true)
+          console.log('Inspection relayed:', transactionHash);
+        } else {
+          console.log('Calling updateInspectionStatus...');
+          const blockchainTx = await escrow.connect(signer).updateInspectionStatus(home.id, true)
+          await blockchainTx.wait()
+          console.log('updateInspectionStatus completed');
+        }
 
         setHasInspected(true)
 
@@ -323,6 +464,14 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         return;
       }
 
+      // The lender's share of the price becomes a mortgage at these terms when the sale closes
+      const { rateBps, term } = toLoanTerms(loanTerms.rate, loanTerms.years)
+      const termsError = propertyMortgage && validateLoanTerms(loanTerms.rate, loanTerms.years)
+      if (termsError) {
+        window.alert(termsError);
+        return;
+      }
+
       try {
         const signer = await provider.getSigner()
         
@@ -331,13 +480,13 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         console.log('Account:', account);
         console.log('Lender address from contract:', lender);
         
-        // Get amounts
+        // Get amounts - the lender only covers what earnest and earlier funding leave open
         const purchasePrice = await escrow.purchasePrice(home.id);
-        const escrowAmount = await escrow.escrowAmount(home.id);
-        const lendAmount = purchasePrice - escrowAmount;
+        const listingBalance = await escrow.getListingBalance(home.id);
+        const lendAmount = purchasePrice - listingBalance;
         
         console.log('Purchase price:', purchasePrice.toString());
-        console.log('Escrow amount:', escrowAmount.toString());
+        console.log('Listing balance:', listingBalance.toString());
         console.log('Lend amount:', lendAmount.toString());
         
         if (lendAmount <= 0) {
@@ -345,19 +494,29 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
           return;
         }
         
-        // Lender approves...
-        console.log('Calling approveSale...');
-        const blockchainTx = await escrow.connect(signer).approveSale(home.id)
-        await blockchainTx.wait()
-        console.log('approveSale completed');
+        // Lender approves, or signs the approval for the relayer to submit...
+        if (signOnly) {
+          console.log('Signing approval for the relayer...');
+          const { transactionHash } = await relayApproval(approvalRelay, escrow, signer, home.id)
+          console.log('Approval relayed:', transactionHash);
+        } else {
+          console.log('Calling approveSale...');
+          const blockchainTx = await escrow.connect(signer).approveSale(home.id)
+          await blockchainTx.wait()
+          console.log('approveSale completed');
+        }
 
-        // Lender sends funds to contract...
+        // ...funding moves the lender's money, so it is always sent from the wallet
+
+        // Lender funds this listing...
         console.log('Sending funds to contract...');
-        const fundTx = await signer.sendTransaction({ 
-          to: await escrow.getAddress(), 
-          value: lendAmount.toString(), 
-          gasLimit: 100000 
-        });
+        if (paymentToken) {
+          await approveTokenSpend(signer, lendAmount);
+        }
+        const value = paymentToken ? 0n : lendAmount;
+        const fundTx = propertyMortgage
+          ? await escrow.connect(signer).fundMortgage(home.id, rateBps, term, { value })
+          : await escrow.connect(signer).fundLoan(home.id, { value });
         await fundTx.wait();
         console.log('Funds sent successfully');
 
@@ -457,34 +616,62 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
           return;
         }
 
-        // Seller approves...
-        console.log('Calling approveSale...');
-        let blockchainTx = await escrow.connect(signer).approveSale(home.id)
-        await blockchainTx.wait()
-        console.log('approveSale completed');
+        if (signOnly) {
+          // Seller signs the approval; the relayer submits it and finalizes once every party has signed off
+          console.log('Signing approval for the relayer...');
+          const { transactionHash, finalizeTransactionHash, finalizeError } = await relayApproval(approvalRelay, escrow, signer, home.id, true)
+          console.log('Approval relayed:', transactionHash);
+
+          if (finalizeError) {
+            window.alert('Approval signed and relayed, but the sale could not be finalized: ' + finalizeError);
+            fetchDetails()
+            return;
+          }
+          if (!finalizeTransactionHash) {
+            window.alert('Approval signed and relayed. The relayer closes the sale once every party has signed off.');
+            fetchDetails()
+            return;
+          }
+          console.log('Sale finalized by the relayer:', finalizeTransactionHash);
+        } else {
+          // Seller approves...
+          console.log('Calling approveSale...');
+          let blockchainTx = await escrow.connect(signer).approveSale(home.id)
+          await blockchainTx.wait()
+          console.log('approveSale completed');
 
-        // Check if all approvals are in place before finalizing
-        const buyerApproval = await escrow.approval(home.id, await escrow.buyer(home.id));
-        const sellerApproval = await escrow.approval(home.id, seller);
-        const lenderApproval = await escrow.approval(home.id, lender);
-        const inspectionPassed = await escrow.inspectionPassed(home.id);
+          // Check if all approvals and closing conditions are in place before finalizing.
+          // The buyer comes from the indexer, so offer and auction sales check the right party.
+          const [buyerApproval, sellerApproval, lenderApproval, conditionsMet] = await Promise.all([
+            escrow.approval(home.id, buyer),
+            escrow.approval(home.id, seller),
+            escrow.approval(home.id, lender),
+            escrow.areClosingConditionsMet(home.id)
+          ]);
         
-        console.log('Approval status:');
-        console.log('- Buyer approval:', buyerApproval);
-        console.log('- Seller approval:', sellerApproval);
-        console.log('- Lender approval:', lenderApproval);
-        console.log('- Inspection passed:', inspectionPassed);
+          console.log('Approval status:');
+          console.log('- Buyer approval:', buyerApproval);
+          console.log('- Seller approval:', sellerApproval);
+          console.log('- Lender approval:', lenderApproval);
+          console.log('- Closing conditions met:', conditionsMet);
         
-        if (!buyerApproval || !lenderApproval || !inspectionPassed) {
-          window.alert('Cannot finalize sale yet. All parties must approve and inspection must be passed.');
-          return;
-        }
+          if (!buyerApproval || !lenderApproval) {
+            window.alert('Approval recorded. The sale can be finalized once the buyer and lender have approved.');
+            fetchDetails()
+            return;
+          }
+          if (!conditionsMet) {
+            window.alert('Approval recorded. The sale cannot be finalized until the inspection has passed and the title check and appraisal the listing requires are complete.');
+            fetchDetails()
+            return;
+          }
 
-        // Seller finalize...
-        console.log('Calling finalizeSale...');
-        blockchainTx = await escrow.connect(signer).finalizeSale(home.id)
-        await blockchainTx.wait()
-        console.log('finalizeSale completed');
+          // Seller finalize...
+          console.log('Calling finalizeSale...');
+          blockchainTx = await escrow.connect(signer).finalizeSale(home.id)
+          await blockchainTx.wait()
+          console.log('finalizeSale completed');
+        }
     
         setHasSold(true)
 
@@ -510,28 +697,126 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
       }
     }
 
+    const titleHandler = async (cleared) => {
+      try {
+        const signer = await provider.getSigner()
+
+        // Title agent attests the legal/title check for the listing
+        const blockchainTx = await escrow.connect(signer).updateTitleStatus(home.id, cleared)
+        await blockchainTx.wait()
+
+        window.alert(cleared ? 'Title cleared.' : 'Title check failed. The sale cannot close until it is cleared.');
+        fetchDetails()
+      } catch (error) {
+        console.error('Error updating title status:', error);
+        window.alert('Title update failed: ' + (error.reason || error.message || 'Unknown error'));
+      }
+    }
+
+    const appraisalHandler = async () => {
+      if (!(parseFloat(appraisalValue) > 0)) {
+        window.alert('Enter the appraised value.');
+        return;
+      }
+
+      try {
+        const signer = await provider.getSigner()
+
+        // Appraised value is in the listing's currency and must cover the loan amount
+        const value = ethers.parseUnits(appraisalValue, paymentToken ? paymentToken.decimals : 18)
+        const blockchainTx = await escrow.connect(signer).submitAppraisal(home.id, value)
+        await blockchainTx.wait()
+
+        window.alert(value >= closing.loanAmount
+          ? 'Appraisal submitted.'
+          : `Appraisal submitted. It is below the loan amount of ${formatAmount(closing.loanAmount)}, so the sale cannot close.`);
+        fetchDetails()
+      } catch (error) {
+        console.error('Error submitting appraisal:', error);
+        window.alert('Appraisal failed: ' + (error.reason || error.message || 'Unknown error'));
+      }
+    }
+
+    const reclaimHandler = async () => {
+      try {
+        const signer = await provider.getSigner()
+
+        // Buyer takes back earnest after the inspector or lender missed a deadline
+        const blockchainTx = await escrow.connect(signer).reclaimEarnest(home.id)
+        await blockchainTx.wait()
+
+        if (transaction) {
+          await updateTransactionStatus(transaction.id, 'cancelled', 'buyer');
+        }
+
+        window.alert('Earnest refunded. The listing has been cancelled.');
+        fetchDetails()
+      } catch (error) {
+        console.error('Error reclaiming earnest:', error);
+        window.alert('Reclaiming earnest failed: ' + (error.reason || error.message || 'Unknown error'));
+      }
+    }
+
+    const claimHandler = async () => {
+      try {
+        const signer = await provider.getSigner()
+
+        // Seller keeps earnest after the buyer missed the financing deadline
+        const blockchainTx = await escrow.connect(signer).claimEarnest(home.id)
+        await blockchainTx.wait()
+
+        if (transaction) {
+          await updateTransactionStatus(transaction.id, 'cancelled', 'seller');
+        }
+
+        window.alert('Earnest claimed. The listing has been cancelled.');
+        fetchDetails()
+      } catch (error) {
+        console.error('Error claiming earnest:', error);
+        window.alert('Claiming earnest failed: ' + (error.reason || error.message || 'Unknown error'));
+      }
+    }
+
     useEffect(() => {
       fetchDetails()
       fetchOwner()
+      fetchCapTable()
+      fetchMortgage()
       loadTransaction()
-    }, [fetchDetails, fetchOwner, loadTransaction, hasSold])
+    }, [fetchDetails, fetchOwner, fetchCapTable, fetchMortgage, loadTransaction, hasSold])
 
 
 
-    // Real-time transaction updates
+    // Real-time updates from escrow events
     useEffect(() => {
-      let unsubscribe;
-      if (transaction?.id) {
-        unsubscribe = subscribeToTransaction(transaction.id, (updatedTransaction) => {
-          if (updatedTransaction) {
-            setTransaction(updatedTransaction);
-          }
-        });
-      }
-      return () => {
-        if (unsubscribe) unsubscribe();
-      };
-    }, [transaction?.id]);
+      const unsubscribe = subscribeToPropertyEvents(escrow, home.id, () => {
+        fetchDetails()
+        fetchOwner()
+        fetchMortgage()
+      });
+      return () => unsubscribe();
+    }, [escrow, home.id, fetchDetails, fetchOwner, fetchMortgage]);
+
+    // On-chain progress wins over the locally stored transaction status
+    const progressTransaction = saleState?.status ? {
+      ...transaction,
+      id: transaction?.id || saleState.listingTransactionHash,
+      status: saleState.status,
+      progress: saleState.progress,
+      conditions: saleState.conditions,
+      timeline: saleState.timeline
+    } : transaction;
+
+    // Offers stay visible after acceptance so other bidders can withdraw their earnest
+    const hasOffers = openToOffers || Boolean(saleState?.timeline.some(entry => entry.event === 'OfferMade'));
+
+    // Sellers can auction listings open to offers; past auctions stay visible for deposit withdrawals
+    const hasAuction = Boolean(propertyAuction) &&
+      (openToOffers || Boolean(saleState?.timeline.some(entry => entry.event === 'AuctionStarted')));
+
+    // Disputes can be opened once the listing is under contract; past ones keep their timelines
+    const isUnderContract = Boolean(saleState?.listed && saleState.progress.purchaseRequested);
+    const hasDisputes = isUnderContract || Boolean(saleState?.timeline.some(entry => entry.event === 'DisputeOpened'));
 
     const renderTabContent = () => {
       switch (activeTab) {
@@ -545,7 +830,57 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
                 <strong>{home.attributes[4].value}</strong> sqft
               </p>
               <p>{home.address}</p>
-              <h2>{home.attributes[0].value} ETH</h2>
+              <h2>
+                {paymentToken && purchasePrice !== null
+                  ? formatAmount(purchasePrice)
+                  : `${home.attributes[0].value} ETH`}
+              </h2>
+
+              {paymentToken && tokenBalance !== null && (
+                <p className="home__token-balance">
+                  Your balance: <strong>{formatAmount(tokenBalance)}</strong>
+                </p>
+              )}
+
+              {escrowBalance !== null && escrowBalance > 0n && (
+                <p className="home__escrowed">
+                  Escrowed: <strong>{formatAmount(escrowBalance)}</strong>
+                </p>
+              )}
+
+              {capTable && (
+                <CapTable holders={capTable.holders} quorumBps={capTable.quorumBps} account={account} />
+              )}
+
+              {activeDispute > 0n && (
+                <p className="home__disputed">
+                  This listing is frozen by dispute #{activeDispute.toString()} until the arbiter decides.{' '}
+                  <button className="disputes__document" onClick={() => setActiveTab('disputes')}>View dispute</button>
+                </p>
+              )}
+
+              {!owner && saleState?.listed && (
+                <div className="home__deadlines">
+                  {/* The inspection deadline covers every closing condition of the listing */}
+                  {deadlines.inspection > 0 && !closing.met && (
+                    <DeadlineCountdown label="Inspection" deadline={deadlines.inspection} onExpire={fetchDetails} />
+                  )}
+                  {deadlines.financing > 0 && !(hasLended && hasBought) && (
+                    <DeadlineCountdown label="Financing" deadline={deadlines.financing} onExpire={fetchDetails} />
+                  )}
+
+                  {canReclaim && account && buyer && account.toLowerCase() === buyer.toLowerCase() && (
+                    <button className="home__buy" onClick={reclaimHandler}>
+                      Reclaim Earnest
+                    </button>
+                  )}
+                  {canClaim && account && seller && account.toLowerCase() === seller.toLowerCase() && (
+                    <button className="home__buy" onClick={claimHandler}>
+                      Claim Earnest
+                    </button>
+                  )}
+                </div>
+              )}
 
               {owner ? (
                 <div className="home__owned">
@@ -553,21 +888,79 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
                 </div>
               ) : (
                 <div>
+                  {approvalRelay && account && [inspector, lender, seller].includes(account) && !openToOffers && !isAuctioned && (
+                    <label className="home__sign-only">
+                      <input type="checkbox" checked={signOnly} onChange={(e) => setSignOnly(e.target.checked)} />
+                      Sign only: a relayer submits your approval and pays its gas
+                    </label>
+                  )}
                   {!account ? (
                     <button className="home__buy" disabled>
                       Connect Wallet to Buy
                     </button>
                   ) : account === inspector ? (
                     <button className="home__buy" onClick={inspectHandler} disabled={hasInspected}>
-                      Approve Inspection
+                      {signOnly ? 'Sign Inspection' : 'Approve Inspection'}
                     </button>
+                  ) : account === titleAgent ? (
+                    <div className="auction__actions">
+                      <button className="home__buy" onClick={() => titleHandler(true)} disabled={closing.titleCleared}>
+                        {closing.titleCleared ? 'Title Cleared' : 'Clear Title'}
+                      </button>
+                      {!closing.titleCleared && (
+                        <button className="offers__action offers__action--secondary" onClick={() => titleHandler(false)}>
+                          Fail Title Check
+                        </button>
+                      )}
+                    </div>
+                  ) : account === appraiser ? (
+                    <div>
+                      <div className="offers__fields home__loan-terms">
+                        <label>
+                          Appraised value ({paymentToken ? paymentToken.symbol : 'ETH'})
+                          <input type="number" min="0" step="any" value={appraisalValue}
+                            onChange={(e) => setAppraisalValue(e.target.value)} />
+                        </label>
+                      </div>
+                      <p className="offers__muted">
+                        Loan amount: {formatAmount(closing.loanAmount)}
+                        {closing.appraisedValue > 0n && `, last appraisal: ${formatAmount(closing.appraisedValue)}`}
+                      </p>
+                      <button className="home__buy" onClick={appraisalHandler}>
+                        Submit Appraisal
+                      </button>
+                    </div>
                   ) : account === lender ? (
-                    <button className="home__buy" onClick={lendHandler} disabled={hasLended}>
-                      Approve & Lend
+                    <div>
+                      {propertyMortgage && !hasLended && (
+                        <div className="offers__fields home__loan-terms">
+                          <label>
+                            Interest rate (% APR)
+                            <input type="number" min="0" max="100" step="any" value={loanTerms.rate}
+                              onChange={(e) => setLoanTerms(prev => ({ ...prev, rate: e.target.value }))} />
+                          </label>
+                          <label>
+                            Term (years)
+                            <input type="number" min="0" max="40" step="any" value={loanTerms.years}
+                              onChange={(e) => setLoanTerms(prev => ({ ...prev, years: e.target.value }))} />
+                          </label>
+                        </div>
+                      )}
+                      <button className="home__buy" onClick={lendHandler} disabled={hasLended}>
+                        {signOnly ? 'Sign Approval & Lend' : 'Approve & Lend'}
+                      </button>
+                    </div>
+                  ) : isAuctioned ? (
+                    <button className="home__buy" onClick={() => setActiveTab('auction')}>
+                      {account === seller ? 'View Auction' : 'Bid in Auction'}
+                    </button>
+                  ) : openToOffers ? (
+                    <button className="home__buy" onClick={() => setActiveTab('offers')}>
+                      {account === seller ? 'Review Offers' : 'Make Offer'}
                     </button>
                   ) : account === seller ? (
                     <button className="home__buy" onClick={sellHandler} disabled={hasSold}>
-                      Approve & Sell
+                      {signOnly ? 'Sign Approval & Sell' : 'Approve & Sell'}
                     </button>
                   ) : (
                     <div>
@@ -598,7 +991,7 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
                           console.log('User:', user);
                           console.log('Account:', account);
                           console.log('KYC from localStorage:', localStorage.getItem('blockNexusKYC_' + account));
-                          console.log('User from localStorage:', localStorage.getItem('blockNexusUser'));
+                          console.log('Profile from localStorage:', getProfile(account));
                           window.alert('Check console for KYC debug info');
                         }}
                         style={{
@@ -679,9 +1072,74 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
             </div>
           );
 
+        case 'offers':
+          return (
+            <div className="tab-content">
+              <Offers
+                escrow={escrow}
+                provider={provider}
+                account={account}
+                nftID={home.id}
+                seller={seller}
+                isOpen={openToOffers}
+                paymentToken={paymentToken}
+                formatAmount={formatAmount}
+                onChange={fetchDetails}
+              />
+            </div>
+          );
+
+        case 'auction':
+          return (
+            <div className="tab-content">
+              <Auction
+                auction={propertyAuction}
+                provider={provider}
+                account={account}
+                nftID={home.id}
+                seller={seller}
+                isOpen={openToOffers}
+                paymentToken={paymentToken}
+                formatAmount={formatAmount}
+                onChange={fetchDetails}
+              />
+            </div>
+          );
+
+        case 'mortgage':
+          return (
+            <div className="tab-content">
+              <Mortgage
+                mortgage={propertyMortgage}
+                provider={provider}
+                account={account}
+                nftID={home.id}
+                formatAmount={formatAmount}
+              />
+            </div>
+          );
+
+        case 'disputes':
+          return (
+            <div className="tab-content">
+              <Disputes
+                escrow={escrow}
+                provider={provider}
+                account={account}
+                nftID={home.id}
+                buyer={buyer}
+                seller={seller}
+                isUnderContract={isUnderContract}
+                paymentToken={paymentToken}
+                formatAmount={formatAmount}
+                onChange={fetchDetails}
+              />
+            </div>
+          );
+
         case 'progress':
-          return transaction ? (
-            <TransactionProgress transaction={transaction} userRole={userRole} />
+          return progressTransaction ? (
+            <TransactionProgress transaction={progressTransaction} userRole={userRole} />
           ) : (
             <div className="no-transaction">
               <p>No active transaction for this property.</p>
@@ -719,7 +1177,7 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
         <div className="home">
           <div className="home__details">
             <div className="home__image">
-              <img src={home.image} alt="Home" />
+              <IpfsImage src={home.image} alt="Home" />
             </div>
             
             <div className="home__content">
@@ -731,7 +1189,43 @@ const Home = ({ home, provider, account, escrow, togglePop }) => {
                   🏠 Overview
                 </button>
                 
-                {transaction && (
+                {hasOffers && (
+                  <button 
+                    className={`tab-button ${activeTab === 'offers' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('offers')}
+                  >
+                    💬 Offers
+                  </button>
+                )}
+
+                {hasAuction && (
+                  <button 
+                    className={`tab-button ${activeTab === 'auction' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('auction')}
+                  >
+                    🔨 Auction
+                  </button>
+                )}
+
+                {hasMortgage && (
+                  <button 
+                    className={`tab-button ${activeTab === 'mortgage' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('mortgage')}
+                  >
+                    🏦 Mortgage
+                  </button>
+                )}
+
+                {hasDisputes && (
+                  <button 
+                    className={`tab-button ${activeTab === 'disputes' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('disputes')}
+                  >
+                    ⚖️ Disputes
+                  </button>
+                )}
+
+                {progressTransaction && (
                   <button 
                     className={`tab-button ${activeTab === 'progress' ? 'active' : ''}`}
                     onClick={() => setActiveTab('progress')}
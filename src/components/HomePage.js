@@ -1,5 +1,6 @@
 import { useState, useMemo } from 'react';
 import Search from './Search';
+import IpfsImage from './IpfsImage';
 
 const HomePage = ({ homes, togglePop, setCurrentPage }) => {
   const [searchTerm, setSearchTerm] = useState('');
@@ -81,7 +82,7 @@ const HomePage = ({ homes, togglePop, setCurrentPage }) => {
               {featuredHomes.map((home, index) => (
                 <div className="featured__card" key={index} onClick={() => togglePop(home)}>
                   <div className="featured__image">
-                    <img src={home.image} alt={home.name} />
+                    <IpfsImage src={home.image} alt={home.name} />
                     <div className="featured__badge">{searchTerm ? 'Match' : 'Featured'}</div>
                   </div>
                   <div className="featured__info">
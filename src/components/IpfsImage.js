@@ -0,0 +1,20 @@
+import { useEffect, useMemo, useState } from 'react';
+import { resolveIpfsUrls } from '../utils/ipfs';
+
+// <img> for an ipfs:// (or gateway) URL that moves on to the next gateway when one fails
+const IpfsImage = ({ src, alt, ...props }) => {
+  const sources = useMemo(() => resolveIpfsUrls(src), [src]);
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    setIndex(0);
+  }, [src]);
+
+  const handleError = () => {
+    setIndex(current => Math.min(current + 1, sources.length - 1));
+  };
+
+  return <img src={sources[index]} alt={alt} onError={handleError} {...props} />;
+};
+
+export default IpfsImage;
@@ -0,0 +1,350 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import {
+  getLeases,
+  getLeasePayments,
+  validateLeaseOffer,
+  offerLease,
+  cancelLeaseOffer,
+  signLease,
+  payRent,
+  allowRentCollection,
+  collectRent,
+  endLease
+} from '../services/leaseService';
+import './Offers.css';
+import './Leases.css';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message || 'Unknown error';
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString();
+
+const EMPTY_OFFER = { tokenId: '', tenant: '', currency: 'ETH', rent: '', deposit: '', termMonths: '12', lateFee: '', graceDays: '5' };
+
+// Rental agreements for leasehold properties on My Properties: offer a tokenized leasehold property
+// for rent, sign offers as a tenant, and pay / collect rent and settle the deposit at term end
+const Leases = ({ properties = [] }) => {
+  const [data, setData] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [form, setForm] = useState(EMPTY_OFFER);
+  const [errors, setErrors] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [payments, setPayments] = useState({});
+  const [pending, setPending] = useState(null);
+
+  // Only tokenized leasehold properties can be rented out on chain
+  const leasehold = properties.filter(property => property.ownershipType === 'leasehold' && property.tokenId);
+
+  const fetchLeases = useCallback(async () => {
+    try {
+      setData(await getLeases());
+      setLoadError(null);
+    } catch (error) {
+      setLoadError(errorMessage(error));
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchLeases();
+  }, [fetchLeases]);
+
+  const loadPayments = async (leaseId) => {
+    try {
+      const history = await getLeasePayments(leaseId);
+      setPayments(prev => ({ ...prev, [leaseId]: history }));
+    } catch (error) {
+      console.error('Error loading rent payments:', error);
+    }
+  };
+
+  const toggleDetails = (leaseId) => {
+    if (expanded === leaseId) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(leaseId);
+    loadPayments(leaseId);
+  };
+
+  const send = async (key, action) => {
+    setPending(key);
+    try {
+      await action();
+      await fetchLeases();
+      if (expanded) await loadPayments(expanded);
+      return true;
+    } catch (error) {
+      console.error('Lease transaction failed:', error);
+      window.alert('Transaction failed: ' + errorMessage(error));
+      return false;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const formatAmount = (amount, currency) => `${ethers.formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleOffer = async (e) => {
+    e.preventDefault();
+    const errors = validateLeaseOffer(form);
+    setErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const currency = data.currencies.find(option => option.symbol === form.currency);
+    if (await send('offer', () => offerLease(form, currency))) {
+      setForm(EMPTY_OFFER);
+      setShowForm(false);
+    }
+  };
+
+  const renderField = (name, label, props = {}) => (
+    <label key={name}>
+      {label}
+      <input name={name} value={form[name]} onChange={handleFormChange} type="number" min="0" step="any" {...props} />
+      {errors[name] && <span className="leases__error">{errors[name]}</span>}
+    </label>
+  );
+
+  const renderOfferForm = () => (
+    <form className="offers__form" onSubmit={handleOffer}>
+      <h3>Offer a Lease</h3>
+      <div className="offers__fields">
+        <label>
+          Property
+          <select name="tokenId" value={form.tokenId} onChange={handleFormChange}>
+            <option value="">Select a property</option>
+            {leasehold.map(property => (
+              <option key={property.id} value={property.tokenId}>
+                {property.propertyNumber || property.id} (Token #{property.tokenId})
+              </option>
+            ))}
+          </select>
+          {errors.tokenId && <span className="leases__error">{errors.tokenId}</span>}
+        </label>
+        <label>
+          Tenant
+          <input name="tenant" value={form.tenant} onChange={handleFormChange} placeholder="0x... (leave blank for anyone)" />
+          {errors.tenant && <span className="leases__error">{errors.tenant}</span>}
+        </label>
+        <label>
+          Currency
+          <select name="currency" value={form.currency} onChange={handleFormChange}>
+            {data.currencies.map(currency => (
+              <option key={currency.address} value={currency.symbol}>{currency.symbol}</option>
+            ))}
+          </select>
+        </label>
+        {renderField('rent', 'Monthly rent')}
+        {renderField('deposit', 'Security deposit')}
+        {renderField('termMonths', 'Term (months)', { step: '1', min: '1' })}
+        {renderField('lateFee', 'Late fee')}
+        {renderField('graceDays', 'Grace period (days)')}
+      </div>
+      <p className="offers__muted">
+        Rent is due every 30 days from signing. Payments made after the grace period carry the late fee, and
+        unpaid rent is taken from the deposit when the term ends.
+      </p>
+      <div className="offers__actions">
+        <button type="submit" className="offers__action" disabled={!!pending}>
+          {pending === 'offer' ? 'Offering...' : 'Offer Lease'}
+        </button>
+        <button type="button" className="offers__action offers__action--secondary" onClick={() => setShowForm(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderOffer = (lease) => (
+    <li key={lease.id} className="leases__card">
+      <div className="leases__summary">
+        <strong>Token #{lease.nftID}</strong>
+        <span>{formatAmount(lease.rent, lease.currency)} / month for {lease.term} months</span>
+        <span className="offers__muted">Deposit {formatAmount(lease.deposit, lease.currency)}</span>
+        <span className="offers__muted">Landlord {shortAddress(lease.landlord)}</span>
+      </div>
+      <button className="offers__action" disabled={!!pending}
+        onClick={() => send(`sign-${lease.id}`, () => signLease(lease))}>
+        {pending === `sign-${lease.id}` ? 'Signing...' : 'Sign & Pay Deposit'}
+      </button>
+    </li>
+  );
+
+  const renderDetails = (lease) => {
+    const history = payments[lease.id];
+    const upcoming = lease.schedule.filter(entry => entry.status !== 'paid');
+
+    return (
+      <div className="leases__details">
+        <div>
+          <h4>Upcoming dues</h4>
+          {upcoming.length === 0 ? (
+            <p className="offers__muted">Rent is paid for the whole term.</p>
+          ) : (
+            <ul className="offers__list">
+              {upcoming.map(entry => (
+                <li key={entry.period} className="offers__item">
+                  <span>Month {entry.period + 1} — {formatDate(entry.dueDate)}</span>
+                  <strong>{formatAmount(lease.rent, lease.currency)}</strong>
+                  <span className={`offers__status leases__due--${entry.status}`}>{entry.status}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h4>Payment history</h4>
+          {!history ? (
+            <p className="offers__muted">Loading payments...</p>
+          ) : history.length === 0 ? (
+            <p className="offers__muted">No rent paid yet.</p>
+          ) : (
+            <ul className="offers__list">
+              {history.map(payment => (
+                <li key={payment.transactionHash} className="offers__item">
+                  <span>Month {payment.period + 1} — {formatDate(payment.paidAt)}</span>
+                  <strong>{formatAmount(payment.amount, lease.currency)}</strong>
+                  <span className="offers__muted">
+                    {payment.lateFee > 0n ? `incl. ${formatAmount(payment.lateFee, lease.currency)} late fee` : 'on time'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderLease = (lease) => {
+    const isLandlord = lease.role === 'landlord';
+    const isTokenLease = lease.currency.address !== ethers.ZeroAddress;
+    const isActive = lease.status === 'active';
+    const hasRentDue = isActive && lease.nextDue && lease.nextDue.status !== 'upcoming';
+    const key = (action) => `${action}-${lease.id}`;
+
+    return (
+      <li key={lease.id} className="leases__card">
+        <div className="leases__summary">
+          <strong>Token #{lease.nftID}</strong>
+          <span className="leases__role">{isLandlord ? 'Landlord' : 'Tenant'}</span>
+          <span className={`offers__status leases__status--${lease.status}`}>{lease.status}</span>
+        </div>
+
+        <div className="leases__terms">
+          <span>Rent<strong>{formatAmount(lease.rent, lease.currency)}</strong></span>
+          <span>Deposit<strong>{formatAmount(lease.deposit, lease.currency)}</strong></span>
+          <span>Paid<strong>{lease.periodsPaid} / {lease.term} months</strong></span>
+          <span>
+            {isLandlord ? 'Tenant' : 'Landlord'}
+            <strong>
+              {isLandlord
+                ? (lease.tenant === ethers.ZeroAddress ? 'Anyone' : shortAddress(lease.tenant))
+                : shortAddress(lease.landlord)}
+            </strong>
+          </span>
+        </div>
+
+        {isActive && (
+          <p className="offers__muted">
+            {lease.nextDue
+              ? `Next rent due ${formatDate(lease.nextDue.dueDate)}: ${formatAmount(lease.amountDue, lease.currency)}${lease.isLate ? ' (includes late fee)' : ''}.`
+              : 'Rent is paid for the whole term.'}
+            {' '}Term ends {formatDate(lease.termEndsAt)}.
+          </p>
+        )}
+
+        <div className="offers__actions">
+          {!isLandlord && isActive && lease.nextDue && (
+            <button className="offers__action" disabled={!!pending}
+              onClick={() => send(key('pay'), () => payRent(lease))}>
+              {pending === key('pay') ? 'Paying...' : `Pay ${formatAmount(lease.amountDue, lease.currency)}`}
+            </button>
+          )}
+          {!isLandlord && isActive && isTokenLease && lease.nextDue && (
+            <button className="offers__action offers__action--secondary" disabled={!!pending}
+              onClick={() => send(key('allow'), () => allowRentCollection(lease))}>
+              {pending === key('allow') ? 'Approving...' : 'Allow Automatic Collection'}
+            </button>
+          )}
+          {isLandlord && isTokenLease && hasRentDue && (
+            <button className="offers__action" disabled={!!pending}
+              onClick={() => send(key('collect'), () => collectRent(lease.id))}>
+              {pending === key('collect') ? 'Collecting...' : 'Collect Rent'}
+            </button>
+          )}
+          {isLandlord && lease.status === 'offered' && (
+            <button className="offers__action offers__action--secondary" disabled={!!pending}
+              onClick={() => send(key('cancel'), () => cancelLeaseOffer(lease.id))}>
+              {pending === key('cancel') ? 'Cancelling...' : 'Cancel Offer'}
+            </button>
+          )}
+          {lease.isTermOver && (
+            <button className="offers__action" disabled={!!pending}
+              onClick={() => send(key('end'), () => endLease(lease.id))}>
+              {pending === key('end') ? 'Ending...' : 'End Lease & Settle Deposit'}
+            </button>
+          )}
+          {(isActive || lease.status === 'ended') && (
+            <button className="offers__action offers__action--secondary" onClick={() => toggleDetails(lease.id)}>
+              {expanded === lease.id ? 'Hide Payments' : 'Payments & Dues'}
+            </button>
+          )}
+        </div>
+
+        {expanded === lease.id && renderDetails(lease)}
+      </li>
+    );
+  };
+
+  return (
+    <section className="leases">
+      <div className="leases__header">
+        <div>
+          <h2>Leases</h2>
+          <p className="offers__muted">Rent out leasehold properties and manage the leases you hold as a tenant.</p>
+        </div>
+        {data && !showForm && leasehold.length > 0 && (
+          <button className="btn btn--primary" onClick={() => setShowForm(true)}>+ Offer a Lease</button>
+        )}
+      </div>
+
+      {loadError && <p className="offers__muted">{loadError}</p>}
+      {!data && !loadError && <p className="offers__muted">Loading leases...</p>}
+
+      {data && (
+        <>
+          {showForm && renderOfferForm()}
+
+          {data.offers.length > 0 && (
+            <>
+              <h3>Lease offers for you</h3>
+              <ul className="leases__list">{data.offers.map(renderOffer)}</ul>
+            </>
+          )}
+
+          {data.leases.length === 0 ? (
+            <p className="offers__muted">
+              {leasehold.length > 0
+                ? 'No leases yet. Offer one of your leasehold properties for rent.'
+                : 'No leases yet. Tokenize a leasehold property to offer it for rent.'}
+            </p>
+          ) : (
+            <ul className="leases__list">{data.leases.map(renderLease)}</ul>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default Leases;
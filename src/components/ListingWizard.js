@@ -0,0 +1,285 @@
+import { useEffect, useState } from 'react';
+import {
+  checkListingOwnership,
+  validateListing,
+  estimateListingApproval,
+  estimateListing,
+  approveListing,
+  listProperty
+} from '../services/listingService';
+import './ListingWizard.css';
+
+const STEPS = [
+  { id: 'details', label: 'Listing Details' },
+  { id: 'approve', label: 'Approve Escrow' },
+  { id: 'list', label: 'List' },
+  { id: 'done', label: 'Listed' }
+];
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message || 'Unknown error';
+
+// Lists a tokenized property on the Escrow: listing terms, then the approval and listing transactions
+const ListingWizard = ({ property, onClose, onListed }) => {
+  const [step, setStep] = useState('details');
+  const [ownership, setOwnership] = useState(null);
+  const [ownershipError, setOwnershipError] = useState(null);
+  const [form, setForm] = useState({
+    buyer: '',
+    inspector: '',
+    lender: '',
+    titleAgent: '',
+    appraiser: '',
+    currency: 'ETH',
+    purchasePrice: '',
+    escrowAmount: '',
+    inspectionDays: '7',
+    financingDays: '14'
+  });
+  const [errors, setErrors] = useState({});
+  const [estimate, setEstimate] = useState(null);
+  const [estimateError, setEstimateError] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+  const [transactions, setTransactions] = useState({});
+
+  const tokenId = property.tokenId;
+  const currency = ownership?.currencies.find(option => option.symbol === form.currency);
+
+  useEffect(() => {
+    checkListingOwnership(tokenId)
+      .then(setOwnership)
+      .catch(error => setOwnershipError(errorMessage(error)));
+  }, [tokenId]);
+
+  // Estimate the transaction of the current step before it is sent
+  useEffect(() => {
+    if (step !== 'approve' && step !== 'list') return;
+
+    setEstimate(null);
+    setEstimateError(null);
+    const request = step === 'approve'
+      ? estimateListingApproval(tokenId)
+      : estimateListing(tokenId, form, currency);
+
+    request
+      .then(setEstimate)
+      .catch(error => setEstimateError(errorMessage(error)));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [step, tokenId]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const handleContinue = (e) => {
+    e.preventDefault();
+
+    const validation = validateListing(form);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+
+    setStep(ownership.isApproved ? 'list' : 'approve');
+  };
+
+  const handleApprove = async () => {
+    setIsSending(true);
+    try {
+      const result = await approveListing(tokenId);
+      setTransactions(prev => ({ ...prev, approve: result.transactionHash }));
+      setStep('list');
+    } catch (error) {
+      console.error('Error approving escrow:', error);
+      alert('Approval failed: ' + errorMessage(error));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleList = async () => {
+    setIsSending(true);
+    try {
+      const result = await listProperty(tokenId, form, currency);
+      setTransactions(prev => ({ ...prev, list: result.transactionHash, conditions: result.conditionsTransactionHash }));
+      setStep('done');
+    } catch (error) {
+      console.error('Error listing property:', error);
+      alert('Listing failed: ' + errorMessage(error));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const renderField = (name, label, props = {}) => (
+    <div className="form-group">
+      <label htmlFor={`listing-${name}`}>{label}</label>
+      <input
+        id={`listing-${name}`}
+        name={name}
+        value={form[name]}
+        onChange={handleChange}
+        className={errors[name] ? 'error' : ''}
+        {...props}
+      />
+      {errors[name] && <span className="error-message">{errors[name]}</span>}
+    </div>
+  );
+
+  const renderEstimate = () => {
+    if (estimateError) {
+      return <p className="listing-wizard__error">Gas estimate failed: {estimateError}</p>;
+    }
+    if (!estimate) {
+      return <p className="listing-wizard__muted">Estimating gas...</p>;
+    }
+    return (
+      <div className="listing-wizard__estimate">
+        <span>Estimated gas: <strong>{Number(estimate.gasLimit).toLocaleString()}</strong></span>
+        <span>Max network fee: <strong>{Number(estimate.fee).toFixed(6)} ETH</strong></span>
+      </div>
+    );
+  };
+
+  const renderOwnership = () => {
+    if (ownershipError) {
+      return <p className="listing-wizard__error">Could not check ownership: {ownershipError}</p>;
+    }
+    if (!ownership) {
+      return <p className="listing-wizard__muted">Checking ownership of token #{tokenId}...</p>;
+    }
+    if (ownership.isInEscrow) {
+      return <p className="listing-wizard__error">Token #{tokenId} is already held by the Escrow for an open sale.</p>;
+    }
+    if (!ownership.isOwner) {
+      return (
+        <p className="listing-wizard__error">
+          Token #{tokenId} is owned by {shortAddress(ownership.owner)}. Switch to that account to list it.
+        </p>
+      );
+    }
+    return null;
+  };
+
+  const renderDetails = () => (
+    <form onSubmit={handleContinue}>
+      <div className="form-row">
+        {renderField('buyer', 'Buyer Address', { placeholder: '0x... (leave blank to accept offers)' })}
+      </div>
+      <div className="form-row">
+        {renderField('inspector', 'Inspector Address *', { placeholder: '0x...' })}
+        {renderField('lender', 'Lender Address *', { placeholder: '0x...' })}
+      </div>
+      <div className="form-row">
+        {renderField('titleAgent', 'Title Agent Address', { placeholder: '0x... (leave blank for no title check)' })}
+        {renderField('appraiser', 'Appraiser Address', { placeholder: '0x... (leave blank for no appraisal)' })}
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label htmlFor="listing-currency">Settlement Currency</label>
+          <select id="listing-currency" name="currency" value={form.currency} onChange={handleChange}>
+            {ownership.currencies.map(option => (
+              <option key={option.symbol} value={option.symbol}>{option.symbol}</option>
+            ))}
+          </select>
+        </div>
+        {renderField('purchasePrice', `${form.buyer ? 'Purchase' : 'Asking'} Price (${form.currency}) *`, { type: 'number', min: '0', step: 'any' })}
+        {renderField('escrowAmount', `${form.buyer ? 'Earnest' : 'Minimum Earnest'} (${form.currency}) *`, { type: 'number', min: '0', step: 'any' })}
+      </div>
+      <div className="form-row">
+        {renderField('inspectionDays', 'Inspection Period (days)', { type: 'number', min: '0', step: '1' })}
+        {renderField('financingDays', 'Financing Period (days)', { type: 'number', min: '0', step: '1' })}
+      </div>
+      <div className="listing-wizard__actions">
+        <button type="button" className="btn btn--outline" onClick={onClose}>Cancel</button>
+        <button type="submit" className="btn btn--primary">Continue</button>
+      </div>
+    </form>
+  );
+
+  const renderApprove = () => (
+    <div>
+      <p>Allow the Escrow to take custody of token #{tokenId} when it is listed.</p>
+      {renderEstimate()}
+      <div className="listing-wizard__actions">
+        <button className="btn btn--outline" onClick={() => setStep('details')} disabled={isSending}>Back</button>
+        <button className="btn btn--primary" onClick={handleApprove} disabled={isSending}>
+          {isSending ? 'Approving...' : 'Approve Escrow'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderList = () => (
+    <div>
+      <div className="listing-wizard__summary">
+        <span>Buyer: <strong>{form.buyer ? shortAddress(form.buyer) : 'Open to offers'}</strong></span>
+        <span>Inspector: <strong>{shortAddress(form.inspector)}</strong></span>
+        <span>Lender: <strong>{shortAddress(form.lender)}</strong></span>
+        <span>Title Agent: <strong>{form.titleAgent ? shortAddress(form.titleAgent) : 'No title check'}</strong></span>
+        <span>Appraiser: <strong>{form.appraiser ? shortAddress(form.appraiser) : 'No appraisal'}</strong></span>
+        <span>Price: <strong>{form.purchasePrice} {form.currency}</strong></span>
+        <span>Earnest: <strong>{form.escrowAmount} {form.currency}</strong></span>
+      </div>
+      {renderEstimate()}
+      <div className="listing-wizard__actions">
+        <button className="btn btn--outline" onClick={() => setStep('details')} disabled={isSending}>Back</button>
+        <button className="btn btn--primary" onClick={handleList} disabled={isSending || !!estimateError}>
+          {isSending ? 'Listing...' : 'List Property'}
+        </button>
+      </div>
+    </div>
+  );
+
+  const renderDone = () => (
+    <div>
+      <p>Token #{tokenId} is listed for {form.purchasePrice} {form.currency}.</p>
+      {transactions.list && (
+        <p className="listing-wizard__muted">Transaction: {transactions.list}</p>
+      )}
+      {transactions.conditions && (
+        <p className="listing-wizard__muted">Closing conditions: {transactions.conditions}</p>
+      )}
+      <div className="listing-wizard__actions">
+        <button className="btn btn--outline" onClick={onClose}>Close</button>
+        <button className="btn btn--primary" onClick={onListed}>View in Properties</button>
+      </div>
+    </div>
+  );
+
+  const stepIndex = STEPS.findIndex(s => s.id === step);
+  const canList = ownership?.isOwner;
+
+  return (
+    <div className="listing-wizard">
+      <div className="form-header">
+        <h2>List for Sale</h2>
+        <p>{property.propertyTitle || property.propertyNumber} • Token #{tokenId}</p>
+      </div>
+
+      <div className="listing-wizard__steps">
+        {STEPS.map((s, index) => (
+          <span key={s.id} className={index <= stepIndex ? 'active' : ''}>{index + 1}. {s.label}</span>
+        ))}
+      </div>
+
+      {renderOwnership()}
+
+      {canList && step === 'details' && renderDetails()}
+      {canList && step === 'approve' && renderApprove()}
+      {canList && step === 'list' && renderList()}
+      {step === 'done' && renderDone()}
+
+      {!canList && (ownership || ownershipError) && (
+        <div className="listing-wizard__actions">
+          <button className="btn btn--outline" onClick={onClose}>Close</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ListingWizard;
@@ -0,0 +1,132 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  getLoan,
+  getRepayments,
+  buildAmortizationSchedule,
+  repayInstallment,
+  payOffLoan
+} from '../services/mortgageService';
+import './Offers.css';
+import './Auction.css';
+import './Mortgage.css';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message || 'Unknown error';
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString();
+
+// Mortgage on a financed property: loan terms, the lender's lien, the amortization schedule and
+// repayments. The borrower repays installments or pays the loan off, which releases the lien.
+const Mortgage = ({ mortgage, provider, account, nftID, formatAmount }) => {
+  const [loan, setLoan] = useState(null);
+  const [schedule, setSchedule] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [pending, setPending] = useState(null);
+
+  const isMe = (address) => account && address.toLowerCase() === account.toLowerCase();
+
+  const fetchLoan = useCallback(async () => {
+    const loan = await getLoan(mortgage, nftID);
+    setLoan(loan);
+    setSchedule(loan ? buildAmortizationSchedule(loan, await getRepayments(mortgage, loan.id)) : []);
+  }, [mortgage, nftID]);
+
+  useEffect(() => {
+    fetchLoan()
+      .catch(error => console.error('Error loading mortgage:', error))
+      .finally(() => setIsLoading(false));
+  }, [fetchLoan]);
+
+  const send = async (key, action) => {
+    setPending(key);
+    try {
+      const signer = await provider.getSigner();
+      await action(signer);
+      await fetchLoan();
+    } catch (error) {
+      console.error('Mortgage transaction failed:', error);
+      window.alert('Transaction failed: ' + errorMessage(error));
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (isLoading) return <p className="offers__muted">Loading mortgage...</p>;
+  if (!loan) return <p className="offers__muted">This property has no mortgage.</p>;
+
+  const isActive = loan.status === 'active';
+  const next = schedule.find(entry => entry.status !== 'paid');
+  const totalInterest = schedule.reduce((total, entry) => total + entry.interest, 0n);
+
+  return (
+    <div className="offers">
+      <div className="auction__header">
+        <h3>Mortgage</h3>
+        <span className={`auction__phase ${isActive ? '' : 'auction__phase--settled'}`}>
+          {isActive ? `Lien held by ${isMe(loan.lender) ? 'you' : shortAddress(loan.lender)}` : 'Repaid, lien released'}
+        </span>
+      </div>
+
+      <div className="auction__stats">
+        <span>Principal<strong>{formatAmount(loan.principal)}</strong></span>
+        <span>Rate<strong>{(loan.rateBps / 100).toFixed(2)}% APR</strong></span>
+        <span>Term<strong>{loan.term} months</strong></span>
+        <span>Installment<strong>{formatAmount(loan.installment)}</strong></span>
+        <span>Balance<strong>{formatAmount(loan.balance)}</strong></span>
+        <span>Total interest<strong>{formatAmount(totalInterest)}</strong></span>
+      </div>
+
+      <p className="offers__muted">
+        Borrower {isMe(loan.borrower) ? 'you' : shortAddress(loan.borrower)}, originated {formatDate(loan.startsAt)}.
+        {isActive && ' The property cannot be transferred until the loan is paid off.'}
+        {isActive && next && ` Installment ${next.number + 1} is due ${formatDate(next.dueDate)}.`}
+      </p>
+
+      {isActive && isMe(loan.borrower) && (
+        <div className="auction__actions">
+          <button className="home__buy" disabled={!!pending}
+            onClick={() => send('repay', signer => repayInstallment(mortgage, signer, loan))}>
+            {pending === 'repay' ? 'Paying...' : `Pay Installment (${formatAmount(loan.nextInstallment.amount)})`}
+          </button>
+          <button className="offers__action offers__action--secondary" disabled={!!pending}
+            onClick={() => send('payoff', signer => payOffLoan(mortgage, signer, loan))}>
+            {pending === 'payoff' ? 'Paying...' : `Pay Off ${formatAmount(loan.payoffAmount)}`}
+          </button>
+        </div>
+      )}
+
+      <h3>Amortization Schedule</h3>
+      <div className="mortgage__table-wrapper">
+        <table className="mortgage__table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Due</th>
+              <th>Payment</th>
+              <th>Interest</th>
+              <th>Principal</th>
+              <th>Balance</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedule.map(entry => (
+              <tr key={entry.number} className={`mortgage__row--${entry.status}`}>
+                <td>{entry.number + 1}</td>
+                <td>{formatDate(entry.dueDate)}</td>
+                <td>{formatAmount(entry.amount)}</td>
+                <td>{formatAmount(entry.interest)}</td>
+                <td>{formatAmount(entry.principal)}</td>
+                <td>{formatAmount(entry.balance)}</td>
+                <td><span className={`offers__status mortgage__status--${entry.status}`}>{entry.status}</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Mortgage;
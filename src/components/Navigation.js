@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
 import logo from '../assets/logo.svg';
 import { useUser } from '../contexts/UserContext';
 import { useTheme } from '../contexts/ThemeContext';
@@ -7,52 +8,85 @@ import UserProfile from './UserProfile';
 import Settings from './Settings';
 import NotificationSystem from './NotificationSystem';
 
-const Navigation = ({ account, setAccount, currentPage, setCurrentPage }) => {
-  const { user, isAuthenticated, loginUser, checkUserExists } = useUser();
+const Navigation = ({ account, setAccount, currentPage, setCurrentPage, isRegistrar, onToggleRegistrar }) => {
+  const { user, isAuthenticated, sessionExpired, loginUser, switchAccount, checkUserExists, getKnownAccounts } = useUser();
   const [showRegistration, setShowRegistration] = useState(false);
   const [showProfile, setShowProfile] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [authError, setAuthError] = useState('');
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [switcherOpen, setSwitcherOpen] = useState(false);
 
-  // Close mobile menu when clicking outside
+  // Close mobile menu and account switcher when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
       if (mobileMenuOpen && !event.target.closest('nav')) {
         setMobileMenuOpen(false);
       }
+      if (switcherOpen && !event.target.closest('.account-switcher')) {
+        setSwitcherOpen(false);
+      }
     };
 
     document.addEventListener('mousedown', handleClickOutside);
     return () => {
       document.removeEventListener('mousedown', handleClickOutside);
     };
-  }, [mobileMenuOpen]);
+  }, [mobileMenuOpen, switcherOpen]);
+
+  // Sign a wallet in to its profile, or offer registration if it has none
+  const authenticate = async (walletAddress) => {
+    setAccount(walletAddress);
+
+    if (checkUserExists(walletAddress)) {
+      try {
+        await loginUser(walletAddress);
+        setAuthError('');
+      } catch (error) {
+        setAuthError(`Authentication failed: ${error.message}`);
+      }
+    } else {
+      // New user - show registration
+      setShowRegistration(true);
+    }
+  }
 
   const connectHandler = async () => {
     try {
       const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-      const walletAddress = accounts[0];
-      setAccount(walletAddress);
-      
-      // Check if user exists and handle authentication
-      if (checkUserExists(walletAddress)) {
-        try {
-          await loginUser(walletAddress);
-          setAuthError('');
-        } catch (error) {
-          setAuthError('Authentication failed. Please try again.');
-        }
-      } else {
-        // New user - show registration
-        setShowRegistration(true);
-      }
+      await authenticate(ethers.getAddress(accounts[0]));
     } catch (error) {
       console.error('Failed to connect wallet:', error);
       setAuthError('Failed to connect wallet');
     }
   }
 
+  const switchHandler = async (walletAddress) => {
+    setSwitcherOpen(false);
+    try {
+      await switchAccount(walletAddress);
+      setAccount(walletAddress);
+      setAuthError('');
+    } catch (error) {
+      setAuthError(`Could not switch account: ${error.message}`);
+    }
+  }
+
+  // Let the wallet pick another account to connect, which may be a new one to register
+  const addAccountHandler = async () => {
+    setSwitcherOpen(false);
+    try {
+      await window.ethereum.request({ method: 'wallet_requestPermissions', params: [{ eth_accounts: {} }] });
+      const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+      await authenticate(ethers.getAddress(accounts[0]));
+    } catch (error) {
+      console.error('Failed to add account:', error);
+      setAuthError('Failed to add account');
+    }
+  }
+
+  const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
   const handleNavigation = (page) => {
     setCurrentPage(page);
     setMobileMenuOpen(false); // Close mobile menu when navigating
@@ -63,10 +97,13 @@ const Navigation = ({ account, setAccount, currentPage, setCurrentPage }) => {
   }
 
   const getUserDisplayName = () => {
+    if (sessionExpired && !isAuthenticated) {
+      return 'Session expired - Sign in';
+    }
     if (user && user.firstName) {
       return `${user.firstName} ${user.lastName}`;
     }
-    return account ? `${account.slice(0, 6)}...${account.slice(38, 42)}` : '';
+    return account ? shortAddress(account) : '';
   }
 
   return (
@@ -110,6 +147,17 @@ const Navigation = ({ account, setAccount, currentPage, setCurrentPage }) => {
                   About
                 </button>
               </li>
+              {isRegistrar && (
+                <li>
+                  <button 
+                    type="button" 
+                    className="nav__link"
+                    onClick={onToggleRegistrar}
+                  >
+                    Registrar
+                  </button>
+                </li>
+              )}
           </ul>
 
           <div className='nav__brand' onClick={() => handleNavigation('home')}>
@@ -139,6 +187,48 @@ const Navigation = ({ account, setAccount, currentPage, setCurrentPage }) => {
                   >
                       {getUserDisplayName()}
                   </button>
+
+                  {/* Account switcher - profiles registered in this browser */}
+                  <div className="account-switcher">
+                    <button
+                      type="button"
+                      className="account-switcher__toggle"
+                      onClick={() => setSwitcherOpen(!switcherOpen)}
+                      title="Switch account"
+                      aria-expanded={switcherOpen}
+                    >
+                      ⇄
+                    </button>
+                    {switcherOpen && (
+                      <ul className="account-switcher__menu">
+                        {getKnownAccounts().map(({ address, name }) => {
+                          const active = address.toLowerCase() === account.toLowerCase();
+                          return (
+                            <li key={address}>
+                              <button
+                                type="button"
+                                className={`account-switcher__item ${active ? 'account-switcher__item--active' : ''}`}
+                                onClick={() => switchHandler(address)}
+                                disabled={active && isAuthenticated}
+                              >
+                                <span className="account-switcher__name">{name || 'Unnamed profile'}</span>
+                                <span className="account-switcher__address">{shortAddress(address)}</span>
+                              </button>
+                            </li>
+                          );
+                        })}
+                        <li>
+                          <button
+                            type="button"
+                            className="account-switcher__item account-switcher__add"
+                            onClick={addAccountHandler}
+                          >
+                            + Add account
+                          </button>
+                        </li>
+                      </ul>
+                    )}
+                  </div>
                 </div>
               ) : (
                   <button
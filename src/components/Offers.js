@@ -0,0 +1,164 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import {
+  getOffers,
+  isOfferWithdrawable,
+  validateOffer,
+  makeOffer,
+  acceptOffer,
+  rejectOffer,
+  withdrawOffer
+} from '../services/offerService';
+import './Offers.css';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(38, 42)}`;
+
+const errorMessage = (error) => error.reason || error.shortMessage || error.message || 'Unknown error';
+
+// Offers on a listing that is open to offers.
+// The seller accepts or rejects open offers; anyone else can make an offer and withdraw their refundable ones.
+const Offers = ({ escrow, provider, account, nftID, seller, isOpen, paymentToken, formatAmount, onChange }) => {
+  const [offers, setOffers] = useState([]);
+  const [minimumEarnest, setMinimumEarnest] = useState(0n);
+  const [form, setForm] = useState({ price: '', earnest: '', expiresInDays: '7' });
+  const [errors, setErrors] = useState({});
+  const [pending, setPending] = useState(null);
+
+  const decimals = paymentToken?.decimals ?? 18;
+  const isSeller = account && seller && account.toLowerCase() === seller.toLowerCase();
+  const isMine = (offer) => account && offer.buyer.toLowerCase() === account.toLowerCase();
+
+  const fetchOffers = useCallback(async () => {
+    const [offers, escrowAmount] = await Promise.all([getOffers(escrow, nftID), escrow.escrowAmount(nftID)]);
+    setOffers(offers);
+    setMinimumEarnest(escrowAmount);
+  }, [escrow, nftID]);
+
+  useEffect(() => {
+    fetchOffers().catch(error => console.error('Error loading offers:', error));
+  }, [fetchOffers]);
+
+  // Run an offer transaction, then refresh the offers and the rest of the listing
+  const send = async (key, action) => {
+    setPending(key);
+    try {
+      const signer = await provider.getSigner();
+      await action(signer);
+      await fetchOffers();
+      if (onChange) onChange();
+      return true;
+    } catch (error) {
+      console.error('Offer transaction failed:', error);
+      window.alert('Transaction failed: ' + errorMessage(error));
+      return false;
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateOffer(form, minimumEarnest, decimals);
+    setErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const sent = await send('make', signer => makeOffer(escrow, signer, nftID, form, paymentToken));
+    if (sent) setForm(prev => ({ ...prev, price: '', earnest: '' }));
+  };
+
+  const renderActions = (offer) => {
+    if (isSeller && isOpen && offer.current && offer.status === 'open' && !offer.expired) {
+      return (
+        <>
+          <button className="offers__action" disabled={!!pending}
+            onClick={() => send(offer.id, signer => acceptOffer(escrow, signer, offer.id))}>
+            {pending === offer.id ? 'Sending...' : 'Accept'}
+          </button>
+          <button className="offers__action offers__action--secondary" disabled={!!pending}
+            onClick={() => send(offer.id, signer => rejectOffer(escrow, signer, offer.id))}>
+            Reject
+          </button>
+        </>
+      );
+    }
+
+    if (isMine(offer) && isOfferWithdrawable(offer)) {
+      return (
+        <button className="offers__action offers__action--secondary" disabled={!!pending}
+          onClick={() => send(offer.id, signer => withdrawOffer(escrow, signer, offer.id))}>
+          {pending === offer.id ? 'Sending...' : `Withdraw ${formatAmount(offer.earnest)}`}
+        </button>
+      );
+    }
+
+    return null;
+  };
+
+  const renderStatus = (offer) => {
+    if (offer.status === 'open' && (offer.expired || !offer.current)) return 'expired';
+    if (offer.status === 'rejected' && offer.earnest === 0n) return 'refunded';
+    return offer.status;
+  };
+
+  // The seller sees every offer; buyers only see their own
+  const visibleOffers = isSeller ? offers : offers.filter(isMine);
+
+  return (
+    <div className="offers">
+      {!isSeller && isOpen && (
+        <form className="offers__form" onSubmit={handleSubmit}>
+          <h3>Make an Offer</h3>
+          <div className="offers__fields">
+            {[
+              ['price', `Price (${paymentToken?.symbol || 'ETH'})`],
+              ['earnest', `Earnest (min ${ethers.formatUnits(minimumEarnest, decimals)})`],
+              ['expiresInDays', 'Expires in (days, 0 = never)']
+            ].map(([name, label]) => (
+              <label key={name}>
+                {label}
+                <input type="number" name={name} min="0" step="any" value={form[name]} onChange={handleChange} />
+                {errors[name] && <span className="error-message">{errors[name]}</span>}
+              </label>
+            ))}
+          </div>
+          <p className="offers__muted">
+            The earnest is held by the escrow with your offer and refunded if it is rejected or withdrawn.
+          </p>
+          <button type="submit" className="home__buy" disabled={!account || !!pending}>
+            {pending === 'make' ? 'Submitting Offer...' : 'Make Offer'}
+          </button>
+        </form>
+      )}
+
+      <h3>{isSeller ? 'Offers' : 'Your Offers'}</h3>
+      {visibleOffers.length === 0 ? (
+        <p className="offers__muted">No offers yet.</p>
+      ) : (
+        <ul className="offers__list">
+          {visibleOffers.map(offer => (
+            <li key={offer.id} className="offers__item">
+              <div>
+                <strong>{formatAmount(offer.price)}</strong>
+                <span className="offers__muted">
+                  {' '}from {isMine(offer) ? 'you' : shortAddress(offer.buyer)} · earnest {formatAmount(offer.earnest)}
+                  {offer.expiresAt > 0 && ` · expires ${new Date(offer.expiresAt * 1000).toLocaleString()}`}
+                </span>
+              </div>
+              <span className={`offers__status offers__status--${renderStatus(offer)}`}>{renderStatus(offer)}</span>
+              <div className="offers__actions">{renderActions(offer)}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Offers;
@@ -1,5 +1,7 @@
 import { useState, useMemo } from 'react';
+import { ethers } from 'ethers';
 import Search from './Search';
+import IpfsImage from './IpfsImage';
 
 const PropertiesPage = ({ homes, togglePop }) => {
   const [searchTerm, setSearchTerm] = useState('');
@@ -22,6 +24,14 @@ const PropertiesPage = ({ homes, togglePop }) => {
     });
   }, [homes, searchTerm]);
 
+  // Listed properties show the escrow's asking price in its settlement currency
+  const formatPrice = (home) => {
+    if (home.isListed && home.purchasePrice != null && home.currency) {
+      return `${ethers.formatUnits(home.purchasePrice, home.currency.decimals)} ${home.currency.symbol}`;
+    }
+    return `${home.attributes[0].value} ETH`;
+  };
+
   const handleSearch = (term) => {
     setSearchTerm(term);
   };
@@ -41,13 +51,16 @@ const PropertiesPage = ({ homes, togglePop }) => {
             {filteredHomes.map((home, index) => (
               <div className='property-item' key={index} onClick={() => togglePop(home)}>
                 <div className='property-item__image'>
-                  <img src={home.image} alt='Home' />
+                  <IpfsImage src={home.image} alt='Home' />
                 </div>
                 <div className='property-item__info'>
                   <div className='property-item__header'>
-                    <h4 className='property-item__title'>{home.name}</h4>
+                    <h4 className='property-item__title'>
+                      {home.name}
+                      {home.isListed && <span className='property-item__badge'>For Sale</span>}
+                    </h4>
                     <div className='property-item__price'>
-                      <strong>{home.attributes[0].value} ETH</strong>
+                      <strong>{formatPrice(home)}</strong>
                     </div>
                   </div>
                   <div className='property-item__details'>
@@ -1,9 +1,12 @@
 import React, { useState } from 'react';
 import { propertyTypes } from '../services/propertyStorage';
+import { tokenizeProperty, getMintRequestStatus } from '../services/propertyRegistry';
+import CapTable from './CapTable';
 import './PropertyCard.css';
 
-const PropertyCard = ({ property, viewMode, onEdit, onDelete }) => {
+const PropertyCard = ({ property, viewMode, onEdit, onDelete, onUpdate, onList }) => {
   const [showDetails, setShowDetails] = useState(false);
+  const [isTokenizing, setIsTokenizing] = useState(false);
 
   const getPropertyTypeLabel = (type) => {
     const typeObj = propertyTypes.find(t => t.value === type);
@@ -55,6 +58,80 @@ const PropertyCard = ({ property, viewMode, onEdit, onDelete }) => {
 
   const docStatus = getDocumentStatus();
 
+  // Publish the stored property's metadata and mint it (or request a mint), linking the result back
+  const handleTokenize = async () => {
+    setIsTokenizing(true);
+    try {
+      const minted = await tokenizeProperty(property);
+      if (minted.status === 'pending') {
+        alert(`Mint request #${minted.requestId} submitted. A registrar must approve it before the token is minted.`);
+        onUpdate({ ...property, mintRequestId: minted.requestId, tokenizationTxHash: minted.transactionHash });
+      } else {
+        onUpdate({ ...property, tokenId: minted.tokenId, tokenizationTxHash: minted.transactionHash });
+      }
+    } catch (error) {
+      console.error('Error tokenizing property:', error);
+      alert('Tokenization failed: ' + (error.reason || error.message || 'Unknown error'));
+    } finally {
+      setIsTokenizing(false);
+    }
+  };
+
+  // Pick up the token once a registrar has reviewed the mint request
+  const handleCheckMintRequest = async () => {
+    setIsTokenizing(true);
+    try {
+      const request = await getMintRequestStatus(property.mintRequestId);
+      if (request.status === 'approved') {
+        onUpdate({ ...property, tokenId: request.tokenId });
+      } else if (request.status === 'rejected') {
+        alert(`Mint request #${property.mintRequestId} was rejected. You can tokenize the property again.`);
+        onUpdate({ ...property, mintRequestId: null });
+      } else {
+        alert(`Mint request #${property.mintRequestId} is still waiting for a registrar.`);
+      }
+    } catch (error) {
+      console.error('Error checking mint request:', error);
+      alert('Could not check the mint request: ' + (error.reason || error.message || 'Unknown error'));
+    } finally {
+      setIsTokenizing(false);
+    }
+  };
+
+  const renderTokenAction = () => {
+    if (property.tokenId) {
+      return (
+        <>
+          <span className="token-badge">Token #{property.tokenId}</span>
+          <button className="btn btn--primary" onClick={() => onList(property)}>
+            List for Sale
+          </button>
+        </>
+      );
+    }
+
+    if (property.mintRequestId) {
+      return (
+        <button className="btn btn--outline" onClick={handleCheckMintRequest} disabled={isTokenizing}>
+          {isTokenizing ? 'Checking...' : `Mint request #${property.mintRequestId} pending`}
+        </button>
+      );
+    }
+
+    return (
+      <button className="btn btn--primary" onClick={handleTokenize} disabled={isTokenizing}>
+        {isTokenizing ? 'Tokenizing...' : 'Tokenize'}
+      </button>
+    );
+  };
+
+  // Cap table rows for jointly owned properties
+  const coOwners = property.ownershipType === 'joint'
+    ? (property.coOwners || [])
+        .filter(coOwner => Number(coOwner.shares) > 0)
+        .map(coOwner => ({ name: coOwner.name, address: coOwner.walletAddress, shares: coOwner.shares }))
+    : [];
+
   if (viewMode === 'list') {
     return (
       <div className="property-card list-view">
@@ -134,6 +211,7 @@ const PropertyCard = ({ property, viewMode, onEdit, onDelete }) => {
             >
               Delete
             </button>
+            {renderTokenAction()}
           </div>
         </div>
 
@@ -304,6 +382,9 @@ const PropertyCard = ({ property, viewMode, onEdit, onDelete }) => {
                         <span className="value">{property.ownershipType.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase())}</span>
                       </div>
                     )}
+                    {coOwners.length > 0 && (
+                      <CapTable holders={coOwners} compact />
+                    )}
                   </div>
                   
                   <div className="detail-section">
@@ -481,6 +562,7 @@ const PropertyCard = ({ property, viewMode, onEdit, onDelete }) => {
         >
           Delete
         </button>
+        {renderTokenAction()}
       </div>
 
       {showDetails && (
@@ -545,6 +627,10 @@ const PropertyCard = ({ property, viewMode, onEdit, onDelete }) => {
             </div>
           </div>
 
+          {coOwners.length > 0 && (
+            <CapTable holders={coOwners} compact />
+          )}
+
           {(property.amenities && property.amenities.length > 0) && (
             <div className="amenities-section compact">
               <h4>🏖️ Amenities</h4>
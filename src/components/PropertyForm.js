@@ -1,11 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { propertyTypes, getDefaultProperty, validateProperty, amenityOptions, furnishingOptions, facingDirections, ownershipTypes, nearbyFacilities } from '../services/propertyStorage';
+import { tokenizeProperty } from '../services/propertyRegistry';
 import './PropertyForm.css';
 
 const PropertyForm = ({ property, onSave, onCancel }) => {
   const [formData, setFormData] = useState(getDefaultProperty());
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [tokenizeOnSave, setTokenizeOnSave] = useState(false);
   const [currentStep, setCurrentStep] = useState(1);
   const totalSteps = 6;
   const [selectedAmenities, setSelectedAmenities] = useState([]);
@@ -66,6 +68,28 @@ const PropertyForm = ({ property, onSave, onCancel }) => {
     }
   };
 
+  // Co-owners of a jointly owned property; shares feed the cap table
+  const handleCoOwnerChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      coOwners: prev.coOwners.map((coOwner, i) => i === index ? { ...coOwner, [field]: value } : coOwner)
+    }));
+  };
+
+  const addCoOwner = () => {
+    setFormData(prev => ({
+      ...prev,
+      coOwners: [...(prev.coOwners || []), { name: '', walletAddress: '', shares: '' }]
+    }));
+  };
+
+  const removeCoOwner = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      coOwners: prev.coOwners.filter((_, i) => i !== index)
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -82,7 +106,25 @@ const PropertyForm = ({ property, onSave, onCancel }) => {
 
     setIsSubmitting(true);
     try {
-      await onSave(formData);
+      if (tokenizeOnSave && !formData.tokenId && !formData.mintRequestId) {
+        // Mint (or request a mint) first so a duplicate survey number is never recorded
+        let minted;
+        try {
+          minted = await tokenizeProperty(formData);
+        } catch (error) {
+          console.error('Error tokenizing property:', error);
+          alert('Tokenization failed: ' + (error.reason || error.message || 'Unknown error'));
+          return;
+        }
+        if (minted.status === 'pending') {
+          alert(`Mint request #${minted.requestId} submitted. A registrar must approve it before the token is minted.`);
+          await onSave({ ...formData, mintRequestId: minted.requestId, tokenizationTxHash: minted.transactionHash });
+        } else {
+          await onSave({ ...formData, tokenId: minted.tokenId, tokenizationTxHash: minted.transactionHash });
+        }
+      } else {
+        await onSave(formData);
+      }
     } catch (error) {
       console.error('Error saving property:', error);
       alert('Failed to save property. Please try again.');
@@ -96,7 +138,7 @@ const PropertyForm = ({ property, onSave, onCancel }) => {
     const step2Fields = ['location', 'streetAddress', 'city', 'district', 'state', 'pincode'];
     const step3Fields = ['bedrooms', 'bathrooms', 'yearBuilt', 'furnishingStatus'];
     const step4Fields = ['currentValue', 'purchasePrice', 'registrationValue'];
-    const step5Fields = ['ownerName', 'ownerContact', 'ownerEmail'];
+    const step5Fields = ['ownerName', 'ownerContact', 'ownerEmail', 'coOwners'];
     
     if (step1Fields.some(field => errors[field])) return 1;
     if (step2Fields.some(field => errors[field])) return 2;
@@ -698,6 +740,42 @@ const PropertyForm = ({ property, onSave, onCancel }) => {
         </div>
       </div>
 
+      {formData.ownershipType === 'joint' && (
+        <div className="form-group co-owners">
+          <label>Co-owners</label>
+          {(formData.coOwners || []).map((coOwner, index) => (
+            <div key={index} className="co-owner-row">
+              <input
+                type="text"
+                value={coOwner.name}
+                onChange={(e) => handleCoOwnerChange(index, 'name', e.target.value)}
+                placeholder="Co-owner name"
+              />
+              <input
+                type="text"
+                value={coOwner.walletAddress}
+                onChange={(e) => handleCoOwnerChange(index, 'walletAddress', e.target.value)}
+                placeholder="Wallet address (0x...)"
+              />
+              <input
+                type="number"
+                min="1"
+                value={coOwner.shares}
+                onChange={(e) => handleCoOwnerChange(index, 'shares', e.target.value)}
+                placeholder="Shares"
+              />
+              <button type="button" className="btn btn--outline" onClick={() => removeCoOwner(index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          {errors.coOwners && <span className="error-message">{errors.coOwners}</span>}
+          <button type="button" className="btn btn--outline" onClick={addCoOwner}>
+            + Add Co-owner
+          </button>
+        </div>
+      )}
+
       <div className="form-group">
         <label htmlFor="propertyDescription">Property Description</label>
         <textarea
@@ -916,13 +994,30 @@ const PropertyForm = ({ property, onSave, onCancel }) => {
                 Next →
               </button>
             ) : (
-              <button 
-                type="submit" 
-                disabled={isSubmitting}
-                className="btn btn--primary"
-              >
-                {isSubmitting ? 'Saving...' : (property ? 'Update Property' : 'Save Property')}
-              </button>
+              <>
+                <button 
+                  type="submit" 
+                  disabled={isSubmitting}
+                  className="btn btn--primary"
+                  onClick={() => setTokenizeOnSave(false)}
+                >
+                  {isSubmitting && !tokenizeOnSave ? 'Saving...' : (property ? 'Update Property' : 'Save Property')}
+                </button>
+                {formData.tokenId ? (
+                  <span className="token-badge">Token #{formData.tokenId}</span>
+                ) : formData.mintRequestId ? (
+                  <span className="token-badge">Mint request #{formData.mintRequestId} pending</span>
+                ) : (
+                  <button 
+                    type="submit" 
+                    disabled={isSubmitting}
+                    className="btn btn--outline"
+                    onClick={() => setTokenizeOnSave(true)}
+                  >
+                    {isSubmitting && tokenizeOnSave ? 'Tokenizing...' : 'Save & Tokenize'}
+                  </button>
+                )}
+              </>
             )}
           </div>
 
@@ -1,16 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { propertyStorage, propertyTypes } from '../services/propertyStorage';
 import PropertyCard from './PropertyCard';
+import ListingWizard from './ListingWizard';
 import PropertyForm from './PropertyForm';
+import Leases from './Leases';
 import './PropertyList.css';
 
-const PropertyList = () => {
+const PropertyList = ({ onPropertyListed }) => {
   const [properties, setProperties] = useState([]);
   const [filteredProperties, setFilteredProperties] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [filterType, setFilterType] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingProperty, setEditingProperty] = useState(null);
+  const [listingProperty, setListingProperty] = useState(null);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
   const [sortBy, setSortBy] = useState('createdAt'); // 'createdAt', 'propertyNumber', 'type'
   const [sortOrder, setSortOrder] = useState('desc'); // 'asc' or 'desc'
@@ -101,6 +104,15 @@ const PropertyList = () => {
     }
   };
 
+  // Record changes made from a card, e.g. the token linked after tokenizing
+  const handleUpdateProperty = (propertyData) => {
+    if (propertyStorage.saveProperty(propertyData)) {
+      loadProperties();
+    } else {
+      alert('Failed to save property. Please try again.');
+    }
+  };
+
   const handleCloseForm = () => {
     setShowForm(false);
     setEditingProperty(null);
@@ -113,6 +125,19 @@ const PropertyList = () => {
 
   const stats = propertyStorage.getStorageStats();
 
+  if (listingProperty) {
+    return (
+      <ListingWizard
+        property={listingProperty}
+        onClose={() => setListingProperty(null)}
+        onListed={() => {
+          setListingProperty(null);
+          onPropertyListed?.();
+        }}
+      />
+    );
+  }
+
   if (showForm) {
     return (
       <PropertyForm
@@ -245,10 +270,14 @@ const PropertyList = () => {
               viewMode={viewMode}
               onEdit={handleEditProperty}
               onDelete={handleDeleteProperty}
+              onUpdate={handleUpdateProperty}
+              onList={setListingProperty}
             />
           ))}
         </div>
       )}
+
+      <Leases properties={properties} />
     </div>
   );
 };
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import {
+  getPendingMintRequests,
+  approveMintRequest,
+  rejectMintRequest,
+  grantRegistrar,
+  revokeRegistrar,
+  isRegistryAdmin
+} from '../services/propertyRegistry';
+
+const buttonStyle = (backgroundColor) => ({
+  marginRight: '10px',
+  padding: '5px 10px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px'
+});
+
+const RegistrarDashboard = ({ account, onClose }) => {
+  const [requests, setRequests] = useState([]);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [registrarAddress, setRegistrarAddress] = useState('');
+  const [busyRequestId, setBusyRequestId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadRequests = useCallback(async () => {
+    try {
+      setRequests(await getPendingMintRequests());
+      setIsAdmin(account ? await isRegistryAdmin(account) : false);
+      setError('');
+    } catch (error) {
+      console.error('Error loading mint requests:', error);
+      setError('Failed to load mint requests');
+    }
+  }, [account]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleApprove = async (requestId) => {
+    setBusyRequestId(requestId);
+    try {
+      const { tokenId } = await approveMintRequest(requestId);
+      alert(`Mint request #${requestId} approved as token #${tokenId}.`);
+      loadRequests();
+    } catch (error) {
+      console.error('Error approving mint request:', error);
+      alert('Approval failed: ' + (error.reason || error.message || 'Unknown error'));
+    } finally {
+      setBusyRequestId(null);
+    }
+  };
+
+  const handleReject = async (requestId) => {
+    const reason = window.prompt('Reason for rejecting this mint request:');
+    if (reason === null) return;
+
+    setBusyRequestId(requestId);
+    try {
+      await rejectMintRequest(requestId, reason);
+      loadRequests();
+    } catch (error) {
+      console.error('Error rejecting mint request:', error);
+      alert('Rejection failed: ' + (error.reason || error.message || 'Unknown error'));
+    } finally {
+      setBusyRequestId(null);
+    }
+  };
+
+  const handleRoleChange = async (grant) => {
+    try {
+      if (grant) {
+        await grantRegistrar(registrarAddress);
+      } else {
+        await revokeRegistrar(registrarAddress);
+      }
+      alert(`Registrar ${grant ? 'granted' : 'revoked'} for ${registrarAddress}.`);
+      setRegistrarAddress('');
+    } catch (error) {
+      console.error('Error updating registrar role:', error);
+      alert('Role update failed: ' + (error.reason || error.message || 'Unknown error'));
+    }
+  };
+
+  return (
+    <div style={{ 
+      position: 'fixed', 
+      top: '50px', 
+      left: '10px', 
+      background: 'white', 
+      border: '2px solid #333', 
+      padding: '20px', 
+      zIndex: 9999,
+      borderRadius: '8px',
+      width: '400px',
+      maxHeight: '500px',
+      overflow: 'auto'
+    }}>
+      <h3>Registrar Dashboard</h3>
+
+      {/* Controls */}
+      <div style={{ marginBottom: '15px' }}>
+        <button onClick={loadRequests} style={buttonStyle('#007bff')}>
+          Refresh
+        </button>
+        <button onClick={onClose} style={buttonStyle('#6c757d')}>
+          Close
+        </button>
+      </div>
+
+      {error && <p style={{ color: 'red' }}>{error}</p>}
+
+      {/* Pending mint requests */}
+      {requests.length > 0 ? (
+        <div>
+          <h4>Pending Mint Requests ({requests.length}):</h4>
+          {requests.map(request => (
+            <div 
+              key={request.id} 
+              style={{ 
+                margin: '5px 0', 
+                padding: '10px',
+                backgroundColor: '#e9ecef',
+                borderRadius: '4px'
+              }}
+            >
+              <strong>Request #{request.id}</strong>
+              <br />
+              <strong>Requester:</strong> {request.requester.substring(0, 10)}...{request.requester.substring(request.requester.length - 8)}
+              <br />
+              <strong>Survey No.:</strong> {request.surveyNumber}{request.subDivision && ` / ${request.subDivision}`}
+              <br />
+              <strong>Pincode:</strong> {request.pincode}
+              <br />
+              <small>
+                Coordinates: {request.coordinatesHash === ethers.ZeroHash ? 'Not recorded' : `${request.coordinatesHash.substring(0, 10)}...`}
+              </small>
+              <div style={{ marginTop: '8px' }}>
+                <button 
+                  onClick={() => handleApprove(request.id)}
+                  disabled={busyRequestId === request.id}
+                  style={buttonStyle('#28a745')}
+                >
+                  Approve & Mint
+                </button>
+                <button 
+                  onClick={() => handleReject(request.id)}
+                  disabled={busyRequestId === request.id}
+                  style={buttonStyle('#dc3545')}
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p>No pending mint requests.</p>
+      )}
+
+      {/* Registrar management (admin only) */}
+      {isAdmin && (
+        <div style={{ marginTop: '15px', padding: '10px', backgroundColor: '#f8f9fa', borderRadius: '4px' }}>
+          <h4>Manage Registrars:</h4>
+          <input
+            type="text"
+            value={registrarAddress}
+            onChange={(e) => setRegistrarAddress(e.target.value)}
+            placeholder="Wallet address (0x...)"
+            style={{ width: '100%', padding: '5px', marginBottom: '8px', boxSizing: 'border-box' }}
+          />
+          <button onClick={() => handleRoleChange(true)} disabled={!registrarAddress} style={buttonStyle('#28a745')}>
+            Grant
+          </button>
+          <button onClick={() => handleRoleChange(false)} disabled={!registrarAddress} style={buttonStyle('#dc3545')}>
+            Revoke
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegistrarDashboard;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useTheme } from '../contexts/ThemeContext';
 import { useUser } from '../contexts/UserContext';
 import KYCVerification from './KYCVerification';
+import { updateProfile } from '../services/userProfileStore';
 
 const Settings = ({ onClose, account }) => {
   const { darkMode, toggleTheme, theme } = useTheme();
@@ -34,17 +35,13 @@ const Settings = ({ onClose, account }) => {
       localStorage.setItem('blockNexusKYC_' + account, JSON.stringify(fullKYCData));
       console.log('KYC data saved to localStorage with key: blockNexusKYC_' + account);
       
-      // Update user with KYC data
-      const updatedUser = {
-        ...user,
+      // Update the wallet's profile with KYC data
+      updateProfile(account, {
         kycVerified: true,
         kycStatus: 'approved',
         kycCompletedAt: new Date().toISOString(),
         lastUpdated: new Date().toISOString()
-      };
-      
-      // Save updated user to localStorage
-      localStorage.setItem('blockNexusUser', JSON.stringify(updatedUser));
+      });
       console.log('User data updated with KYC verification');
       
       // Also update KYC status in the context
@@ -1,30 +1,9 @@
 import React, { useState } from 'react';
 import './TransactionProgress.css';
 
-const TransactionProgress = ({ transaction, userRole }) => {
-  const [copied, setCopied] = useState(false);
-  
-  if (!transaction) return null;
-
-  const copyTransactionId = () => {
-    navigator.clipboard.writeText(transaction.id);
-    setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
-  };
-
-  const steps = [
-    {
-      key: 'purchaseRequested',
-      title: 'Purchase Request Sent',
-      description: 'Buyer initiated purchase request',
-      icon: '🏠'
-    },
-    {
-      key: 'lenderApproved',
-      title: 'Approved by Lender',
-      description: 'Lender approved loan for purchase',
-      icon: '💰'
-    },
+// Steps for each closing condition a listing can require (see Escrow.setClosingConditions)
+const CONDITION_STEPS = {
+  inspection: [
     {
       key: 'underInspection',
       title: 'Under Inspection',
@@ -36,20 +15,67 @@ const TransactionProgress = ({ transaction, userRole }) => {
       title: 'Approved by Inspector',
       description: 'All documents verified and approved',
       icon: '✅'
-    },
+    }
+  ],
+  title: [
     {
-      key: 'sellerApproved',
-      title: 'Seller Approval',
-      description: 'Seller signed the transfer documents',
-      icon: '📝'
-    },
+      key: 'titleCleared',
+      title: 'Title Cleared',
+      description: 'Title agent verified the legal title and encumbrances',
+      icon: '⚖️'
+    }
+  ],
+  appraisal: [
     {
-      key: 'transactionCompleted',
-      title: 'Transaction Complete',
-      description: 'Property ownership transferred successfully',
-      icon: '🎉'
+      key: 'appraisalApproved',
+      title: 'Appraisal Complete',
+      description: 'Appraised value covers the loan amount',
+      icon: '📐'
     }
-  ];
+  ]
+};
+
+// Purchase and financing, then the listing's closing conditions, then the seller and settlement
+const buildSteps = (conditions = ['inspection']) => [
+  {
+    key: 'purchaseRequested',
+    title: 'Purchase Request Sent',
+    description: 'Buyer initiated purchase request',
+    icon: '🏠'
+  },
+  {
+    key: 'lenderApproved',
+    title: 'Approved by Lender',
+    description: 'Lender approved loan for purchase',
+    icon: '💰'
+  },
+  ...conditions.flatMap(condition => CONDITION_STEPS[condition]),
+  {
+    key: 'sellerApproved',
+    title: 'Seller Approval',
+    description: 'Seller signed the transfer documents',
+    icon: '📝'
+  },
+  {
+    key: 'transactionCompleted',
+    title: 'Transaction Complete',
+    description: 'Property ownership transferred successfully',
+    icon: '🎉'
+  }
+];
+
+const TransactionProgress = ({ transaction, userRole }) => {
+  const [copied, setCopied] = useState(false);
+  
+  if (!transaction) return null;
+
+  const copyTransactionId = () => {
+    navigator.clipboard.writeText(transaction.id);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const steps = buildSteps(transaction.conditions);
 
   const getStepStatus = (stepKey) => {
     const stepData = transaction.progress?.[stepKey];
@@ -69,6 +95,59 @@ const TransactionProgress = ({ transaction, userRole }) => {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   };
 
+  const formatEventName = (event) => {
+    switch (event) {
+      case 'PropertyMinted':
+        return 'Property minted';
+      case 'Listed':
+        return 'Listed for sale';
+      case 'EarnestDeposited':
+        return 'Earnest deposited';
+      case 'LoanFunded':
+        return 'Loan funded';
+      case 'InspectionUpdated':
+        return 'Inspection updated';
+      case 'SaleApproved':
+        return 'Sale approved';
+      case 'SaleFinalized':
+        return 'Sale finalized';
+      case 'SaleCancelled':
+        return 'Sale cancelled';
+      case 'OfferMade':
+        return 'Offer made';
+      case 'OfferAccepted':
+        return 'Offer accepted';
+      case 'OfferRejected':
+        return 'Offer rejected';
+      case 'OfferWithdrawn':
+        return 'Offer withdrawn';
+      case 'AuctionStarted':
+        return 'Auction started';
+      case 'AuctionSettled':
+        return 'Auction won';
+      case 'AuctionReleased':
+        return 'Auction ended without a sale';
+      case 'LoanTermsSet':
+        return 'Mortgage terms set';
+      case 'ClosingConditionsSet':
+        return 'Closing conditions set';
+      case 'TitleUpdated':
+        return 'Title check updated';
+      case 'AppraisalSubmitted':
+        return 'Appraisal submitted';
+      case 'DisputeOpened':
+        return 'Dispute opened';
+      case 'EvidenceSubmitted':
+        return 'Dispute evidence attached';
+      case 'DisputeResolved':
+        return 'Dispute resolved by the arbiter';
+      case 'DisputeDismissed':
+        return 'Dispute dismissed';
+      default:
+        return event;
+    }
+  };
+
   const getRoleSpecificMessage = () => {
     const currentStatus = transaction.status;
     
@@ -113,6 +192,19 @@ const TransactionProgress = ({ transaction, userRole }) => {
             return 'Monitoring transaction...';
         }
       
+      case 'title_agent':
+        return transaction.progress?.titleCleared
+          ? 'Title cleared. The sale can close once the other conditions are met.'
+          : 'Please verify the legal title and any encumbrances on the property.';
+
+      case 'appraiser':
+        return transaction.progress?.appraisalApproved
+          ? 'Appraisal submitted. The appraised value covers the loan amount.'
+          : 'Please appraise the property. The value must cover the loan amount.';
+
+      case 'arbiter':
+        return 'Review open disputes and their evidence in the Disputes tab.';
+
       case 'seller':
         switch (currentStatus) {
           case 'inspector_approved':
@@ -148,7 +240,7 @@ const TransactionProgress = ({ transaction, userRole }) => {
       <div className="progress-header">
         <h3>Transaction Progress</h3>
         <div className="role-status">
-          <span className="user-role">{userRole?.toUpperCase()}</span>
+          <span className="user-role">{userRole?.replace('_', ' ').toUpperCase()}</span>
           <div className="transaction-id-container">
             <span className="transaction-id">ID: {transaction.id?.slice(0, 8)}...</span>
             <button 
@@ -200,6 +292,32 @@ const TransactionProgress = ({ transaction, userRole }) => {
         })}
       </div>
 
+      {transaction.timeline?.length > 0 && (
+        <div className="progress-timeline">
+          <h4>On-chain Activity</h4>
+          <ul>
+            {transaction.timeline.map(entry => (
+              <li key={`${entry.transactionHash}-${entry.logIndex}`} className="timeline-entry">
+                <span className="timeline-event">{formatEventName(entry.event)}</span>
+                {entry.event === 'InspectionUpdated' && (
+                  <span className="timeline-detail">{entry.args.passed ? 'passed' : 'failed'}</span>
+                )}
+                {entry.event === 'TitleUpdated' && (
+                  <span className="timeline-detail">{entry.args.cleared ? 'cleared' : 'failed'}</span>
+                )}
+                {entry.event === 'AppraisalSubmitted' && (
+                  <span className="timeline-detail">
+                    {entry.args.value >= entry.args.loanAmount ? 'covers the loan' : 'below the loan amount'}
+                  </span>
+                )}
+                <small className="step-timestamp">{formatTimestamp(entry.timestamp)}</small>
+                <code className="timeline-hash">{entry.transactionHash.slice(0, 10)}...</code>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="progress-actions">
         <div className="action-buttons">
           <button className="btn btn--secondary">
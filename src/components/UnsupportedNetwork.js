@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import { getNetworkConfig, getSupportedNetworks, switchNetwork } from '../utils/networkConfig';
+import './UnsupportedNetwork.css';
+
+// Shown instead of the app when the wallet is on a chain without deployed contracts
+const UnsupportedNetwork = ({ chainId }) => {
+  const [error, setError] = useState('');
+  const [switching, setSwitching] = useState(false);
+
+  const currentNetwork = getNetworkConfig(chainId);
+  const supportedNetworks = getSupportedNetworks();
+
+  const switchHandler = async (targetChainId) => {
+    setSwitching(true);
+    setError('');
+    try {
+      // The app reloads on chainChanged once the wallet switches
+      await switchNetwork(targetChainId);
+    } catch (error) {
+      console.error('Failed to switch network:', error);
+      setError(error.message || 'Failed to switch network');
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <div className="unsupported-network">
+      <div className="unsupported-network__card">
+        <h2>Unsupported Network</h2>
+        <p>
+          BlockNexus contracts are not deployed on{' '}
+          <strong>{currentNetwork ? currentNetwork.name : `chain ${chainId}`}</strong>.
+          Switch your wallet to a supported network to continue.
+        </p>
+
+        <div className="unsupported-network__actions">
+          {supportedNetworks.map(network => (
+            <button
+              key={network.chainId}
+              type="button"
+              className="unsupported-network__switch"
+              onClick={() => switchHandler(network.chainId)}
+              disabled={switching}
+            >
+              {switching ? 'Switching...' : `Switch to ${network.name}`}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="unsupported-network__error">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default UnsupportedNetwork;
@@ -3,7 +3,8 @@ import { useUser } from '../contexts/UserContext';
 import VerificationStatus from './VerificationStatus';
 
 const UserProfile = ({ onClose }) => {
-  const { user, updateUserProfile, logoutUser } = useUser();
+  const { user, session, updateUserProfile, renewSession, logoutUser } = useUser();
+  const [renewError, setRenewError] = useState('');
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     firstName: user?.firstName || '',
@@ -334,6 +335,18 @@ const UserProfile = ({ onClose }) => {
 
           {/* Profile Footer */}
           <div className="profile__footer">
+            {session && (
+              <span className="profile__session">
+                Signed in until {new Date(session.expiresAt).toLocaleString()}
+                {renewError && ` (${renewError})`}
+              </span>
+            )}
+            <button
+              onClick={() => renewSession().then(() => setRenewError('')).catch(error => setRenewError(error.message))}
+              className="btn btn--secondary"
+            >
+              Renew Session
+            </button>
             <button onClick={logoutUser} className="btn btn--danger">
               Logout
             </button>
@@ -1,6 +1,18 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import localDocumentStorage from '../utils/localDocumentStorage';
+import { createSession, getSession, clearSession } from '../services/siweService';
+import {
+  toProfileKey,
+  getProfile,
+  hasProfile,
+  saveProfile,
+  updateProfile,
+  listProfiles,
+  getProfileDisplayName,
+  getActiveAccount,
+  setActiveAccount
+} from '../services/userProfileStore';
 
 const UserContext = createContext();
 
@@ -19,19 +31,73 @@ export const UserProvider = ({ children }) => {
   const [account, setAccount] = useState(null);
   const [provider, setProvider] = useState(null);
   const [kycStatus, setKycStatus] = useState(null); // 'not_submitted', 'pending', 'approved', 'rejected'
+  // Signed Sign-In With Ethereum session; isAuthenticated only holds while it is valid
+  const [session, setSession] = useState(null);
+  const [sessionExpired, setSessionExpired] = useState(false);
 
-  // Load user data from localStorage on component mount
-  useEffect(() => {
-    const savedUser = localStorage.getItem('blockNexusUser');
-    const savedAccount = localStorage.getItem('blockNexusAccount');
-    
-    if (savedUser && savedAccount) {
-      setUser(JSON.parse(savedUser));
-      setAccount(savedAccount);
-      setIsAuthenticated(true);
-    }
+  // Show a wallet's profile if it has one and a valid signed session on the chain; otherwise the
+  // wallet is connected but has to sign in (or register) first
+  const loadAccount = useCallback((walletAddress, chainId) => {
+    const profile = getProfile(walletAddress);
+    const accountSession = profile && getSession(walletAddress, chainId);
+
+    setAccount(toProfileKey(walletAddress));
+    setUser(accountSession ? profile : null);
+    setSession(accountSession || null);
+    setIsAuthenticated(Boolean(accountSession));
+    setSessionExpired(false);
+    if (accountSession) setActiveAccount(walletAddress);
+
+    return Boolean(accountSession);
   }, []);
 
+  // Restore the last active wallet's profile, only with a valid signed session for it
+  useEffect(() => {
+    if (!provider) return;
+
+    const savedAccount = getActiveAccount();
+    if (!savedAccount) return;
+
+    provider.getNetwork()
+      .then(({ chainId }) => loadAccount(savedAccount, chainId))
+      .catch(error => console.error('Error restoring session:', error));
+  }, [provider, loadAccount]);
+
+  // Switching accounts in the wallet loads the matching profile instead of keeping the previous one
+  useEffect(() => {
+    if (!provider || !window.ethereum?.on) return;
+
+    const handleAccountsChanged = async (accounts) => {
+      if (!accounts.length) {
+        setUser(null);
+        setAccount(null);
+        setSession(null);
+        setIsAuthenticated(false);
+        return;
+      }
+      const { chainId } = await provider.getNetwork();
+      loadAccount(accounts[0], chainId);
+    };
+
+    window.ethereum.on('accountsChanged', handleAccountsChanged);
+    return () => window.ethereum.removeListener?.('accountsChanged', handleAccountsChanged);
+  }, [provider, loadAccount]);
+
+  // End the session when it expires; renewSession signs a new one
+  useEffect(() => {
+    if (!session) return;
+
+    const remaining = Date.parse(session.expiresAt) - Date.now();
+    const timeoutId = setTimeout(() => {
+      clearSession(session.address);
+      setSession(null);
+      setIsAuthenticated(false);
+      setSessionExpired(true);
+    }, Math.max(remaining, 0));
+
+    return () => clearTimeout(timeoutId);
+  }, [session]);
+
   // Check KYC status when user changes
   useEffect(() => {
     if (user && user.walletAddress) {
@@ -47,33 +113,34 @@ export const UserProvider = ({ children }) => {
     }
   }, []);
 
-  // Sign message to authenticate user
+  // Sign a Sign-In With Ethereum (EIP-4361) message to authenticate the wallet.
+  // The session is only returned once its signature, domain, chain and nonce are verified.
   const signAuthenticationMessage = async (walletAddress) => {
     if (!provider) {
       throw new Error('No provider available');
     }
 
-    const message = `Welcome to BlockNexus!\n\nSign this message to authenticate with your wallet.\n\nWallet: ${walletAddress}\nTimestamp: ${new Date().toISOString()}`;
-    
     try {
       console.log('📝 Getting signer...');
       const signer = await provider.getSigner();
-      console.log('📝 Requesting signature for message...');
-      const signature = await signer.signMessage(message);
-      console.log('✅ Message signed successfully');
-      return { message, signature };
+      if ((await signer.getAddress()).toLowerCase() !== walletAddress.toLowerCase()) {
+        throw new Error('The connected wallet does not match. Please switch to ' + walletAddress);
+      }
+
+      const { chainId } = await provider.getNetwork();
+      console.log('📝 Requesting signature for sign-in message...');
+      const newSession = await createSession(signer, chainId);
+      console.log('✅ Sign-in message signed and verified');
+
+      setSession(newSession);
+      setSessionExpired(false);
+      return newSession;
     } catch (error) {
       console.error('❌ Signature failed:', error);
-      if (error.code === 4001) {
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
         throw new Error('User denied message signature');
-      } else {
-        // For other errors, provide a fallback
-        console.warn('⚠️ Using fallback signature due to error');
-        return { 
-          message, 
-          signature: 'FALLBACK_' + Date.now() + '_' + walletAddress.slice(-6)
-        };
       }
+      throw error;
     }
   };
 
@@ -85,7 +152,7 @@ export const UserProvider = ({ children }) => {
       
       // Sign authentication message
       console.log('📝 Requesting message signature...');
-      const { signature } = await Promise.race([
+      await Promise.race([
         signAuthenticationMessage(walletAddress),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('Signature timeout')), 30000)
@@ -95,20 +162,17 @@ export const UserProvider = ({ children }) => {
       
       const userData = {
         ...userInfo,
-        walletAddress,
-        signature,
+        walletAddress: toProfileKey(walletAddress),
         registrationDate: new Date().toISOString(),
         lastLogin: new Date().toISOString(),
         kycStatus: 'not_submitted'
       };
 
-      console.log('💾 Saving to localStorage...');
-      // Save to localStorage
-      localStorage.setItem('blockNexusUser', JSON.stringify(userData));
-      localStorage.setItem('blockNexusAccount', walletAddress);
+      console.log('💾 Saving profile...');
+      // Profiles are kept per wallet, so registering one account leaves the others' profiles alone
+      saveProfile(userData);
+      setActiveAccount(walletAddress);
       
-      console.log('� Saving to localStorage...');
-      // Save to localStorage
       try {
         await saveUserData(userData);
         console.log('✅ localStorage save successful');
@@ -119,7 +183,7 @@ export const UserProvider = ({ children }) => {
 
       console.log('✅ Registration completed successfully');
       setUser(userData);
-      setAccount(walletAddress);
+      setAccount(userData.walletAddress);
       setIsAuthenticated(true);
       setKycStatus('not_submitted');
       
@@ -131,32 +195,34 @@ export const UserProvider = ({ children }) => {
     }
   };
 
-  // Login existing user
-  const loginUser = async (walletAddress) => {
+  // Login existing user; `renew` signs a new session even if the current one is still valid
+  const loginUser = async (walletAddress, { renew = false } = {}) => {
     setIsLoading(true);
     try {
-      // Check if user exists in localStorage
-      const savedUser = localStorage.getItem('blockNexusUser');
-      
-      if (!savedUser) {
-        throw new Error('User not found. Please register first.');
+      if (!provider) {
+        throw new Error('No provider available');
       }
 
-      const userData = JSON.parse(savedUser);
-      
-      if (userData.walletAddress.toLowerCase() !== walletAddress.toLowerCase()) {
-        throw new Error('Wallet address mismatch. Please use the registered wallet.');
+      // Each wallet signs in to its own profile
+      if (!hasProfile(walletAddress)) {
+        throw new Error('User not found. Please register first.');
       }
 
-      // Sign authentication message
-      await signAuthenticationMessage(walletAddress);
+      // Reuse a valid session for this wallet, otherwise sign in again; without one the user stays logged out
+      const { chainId } = await provider.getNetwork();
+      const existingSession = !renew && getSession(walletAddress, chainId);
+      if (existingSession) {
+        setSession(existingSession);
+      } else {
+        await signAuthenticationMessage(walletAddress);
+      }
       
       // Update last login
-      userData.lastLogin = new Date().toISOString();
-      localStorage.setItem('blockNexusUser', JSON.stringify(userData));
+      const userData = updateProfile(walletAddress, { lastLogin: new Date().toISOString() });
+      setActiveAccount(walletAddress);
 
       setUser(userData);
-      setAccount(walletAddress);
+      setAccount(userData.walletAddress);
       setIsAuthenticated(true);
       
       return userData;
@@ -167,25 +233,52 @@ export const UserProvider = ({ children }) => {
     }
   };
 
+  // Renew the session before (or after) it expires by signing a new sign-in message
+  const renewSession = async () => {
+    const walletAddress = account || getActiveAccount();
+    if (!walletAddress) {
+      throw new Error('No wallet to renew the session for');
+    }
+    return loginUser(walletAddress, { renew: true });
+  };
+
+  // Switch to another known account: the wallet has to select it, then it signs in to its profile
+  const switchAccount = async (walletAddress) => {
+    if (!window.ethereum) {
+      throw new Error('No wallet available');
+    }
+
+    const [current] = await window.ethereum.request({ method: 'eth_accounts' });
+    if (toProfileKey(current) !== toProfileKey(walletAddress)) {
+      // Opens the wallet's account picker; wallets don't let a site select an account itself
+      await window.ethereum.request({ method: 'wallet_requestPermissions', params: [{ eth_accounts: {} }] });
+      const [selected] = await window.ethereum.request({ method: 'eth_accounts' });
+      if (toProfileKey(selected) !== toProfileKey(walletAddress)) {
+        throw new Error(`Select ${walletAddress} in your wallet to switch to it`);
+      }
+    }
+
+    return loginUser(walletAddress);
+  };
+
   // Logout user
   const logoutUser = () => {
+    // Keep the profile, but the wallet's signed session has to be signed again
+    if (account) clearSession(account);
     setUser(null);
     setAccount(null);
     setIsAuthenticated(false);
-    // Don't remove from localStorage, just clear session
+    setSession(null);
   };
 
   // Update user profile
   const updateUserProfile = (updatedInfo) => {
     if (!user) return;
 
-    const updatedUser = {
-      ...user,
+    const updatedUser = updateProfile(user.walletAddress, {
       ...updatedInfo,
       lastUpdated: new Date().toISOString()
-    };
-
-    localStorage.setItem('blockNexusUser', JSON.stringify(updatedUser));
+    });
     setUser(updatedUser);
   };
 
@@ -231,12 +324,10 @@ export const UserProvider = ({ children }) => {
     
     // Update user object with KYC status
     if (user) {
-      const updatedUser = {
-        ...user,
+      const updatedUser = updateProfile(user.walletAddress, {
         kycStatus: status,
         lastUpdated: new Date().toISOString()
-      };
-      localStorage.setItem('blockNexusUser', JSON.stringify(updatedUser));
+      });
       setUser(updatedUser);
     }
   };
@@ -257,12 +348,12 @@ export const UserProvider = ({ children }) => {
       // Save to localStorage using the existing storage utility
       localDocumentStorage.updateKYCStatus(userData.walletAddress, 'pending');
       
-      // Also save to the main user storage
-      localStorage.setItem('blockNexusUser', JSON.stringify({
+      // Also save to the wallet's profile
+      saveProfile({
         ...userData,
         createdAt: new Date().toISOString(),
         kycStatus: 'not_submitted'
-      }));
+      });
       
       console.log('✅ User data save successful');
     } catch (error) {
@@ -271,14 +362,14 @@ export const UserProvider = ({ children }) => {
     }
   };
 
-  // Check if user exists
-  const checkUserExists = (walletAddress) => {
-    const savedUser = localStorage.getItem('blockNexusUser');
-    if (!savedUser) return false;
-    
-    const userData = JSON.parse(savedUser);
-    return userData.walletAddress.toLowerCase() === walletAddress.toLowerCase();
-  };
+  // Check if the wallet has a registered profile
+  const checkUserExists = (walletAddress) => hasProfile(walletAddress);
+
+  // Wallets with a profile in this browser, most recently signed in first
+  const getKnownAccounts = () => listProfiles().map(profile => ({
+    address: profile.walletAddress,
+    name: getProfileDisplayName(profile.walletAddress)
+  }));
 
   const value = {
     user: user ? { ...user, kycVerified: kycStatus === 'approved' } : null, // Add kycVerified computed property
@@ -286,11 +377,16 @@ export const UserProvider = ({ children }) => {
     isLoading,
     account,
     kycStatus,
+    session,
+    sessionExpired,
     registerUser,
     loginUser,
+    renewSession,
+    switchAccount,
     logoutUser,
     updateUserProfile,
     checkUserExists,
+    getKnownAccounts,
     signAuthenticationMessage,
     checkKYCStatus,
     updateKYCStatus,
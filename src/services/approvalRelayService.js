@@ -0,0 +1,104 @@
+// Approval Relay Service
+// "Sign only" sale sign-offs: EIP-712 typed data for the ApprovalRelay contract, signed in the wallet
+// and posted to the chain's relayer (scripts/approval-relayer.js), which submits it and pays the gas
+
+import { getRelayerUrl } from '../utils/networkConfig';
+
+// Signatures are submitted right away, so they only need to stay valid briefly
+const SIGNATURE_TTL = 60 * 60;
+
+// Typed data the ApprovalRelay contract verifies, keyed by request type
+const TYPES = {
+  inspection: {
+    Inspection: [
+      { name: 'nftID', type: 'uint256' },
+      { name: 'listing', type: 'uint256' },
+      { name: 'passed', type: 'bool' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  approval: {
+    SaleApproval: [
+      { name: 'nftID', type: 'uint256' },
+      { name: 'listing', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+};
+
+class ApprovalRelayService {
+  getProvider(relay) {
+    return relay.runner?.provider || relay.runner;
+  }
+
+  // EIP-712 domain as the relay contract reports it (EIP-5267)
+  async getDomain(relay) {
+    const { name, version, chainId, verifyingContract } = await relay.eip712Domain();
+    return { name, version, chainId, verifyingContract };
+  }
+
+  // Signs a request for the listing's current sale; the deadline follows chain time, not the browser clock
+  async sign(relay, escrow, signer, type, nftID, fields = {}) {
+    const provider = this.getProvider(relay);
+    const signerAddress = await signer.getAddress();
+    const [domain, listing, nonce, block] = await Promise.all([
+      this.getDomain(relay),
+      escrow.listingCount(nftID),
+      relay.nonces(signerAddress),
+      provider.getBlock('latest')
+    ]);
+    const deadline = block.timestamp + SIGNATURE_TTL;
+
+    const signature = await signer.signTypedData(domain, TYPES[type], {
+      nftID,
+      listing,
+      nonce,
+      deadline,
+      ...fields
+    });
+
+    return { type, nftID: nftID.toString(), signer: signerAddress, deadline, signature, ...fields };
+  }
+
+  // Posts a signed request to the chain's relayer and returns its transaction hashes
+  async submit(relay, request) {
+    const { chainId } = await this.getProvider(relay).getNetwork();
+    const relayerUrl = getRelayerUrl(chainId);
+    if (!relayerUrl) {
+      throw new Error(`No relayer is configured for chain ${chainId}`);
+    }
+
+    const response = await fetch(`${relayerUrl}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.error || `Relayer responded with ${response.status}`);
+    }
+    return result;
+  }
+
+  async relayInspection(relay, escrow, signer, nftID, passed) {
+    const request = await this.sign(relay, escrow, signer, 'inspection', nftID, { passed });
+    return this.submit(relay, request);
+  }
+
+  // With `finalize`, the relayer also closes the sale if this approval completes the sign-offs;
+  // if closing fails the approval still stands and the result carries `finalizeError`
+  async relayApproval(relay, escrow, signer, nftID, finalize = false) {
+    const request = await this.sign(relay, escrow, signer, 'approval', nftID);
+    return this.submit(relay, { ...request, finalize });
+  }
+}
+
+// Create singleton instance
+const approvalRelayService = new ApprovalRelayService();
+
+export const relayInspection = (relay, escrow, signer, nftID, passed) => approvalRelayService.relayInspection(relay, escrow, signer, nftID, passed);
+export const relayApproval = (relay, escrow, signer, nftID, finalize) => approvalRelayService.relayApproval(relay, escrow, signer, nftID, finalize);
+
+export default approvalRelayService;
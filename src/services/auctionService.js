@@ -0,0 +1,231 @@
+// Auction Service
+// English and sealed-bid auctions run by PropertyAuction on listings open to offers: reads, live
+// bid history, and the create / bid / commit / reveal / settle / withdraw transactions
+
+import { ethers } from 'ethers';
+import ERC20 from '../abis/ERC20.json';
+
+const HOUR = 60 * 60;
+const SEALED_BIDS_KEY = 'blockNexus_Sealed_Bids';
+
+// PropertyAuction.Kind, in declaration order
+export const AUCTION_KIND = ['english', 'sealed'];
+
+// PropertyAuction events, all indexed by nftID
+export const AUCTION_EVENTS = ['AuctionCreated', 'BidPlaced', 'BidCommitted', 'BidRevealed', 'AuctionEnded', 'DepositWithdrawn'];
+
+class AuctionService {
+  // Latest auction on the property with its current phase, or null if it was never auctioned
+  async getAuction(auction, nftID) {
+    const id = await auction.latestAuction(nftID);
+    if (id === 0n) return null;
+
+    // Phases follow chain time, which the contract checks against
+    const provider = auction.runner?.provider || auction.runner;
+    const [data, block] = await Promise.all([auction.auctions(id), provider.getBlock('latest')]);
+    const kind = AUCTION_KIND[Number(data.kind)];
+    const now = block.timestamp;
+    const endsAt = Number(data.endsAt);
+    const revealEndsAt = Number(data.revealEndsAt);
+
+    let phase = 'bidding';
+    if (data.settled) phase = 'settled';
+    else if (now >= (kind === 'english' ? endsAt : revealEndsAt)) phase = 'ended';
+    else if (now >= endsAt) phase = 'reveal';
+
+    return {
+      id: id.toString(),
+      nftID: data.nftID.toString(),
+      kind,
+      seller: data.seller,
+      paymentToken: data.paymentToken,
+      deposit: data.deposit,
+      reservePrice: data.reservePrice,
+      minIncrement: data.minIncrement,
+      endsAt,
+      revealEndsAt,
+      highestBidder: data.highestBidder,
+      highestBid: data.highestBid,
+      settled: data.settled,
+      phase
+    };
+  }
+
+  // Lowest bid an English auction accepts next
+  getMinimumBid(data) {
+    if (data.highestBidder === ethers.ZeroAddress) return data.deposit;
+    const next = data.highestBid + data.minIncrement;
+    return next > data.highestBid ? next : data.highestBid + 1n;
+  }
+
+  // Placed and revealed bids, newest first
+  async getBids(auction, auctionId) {
+    const [placed, revealed] = await Promise.all([
+      auction.queryFilter(auction.filters.BidPlaced(null, auctionId)),
+      auction.queryFilter(auction.filters.BidRevealed(null, auctionId))
+    ]);
+
+    return [...placed, ...revealed]
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index)
+      .map(log => ({
+        bidder: log.args.bidder,
+        amount: log.args.amount,
+        revealed: log.fragment.name === 'BidRevealed',
+        transactionHash: log.transactionHash
+      }));
+  }
+
+  async getDeposit(auction, auctionId, account) {
+    return account ? auction.deposits(auctionId, account) : 0n;
+  }
+
+  // Start an English or sealed-bid auction; durations are in hours, amounts in the listing's currency
+  async createAuction(auction, signer, nftID, form, decimals) {
+    const reservePrice = ethers.parseUnits((form.reservePrice || '0').toString(), decimals);
+    const duration = Math.round(Number(form.durationHours) * HOUR);
+
+    const transaction = form.kind === 'sealed'
+      ? await auction.connect(signer).createSealedBidAuction(nftID, reservePrice, duration, Math.round(Number(form.revealHours) * HOUR))
+      : await auction.connect(signer).createEnglishAuction(nftID, reservePrice, ethers.parseUnits((form.minIncrement || '0').toString(), decimals), duration);
+
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // ETH value to send with a bid or commitment; token deposits are approved for the auction to pull
+  async prepareDeposit(auction, signer, data) {
+    const deposited = await auction.deposits(data.id, await signer.getAddress());
+    if (deposited > 0n) return 0n;
+
+    if (data.paymentToken === ethers.ZeroAddress) return data.deposit;
+
+    const token = new ethers.Contract(data.paymentToken, ERC20, signer);
+    const approveTx = await token.approve(await auction.getAddress(), data.deposit);
+    await approveTx.wait();
+    return 0n;
+  }
+
+  async placeBid(auction, signer, data, amount, decimals) {
+    const value = await this.prepareDeposit(auction, signer, data);
+    const transaction = await auction.connect(signer).bid(data.id, ethers.parseUnits(amount.toString(), decimals), { value });
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // Sealed bids are kept locally until they are revealed; the salt never leaves the browser
+  getStoredBidKey(auctionAddress, auctionId, account) {
+    return `${auctionAddress.toLowerCase()}:${auctionId}:${account.toLowerCase()}`;
+  }
+
+  getSealedBid(auctionAddress, auctionId, account) {
+    try {
+      const bids = JSON.parse(localStorage.getItem(SEALED_BIDS_KEY)) || {};
+      return bids[this.getStoredBidKey(auctionAddress, auctionId, account)] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  storeSealedBid(auctionAddress, auctionId, account, bid) {
+    let bids = {};
+    try {
+      bids = JSON.parse(localStorage.getItem(SEALED_BIDS_KEY)) || {};
+    } catch (error) {
+      bids = {};
+    }
+
+    const key = this.getStoredBidKey(auctionAddress, auctionId, account);
+    if (bid) bids[key] = bid;
+    else delete bids[key];
+    localStorage.setItem(SEALED_BIDS_KEY, JSON.stringify(bids));
+  }
+
+  // Commit a sealed bid: bidHash(auctionId, bidder, amount, salt) with a random salt
+  async commitBid(auction, signer, data, amount, decimals) {
+    const account = await signer.getAddress();
+    const auctionAddress = await auction.getAddress();
+    const value = ethers.parseUnits(amount.toString(), decimals);
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['uint256', 'address', 'uint256', 'bytes32'],
+      [data.id, account, value, salt]
+    ));
+
+    const deposit = await this.prepareDeposit(auction, signer, data);
+
+    // Save the salt before sending, so a reload while the commitment is mining can still reveal it;
+    // restore whatever was saved before if the transaction fails
+    const previousBid = this.getSealedBid(auctionAddress, data.id, account);
+    const bid = { amount: value.toString(), salt };
+    this.storeSealedBid(auctionAddress, data.id, account, { ...bid, pending: true });
+
+    let receipt;
+    try {
+      const transaction = await auction.connect(signer).commitBid(data.id, commitment, { value: deposit });
+      receipt = await transaction.wait();
+    } catch (error) {
+      this.storeSealedBid(auctionAddress, data.id, account, previousBid);
+      throw error;
+    }
+
+    this.storeSealedBid(auctionAddress, data.id, account, bid);
+    return { transactionHash: receipt.hash };
+  }
+
+  async revealBid(auction, signer, data) {
+    const account = await signer.getAddress();
+    const auctionAddress = await auction.getAddress();
+    const bid = this.getSealedBid(auctionAddress, data.id, account);
+    if (!bid) throw new Error('No sealed bid saved in this browser for this auction');
+
+    const transaction = await auction.connect(signer).revealBid(data.id, ethers.toBigInt(bid.amount), bid.salt);
+    const receipt = await transaction.wait();
+
+    this.storeSealedBid(auctionAddress, data.id, account, { ...bid, revealed: true });
+    return { transactionHash: receipt.hash };
+  }
+
+  async settle(auction, signer, auctionId) {
+    const transaction = await auction.connect(signer).settle(auctionId);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async withdrawDeposit(auction, signer, auctionId) {
+    const transaction = await auction.connect(signer).withdrawDeposit(auctionId);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // Call back whenever an auction event for the property is emitted
+  subscribeToProperty(auction, nftID, callback) {
+    const listeners = AUCTION_EVENTS.map(name => {
+      const filter = auction.filters[name](nftID);
+      const listener = () => callback(name);
+      auction.on(filter, listener);
+      return { filter, listener };
+    });
+
+    return () => {
+      listeners.forEach(({ filter, listener }) => auction.off(filter, listener));
+    };
+  }
+}
+
+// Create singleton instance
+const auctionService = new AuctionService();
+
+export const getAuction = (auction, nftID) => auctionService.getAuction(auction, nftID);
+export const getMinimumBid = (data) => auctionService.getMinimumBid(data);
+export const getAuctionBids = (auction, auctionId) => auctionService.getBids(auction, auctionId);
+export const getAuctionDeposit = (auction, auctionId, account) => auctionService.getDeposit(auction, auctionId, account);
+export const getSealedBid = (auctionAddress, auctionId, account) => auctionService.getSealedBid(auctionAddress, auctionId, account);
+export const createAuction = (auction, signer, nftID, form, decimals) => auctionService.createAuction(auction, signer, nftID, form, decimals);
+export const placeBid = (auction, signer, data, amount, decimals) => auctionService.placeBid(auction, signer, data, amount, decimals);
+export const commitBid = (auction, signer, data, amount, decimals) => auctionService.commitBid(auction, signer, data, amount, decimals);
+export const revealBid = (auction, signer, data) => auctionService.revealBid(auction, signer, data);
+export const settleAuction = (auction, signer, auctionId) => auctionService.settle(auction, signer, auctionId);
+export const withdrawAuctionDeposit = (auction, signer, auctionId) => auctionService.withdrawDeposit(auction, signer, auctionId);
+export const subscribeToAuctionEvents = (auction, nftID, callback) => auctionService.subscribeToProperty(auction, nftID, callback);
+
+export default auctionService;
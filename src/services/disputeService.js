@@ -0,0 +1,138 @@
+// Dispute Service
+// Escrow disputes: each dispute's details and timeline, evidence documents stored through
+// localTransactionService, and the open / evidence / resolve / dismiss transactions
+
+import { ethers } from 'ethers';
+import { uploadDocument, getDocumentURL, getDocument } from './localTransactionService';
+
+// Escrow.DisputeStatus, in declaration order
+export const DISPUTE_STATUS = ['none', 'open', 'resolved', 'dismissed'];
+
+// Escrow events that make up a dispute's timeline
+const DISPUTE_EVENTS = ['DisputeOpened', 'EvidenceSubmitted', 'DisputeResolved', 'DisputeDismissed'];
+
+// Evidence is recorded on-chain by the hash of the stored document's data URL
+const hashDocument = (dataUrl) => ethers.keccak256(ethers.toUtf8Bytes(dataUrl));
+
+class DisputeService {
+  getProvider(escrow) {
+    return escrow.runner?.provider || escrow.runner;
+  }
+
+  // Evidence entries carry the stored document when it is available in this browser, and whether
+  // it still matches the hash recorded on-chain
+  toTimelineEntry(log, timestamp) {
+    const entry = {
+      event: log.fragment.name,
+      disputeId: log.args.disputeId.toString(),
+      timestamp,
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.index
+    };
+
+    switch (entry.event) {
+      case 'DisputeOpened':
+        return { ...entry, actor: log.args.openedBy, reason: log.args.reason };
+      case 'EvidenceSubmitted': {
+        const document = getDocument(log.args.documentId);
+        return {
+          ...entry,
+          actor: log.args.party,
+          documentId: log.args.documentId,
+          contentHash: log.args.contentHash,
+          document: document && { filename: document.filename, type: document.type, size: document.size },
+          verified: Boolean(document) && hashDocument(document.data) === log.args.contentHash
+        };
+      }
+      case 'DisputeResolved':
+        return { ...entry, actor: log.args.arbiter, buyerAward: log.args.buyerAward, sellerAward: log.args.sellerAward };
+      default:
+        return { ...entry, actor: log.args.arbiter };
+    }
+  }
+
+  // The arbiter, the dispute freezing the listing (if any) and every dispute on the property,
+  // newest first, each with its own timeline
+  async getDisputes(escrow, nftID) {
+    const provider = this.getProvider(escrow);
+    const [arbiter, activeDispute, ids] = await Promise.all([
+      escrow.arbiter(),
+      escrow.activeDispute(nftID),
+      escrow.getDisputeIds(nftID)
+    ]);
+
+    const logs = (await Promise.all(
+      DISPUTE_EVENTS.map(name => escrow.queryFilter(escrow.filters[name](nftID)))
+    )).flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const blocks = {};
+    await Promise.all([...new Set(logs.map(log => log.blockNumber))].map(async (blockNumber) => {
+      blocks[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+    }));
+    const timeline = logs.map(log => this.toTimelineEntry(log, blocks[log.blockNumber]));
+
+    const disputes = await Promise.all(ids.map(async (id) => {
+      const data = await escrow.disputes(id);
+      return {
+        id: id.toString(),
+        nftID: data.nftID.toString(),
+        listing: Number(data.listing),
+        openedBy: data.openedBy,
+        openedAt: Number(data.openedAt),
+        closedAt: Number(data.closedAt),
+        buyerAward: data.buyerAward,
+        sellerAward: data.sellerAward,
+        status: DISPUTE_STATUS[Number(data.status)],
+        timeline: timeline.filter(entry => entry.disputeId === id.toString())
+      };
+    }));
+
+    return {
+      arbiter: arbiter === ethers.ZeroAddress ? null : arbiter,
+      activeDispute: activeDispute === 0n ? null : activeDispute.toString(),
+      disputes: disputes.reverse()
+    };
+  }
+
+  async openDispute(escrow, signer, nftID, reason) {
+    if (!reason.trim()) throw new Error('Describe what the dispute is about');
+
+    const transaction = await escrow.connect(signer).openDispute(nftID, reason.trim());
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // Store the document like any other upload, then record its id and hash on the dispute
+  async submitEvidence(escrow, signer, dispute, file) {
+    const documentId = await uploadDocument(file, `disputes/${dispute.nftID}/${dispute.id}`);
+    const contentHash = hashDocument(await getDocumentURL(documentId));
+
+    const transaction = await escrow.connect(signer).submitEvidence(dispute.id, documentId, contentHash);
+    const receipt = await transaction.wait();
+    return { documentId, transactionHash: receipt.hash };
+  }
+
+  async resolveDispute(escrow, signer, disputeId, buyerAward) {
+    const transaction = await escrow.connect(signer).resolveDispute(disputeId, buyerAward);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async dismissDispute(escrow, signer, disputeId) {
+    const transaction = await escrow.connect(signer).dismissDispute(disputeId);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+}
+
+// Create singleton instance
+const disputeService = new DisputeService();
+
+export const getDisputes = (escrow, nftID) => disputeService.getDisputes(escrow, nftID);
+export const openDispute = (escrow, signer, nftID, reason) => disputeService.openDispute(escrow, signer, nftID, reason);
+export const submitEvidence = (escrow, signer, dispute, file) => disputeService.submitEvidence(escrow, signer, dispute, file);
+export const resolveDispute = (escrow, signer, disputeId, buyerAward) => disputeService.resolveDispute(escrow, signer, disputeId, buyerAward);
+export const dismissDispute = (escrow, signer, disputeId) => disputeService.dismissDispute(escrow, signer, disputeId);
+
+export default disputeService;
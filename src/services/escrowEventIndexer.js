@@ -0,0 +1,266 @@
+// Escrow Event Indexer
+// Rebuilds each property's transaction timeline from RealEstate and Escrow event logs
+
+import { ethers } from 'ethers';
+import { TRANSACTION_STATUS } from './localTransactionService';
+
+// Escrow events that describe a listing's lifecycle, all indexed by nftID
+export const ESCROW_EVENTS = [
+  'Listed',
+  'EarnestDeposited',
+  'LoanFunded',
+  'InspectionUpdated',
+  'SaleApproved',
+  'SaleFinalized',
+  'SaleCancelled',
+  'OfferMade',
+  'OfferAccepted',
+  'OfferRejected',
+  'OfferWithdrawn',
+  'AuctionStarted',
+  'AuctionSettled',
+  'AuctionReleased',
+  'LoanTermsSet',
+  'ClosingConditionsSet',
+  'TitleUpdated',
+  'AppraisalSubmitted',
+  'DisputeOpened',
+  'EvidenceSubmitted',
+  'DisputeResolved',
+  'DisputeDismissed'
+];
+
+class EscrowEventIndexer {
+  constructor() {
+    // `${escrowAddress}:${nftID}` -> { lastBlock, entries }
+    this.timelines = {};
+    // `${escrowAddress}:${nftID}` -> latest queued update, so overlapping calls don't fetch a range twice
+    this.updates = {};
+    // blockNumber -> timestamp (ms)
+    this.blockTimestamps = {};
+  }
+
+  getProvider(contract) {
+    return contract.runner?.provider || contract.runner;
+  }
+
+  async getBlockTimestamp(provider, blockNumber) {
+    if (this.blockTimestamps[blockNumber] === undefined) {
+      const block = await provider.getBlock(blockNumber);
+      this.blockTimestamps[blockNumber] = block ? block.timestamp * 1000 : null;
+    }
+    return this.blockTimestamps[blockNumber];
+  }
+
+  // Convert an ethers EventLog into a plain timeline entry
+  async toEntry(provider, log) {
+    return {
+      event: log.fragment.name,
+      args: log.args.toObject(),
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      timestamp: await this.getBlockTimestamp(provider, log.blockNumber)
+    };
+  }
+
+  // Query every lifecycle event for a property between two blocks
+  async fetchEntries(escrow, realEstate, nftID, fromBlock, toBlock) {
+    const provider = this.getProvider(escrow);
+    const queries = ESCROW_EVENTS.map(name =>
+      escrow.queryFilter(escrow.filters[name](nftID), fromBlock, toBlock)
+    );
+
+    if (realEstate) {
+      queries.push(realEstate.queryFilter(realEstate.filters.PropertyMinted(nftID), fromBlock, toBlock));
+    }
+
+    const logs = (await Promise.all(queries)).flat();
+    return Promise.all(logs.map(log => this.toEntry(provider, log)));
+  }
+
+  // Get the full, ordered timeline for a property, only querying blocks not seen before.
+  // Updates for the same property run one after another, each starting from the block the last one reached.
+  async getTimeline(escrow, realEstate, nftID) {
+    const key = `${await escrow.getAddress()}:${nftID.toString()}`;
+    const update = (this.updates[key] || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.updateTimeline(escrow, realEstate, nftID, key));
+    this.updates[key] = update;
+    return update;
+  }
+
+  async updateTimeline(escrow, realEstate, nftID, key) {
+    const provider = this.getProvider(escrow);
+    const cached = this.timelines[key] || { lastBlock: -1, entries: [] };
+    const latestBlock = await provider.getBlockNumber();
+
+    if (latestBlock > cached.lastBlock) {
+      const entries = await this.fetchEntries(escrow, realEstate, nftID, cached.lastBlock + 1, latestBlock);
+      cached.entries = [...cached.entries, ...entries].sort(
+        (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+      );
+      cached.lastBlock = latestBlock;
+      this.timelines[key] = cached;
+    }
+
+    return cached.entries;
+  }
+
+  // Reduce a timeline into the current sale's state (events since the latest listing)
+  buildSaleState(timeline) {
+    let listingIndex = -1;
+    timeline.forEach((entry, index) => {
+      if (entry.event === 'Listed') listingIndex = index;
+    });
+
+    if (listingIndex < 0) {
+      return { listed: false, status: null, progress: {}, approvals: {}, inspectionPassed: false, conditions: ['inspection'], parties: null, timeline };
+    }
+
+    const listing = timeline[listingIndex];
+    const saleEvents = timeline.slice(listingIndex);
+    const parties = {
+      seller: listing.args.seller,
+      buyer: listing.args.buyer,
+      inspector: listing.args.inspector,
+      lender: listing.args.lender,
+      titleAgent: null,
+      appraiser: null
+    };
+
+    const step = (entry) => ({
+      completed: true,
+      timestamp: entry.timestamp,
+      transactionHash: entry.transactionHash
+    });
+
+    const progress = {};
+    const approvals = { buyer: false, seller: false, lender: false };
+    let inspectionPassed = false;
+    let cancelled = false;
+    // Closing conditions required by the listing; the structural inspection always is
+    let conditions = ['inspection'];
+
+    saleEvents.forEach(entry => {
+      switch (entry.event) {
+        case 'OfferAccepted':
+        case 'AuctionSettled':
+          // Listings open to offers have no buyer until an offer is accepted or an auction won
+          parties.buyer = entry.args.buyer;
+          break;
+        case 'ClosingConditionsSet':
+          parties.titleAgent = entry.args.titleAgent === ethers.ZeroAddress ? null : entry.args.titleAgent;
+          parties.appraiser = entry.args.appraiser === ethers.ZeroAddress ? null : entry.args.appraiser;
+          conditions = ['inspection'];
+          if (parties.titleAgent) conditions.push('title');
+          if (parties.appraiser) conditions.push('appraisal');
+          break;
+        case 'EarnestDeposited':
+          progress.purchaseRequested = step(entry);
+          break;
+        case 'InspectionUpdated':
+          progress.underInspection = progress.underInspection || step(entry);
+          inspectionPassed = entry.args.passed;
+          if (entry.args.passed) {
+            progress.inspectorApproved = step(entry);
+          } else {
+            delete progress.inspectorApproved;
+          }
+          break;
+        case 'TitleUpdated':
+          if (entry.args.cleared) {
+            progress.titleCleared = step(entry);
+          } else {
+            delete progress.titleCleared;
+          }
+          break;
+        case 'AppraisalSubmitted':
+          // The appraised value has to cover the loan for the sale to close
+          if (entry.args.value >= entry.args.loanAmount) {
+            progress.appraisalApproved = step(entry);
+          } else {
+            delete progress.appraisalApproved;
+          }
+          break;
+        case 'SaleApproved': {
+          const party = entry.args.party.toLowerCase();
+          if (party === parties.buyer.toLowerCase()) approvals.buyer = true;
+          if (party === parties.lender.toLowerCase()) {
+            approvals.lender = true;
+            progress.lenderApproved = step(entry);
+          }
+          if (party === parties.seller.toLowerCase()) {
+            approvals.seller = true;
+            progress.sellerApproved = step(entry);
+          }
+          break;
+        }
+        case 'SaleFinalized':
+          progress.transactionCompleted = step(entry);
+          break;
+        case 'SaleCancelled':
+          cancelled = true;
+          break;
+        default:
+          break;
+      }
+    });
+
+    let status = null;
+    if (cancelled) status = TRANSACTION_STATUS.CANCELLED;
+    else if (progress.transactionCompleted) status = TRANSACTION_STATUS.COMPLETED;
+    else if (progress.sellerApproved) status = TRANSACTION_STATUS.SELLER_APPROVED;
+    else if (progress.inspectorApproved) status = TRANSACTION_STATUS.INSPECTOR_APPROVED;
+    else if (progress.underInspection) status = TRANSACTION_STATUS.UNDER_INSPECTION;
+    else if (progress.lenderApproved) status = TRANSACTION_STATUS.LENDER_APPROVED;
+    else if (progress.purchaseRequested) status = TRANSACTION_STATUS.PURCHASE_REQUESTED;
+
+    return {
+      listed: !cancelled && !progress.transactionCompleted,
+      listingTransactionHash: listing.transactionHash,
+      status,
+      progress,
+      approvals,
+      inspectionPassed,
+      conditions,
+      parties,
+      timeline
+    };
+  }
+
+  async getPropertySaleState(escrow, realEstate, nftID) {
+    const timeline = await this.getTimeline(escrow, realEstate, nftID);
+    return this.buildSaleState(timeline);
+  }
+
+  // Call back whenever a lifecycle event for the property is emitted
+  subscribeToProperty(escrow, nftID, callback) {
+    const listeners = ESCROW_EVENTS.map(name => {
+      const filter = escrow.filters[name](nftID);
+      const listener = () => callback(name);
+      escrow.on(filter, listener);
+      return { filter, listener };
+    });
+
+    return () => {
+      listeners.forEach(({ filter, listener }) => escrow.off(filter, listener));
+    };
+  }
+
+  // Clear the in-memory index (e.g. after switching networks)
+  clear() {
+    this.timelines = {};
+    this.updates = {};
+    this.blockTimestamps = {};
+  }
+}
+
+// Create singleton instance
+const escrowEventIndexer = new EscrowEventIndexer();
+
+export const getPropertyTimeline = (escrow, realEstate, nftID) => escrowEventIndexer.getTimeline(escrow, realEstate, nftID);
+export const getPropertySaleState = (escrow, realEstate, nftID) => escrowEventIndexer.getPropertySaleState(escrow, realEstate, nftID);
+export const subscribeToPropertyEvents = (escrow, nftID, callback) => escrowEventIndexer.subscribeToProperty(escrow, nftID, callback);
+
+export default escrowEventIndexer;
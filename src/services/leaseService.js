@@ -0,0 +1,251 @@
+// Lease Service
+// Rental agreements on PropertyLease for leasehold properties: lease reads with their payment history
+// and rent schedule, and the offer / sign / pay / collect / end transactions
+
+import { ethers } from 'ethers';
+import PropertyLease from '../abis/PropertyLease.json';
+import ERC20 from '../abis/ERC20.json';
+import { isSupportedNetwork, getContractAddress, getPaymentTokens } from '../utils/networkConfig';
+import { ETH_CURRENCY } from './listingService';
+
+const DAY = 24 * 60 * 60;
+
+// PropertyLease.RENT_PERIOD
+export const RENT_PERIOD = 30 * DAY;
+
+// PropertyLease.Status, in declaration order
+export const LEASE_STATUS = ['none', 'offered', 'active', 'ended', 'cancelled'];
+
+class LeaseService {
+  async getContracts() {
+    if (!window.ethereum) {
+      throw new Error('MetaMask is required to manage leases');
+    }
+
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const { chainId } = await provider.getNetwork();
+    const leaseAddress = isSupportedNetwork(chainId) && getContractAddress(chainId, 'propertyLease');
+    if (!leaseAddress) {
+      throw new Error(`Leases are not available on chain ${chainId}`);
+    }
+
+    const signer = await provider.getSigner();
+    return {
+      provider,
+      chainId,
+      signer,
+      account: await signer.getAddress(),
+      lease: new ethers.Contract(leaseAddress, PropertyLease, signer),
+      currencies: [ETH_CURRENCY, ...getPaymentTokens(chainId)]
+    };
+  }
+
+  // Currency a lease is paid in; unknown tokens are shown by address with 18 decimals
+  getCurrency(currencies, address) {
+    return currencies.find(currency => currency.address.toLowerCase() === address.toLowerCase())
+      || { symbol: `${address.slice(0, 6)}...`, address, decimals: 18 };
+  }
+
+  // One entry per rent period, marked paid / due / overdue / upcoming against chain time
+  buildSchedule(data, now) {
+    const startsAt = Number(data.startsAt);
+    const gracePeriod = Number(data.gracePeriod);
+    const periodsPaid = Number(data.periodsPaid);
+
+    return Array.from({ length: Number(data.term) }, (_, period) => {
+      const dueDate = startsAt + period * RENT_PERIOD;
+
+      let status = 'upcoming';
+      if (period < periodsPaid) status = 'paid';
+      else if (now > dueDate + gracePeriod) status = 'overdue';
+      else if (now >= dueDate) status = 'due';
+
+      return { period, dueDate, status };
+    });
+  }
+
+  async readLease(lease, currencies, id, account, now) {
+    const data = await lease.leases(id);
+    const status = LEASE_STATUS[Number(data.status)];
+    const isActive = status === 'active';
+    const [amountDue, lateFee] = isActive ? await lease.amountDue(id) : [data.rent, 0n];
+    const termEndsAt = Number(data.startsAt) + Number(data.term) * RENT_PERIOD;
+    const schedule = isActive ? this.buildSchedule(data, now) : [];
+    const me = account.toLowerCase();
+    // A named tenant only becomes a party once they sign; until then it is an offer to them
+    const isTenant = status !== 'offered' && data.tenant.toLowerCase() === me;
+
+    return {
+      id: id.toString(),
+      nftID: data.nftID.toString(),
+      landlord: data.landlord,
+      tenant: data.tenant,
+      role: data.landlord.toLowerCase() === me ? 'landlord' : isTenant ? 'tenant' : null,
+      currency: this.getCurrency(currencies, data.paymentToken),
+      rent: data.rent,
+      deposit: data.deposit,
+      term: Number(data.term),
+      lateFee: data.lateFee,
+      gracePeriod: Number(data.gracePeriod),
+      startsAt: Number(data.startsAt),
+      periodsPaid: Number(data.periodsPaid),
+      status,
+      amountDue,
+      isLate: lateFee > 0n,
+      termEndsAt,
+      isTermOver: isActive && now >= termEndsAt,
+      schedule,
+      nextDue: schedule.find(entry => entry.status !== 'paid') || null
+    };
+  }
+
+  // Leases the connected account is landlord or tenant of, and open offers it can sign
+  async getLeases() {
+    const { provider, account, lease, currencies } = await this.getContracts();
+    const block = await provider.getBlock('latest');
+
+    const [mine, offered] = await Promise.all([
+      lease.getLeasesOf(account),
+      lease.queryFilter(lease.filters.LeaseOffered())
+    ]);
+
+    const offerIds = offered
+      .filter(log => log.args.tenant === ethers.ZeroAddress || log.args.tenant === account)
+      .filter(log => log.args.landlord !== account)
+      .map(log => log.args.leaseId);
+    const ids = [...new Set([...mine, ...offerIds].map(id => id.toString()))];
+
+    const leases = await Promise.all(ids.map(id => this.readLease(lease, currencies, id, account, block.timestamp)));
+
+    return {
+      account,
+      currencies,
+      leases: leases.filter(item => item.role).sort((a, b) => Number(b.id) - Number(a.id)),
+      offers: leases.filter(item => !item.role && item.status === 'offered')
+    };
+  }
+
+  // Rent payments of a lease, newest first
+  async getPaymentHistory(leaseId) {
+    const { lease } = await this.getContracts();
+    const logs = await lease.queryFilter(lease.filters.RentPaid(null, leaseId));
+    const blocks = await Promise.all(logs.map(log => log.getBlock()));
+
+    return logs
+      .map((log, i) => ({
+        period: Number(log.args.period),
+        payer: log.args.payer,
+        amount: log.args.amount,
+        lateFee: log.args.lateFee,
+        paidAt: blocks[i].timestamp,
+        transactionHash: log.transactionHash
+      }))
+      .reverse();
+  }
+
+  // Field errors for the lease offer form, keyed by field name
+  validateOffer(form) {
+    const errors = {};
+
+    if (!form.tokenId) errors.tokenId = 'Choose a tokenized leasehold property';
+    if (form.tenant && !ethers.isAddress(form.tenant)) errors.tenant = 'Enter a valid address or leave blank';
+    if (!(parseFloat(form.rent) > 0)) errors.rent = 'Monthly rent must be greater than 0';
+    if (!(parseFloat(form.deposit) >= 0)) errors.deposit = 'Enter the security deposit (0 for none)';
+    if (!(Number.isInteger(Number(form.termMonths)) && Number(form.termMonths) > 0)) errors.termMonths = 'Enter the term in whole months';
+    if (form.lateFee !== '' && !(parseFloat(form.lateFee) >= 0)) errors.lateFee = 'Enter the late fee (0 for none)';
+    if (form.graceDays !== '' && !(Number(form.graceDays) >= 0)) errors.graceDays = 'Enter a number of days (0 for none)';
+
+    return errors;
+  }
+
+  async offer(form, currency) {
+    const { lease } = await this.getContracts();
+    const amount = (value) => ethers.parseUnits((value || '0').toString(), currency.decimals);
+
+    const transaction = await lease.offerLease(
+      form.tokenId,
+      form.tenant || ethers.ZeroAddress,
+      currency.address,
+      amount(form.rent),
+      amount(form.deposit),
+      Number(form.termMonths),
+      amount(form.lateFee),
+      Math.round(Number(form.graceDays || 0) * DAY)
+    );
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async cancelOffer(leaseId) {
+    const { lease } = await this.getContracts();
+    const receipt = await (await lease.cancelOffer(leaseId)).wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // ETH value to send with a payment; token payments are approved for the lease contract to pull
+  async preparePayment(signer, lease, data, amount) {
+    if (data.currency.address === ethers.ZeroAddress) return amount;
+
+    const token = new ethers.Contract(data.currency.address, ERC20, signer);
+    const allowance = await token.allowance(await signer.getAddress(), await lease.getAddress());
+    if (allowance < amount) {
+      await (await token.approve(await lease.getAddress(), amount)).wait();
+    }
+    return 0n;
+  }
+
+  // Sign as tenant, paying the deposit
+  async sign(data) {
+    const { signer, lease } = await this.getContracts();
+    const value = await this.preparePayment(signer, lease, data, data.deposit);
+    const receipt = await (await lease.signLease(data.id, { value })).wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // Push the next period's rent, including the late fee if it is overdue
+  async payRent(data) {
+    const { signer, lease } = await this.getContracts();
+    const [amount] = await lease.amountDue(data.id);
+    const value = await this.preparePayment(signer, lease, data, amount);
+    const receipt = await (await lease.payRent(data.id, { value })).wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // Let the landlord pull token rent: allow the rest of the term's rent and late fees
+  async allowCollection(data) {
+    const { signer, lease } = await this.getContracts();
+    const token = new ethers.Contract(data.currency.address, ERC20, signer);
+    const remaining = ethers.toBigInt(data.term - data.periodsPaid);
+    const receipt = await (await token.approve(await lease.getAddress(), remaining * (data.rent + data.lateFee))).wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async collectRent(leaseId) {
+    const { lease } = await this.getContracts();
+    const receipt = await (await lease.collectRent(leaseId)).wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // Settle the deposit once the term is over
+  async endLease(leaseId) {
+    const { lease } = await this.getContracts();
+    const receipt = await (await lease.endLease(leaseId)).wait();
+    return { transactionHash: receipt.hash };
+  }
+}
+
+// Create singleton instance
+const leaseService = new LeaseService();
+
+export const getLeases = () => leaseService.getLeases();
+export const getLeasePayments = (leaseId) => leaseService.getPaymentHistory(leaseId);
+export const validateLeaseOffer = (form) => leaseService.validateOffer(form);
+export const offerLease = (form, currency) => leaseService.offer(form, currency);
+export const cancelLeaseOffer = (leaseId) => leaseService.cancelOffer(leaseId);
+export const signLease = (data) => leaseService.sign(data);
+export const payRent = (data) => leaseService.payRent(data);
+export const allowRentCollection = (data) => leaseService.allowCollection(data);
+export const collectRent = (leaseId) => leaseService.collectRent(leaseId);
+export const endLease = (leaseId) => leaseService.endLease(leaseId);
+
+export default leaseService;
@@ -0,0 +1,159 @@
+// Listing Service
+// Lists an owned RealEstate token on the Escrow: ownership checks, gas estimates, approval and listing
+
+import { ethers } from 'ethers';
+import RealEstate from '../abis/RealEstate.json';
+import Escrow from '../abis/Escrow.json';
+import { isSupportedNetwork, getContractAddress, getPaymentTokens } from '../utils/networkConfig';
+
+const DAY = 24 * 60 * 60;
+
+export const ETH_CURRENCY = { symbol: 'ETH', address: ethers.ZeroAddress, decimals: 18 };
+
+class ListingService {
+  async getContracts() {
+    if (!window.ethereum) {
+      throw new Error('MetaMask is required to list properties');
+    }
+
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const { chainId } = await provider.getNetwork();
+    if (!isSupportedNetwork(chainId)) {
+      throw new Error(`RealEstate is not deployed on chain ${chainId}`);
+    }
+
+    const signer = await provider.getSigner();
+    return {
+      provider,
+      chainId,
+      account: await signer.getAddress(),
+      realEstate: new ethers.Contract(getContractAddress(chainId, 'realEstate'), RealEstate, signer),
+      escrow: new ethers.Contract(getContractAddress(chainId, 'escrow'), Escrow, signer)
+    };
+  }
+
+  // Whether the connected account owns the token, and whether the Escrow may already transfer it
+  async checkOwnership(tokenId) {
+    const { chainId, account, realEstate, escrow } = await this.getContracts();
+    const escrowAddress = await escrow.getAddress();
+    const [owner, approved, approvedForAll] = await Promise.all([
+      realEstate.ownerOf(tokenId),
+      realEstate.getApproved(tokenId),
+      realEstate.isApprovedForAll(account, escrowAddress)
+    ]);
+
+    return {
+      account,
+      owner,
+      isOwner: owner === account,
+      // Listed tokens are held by the Escrow until the sale closes or is cancelled
+      isInEscrow: owner === escrowAddress,
+      isApproved: approved === escrowAddress || approvedForAll,
+      currencies: [ETH_CURRENCY, ...getPaymentTokens(chainId)]
+    };
+  }
+
+  // Field errors for the listing form, keyed by field name
+  validateListing(form) {
+    const errors = {};
+
+    ['inspector', 'lender'].forEach(field => {
+      if (!ethers.isAddress(form[field])) errors[field] = 'Enter a valid address';
+    });
+    // A blank buyer opens the listing to offers
+    if (form.buyer && !ethers.isAddress(form.buyer)) errors.buyer = 'Enter a valid address or leave blank';
+    // Title check and appraisal are optional closing conditions
+    ['titleAgent', 'appraiser'].forEach(field => {
+      if (form[field] && !ethers.isAddress(form[field])) errors[field] = 'Enter a valid address or leave blank';
+    });
+
+    const purchasePrice = parseFloat(form.purchasePrice);
+    const escrowAmount = parseFloat(form.escrowAmount);
+    if (!(purchasePrice > 0)) errors.purchasePrice = 'Purchase price must be greater than 0';
+    if (!(escrowAmount >= 0)) errors.escrowAmount = 'Enter the earnest amount';
+    else if (escrowAmount > purchasePrice) errors.escrowAmount = 'Earnest cannot exceed the purchase price';
+
+    ['inspectionDays', 'financingDays'].forEach(field => {
+      if (form[field] !== '' && !(Number(form[field]) >= 0)) errors[field] = 'Enter a number of days (0 for none)';
+    });
+
+    return errors;
+  }
+
+  // Escrow.list arguments; deadlines are measured in days from now, 0 for none
+  buildListArgs(tokenId, form, currency) {
+    const now = Math.floor(Date.now() / 1000);
+    const deadline = (days) => Number(days) > 0 ? now + Math.round(Number(days) * DAY) : 0;
+
+    return [
+      tokenId,
+      form.buyer || ethers.ZeroAddress,
+      form.inspector,
+      form.lender,
+      ethers.parseUnits(form.purchasePrice.toString(), currency.decimals),
+      ethers.parseUnits(form.escrowAmount.toString(), currency.decimals),
+      deadline(form.inspectionDays),
+      deadline(form.financingDays),
+      currency.address
+    ];
+  }
+
+  // Gas limit and worst-case fee (in ETH) of a transaction that hasn't been sent yet
+  async estimate(provider, estimateGas) {
+    const [gasLimit, feeData] = await Promise.all([estimateGas(), provider.getFeeData()]);
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+
+    return {
+      gasLimit: gasLimit.toString(),
+      fee: ethers.formatEther(gasLimit * gasPrice)
+    };
+  }
+
+  async estimateApproval(tokenId) {
+    const { provider, realEstate, escrow } = await this.getContracts();
+    const escrowAddress = await escrow.getAddress();
+    return this.estimate(provider, () => realEstate.approve.estimateGas(escrowAddress, tokenId));
+  }
+
+  // Only meaningful once the Escrow is approved, since list() transfers the token
+  async estimateListing(tokenId, form, currency) {
+    const { provider, escrow } = await this.getContracts();
+    const args = this.buildListArgs(tokenId, form, currency);
+    return this.estimate(provider, () => escrow.list.estimateGas(...args));
+  }
+
+  async approve(tokenId) {
+    const { realEstate, escrow } = await this.getContracts();
+    const transaction = await realEstate.approve(await escrow.getAddress(), tokenId);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  // Lists the token, then sets the closing conditions beyond the inspection if the form has any
+  async list(tokenId, form, currency) {
+    const { escrow } = await this.getContracts();
+    const transaction = await escrow.list(...this.buildListArgs(tokenId, form, currency));
+    const receipt = await transaction.wait();
+    if (!form.titleAgent && !form.appraiser) return { transactionHash: receipt.hash };
+
+    const conditionsTransaction = await escrow.setClosingConditions(
+      tokenId,
+      form.titleAgent || ethers.ZeroAddress,
+      form.appraiser || ethers.ZeroAddress
+    );
+    const conditionsReceipt = await conditionsTransaction.wait();
+    return { transactionHash: receipt.hash, conditionsTransactionHash: conditionsReceipt.hash };
+  }
+}
+
+// Create singleton instance
+const listingService = new ListingService();
+
+export const checkListingOwnership = (tokenId) => listingService.checkOwnership(tokenId);
+export const validateListing = (form) => listingService.validateListing(form);
+export const estimateListingApproval = (tokenId) => listingService.estimateApproval(tokenId);
+export const estimateListing = (tokenId, form, currency) => listingService.estimateListing(tokenId, form, currency);
+export const approveListing = (tokenId) => listingService.approve(tokenId);
+export const listProperty = (tokenId, form, currency) => listingService.list(tokenId, form, currency);
+
+export default listingService;
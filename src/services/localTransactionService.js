@@ -17,7 +17,10 @@ export const TRANSACTION_ROLES = {
   BUYER: 'buyer',
   SELLER: 'seller',
   LENDER: 'lender',
-  INSPECTOR: 'inspector'
+  INSPECTOR: 'inspector',
+  TITLE_AGENT: 'title_agent',
+  APPRAISER: 'appraiser',
+  ARBITER: 'arbiter'
 };
 
 class LocalTransactionService {
@@ -231,6 +234,17 @@ class LocalTransactionService {
     }
   }
 
+  // Get a stored document's details (filename, type, size, upload path) and data, or null if missing
+  getDocument(documentId) {
+    try {
+      const documentData = localStorage.getItem(`blockNexus_Document_${documentId}`);
+      return documentData ? JSON.parse(documentData) : null;
+    } catch (error) {
+      console.error('Error getting document:', error);
+      return null;
+    }
+  }
+
   // Get transaction statistics
   getTransactionStats() {
     try {
@@ -274,5 +288,6 @@ export const subscribeToTransaction = (id, callback) => localTransactionService.
 export const getTransactionsByAddress = (address) => localTransactionService.getTransactionsByAddress(address);
 export const uploadDocument = (file, path) => localTransactionService.uploadDocument(file, path);
 export const getDocumentURL = (documentId) => localTransactionService.getDocumentURL(documentId);
+export const getDocument = (documentId) => localTransactionService.getDocument(documentId);
 
 export default localTransactionService;
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Metadata Cache
+// Persists token metadata in localStorage keyed by token URI, so reloads don't hit the gateways again
+
+import { getIpfsPath } from '../utils/ipfs';
+
+// Content behind ipfs:// URIs never changes; anything else is refetched after a day
+const MUTABLE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_ENTRIES = 1000;
+
+class MetadataCache {
+  constructor() {
+    this.storageKey = 'blockNexus_Metadata_Cache';
+    this.entries = null;
+  }
+
+  // data: URIs carry their metadata inline, so there is nothing to cache
+  isCacheable(uri) {
+    return typeof uri === 'string' && !uri.startsWith('data:');
+  }
+
+  getEntries() {
+    if (!this.entries) {
+      try {
+        const data = localStorage.getItem(this.storageKey);
+        this.entries = data ? JSON.parse(data) : {};
+      } catch (error) {
+        console.error('Error reading metadata cache:', error);
+        this.entries = {};
+      }
+    }
+    return this.entries;
+  }
+
+  saveEntries() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      console.error('Error saving metadata cache:', error);
+    }
+  }
+
+  get(uri) {
+    if (!this.isCacheable(uri)) return null;
+
+    const entry = this.getEntries()[uri];
+    if (!entry) return null;
+
+    if (!getIpfsPath(uri) && Date.now() - entry.cachedAt > MUTABLE_TTL_MS) return null;
+
+    return entry.metadata;
+  }
+
+  set(uri, metadata) {
+    if (!this.isCacheable(uri)) return;
+
+    const entries = this.getEntries();
+    entries[uri] = { metadata, cachedAt: Date.now() };
+
+    // Drop the oldest entries once the cache is full
+    const uris = Object.keys(entries);
+    if (uris.length > MAX_ENTRIES) {
+      uris
+        .sort((a, b) => entries[a].cachedAt - entries[b].cachedAt)
+        .slice(0, uris.length - MAX_ENTRIES)
+        .forEach(staleUri => delete entries[staleUri]);
+    }
+
+    this.saveEntries();
+  }
+
+  clear() {
+    this.entries = {};
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+// Create singleton instance
+const metadataCache = new MetadataCache();
+
+export const getCachedMetadata = (uri) => metadataCache.get(uri);
+export const cacheMetadata = (uri, metadata) => metadataCache.set(uri, metadata);
+export const clearMetadataCache = () => metadataCache.clear();
+
+export default metadataCache;
@@ -0,0 +1,149 @@
+// Mortgage Service
+// Loans PropertyMortgage records for lender-financed sales: loan reads, repayment history, the
+// amortization schedule, and the repay / pay-off transactions
+
+import { ethers } from 'ethers';
+import ERC20 from '../abis/ERC20.json';
+
+const WAD = 10n ** 18n;
+
+// PropertyMortgage.PAYMENT_PERIOD
+export const PAYMENT_PERIOD = 30 * 24 * 60 * 60;
+
+// PropertyMortgage.Status, in declaration order
+export const LOAN_STATUS = ['none', 'active', 'repaid'];
+
+class MortgageService {
+  // Outstanding loan on the property, or its most recent repaid one; null if it was never mortgaged
+  async getLoan(mortgage, nftID) {
+    let id = await mortgage.currentLoan(nftID);
+    if (id === 0n) {
+      const originated = await mortgage.queryFilter(mortgage.filters.LoanOriginated(nftID));
+      if (originated.length === 0) return null;
+      id = originated[originated.length - 1].args.loanId;
+    }
+
+    // Due dates follow chain time, like the contract
+    const provider = mortgage.runner?.provider || mortgage.runner;
+    const [data, block] = await Promise.all([mortgage.loans(id), provider.getBlock('latest')]);
+    const status = LOAN_STATUS[Number(data.status)];
+    const next = status === 'active' ? await mortgage.nextInstallment(id) : null;
+
+    return {
+      id: id.toString(),
+      nftID: data.nftID.toString(),
+      borrower: data.borrower,
+      lender: data.lender,
+      paymentToken: data.paymentToken,
+      principal: data.principal,
+      rateBps: Number(data.rateBps),
+      term: Number(data.term),
+      installment: data.installment,
+      startsAt: Number(data.startsAt),
+      installmentsPaid: Number(data.installmentsPaid),
+      balance: data.balance,
+      status,
+      nextInstallment: next && { amount: next.amount, interest: next.interest, principal: next.principal },
+      payoffAmount: status === 'active' ? await mortgage.payoffAmount(id) : 0n,
+      now: block.timestamp
+    };
+  }
+
+  // Installments paid so far, oldest first
+  async getRepayments(mortgage, loanId) {
+    const logs = await mortgage.queryFilter(mortgage.filters.InstallmentPaid(null, loanId));
+
+    return logs.map(log => ({
+      number: Number(log.args.number),
+      payer: log.args.payer,
+      amount: log.args.amount,
+      interest: log.args.interest,
+      principal: log.args.principal,
+      balance: log.args.balance,
+      transactionHash: log.transactionHash
+    }));
+  }
+
+  // Amortization schedule: paid installments as recorded, the rest projected from the current balance
+  // with the contract's math (interest on the balance first, the last installment clears it)
+  buildSchedule(loan, repayments) {
+    const rate = (ethers.toBigInt(loan.rateBps) * WAD) / 120000n;
+    const dueDate = (number) => loan.startsAt + (number + 1) * PAYMENT_PERIOD;
+
+    const schedule = repayments.map(payment => ({ ...payment, dueDate: dueDate(payment.number), status: 'paid' }));
+    if (loan.status !== 'active') return schedule;
+
+    let balance = loan.balance;
+    for (let number = loan.installmentsPaid; number < loan.term && balance > 0n; number++) {
+      const interest = (balance * rate) / WAD;
+      let principal = loan.installment > interest ? loan.installment - interest : 0n;
+      if (principal > balance || number + 1 >= loan.term) principal = balance;
+      balance -= principal;
+
+      schedule.push({
+        number,
+        amount: principal + interest,
+        interest,
+        principal,
+        balance,
+        dueDate: dueDate(number),
+        status: loan.now > dueDate(number) ? 'overdue' : 'upcoming'
+      });
+    }
+    return schedule;
+  }
+
+  // Escrow.fundMortgage arguments from an annual rate in percent and a term in years
+  toLoanTerms(ratePercent, termYears) {
+    return {
+      rateBps: Math.round(Number(ratePercent) * 100),
+      term: Math.round(Number(termYears) * 12)
+    };
+  }
+
+  validateLoanTerms(ratePercent, termYears) {
+    const { rateBps, term } = this.toLoanTerms(ratePercent, termYears);
+    if (ratePercent === '' || !(rateBps >= 0) || rateBps > 10000) return 'Enter an annual interest rate between 0 and 100%';
+    if (!(term >= 1) || term > 480) return 'Enter a term between 1 month and 40 years';
+    return null;
+  }
+
+  // ETH value to send with a payment; token payments are approved for the mortgage contract to pull
+  async preparePayment(mortgage, signer, loan, amount) {
+    if (loan.paymentToken === ethers.ZeroAddress) return amount;
+
+    const token = new ethers.Contract(loan.paymentToken, ERC20, signer);
+    const approveTx = await token.approve(await mortgage.getAddress(), amount);
+    await approveTx.wait();
+    return 0n;
+  }
+
+  async repay(mortgage, signer, loan) {
+    const [amount] = await mortgage.nextInstallment(loan.id);
+    const value = await this.preparePayment(mortgage, signer, loan, amount);
+    const transaction = await mortgage.connect(signer).repay(loan.id, { value });
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async payOff(mortgage, signer, loan) {
+    const amount = await mortgage.payoffAmount(loan.id);
+    const value = await this.preparePayment(mortgage, signer, loan, amount);
+    const transaction = await mortgage.connect(signer).payOff(loan.id, { value });
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+}
+
+// Create singleton instance
+const mortgageService = new MortgageService();
+
+export const getLoan = (mortgage, nftID) => mortgageService.getLoan(mortgage, nftID);
+export const getRepayments = (mortgage, loanId) => mortgageService.getRepayments(mortgage, loanId);
+export const buildAmortizationSchedule = (loan, repayments) => mortgageService.buildSchedule(loan, repayments);
+export const toLoanTerms = (ratePercent, termYears) => mortgageService.toLoanTerms(ratePercent, termYears);
+export const validateLoanTerms = (ratePercent, termYears) => mortgageService.validateLoanTerms(ratePercent, termYears);
+export const repayInstallment = (mortgage, signer, loan) => mortgageService.repay(mortgage, signer, loan);
+export const payOffLoan = (mortgage, signer, loan) => mortgageService.payOff(mortgage, signer, loan);
+
+export default mortgageService;
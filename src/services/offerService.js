@@ -0,0 +1,131 @@
+// Offer Service
+// Offers on Escrow listings that are open to offers (listed without a buyer): reads, and the
+// make / accept / reject / withdraw transactions
+
+import { ethers } from 'ethers';
+import ERC20 from '../abis/ERC20.json';
+
+const DAY = 24 * 60 * 60;
+
+// Escrow.State.Listed
+const LISTED = 1;
+
+// Escrow.OfferStatus, in declaration order
+export const OFFER_STATUS = ['none', 'open', 'accepted', 'rejected', 'withdrawn'];
+
+class OfferService {
+  // A listing is open to offers while it is listed without a buyer and not being auctioned
+  async isOpenToOffers(escrow, nftID) {
+    const [isListed, buyer, state, isAuctioned] = await Promise.all([
+      escrow.isListed(nftID),
+      escrow.buyer(nftID),
+      escrow.state(nftID),
+      escrow.isAuctioned(nftID)
+    ]);
+    return isListed && buyer === ethers.ZeroAddress && Number(state) === LISTED && !isAuctioned;
+  }
+
+  // Every offer on the property, newest first; `current` marks offers on the active listing
+  async getOffers(escrow, nftID) {
+    const [ids, listingCount] = await Promise.all([escrow.getOfferIds(nftID), escrow.listingCount(nftID)]);
+    const now = Math.floor(Date.now() / 1000);
+
+    const offers = await Promise.all(ids.map(async (id) => {
+      const offer = await escrow.offers(id);
+      const expiresAt = Number(offer.expiresAt);
+      return {
+        id: id.toString(),
+        buyer: offer.buyer,
+        paymentToken: offer.paymentToken,
+        price: offer.price,
+        earnest: offer.earnest,
+        expiresAt,
+        status: OFFER_STATUS[Number(offer.status)],
+        expired: expiresAt !== 0 && now > expiresAt,
+        current: offer.listing === listingCount
+      };
+    }));
+
+    return offers.reverse();
+  }
+
+  // Offers the buyer can still take their earnest back from
+  isWithdrawable(offer) {
+    return (offer.status === 'open' || offer.status === 'rejected') && offer.earnest > 0n;
+  }
+
+  // Field errors for the offer form, keyed by field name; amounts are in the listing's currency
+  validateOffer(form, minimumEarnest, decimals) {
+    const errors = {};
+    const price = parseFloat(form.price);
+    const earnest = parseFloat(form.earnest);
+
+    if (!(price > 0)) errors.price = 'Offer price must be greater than 0';
+    if (!(earnest > 0)) {
+      errors.earnest = 'Enter the earnest amount';
+    } else if (ethers.parseUnits(form.earnest.toString(), decimals) < minimumEarnest) {
+      errors.earnest = `Earnest must be at least ${ethers.formatUnits(minimumEarnest, decimals)}`;
+    } else if (earnest > price) {
+      errors.earnest = 'Earnest cannot exceed the offer price';
+    }
+    if (form.expiresInDays !== '' && !(Number(form.expiresInDays) >= 0)) {
+      errors.expiresInDays = 'Enter a number of days (0 for none)';
+    }
+
+    return errors;
+  }
+
+  // Submit an offer with its earnest; token listings approve the escrow to pull the earnest first
+  async makeOffer(escrow, signer, nftID, form, paymentToken) {
+    const decimals = paymentToken?.decimals ?? 18;
+    const price = ethers.parseUnits(form.price.toString(), decimals);
+    const earnest = ethers.parseUnits(form.earnest.toString(), decimals);
+    const days = Number(form.expiresInDays);
+    const expiresAt = days > 0 ? Math.floor(Date.now() / 1000) + Math.round(days * DAY) : 0;
+
+    let transaction;
+    if (paymentToken) {
+      const token = new ethers.Contract(paymentToken.address, ERC20, signer);
+      const approveTx = await token.approve(await escrow.getAddress(), earnest);
+      await approveTx.wait();
+      transaction = await escrow.connect(signer).makeOffer(nftID, price, expiresAt);
+    } else {
+      transaction = await escrow.connect(signer).makeOffer(nftID, price, expiresAt, { value: earnest });
+    }
+
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async acceptOffer(escrow, signer, offerId) {
+    const transaction = await escrow.connect(signer).acceptOffer(offerId);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async rejectOffer(escrow, signer, offerId) {
+    const transaction = await escrow.connect(signer).rejectOffer(offerId);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+
+  async withdrawOffer(escrow, signer, offerId) {
+    const transaction = await escrow.connect(signer).withdrawOffer(offerId);
+    const receipt = await transaction.wait();
+    return { transactionHash: receipt.hash };
+  }
+}
+
+// Create singleton instance
+const offerService = new OfferService();
+
+export const isOpenToOffers = (escrow, nftID) => offerService.isOpenToOffers(escrow, nftID);
+export const getOffers = (escrow, nftID) => offerService.getOffers(escrow, nftID);
+export const isOfferWithdrawable = (offer) => offerService.isWithdrawable(offer);
+export const validateOffer = (form, minimumEarnest, decimals) => offerService.validateOffer(form, minimumEarnest, decimals);
+export const makeOffer = (escrow, signer, nftID, form, paymentToken) => offerService.makeOffer(escrow, signer, nftID, form, paymentToken);
+export const acceptOffer = (escrow, signer, offerId) => offerService.acceptOffer(escrow, signer, offerId);
+export const rejectOffer = (escrow, signer, offerId) => offerService.rejectOffer(escrow, signer, offerId);
+export const withdrawOffer = (escrow, signer, offerId) => offerService.withdrawOffer(escrow, signer, offerId);
+
+export default offerService;
@@ -0,0 +1,153 @@
+// Property Loader
+// Loads every RealEstate token with its owner, listing and metadata using batched Multicall3 reads,
+// reporting the properties loaded so far as they arrive
+
+import { ethers } from 'ethers';
+import Multicall3 from '../abis/Multicall3.json';
+import ERC20 from '../abis/ERC20.json';
+import { fetchIpfsJson } from '../utils/ipfs';
+import { getCachedMetadata, cacheMetadata } from './metadataCache';
+
+// Tokens per multicall; each token is 5 calls
+const BATCH_SIZE = 100;
+// Metadata requests in flight at once
+const METADATA_CONCURRENCY = 6;
+
+// On-chain state read for each token: [contract key, function name]
+const TOKEN_CALLS = [
+  ['realEstate', 'tokenURI'],
+  ['realEstate', 'ownerOf'],
+  ['escrow', 'isListed'],
+  ['escrow', 'purchasePrice'],
+  ['escrow', 'paymentToken']
+];
+
+const ETH = { symbol: 'ETH', decimals: 18 };
+
+class PropertyLoader {
+  constructor() {
+    // token address -> { symbol, decimals }
+    this.currencies = {};
+  }
+
+  // Symbol and decimals of each listing's settlement currency, so prices can be formatted
+  async resolveCurrencies(states, provider) {
+    const tokens = [...new Set(states.map(state => state.paymentToken).filter(token => token && token !== ethers.ZeroAddress))];
+
+    await Promise.all(tokens.filter(token => !this.currencies[token]).map(async token => {
+      const contract = new ethers.Contract(token, ERC20, provider);
+      const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+      this.currencies[token] = { symbol, decimals: Number(decimals) };
+    }));
+
+    states.forEach(state => {
+      state.currency = this.currencies[state.paymentToken] || ETH;
+    });
+  }
+
+  // Read TOKEN_CALLS for a batch of token ids in one eth_call
+  async fetchTokenStates(contracts, multicall, tokenIds) {
+    const calls = await Promise.all(tokenIds.flatMap(tokenId =>
+      TOKEN_CALLS.map(async ([key, method]) => ({
+        contract: contracts[key],
+        method,
+        target: await contracts[key].getAddress(),
+        callData: contracts[key].interface.encodeFunctionData(method, [tokenId])
+      }))
+    ));
+
+    const results = await multicall.aggregate3.staticCall(
+      calls.map(({ target, callData }) => ({ target, allowFailure: true, callData }))
+    );
+
+    const values = results.map((result, i) => {
+      if (!result.success) return null;
+      const { contract, method } = calls[i];
+      return contract.interface.decodeFunctionResult(method, result.returnData)[0];
+    });
+
+    return tokenIds.map((tokenId, i) => this.toTokenState(tokenId, values.slice(i * TOKEN_CALLS.length)));
+  }
+
+  // Same reads as fetchTokenStates, one call each, for chains without Multicall3
+  async fetchTokenStatesDirectly(contracts, tokenIds) {
+    return Promise.all(tokenIds.map(async tokenId => {
+      const values = await Promise.all(TOKEN_CALLS.map(([key, method]) =>
+        contracts[key][method](tokenId).catch(() => null)
+      ));
+      return this.toTokenState(tokenId, values);
+    }));
+  }
+
+  toTokenState(tokenId, [uri, owner, isListed, purchasePrice, paymentToken]) {
+    return { tokenId, uri, owner, isListed: Boolean(isListed), purchasePrice, paymentToken };
+  }
+
+  // Token ids come from the chain; metadata files may be shared between tokens
+  toProperty(metadata, state) {
+    return { ...metadata, ...state, id: state.tokenId.toString() };
+  }
+
+  async fetchMetadata(uri) {
+    const cached = getCachedMetadata(uri);
+    if (cached) return cached;
+
+    const metadata = await fetchIpfsJson(uri);
+    cacheMetadata(uri, metadata);
+    return metadata;
+  }
+
+  // Load every token. `onProgress` receives the properties with metadata so far, in token order.
+  async loadProperties({ realEstate, escrow, multicallAddress, onProgress }) {
+    const provider = realEstate.runner?.provider || realEstate.runner;
+    const multicall = multicallAddress ? new ethers.Contract(multicallAddress, Multicall3, provider) : null;
+    const contracts = { realEstate, escrow };
+
+    const totalSupply = Number(await realEstate.totalSupply());
+    const properties = new Array(totalSupply);
+    const report = () => onProgress?.(properties.filter(Boolean));
+
+    // Token states are cheap batched reads; cached metadata renders straight away
+    const queue = [];
+    for (let start = 1; start <= totalSupply; start += BATCH_SIZE) {
+      const tokenIds = Array.from({ length: Math.min(BATCH_SIZE, totalSupply - start + 1) }, (_, i) => start + i);
+      const states = multicall
+        ? await this.fetchTokenStates(contracts, multicall, tokenIds)
+        : await this.fetchTokenStatesDirectly(contracts, tokenIds);
+      await this.resolveCurrencies(states, provider);
+
+      states.filter(state => state.uri).forEach(state => {
+        const cached = getCachedMetadata(state.uri);
+        if (cached) {
+          properties[state.tokenId - 1] = this.toProperty(cached, state);
+        } else {
+          queue.push(state);
+        }
+      });
+      report();
+    }
+
+    // Fetch the remaining metadata with at most METADATA_CONCURRENCY requests in flight
+    const worker = async () => {
+      while (queue.length > 0) {
+        const state = queue.shift();
+        try {
+          properties[state.tokenId - 1] = this.toProperty(await this.fetchMetadata(state.uri), state);
+          report();
+        } catch (error) {
+          console.error(`Error loading metadata for token ${state.tokenId}:`, error);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: METADATA_CONCURRENCY }, worker));
+
+    return properties.filter(Boolean);
+  }
+}
+
+// Create singleton instance
+const propertyLoader = new PropertyLoader();
+
+export const loadProperties = (options) => propertyLoader.loadProperties(options);
+
+export default propertyLoader;
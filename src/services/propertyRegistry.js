@@ -0,0 +1,277 @@
+// Property Registry Service
+// Mints saved properties as RealEstate tokens keyed by their land registry record.
+// Registrars mint directly; everyone else submits a mint request for a registrar to review.
+
+import { ethers } from 'ethers';
+import RealEstate from '../abis/RealEstate.json';
+import { isSupportedNetwork, getContractAddress, getIpfsPublishUrl } from '../utils/networkConfig';
+import { publishIpfsJson } from '../utils/ipfs';
+
+// Stored property fields (see getDefaultProperty) published as metadata attributes: [field, trait type, numeric]
+const PROPERTY_ATTRIBUTES = [
+  ['propertyNumber', 'Property Number'],
+  ['type', 'Property Type'],
+  ['landArea', 'Land Area'],
+  ['builtUpArea', 'Built-up Area'],
+  ['totalFloors', 'Total Floors', true],
+  ['floorNumber', 'Floor Number', true],
+  ['parkingSpaces', 'Parking Spaces', true],
+  ['furnishingStatus', 'Furnishing'],
+  ['facingDirection', 'Facing'],
+  ['locality', 'Locality'],
+  ['city', 'City'],
+  ['district', 'District'],
+  ['state', 'State'],
+  ['pincode', 'Pincode'],
+  ['surveyNumber', 'Survey Number'],
+  ['subDivisionNumber', 'Sub-Division'],
+  ['ownershipType', 'Ownership Type'],
+  ['titleClearance', 'Title Clearance'],
+  ['litigationStatus', 'Litigation Status'],
+  ['currentValue', 'Current Value', true],
+  ['waterSupply', 'Water Supply'],
+  ['electricityConnection', 'Electricity'],
+  ['roadAccess', 'Road Access']
+];
+
+// List fields published as one attribute per entry
+const PROPERTY_LIST_ATTRIBUTES = [
+  ['amenities', 'Amenity'],
+  ['nearbyFacilities', 'Nearby Facility']
+];
+
+class PropertyRegistryService {
+  async getContract(withSigner = false) {
+    if (!window.ethereum) {
+      throw new Error('MetaMask is required to tokenize properties');
+    }
+
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const { chainId } = await provider.getNetwork();
+    if (!isSupportedNetwork(chainId)) {
+      throw new Error(`RealEstate is not deployed on chain ${chainId}`);
+    }
+
+    const runner = withSigner ? await provider.getSigner() : provider;
+    return new ethers.Contract(getContractAddress(chainId, 'realEstate'), RealEstate, runner);
+  }
+
+  // Hash of the normalized "lat,lng" pair, or zero when no coordinates are recorded
+  getCoordinatesHash(geoCoordinates) {
+    const normalized = (geoCoordinates || '').replace(/\s+/g, '');
+    return normalized ? ethers.keccak256(ethers.toUtf8Bytes(normalized)) : ethers.ZeroHash;
+  }
+
+  // Registry keys in the order RealEstate.mint expects them
+  getRegistryKeys(property) {
+    return {
+      surveyNumber: (property.surveyNumber || property.propertyNumber || '').trim(),
+      subDivision: (property.subDivisionNumber || '').trim(),
+      pincode: (property.pincode || '').trim(),
+      coordinatesHash: this.getCoordinatesHash(property.geoCoordinates)
+    };
+  }
+
+  // ERC-721 metadata in the same shape as the demo listings. The first six attributes are read
+  // by position in the listings; the rest carry the remaining stored fields.
+  buildMetadata(property) {
+    const attributes = PROPERTY_ATTRIBUTES
+      .filter(([field]) => String(property[field] ?? '').trim())
+      .map(([field, trait_type, numeric]) => ({
+        trait_type,
+        value: numeric ? Number(property[field]) || 0 : String(property[field]).trim()
+      }));
+
+    PROPERTY_LIST_ATTRIBUTES.forEach(([field, trait_type]) => {
+      (property[field] || []).forEach(value => attributes.push({ trait_type, value }));
+    });
+
+    return {
+      name: property.propertyTitle || property.propertyNumber,
+      address: property.location,
+      description: property.propertyDescription || '',
+      image: property.images?.[0] || '',
+      attributes: [
+        { trait_type: 'Purchase Price', value: Number(property.purchasePrice || property.currentValue || 0) },
+        { trait_type: 'Type of Residence', value: property.subType || property.type },
+        { trait_type: 'Bed Rooms', value: Number(property.bedrooms || 0) },
+        { trait_type: 'Bathrooms', value: Number(property.bathrooms || 0) },
+        { trait_type: 'Square Feet', value: parseFloat(property.builtUpArea || property.landArea) || 0 },
+        { trait_type: 'Year Built', value: Number(property.yearBuilt || 0) },
+        ...attributes
+      ]
+    };
+  }
+
+  // Metadata inlined as a data URI, for chains without a publish endpoint
+  buildTokenURI(property) {
+    return `data:application/json,${encodeURIComponent(JSON.stringify(this.buildMetadata(property)))}`;
+  }
+
+  // Pin the metadata and return its ipfs:// URI, falling back to a data URI if it can't be published
+  async publishMetadata(property, chainId) {
+    const publishUrl = getIpfsPublishUrl(chainId);
+    if (!publishUrl) return this.buildTokenURI(property);
+
+    try {
+      return await publishIpfsJson(publishUrl, this.buildMetadata(property));
+    } catch (error) {
+      console.warn('Could not publish metadata, inlining it instead:', error);
+      return this.buildTokenURI(property);
+    }
+  }
+
+  // Token already registered for the property's parcel, or null
+  async findTokenId(property) {
+    const realEstate = await this.getContract();
+    const { surveyNumber, subDivision, pincode } = this.getRegistryKeys(property);
+    const tokenId = await realEstate.getTokenIdByParcel(surveyNumber, subDivision, pincode);
+    return tokenId > 0n ? tokenId.toString() : null;
+  }
+
+  async getTokenIdsBySurveyNumber(surveyNumber) {
+    const realEstate = await this.getContract();
+    const tokenIds = await realEstate.getTokenIdsBySurveyNumber(surveyNumber);
+    return tokenIds.map(tokenId => tokenId.toString());
+  }
+
+  async isRegistrar(address) {
+    const realEstate = await this.getContract();
+    return realEstate.hasRole(await realEstate.REGISTRAR_ROLE(), address);
+  }
+
+  async isAdmin(address) {
+    const realEstate = await this.getContract();
+    return realEstate.hasRole(await realEstate.DEFAULT_ADMIN_ROLE(), address);
+  }
+
+  // Find a named event in a transaction receipt
+  findEvent(realEstate, receipt, name) {
+    return receipt.logs
+      .map(log => {
+        try {
+          return realEstate.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(log => log?.name === name);
+  }
+
+  async tokenizeProperty(property) {
+    const { surveyNumber, subDivision, pincode, coordinatesHash } = this.getRegistryKeys(property);
+    if (!surveyNumber || !pincode) {
+      throw new Error('A survey number and pincode are required to tokenize a property');
+    }
+
+    const existingTokenId = await this.findTokenId(property);
+    if (existingTokenId) {
+      throw new Error(`Survey number ${surveyNumber} is already registered as token #${existingTokenId}`);
+    }
+
+    const realEstate = await this.getContract(true);
+    const account = await realEstate.runner.getAddress();
+    const { chainId } = await realEstate.runner.provider.getNetwork();
+    const tokenURI = await this.publishMetadata(property, chainId);
+
+    if (!(await this.isRegistrar(account))) {
+      const transaction = await realEstate.requestMint(tokenURI, surveyNumber, subDivision, pincode, coordinatesHash);
+      const receipt = await transaction.wait();
+      const requested = this.findEvent(realEstate, receipt, 'MintRequested');
+
+      return {
+        status: 'pending',
+        requestId: requested.args.requestId.toString(),
+        transactionHash: receipt.hash
+      };
+    }
+
+    const transaction = await realEstate.mint(account, tokenURI, surveyNumber, subDivision, pincode, coordinatesHash);
+    const receipt = await transaction.wait();
+    const minted = this.findEvent(realEstate, receipt, 'PropertyMinted');
+
+    return {
+      status: 'minted',
+      tokenId: minted.args.tokenId.toString(),
+      transactionHash: receipt.hash
+    };
+  }
+
+  // Mint requests still waiting for a registrar decision
+  async getPendingMintRequests() {
+    const realEstate = await this.getContract();
+    const requestIds = await realEstate.getPendingMintRequestIds();
+
+    return Promise.all(requestIds.map(async (requestId) => {
+      const request = await realEstate.getMintRequest(requestId);
+      return {
+        id: requestId.toString(),
+        requester: request.requester,
+        tokenURI: request.tokenURI,
+        surveyNumber: request.record.surveyNumber,
+        subDivision: request.record.subDivision,
+        pincode: request.record.pincode,
+        coordinatesHash: request.record.coordinatesHash
+      };
+    }));
+  }
+
+  // Outcome of a mint request; `tokenId` is set once a registrar approves it
+  async getMintRequestStatus(requestId) {
+    const realEstate = await this.getContract();
+    const request = await realEstate.getMintRequest(requestId);
+    const status = ['none', 'pending', 'approved', 'rejected'][Number(request.status)];
+
+    return {
+      status,
+      tokenId: status === 'approved' ? request.tokenId.toString() : null
+    };
+  }
+
+  async approveMintRequest(requestId) {
+    const realEstate = await this.getContract(true);
+    const transaction = await realEstate.approveMintRequest(requestId);
+    const receipt = await transaction.wait();
+    const minted = this.findEvent(realEstate, receipt, 'PropertyMinted');
+
+    return {
+      tokenId: minted.args.tokenId.toString(),
+      transactionHash: receipt.hash
+    };
+  }
+
+  async rejectMintRequest(requestId, reason) {
+    const realEstate = await this.getContract(true);
+    const transaction = await realEstate.rejectMintRequest(requestId, reason);
+    await transaction.wait();
+  }
+
+  async grantRegistrar(address) {
+    const realEstate = await this.getContract(true);
+    const transaction = await realEstate.grantRole(await realEstate.REGISTRAR_ROLE(), address);
+    await transaction.wait();
+  }
+
+  async revokeRegistrar(address) {
+    const realEstate = await this.getContract(true);
+    const transaction = await realEstate.revokeRole(await realEstate.REGISTRAR_ROLE(), address);
+    await transaction.wait();
+  }
+}
+
+// Create singleton instance
+const propertyRegistry = new PropertyRegistryService();
+
+export const tokenizeProperty = (property) => propertyRegistry.tokenizeProperty(property);
+export const findPropertyTokenId = (property) => propertyRegistry.findTokenId(property);
+export const getTokenIdsBySurveyNumber = (surveyNumber) => propertyRegistry.getTokenIdsBySurveyNumber(surveyNumber);
+export const isRegistrar = (address) => propertyRegistry.isRegistrar(address);
+export const isRegistryAdmin = (address) => propertyRegistry.isAdmin(address);
+export const getPendingMintRequests = () => propertyRegistry.getPendingMintRequests();
+export const getMintRequestStatus = (requestId) => propertyRegistry.getMintRequestStatus(requestId);
+export const approveMintRequest = (requestId) => propertyRegistry.approveMintRequest(requestId);
+export const rejectMintRequest = (requestId, reason) => propertyRegistry.rejectMintRequest(requestId, reason);
+export const grantRegistrar = (address) => propertyRegistry.grantRegistrar(address);
+export const revokeRegistrar = (address) => propertyRegistry.revokeRegistrar(address);
+
+export default propertyRegistry;
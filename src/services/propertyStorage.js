@@ -180,6 +180,18 @@ export const validateProperty = (property) => {
     errors.ownerEmail = 'Please enter a valid email address';
   }
   
+  // Co-owners of a joint property need a name or wallet and a positive share count
+  if (property.ownershipType === 'joint' && property.coOwners?.length > 0) {
+    const invalidCoOwner = property.coOwners.find(coOwner =>
+      !(coOwner.name?.trim() || coOwner.walletAddress?.trim()) ||
+      !(Number(coOwner.shares) > 0) ||
+      (coOwner.walletAddress?.trim() && !/^0x[a-fA-F0-9]{40}$/.test(coOwner.walletAddress.trim()))
+    );
+    if (invalidCoOwner) {
+      errors.coOwners = 'Each co-owner needs a name or valid wallet address and a share count';
+    }
+  }
+  
   // Coordinates validation if provided
   if (property.geoCoordinates && !/^[-+]?([1-8]?\d(\.\d+)?|90(\.0+)?),\s*[-+]?(180(\.0+)?|((1[0-7]\d)|([1-9]?\d))(\.\d+)?)$/.test(property.geoCoordinates)) {
     errors.geoCoordinates = 'Please enter valid coordinates (latitude, longitude)';
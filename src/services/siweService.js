@@ -0,0 +1,223 @@
+// SIWE Service
+// Sign-In With Ethereum (EIP-4361): builds and parses the sign-in message, issues single-use nonces
+// and keeps each wallet's signed session in localStorage, verifying it again whenever it is restored
+
+import { ethers } from 'ethers';
+
+const SESSIONS_KEY = 'blockNexus_SIWE_Sessions';
+const NONCES_KEY = 'blockNexus_SIWE_Nonces';
+
+// Sessions last 12 hours; a nonce has to be signed within 10 minutes of being issued
+export const SESSION_TTL = 12 * 60 * 60 * 1000;
+const NONCE_TTL = 10 * 60 * 1000;
+
+const STATEMENT = 'Sign in to BlockNexus with your wallet.';
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// "Key: value" fields after the statement, in the order EIP-4361 lists them
+const FIELDS = [
+  ['uri', 'URI'],
+  ['version', 'Version'],
+  ['chainId', 'Chain ID'],
+  ['nonce', 'Nonce'],
+  ['issuedAt', 'Issued At'],
+  ['expirationTime', 'Expiration Time']
+];
+
+class SiweService {
+  // The site the message is bound to; a session signed for another host is rejected
+  getDomain() {
+    return window.location.host;
+  }
+
+  getUri() {
+    return window.location.origin;
+  }
+
+  // EIP-4361 message text for the given fields
+  createMessage({ domain, address, statement, uri, version = '1', chainId, nonce, issuedAt, expirationTime }) {
+    const fields = FIELDS
+      .map(([key, label]) => [label, { uri, version, chainId, nonce, issuedAt, expirationTime }[key]])
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([label, value]) => `${label}: ${value}`);
+
+    return [
+      `${domain}${HEADER_SUFFIX}`,
+      ethers.getAddress(address),
+      '',
+      statement,
+      '',
+      ...fields
+    ].join('\n');
+  }
+
+  // Fields of an EIP-4361 message; throws if the message is not one
+  parseMessage(message) {
+    const lines = message.split('\n');
+    if (!lines[0]?.endsWith(HEADER_SUFFIX) || lines[2] !== '' || lines[4] !== '') {
+      throw new Error('Not a Sign-In With Ethereum message');
+    }
+
+    const parsed = {
+      domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+      address: lines[1],
+      statement: lines[3]
+    };
+    lines.slice(5).forEach(line => {
+      const field = FIELDS.find(([, label]) => line.startsWith(`${label}: `));
+      if (field) parsed[field[0]] = line.slice(field[1].length + 2);
+    });
+
+    if (!ethers.isAddress(parsed.address) || parsed.address !== ethers.getAddress(parsed.address)) {
+      throw new Error('Sign-in message address is not checksummed');
+    }
+    FIELDS.forEach(([key, label]) => {
+      if (!parsed[key]) throw new Error(`Sign-in message is missing ${label}`);
+    });
+    return parsed;
+  }
+
+  getNonces() {
+    try {
+      const data = localStorage.getItem(NONCES_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Error reading sign-in nonces:', error);
+      return {};
+    }
+  }
+
+  // Issues a random nonce for one sign-in and forgets nonces that were never used
+  issueNonce() {
+    const now = Date.now();
+    const nonces = Object.fromEntries(
+      Object.entries(this.getNonces()).filter(([, issuedAt]) => now - issuedAt < NONCE_TTL)
+    );
+    const nonce = ethers.hexlify(ethers.randomBytes(16)).slice(2);
+    nonces[nonce] = now;
+    localStorage.setItem(NONCES_KEY, JSON.stringify(nonces));
+    return nonce;
+  }
+
+  // A nonce is accepted once, within NONCE_TTL of being issued
+  consumeNonce(nonce) {
+    const nonces = this.getNonces();
+    const issuedAt = nonces[nonce];
+    delete nonces[nonce];
+    localStorage.setItem(NONCES_KEY, JSON.stringify(nonces));
+    return issuedAt !== undefined && Date.now() - issuedAt < NONCE_TTL;
+  }
+
+  // Checks a signed message against this site, the chain and the clock; throws with the reason if invalid
+  verify({ message, signature }, { address, chainId } = {}) {
+    if (!message || !signature) {
+      throw new Error('Session is not signed');
+    }
+
+    const fields = this.parseMessage(message);
+    if (fields.domain !== this.getDomain()) {
+      throw new Error(`Session was signed for ${fields.domain}, not ${this.getDomain()}`);
+    }
+    if (address && fields.address !== ethers.getAddress(address)) {
+      throw new Error('Session was signed by another wallet');
+    }
+    if (chainId !== undefined && chainId !== null && fields.chainId !== chainId.toString()) {
+      throw new Error(`Session was signed on chain ${fields.chainId}, not ${chainId}`);
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new Error('Session signature is invalid');
+    }
+    if (signer !== fields.address) {
+      throw new Error('Session signature is invalid');
+    }
+
+    const now = Date.now();
+    if (Date.parse(fields.issuedAt) > now) {
+      throw new Error('Session is not valid yet');
+    }
+    if (Date.parse(fields.expirationTime) <= now) {
+      throw new Error('Session has expired');
+    }
+    return fields;
+  }
+
+  // Asks the wallet to sign a fresh sign-in message and stores the verified session
+  async createSession(signer, chainId) {
+    const address = ethers.getAddress(await signer.getAddress());
+    const issuedAt = new Date();
+    const message = this.createMessage({
+      domain: this.getDomain(),
+      address,
+      statement: STATEMENT,
+      uri: this.getUri(),
+      chainId: chainId.toString(),
+      nonce: this.issueNonce(),
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: new Date(issuedAt.getTime() + SESSION_TTL).toISOString()
+    });
+
+    const signature = await signer.signMessage(message);
+    const fields = this.verify({ message, signature }, { address, chainId });
+    if (!this.consumeNonce(fields.nonce)) {
+      throw new Error('Sign-in nonce has expired or was already used');
+    }
+
+    const session = { address, chainId: fields.chainId, message, signature, expiresAt: fields.expirationTime };
+    this.saveSessions({ ...this.getSessions(), [address]: session });
+    return session;
+  }
+
+  // Signed sessions keyed by checksummed wallet address
+  getSessions() {
+    try {
+      const data = localStorage.getItem(SESSIONS_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Error reading sign-in sessions:', error);
+      return {};
+    }
+  }
+
+  saveSessions(sessions) {
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+  }
+
+  // The wallet's stored session if it is still valid on the chain; an invalid one is discarded
+  getSession(address, chainId) {
+    if (!address || !ethers.isAddress(address)) return null;
+    const session = this.getSessions()[ethers.getAddress(address)];
+    if (!session) return null;
+
+    try {
+      this.verify(session, { address, chainId });
+      return session;
+    } catch (error) {
+      console.warn('Discarding sign-in session:', error.message);
+      this.clearSession(address);
+      return null;
+    }
+  }
+
+  clearSession(address) {
+    const sessions = this.getSessions();
+    delete sessions[ethers.getAddress(address)];
+    this.saveSessions(sessions);
+  }
+}
+
+// Create singleton instance
+const siweService = new SiweService();
+
+export const createSiweMessage = (fields) => siweService.createMessage(fields);
+export const parseSiweMessage = (message) => siweService.parseMessage(message);
+export const verifySiweSession = (session, expected) => siweService.verify(session, expected);
+export const createSession = (signer, chainId) => siweService.createSession(signer, chainId);
+export const getSession = (address, chainId) => siweService.getSession(address, chainId);
+export const clearSession = (address) => siweService.clearSession(address);
+
+export default siweService;
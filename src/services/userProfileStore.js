@@ -0,0 +1,143 @@
+// User Profile Store
+// Registered user profiles in localStorage, one per wallet and keyed by checksummed address,
+// plus the wallet that was last active in this browser
+
+import { ethers } from 'ethers';
+
+const PROFILES_KEY = 'blockNexus_Profiles';
+const ACTIVE_ACCOUNT_KEY = 'blockNexusAccount';
+// Single-profile slot used before profiles were kept per wallet
+const LEGACY_USER_KEY = 'blockNexusUser';
+
+// Checksummed form of an address, or null if it isn't one
+export const toProfileKey = (address) => {
+  return address && ethers.isAddress(address) ? ethers.getAddress(address) : null;
+};
+
+class UserProfileStore {
+  getAllProfiles() {
+    try {
+      this.migrateLegacyProfile();
+      const data = localStorage.getItem(PROFILES_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.error('Error reading user profiles:', error);
+      return {};
+    }
+  }
+
+  saveAllProfiles(profiles) {
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+      return true;
+    } catch (error) {
+      console.error('Error saving user profiles:', error);
+      return false;
+    }
+  }
+
+  // Moves a profile from the old single slot into the store, once. The store is read first, so an
+  // unreadable store leaves the slot in place; the slot is removed once its profile is saved, or if
+  // the slot itself can't be read, so a corrupt one never hides (or gets saved over) the stored profiles.
+  migrateLegacyProfile() {
+    const legacy = localStorage.getItem(LEGACY_USER_KEY);
+    if (!legacy) return;
+
+    const data = localStorage.getItem(PROFILES_KEY);
+    const profiles = data ? JSON.parse(data) : {};
+
+    let profile;
+    try {
+      profile = JSON.parse(legacy);
+    } catch (error) {
+      profile = null;
+    }
+
+    const key = toProfileKey(profile?.walletAddress);
+    if (!key) {
+      console.error('Discarding unreadable legacy user profile');
+      localStorage.removeItem(LEGACY_USER_KEY);
+      return;
+    }
+
+    if (!profiles[key]) {
+      profiles[key] = { ...profile, walletAddress: key };
+      if (!this.saveAllProfiles(profiles)) return;
+    }
+    localStorage.removeItem(LEGACY_USER_KEY);
+  }
+
+  getProfile(address) {
+    const key = toProfileKey(address);
+    return key ? this.getAllProfiles()[key] || null : null;
+  }
+
+  hasProfile(address) {
+    return Boolean(this.getProfile(address));
+  }
+
+  // Saves a profile under its wallet address, which is stored checksummed
+  saveProfile(profile) {
+    const key = toProfileKey(profile.walletAddress);
+    if (!key) {
+      throw new Error('Profile has no valid wallet address');
+    }
+
+    const profiles = this.getAllProfiles();
+    profiles[key] = { ...profile, walletAddress: key };
+    this.saveAllProfiles(profiles);
+    return profiles[key];
+  }
+
+  // Merges changes into a wallet's profile; returns null if the wallet has none
+  updateProfile(address, changes) {
+    const profile = this.getProfile(address);
+    return profile ? this.saveProfile({ ...profile, ...changes }) : null;
+  }
+
+  removeProfile(address) {
+    const profiles = this.getAllProfiles();
+    delete profiles[toProfileKey(address)];
+    return this.saveAllProfiles(profiles);
+  }
+
+  // Known wallets, most recently signed in first
+  listProfiles() {
+    return Object.values(this.getAllProfiles())
+      .sort((a, b) => (b.lastLogin || '').localeCompare(a.lastLogin || ''));
+  }
+
+  // Display name of a wallet's profile, or null if the wallet has none
+  getDisplayName(address) {
+    const profile = this.getProfile(address);
+    if (!profile) return null;
+    return profile.fullName || [profile.firstName, profile.lastName].filter(Boolean).join(' ') || null;
+  }
+
+  getActiveAccount() {
+    return toProfileKey(localStorage.getItem(ACTIVE_ACCOUNT_KEY));
+  }
+
+  setActiveAccount(address) {
+    const key = toProfileKey(address);
+    if (key) {
+      localStorage.setItem(ACTIVE_ACCOUNT_KEY, key);
+    } else {
+      localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+    }
+  }
+}
+
+// Create singleton instance
+const userProfileStore = new UserProfileStore();
+
+export const getProfile = (address) => userProfileStore.getProfile(address);
+export const hasProfile = (address) => userProfileStore.hasProfile(address);
+export const saveProfile = (profile) => userProfileStore.saveProfile(profile);
+export const updateProfile = (address, changes) => userProfileStore.updateProfile(address, changes);
+export const listProfiles = () => userProfileStore.listProfiles();
+export const getProfileDisplayName = (address) => userProfileStore.getDisplayName(address);
+export const getActiveAccount = () => userProfileStore.getActiveAccount();
+export const setActiveAccount = (address) => userProfileStore.setActiveAccount(address);
+
+export default userProfileStore;
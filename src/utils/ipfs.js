@@ -0,0 +1,77 @@
+// IPFS Resolution
+// Resolves ipfs:// URIs (and URLs on any IPFS gateway) through the configured gateways, falling back in order
+
+import { DEFAULT_IPFS_GATEWAYS } from './networkConfig';
+
+const GATEWAY_TIMEOUT_MS = 5000;
+
+let gateways = DEFAULT_IPFS_GATEWAYS;
+
+// Use the gateway list of the connected chain (see getIpfsGateways)
+export const setIpfsGateways = (list) => {
+  gateways = list?.length ? list : DEFAULT_IPFS_GATEWAYS;
+};
+
+// `<cid>/<path>` for ipfs://<cid>/<path> or https://<gateway>/ipfs/<cid>/<path>, otherwise null
+export const getIpfsPath = (uri) => {
+  if (typeof uri !== 'string') return null;
+
+  if (uri.startsWith('ipfs://')) {
+    return uri.slice('ipfs://'.length).replace(/^ipfs\//, '');
+  }
+
+  const match = uri.match(/^https?:\/\/[^/]+\/ipfs\/(.+)$/);
+  return match ? match[1] : null;
+};
+
+// Every URL the content can be loaded from, in gateway order; non-IPFS URIs are returned as is
+export const resolveIpfsUrls = (uri) => {
+  const ipfsPath = getIpfsPath(uri);
+  if (!ipfsPath) return uri ? [uri] : [];
+
+  return gateways.map(gateway => `${gateway.replace(/\/?$/, '/')}${ipfsPath}`);
+};
+
+export const resolveIpfsUrl = (uri) => resolveIpfsUrls(uri)[0] || '';
+
+const fetchWithTimeout = async (url) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), GATEWAY_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`${url} responded with ${response.status}`);
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Fetch JSON (e.g. token metadata), trying each gateway until one responds
+export const fetchIpfsJson = async (uri) => {
+  const urls = resolveIpfsUrls(uri);
+  let lastError = new Error(`Cannot resolve ${uri}`);
+
+  for (const url of urls) {
+    try {
+      return await fetchWithTimeout(url);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+// Pin JSON through a publish endpoint (POST <url> -> { cid, uri }) and return its ipfs:// URI
+export const publishIpfsJson = async (publishUrl, data) => {
+  const response = await fetch(publishUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(data)
+  });
+  if (!response.ok) throw new Error(`${publishUrl} responded with ${response.status}`);
+
+  const { uri } = await response.json();
+  return uri;
+};
@@ -0,0 +1,85 @@
+// Network Configuration
+// Per-chain contract addresses, versions and IPFS gateways from config.json, plus wallet network switching
+
+import config from '../config.json';
+
+export const DEFAULT_CHAIN_ID = '31337';
+
+// Config entry for a chain, or null if the chain is unknown
+export const getNetworkConfig = (chainId) => {
+  return config[chainId?.toString()] || null;
+};
+
+// A chain is supported once the core contracts are deployed on it
+export const isSupportedNetwork = (chainId) => {
+  const network = getNetworkConfig(chainId);
+  return Boolean(network?.realEstate?.address && network?.escrow?.address);
+};
+
+export const getSupportedNetworks = () => {
+  return Object.keys(config)
+    .filter(isSupportedNetwork)
+    .map(chainId => ({ chainId, name: config[chainId].name }));
+};
+
+// Address of a deployed contract (proxy address for upgradeable contracts), or null
+export const getContractAddress = (chainId, contractName) => {
+  return getNetworkConfig(chainId)?.[contractName]?.address || null;
+};
+
+export const getContractVersion = (chainId, contractName) => {
+  return getNetworkConfig(chainId)?.[contractName]?.version || null;
+};
+
+// ERC-20 tokens listings on a chain can settle in, besides ETH
+export const getPaymentTokens = (chainId) => {
+  return getNetworkConfig(chainId)?.paymentTokens || [];
+};
+
+// Public IPFS gateways, used for chains that don't configure their own list
+export const DEFAULT_IPFS_GATEWAYS = [
+  'https://ipfs.io/ipfs/',
+  'https://dweb.link/ipfs/'
+];
+
+// Gateways to resolve ipfs:// URIs through on a chain, in order of preference
+export const getIpfsGateways = (chainId) => {
+  return getNetworkConfig(chainId)?.ipfsGateways || DEFAULT_IPFS_GATEWAYS;
+};
+
+// Endpoint that pins uploaded content (scripts/metadata-server.js), or null if the chain has none
+export const getIpfsPublishUrl = (chainId) => {
+  return getNetworkConfig(chainId)?.ipfsPublishUrl || null;
+};
+
+// Relayer that submits EIP-712 signed approvals (scripts/approval-relayer.js), or null if the chain has none
+export const getRelayerUrl = (chainId) => {
+  return getNetworkConfig(chainId)?.relayerUrl || null;
+};
+
+// Ask the wallet to switch chains, adding the chain first if the wallet doesn't know it
+export const switchNetwork = async (chainId = DEFAULT_CHAIN_ID) => {
+  const network = getNetworkConfig(chainId);
+  const hexChainId = `0x${Number(chainId).toString(16)}`;
+
+  try {
+    await window.ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: hexChainId }]
+    });
+  } catch (error) {
+    // 4902: the chain has not been added to the wallet
+    if (error.code !== 4902 || !network) throw error;
+
+    await window.ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId: hexChainId,
+        chainName: network.name,
+        rpcUrls: [network.rpcUrl],
+        nativeCurrency: network.nativeCurrency,
+        ...(network.blockExplorerUrl && { blockExplorerUrls: [network.blockExplorerUrl] })
+      }]
+    });
+  }
+};
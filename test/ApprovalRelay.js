@@ -0,0 +1,173 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const tokens = (n) => {
+    return ethers.parseUnits(n.toString(), 'ether')
+}
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+// Escrow.State
+const State = { Unlisted: 0, Listed: 1, EarnestDeposited: 2, Inspected: 3, Approved: 4, Closed: 5, Cancelled: 6 }
+
+const TYPES = {
+  Inspection: {
+    Inspection: [
+      { name: 'nftID', type: 'uint256' },
+      { name: 'listing', type: 'uint256' },
+      { name: 'passed', type: 'bool' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  SaleApproval: {
+    SaleApproval: [
+      { name: 'nftID', type: 'uint256' },
+      { name: 'listing', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+}
+
+async function deployRelayFixture() {
+  // Setup accounts
+  const [buyer, seller, inspector, lender, relayer, other] = await ethers.getSigners()
+
+  // Deploy Real Estate and mint a property to the seller
+  const RealEstate = await ethers.getContractFactory('RealEstate')
+  const realEstate = await RealEstate.deploy()
+  await (await realEstate.mint(seller.address, PROPERTY_URI, '1', '', '560001', ethers.ZeroHash)).wait()
+
+  // Deploy the Escrow behind a UUPS proxy
+  const Escrow = await ethers.getContractFactory('Escrow')
+  const implementation = await Escrow.deploy()
+  const ERC1967Proxy = await ethers.getContractFactory('ERC1967Proxy')
+  const initData = Escrow.interface.encodeFunctionData('initialize', [await realEstate.getAddress()])
+  const proxy = await ERC1967Proxy.deploy(await implementation.getAddress(), initData)
+  const escrow = Escrow.attach(await proxy.getAddress())
+
+  // Deploy the relay and register it with the Escrow
+  const ApprovalRelay = await ethers.getContractFactory('ApprovalRelay')
+  const relay = await ApprovalRelay.deploy(await escrow.getAddress())
+  await (await escrow.setApprovalRelay(await relay.getAddress())).wait()
+
+  // List the property at 10 ETH with 2 ETH earnest, deposit the earnest and fund the loan
+  await (await realEstate.connect(seller).approve(await escrow.getAddress(), 1)).wait()
+  await (await escrow.connect(seller).list(1, buyer.address, inspector.address, lender.address, tokens(10), tokens(2), 0, 0, ethers.ZeroAddress)).wait()
+  await (await escrow.connect(buyer).depositEarnest(1, { value: tokens(2) })).wait()
+  await (await escrow.connect(lender).fundLoan(1, { value: tokens(8) })).wait()
+
+  // Sign typed data for the relay's domain; the nonce and listing default to the current ones
+  const { chainId } = await ethers.provider.getNetwork()
+  const domain = { name: 'BlockNexus Escrow', version: '1', chainId, verifyingContract: await relay.getAddress() }
+  const sign = async (signer, type, fields) => {
+    const deadline = (await time.latest()) + 3600
+    const value = {
+      nftID: 1,
+      listing: await escrow.listingCount(1),
+      nonce: await relay.nonces(signer.address),
+      deadline,
+      ...fields
+    }
+    return { deadline: value.deadline, signature: await signer.signTypedData(domain, TYPES[type], value) }
+  }
+
+  return { buyer, seller, inspector, lender, relayer, other, realEstate, escrow, relay, sign }
+}
+
+describe('ApprovalRelay', () => {
+  describe('Inspections', () => {
+    it('Relays an inspection the inspector signed', async () => {
+      const { escrow, relay, sign, inspector, relayer } = await loadFixture(deployRelayFixture)
+      const { deadline, signature } = await sign(inspector, 'Inspection', { passed: true })
+
+      await expect(relay.connect(relayer).relayInspection(1, true, inspector.address, deadline, signature))
+        .to.emit(escrow, 'InspectionUpdated').withArgs(1, inspector.address, true)
+        .and.to.emit(relay, 'InspectionRelayed').withArgs(1, inspector.address, relayer.address, true)
+      expect(await escrow.state(1)).to.be.equal(State.Inspected)
+      expect(await relay.nonces(inspector.address)).to.be.equal(1)
+    })
+
+    it('Rejects a signature that is replayed or not the named signer\'s', async () => {
+      const { relay, sign, inspector, other } = await loadFixture(deployRelayFixture)
+      const forged = await sign(other, 'Inspection', { passed: true, nonce: 0 })
+
+      await expect(relay.relayInspection(1, true, inspector.address, forged.deadline, forged.signature))
+        .to.be.revertedWith('Invalid signature')
+
+      const { deadline, signature } = await sign(inspector, 'Inspection', { passed: true })
+      await (await relay.relayInspection(1, true, inspector.address, deadline, signature)).wait()
+      await expect(relay.relayInspection(1, true, inspector.address, deadline, signature))
+        .to.be.revertedWith('Invalid signature')
+    })
+
+    it('Rejects expired signatures and signatures for another listing', async () => {
+      const { relay, sign, inspector } = await loadFixture(deployRelayFixture)
+
+      const expired = await sign(inspector, 'Inspection', { passed: true })
+      await time.increaseTo(expired.deadline + 1)
+      await expect(relay.relayInspection(1, true, inspector.address, expired.deadline, expired.signature))
+        .to.be.revertedWith('Signature expired')
+
+      const { deadline, signature } = await sign(inspector, 'Inspection', { passed: true, listing: 2 })
+      await expect(relay.relayInspection(1, true, inspector.address, deadline, signature))
+        .to.be.revertedWith('Invalid signature')
+    })
+
+    it('Only relays the listing\'s inspector', async () => {
+      const { relay, sign, other } = await loadFixture(deployRelayFixture)
+      const { deadline, signature } = await sign(other, 'Inspection', { passed: true })
+
+      await expect(relay.relayInspection(1, true, other.address, deadline, signature))
+        .to.be.revertedWith('Only inspector can call this method')
+    })
+  })
+
+  describe('Approvals', () => {
+    it('Only accepts relayed sign-offs from the approval relay', async () => {
+      const { escrow, inspector, buyer } = await loadFixture(deployRelayFixture)
+
+      await expect(escrow.connect(inspector).relayInspection(1, inspector.address, true))
+        .to.be.revertedWith('Only approval relay can call this method')
+      await expect(escrow.connect(buyer).relayApproval(1, buyer.address))
+        .to.be.revertedWith('Only approval relay can call this method')
+    })
+
+    it('Only relays approvals from the buyer, seller or lender', async () => {
+      const { relay, sign, other } = await loadFixture(deployRelayFixture)
+      const { deadline, signature } = await sign(other, 'SaleApproval', {})
+
+      await expect(relay.relayApproval(1, other.address, deadline, signature))
+        .to.be.revertedWith('Only buyer, seller or lender can call this method')
+    })
+
+    it('Closes a sale every party signed off on without their gas', async () => {
+      const { escrow, realEstate, relay, sign, buyer, seller, inspector, lender, relayer } = await loadFixture(deployRelayFixture)
+
+      const inspection = await sign(inspector, 'Inspection', { passed: true })
+      await (await relay.connect(relayer).relayInspection(1, true, inspector.address, inspection.deadline, inspection.signature)).wait()
+
+      for (const party of [buyer, lender, seller]) {
+        const { deadline, signature } = await sign(party, 'SaleApproval', {})
+        await expect(relay.connect(relayer).relayApproval(1, party.address, deadline, signature))
+          .to.emit(escrow, 'SaleApproved').withArgs(1, party.address)
+          .and.to.emit(relay, 'ApprovalRelayed').withArgs(1, party.address, relayer.address)
+        expect(await escrow.approval(1, party.address)).to.be.equal(true)
+      }
+      expect(await escrow.state(1)).to.be.equal(State.Approved)
+
+      await expect(relay.connect(relayer).finalizeSale(1))
+        .to.changeEtherBalance(seller, tokens(10))
+      expect(await realEstate.ownerOf(1)).to.be.equal(buyer.address)
+      expect(await escrow.state(1)).to.be.equal(State.Closed)
+    })
+
+    it('Does not finalize a sale that is not approved', async () => {
+      const { relay } = await loadFixture(deployRelayFixture)
+
+      await expect(relay.finalizeSale(1)).to.be.revertedWith('Invalid listing state')
+    })
+  })
+})
@@ -1,4 +1,4 @@
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
 
@@ -6,6 +6,25 @@ const tokens = (n) => {
     return ethers.parseUnits(n.toString(), 'ether')
 }
 
+const days = (n) => n * 24 * 60 * 60
+
+// ERC-1967 implementation slot: bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc'
+
+const getImplementation = async (proxy) => {
+    const slot = await ethers.provider.getStorage(await proxy.getAddress(), IMPLEMENTATION_SLOT)
+    return ethers.getAddress(ethers.dataSlice(slot, 12))
+}
+
+const usd = (n) => {
+    return ethers.parseUnits(n.toString(), 6)
+}
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+// Registry keys (survey number, sub-division, pincode, coordinates hash) for a test property
+const parcel = (surveyNumber) => [surveyNumber.toString(), '', '560001', ethers.ZeroHash]
+
 async function deployRealEstateFixture() {
   // Setup accounts
   const [buyer, seller, inspector, lender] = await ethers.getSigners()
@@ -20,8 +39,8 @@ async function deployRealEstateFixture() {
 async function mintPropertyFixture() {
   const { realEstate, buyer, seller, inspector, lender } = await loadFixture(deployRealEstateFixture)
 
-  // Mint
-  let transaction = await realEstate.connect(seller).mint("https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS")
+  // Mint to the seller (the deployer is the registrar)
+  let transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(1))
   await transaction.wait()
  
   return { buyer, seller, inspector, lender, realEstate };
@@ -30,15 +49,15 @@ async function mintPropertyFixture() {
 async function deployEscrowFixture() {
   const { buyer, seller, inspector, lender, realEstate } = await loadFixture(mintPropertyFixture);
 
-  // Deploy Escrow
+  // Deploy the Escrow implementation behind a UUPS proxy (the deployer becomes its owner)
   const Escrow = await ethers.getContractFactory('Escrow')
+  const implementation = await Escrow.deploy()
 
-  const escrow = await Escrow.deploy(
-    await realEstate.getAddress(),
-    seller.address,
-    inspector.address,
-    lender.address
-  )
+  const ERC1967Proxy = await ethers.getContractFactory('ERC1967Proxy')
+  const initData = Escrow.interface.encodeFunctionData('initialize', [await realEstate.getAddress()])
+  const proxy = await ERC1967Proxy.deploy(await implementation.getAddress(), initData)
+
+  const escrow = Escrow.attach(await proxy.getAddress())
   
   return { buyer, seller, inspector, lender, realEstate, escrow }
 }
@@ -50,23 +69,52 @@ async function listPropertyFixture() {
   let transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 1)
   await transaction.wait()
 
-  // List property
-  transaction = await escrow.connect(seller).list(1, buyer.address, tokens(10), tokens(5));
+  // List property with 7 day inspection and 14 day financing contingencies
+  const now = await time.latest()
+  transaction = await escrow.connect(seller).list(1, buyer.address, inspector.address, lender.address, tokens(10), tokens(5), now + days(7), now + days(14), ethers.ZeroAddress);
   await transaction.wait()
 
   return { buyer, seller, inspector, lender, realEstate, escrow }
 }
 
-async function finalizeSaleFixture() { 
+async function listSecondPropertyFixture() {
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(listPropertyFixture);
+
+  // Mint, approve and list a second property with its own earnest deposit
+  let transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(2))
+  await transaction.wait()
+  transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+  await transaction.wait()
+  transaction = await escrow.connect(seller).list(2, buyer.address, inspector.address, lender.address, tokens(4), tokens(2), 0, 0, ethers.ZeroAddress);
+  await transaction.wait()
+  transaction = await escrow.connect(buyer).depositEarnest(2, { value: tokens(2) });
+  await transaction.wait();
+
+  return { buyer, seller, inspector, lender, realEstate, escrow }
+}
+
+async function depositEarnestFixture() {
   const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(listPropertyFixture);
 
   let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) });
   await transaction.wait();
 
-  transaction = await escrow.connect(inspector).updateInspectionStatus(1, true);
+  return { buyer, seller, inspector, lender, realEstate, escrow }
+}
+
+async function inspectedFixture() {
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(depositEarnestFixture);
+
+  let transaction = await escrow.connect(inspector).updateInspectionStatus(1, true);
   await transaction.wait();
 
-  transaction = await escrow.connect(buyer).approveSale(1);
+  return { buyer, seller, inspector, lender, realEstate, escrow }
+}
+
+async function approvedFixture() {
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(inspectedFixture);
+
+  let transaction = await escrow.connect(buyer).approveSale(1);
   await transaction.wait();
 
   transaction = await escrow.connect(seller).approveSale(1);
@@ -75,14 +123,165 @@ async function finalizeSaleFixture() {
   transaction = await escrow.connect(lender).approveSale(1);
   await transaction.wait();
 
-  await lender.sendTransaction({ to: await escrow.getAddress(), value: tokens(5) });    
-  
-  transaction = await escrow.connect(lender).finalizeSale(1);
+  transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) });
   await transaction.wait();
 
   return { buyer, seller, inspector, lender, realEstate, escrow }
 }
 
+async function finalizeSaleFixture() { 
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(approvedFixture);
+
+  let transaction = await escrow.connect(lender).finalizeSale(1);
+  await transaction.wait();
+
+  return { buyer, seller, inspector, lender, realEstate, escrow }
+}
+
+async function listTokenPropertyFixture() {
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(listPropertyFixture);
+
+  // Deploy a stablecoin and fund the buyer and lender
+  const MockStablecoin = await ethers.getContractFactory('MockStablecoin')
+  const stablecoin = await MockStablecoin.deploy()
+
+  let transaction = await stablecoin.mint(buyer.address, usd(10000))
+  await transaction.wait()
+  transaction = await stablecoin.mint(lender.address, usd(10000))
+  await transaction.wait()
+
+  // Mint, approve and list a second property priced in the stablecoin
+  transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(2))
+  await transaction.wait()
+  transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+  await transaction.wait()
+  transaction = await escrow.connect(seller).list(2, buyer.address, inspector.address, lender.address, usd(8000), usd(2000), 0, 0, await stablecoin.getAddress());
+  await transaction.wait()
+
+  return { buyer, seller, inspector, lender, realEstate, escrow, stablecoin }
+}
+
+async function listOpenPropertyFixture() {
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(listPropertyFixture);
+  const [, , , , bidder] = await ethers.getSigners()
+
+  // Mint, approve and list a second property without a buyer, open to offers
+  let transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(2))
+  await transaction.wait()
+  transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+  await transaction.wait()
+  transaction = await escrow.connect(seller).list(2, ethers.ZeroAddress, inspector.address, lender.address, tokens(10), tokens(2), 0, 0, ethers.ZeroAddress);
+  await transaction.wait()
+
+  return { buyer, seller, inspector, lender, bidder, realEstate, escrow }
+}
+
+async function makeOffersFixture() {
+  const { buyer, seller, inspector, lender, bidder, realEstate, escrow } = await loadFixture(listOpenPropertyFixture);
+
+  // Offer 1 from the buyer never expires; offer 2 from the bidder expires in a day
+  let transaction = await escrow.connect(buyer).makeOffer(2, tokens(9), 0, { value: tokens(2) })
+  await transaction.wait()
+  transaction = await escrow.connect(bidder).makeOffer(2, tokens(11), (await time.latest()) + days(1), { value: tokens(3) })
+  await transaction.wait()
+
+  return { buyer, seller, inspector, lender, bidder, realEstate, escrow }
+}
+
+async function closingConditionsFixture() {
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(listPropertyFixture);
+  const [, , , , titleAgent, appraiser] = await ethers.getSigners()
+
+  // Require a title check and an appraisal, then put the listing under contract and pass inspection
+  let transaction = await escrow.connect(seller).setClosingConditions(1, titleAgent.address, appraiser.address)
+  await transaction.wait()
+  transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })
+  await transaction.wait()
+  transaction = await escrow.connect(inspector).updateInspectionStatus(1, true)
+  await transaction.wait()
+
+  return { buyer, seller, inspector, lender, titleAgent, appraiser, realEstate, escrow }
+}
+
+async function disputeFixture() {
+  const { buyer, seller, inspector, lender, realEstate, escrow } = await loadFixture(listPropertyFixture);
+  const [, , , , , , arbiter] = await ethers.getSigners()
+
+  // Appoint an arbiter, then put the listing under contract, pass inspection and fund the loan
+  let transaction = await escrow.setArbiter(arbiter.address)
+  await transaction.wait()
+  transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })
+  await transaction.wait()
+  transaction = await escrow.connect(inspector).updateInspectionStatus(1, true)
+  await transaction.wait()
+  transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) })
+  await transaction.wait()
+
+  return { buyer, seller, inspector, lender, arbiter, realEstate, escrow }
+}
+
+// Dispute states, in the order declared by Escrow.DisputeStatus
+const DisputeStatus = {
+  None: 0,
+  Open: 1,
+  Resolved: 2,
+  Dismissed: 3
+}
+
+// Listing states, in the order declared by Escrow.State
+const State = {
+  Unlisted: 0,
+  Listed: 1,
+  EarnestDeposited: 2,
+  Inspected: 3,
+  Approved: 4,
+  Closed: 5,
+  Cancelled: 6
+}
+
+// Offer states, in the order declared by Escrow.OfferStatus
+const OfferStatus = {
+  None: 0,
+  Open: 1,
+  Accepted: 2,
+  Rejected: 3,
+  Withdrawn: 4
+}
+
+// Walks listing 1 forward from Listed to the requested state and returns the fixture.
+// Nested fixtures cannot be reloaded once an older one has been restored,
+// so the state machine suite starts from listPropertyFixture and advances inline.
+async function advanceTo(target, fixture) {
+  const { buyer, seller, inspector, lender, escrow } = fixture
+  if (target === State.Listed) return fixture
+
+  let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) });
+  await transaction.wait();
+  if (target === State.EarnestDeposited) return fixture
+
+  if (target === State.Cancelled) {
+    transaction = await escrow.connect(buyer).cancelSale(1);
+    await transaction.wait();
+    return fixture
+  }
+
+  transaction = await escrow.connect(inspector).updateInspectionStatus(1, true);
+  await transaction.wait();
+  if (target === State.Inspected) return fixture
+
+  for (const party of [buyer, seller, lender]) {
+    transaction = await escrow.connect(party).approveSale(1);
+    await transaction.wait();
+  }
+  transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) });
+  await transaction.wait();
+  if (target === State.Approved) return fixture
+
+  transaction = await escrow.connect(seller).finalizeSale(1);
+  await transaction.wait();
+  return fixture
+}
+
 describe('Escrow', () => {
   describe('Deployment', () => {
     it('Returns NFT address', async () => {
@@ -91,26 +290,57 @@ describe('Escrow', () => {
       const result = await escrow.nftAddress()
       expect(result).to.be.equal(await realEstate.getAddress())
     })
+  })
 
-    it('Returns seller', async () => {
-      const { escrow, seller } = await loadFixture(deployEscrowFixture)
+  describe('Upgrades', () => {
+    it('Returns owner and version', async () => {
+      const { escrow, buyer } = await loadFixture(deployEscrowFixture)
 
-      const result = await escrow.seller()
-      expect(result).to.be.equal(seller.address)
+      expect(await escrow.owner()).to.be.equal(buyer.address)
+      expect(await escrow.version()).to.be.equal(7)
     })
 
-    it('Returns inspector', async () => {
-      const { escrow, inspector } = await loadFixture(deployEscrowFixture)
+    it('should throw an error if initialized twice', async () => {
+      const { escrow, realEstate } = await loadFixture(deployEscrowFixture)
 
-      const result = await escrow.inspector()
-      expect(result).to.be.equal(inspector.address)
+      await expect(escrow.initialize(await realEstate.getAddress())).to.be.revertedWithCustomError(escrow, 'InvalidInitialization')
     })
 
-    it('Returns lender', async () => {
-      const { escrow, lender } = await loadFixture(deployEscrowFixture)
+    it('should throw an error if the implementation is initialized directly', async () => {
+      const { escrow, realEstate } = await loadFixture(deployEscrowFixture)
 
-      const result = await escrow.lender()
-      expect(result).to.be.equal(lender.address)
+      const implementation = await ethers.getContractAt('Escrow', await getImplementation(escrow))
+      await expect(implementation.initialize(await realEstate.getAddress())).to.be.revertedWithCustomError(escrow, 'InvalidInitialization')
+    })
+
+    it('Transfers ownership', async () => {
+      const { escrow, buyer, seller } = await loadFixture(deployEscrowFixture)
+
+      await expect(escrow.transferOwnership(seller.address))
+        .to.emit(escrow, 'OwnershipTransferred').withArgs(buyer.address, seller.address)
+      expect(await escrow.owner()).to.be.equal(seller.address)
+    })
+
+    it('Keeps listing state across an upgrade', async () => {
+      const { escrow, buyer, seller } = await loadFixture(listPropertyFixture)
+
+      const Escrow = await ethers.getContractFactory('Escrow')
+      const implementation = await Escrow.deploy()
+      await escrow.upgradeToAndCall(await implementation.getAddress(), '0x')
+
+      expect(await getImplementation(escrow)).to.be.equal(await implementation.getAddress())
+      expect(await escrow.state(1)).to.be.equal(State.Listed)
+      expect(await escrow.buyer(1)).to.be.equal(buyer.address)
+      expect(await escrow.seller(1)).to.be.equal(seller.address)
+      expect(await escrow.purchasePrice(1)).to.be.equal(tokens(10))
+    })
+
+    it('should throw an error if a non-owner upgrades', async () => {
+      const { escrow, seller } = await loadFixture(listPropertyFixture)
+
+      const Escrow = await ethers.getContractFactory('Escrow')
+      const implementation = await Escrow.deploy()
+      await expect(escrow.connect(seller).upgradeToAndCall(await implementation.getAddress(), '0x')).to.be.revertedWith('Only owner can call this method')
     })
   })
 
@@ -134,6 +364,27 @@ describe('Escrow', () => {
       expect(result).to.be.equal(buyer.address)
     })
 
+    it('Returns seller', async () => {
+      const { escrow, seller } = await loadFixture(listPropertyFixture)
+
+      const result = await escrow.seller(1)
+      expect(result).to.be.equal(seller.address)
+    })
+
+    it('Returns inspector', async () => {
+      const { escrow, inspector } = await loadFixture(listPropertyFixture)
+
+      const result = await escrow.inspector(1)
+      expect(result).to.be.equal(inspector.address)
+    })
+
+    it('Returns lender', async () => {
+      const { escrow, lender } = await loadFixture(listPropertyFixture)
+
+      const result = await escrow.lender(1)
+      expect(result).to.be.equal(lender.address)
+    })
+
     it('Returns puchase price', async () => {
       const { escrow } = await loadFixture(listPropertyFixture)
 
@@ -148,10 +399,59 @@ describe('Escrow', () => {
       expect(result).to.be.equal(tokens(5))
     })
 
-    it('should throw an error is listing is attempted by non-seller', async () => {
-      const { escrow, buyer } = await loadFixture(listPropertyFixture)
+    it('should throw an error is listing is attempted by non-owner', async () => {
+      const { escrow, buyer, inspector, lender } = await loadFixture(listPropertyFixture)
 
-      await expect(escrow.connect(buyer).list(1, buyer.address, tokens(10), tokens(5))).to.be.revertedWith('Only seller can call this method');
+      await expect(escrow.connect(buyer).list(1, buyer.address, inspector.address, lender.address, tokens(10), tokens(5), 0, 0, ethers.ZeroAddress)).to.be.revertedWith('Only property owner can list');
+    })
+
+    it('Rejects a listing without an inspector or lender', async () => {
+      const { realEstate, escrow, buyer, seller, inspector, lender } = await loadFixture(listPropertyFixture)
+
+      let transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(2))
+      await transaction.wait()
+      transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+      await transaction.wait()
+
+      await expect(escrow.connect(seller).list(2, buyer.address, ethers.ZeroAddress, lender.address, tokens(4), tokens(2), 0, 0, ethers.ZeroAddress)).to.be.revertedWith('Invalid inspector');
+      await expect(escrow.connect(seller).list(2, buyer.address, inspector.address, ethers.ZeroAddress, tokens(4), tokens(2), 0, 0, ethers.ZeroAddress)).to.be.revertedWith('Invalid lender');
+    })
+
+    it('Does not accept ETH with a listing', async () => {
+      const { realEstate, escrow, buyer, seller, inspector, lender } = await loadFixture(listPropertyFixture)
+
+      let transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(2))
+      await transaction.wait()
+      transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+      await transaction.wait()
+
+      const args = [2, buyer.address, inspector.address, lender.address, tokens(4), tokens(2), 0, 0, ethers.ZeroAddress]
+      await expect(seller.sendTransaction({
+        to: await escrow.getAddress(),
+        data: escrow.interface.encodeFunctionData('list', args),
+        value: tokens(1)
+      })).to.be.reverted;
+    })
+
+    it('Allows any token owner to list with their own parties', async () => {
+      const { realEstate, escrow, buyer, seller, inspector, lender } = await loadFixture(listPropertyFixture)
+
+      // The buyer owns a second property and lists it, swapping the inspector and lender roles
+      let transaction = await realEstate.mint(buyer.address, PROPERTY_URI, ...parcel(2))
+      await transaction.wait()
+      transaction = await realEstate.connect(buyer).approve(await escrow.getAddress(), 2)
+      await transaction.wait()
+      transaction = await escrow.connect(buyer).list(2, seller.address, lender.address, inspector.address, tokens(8), tokens(2), 0, 0, ethers.ZeroAddress)
+      await transaction.wait()
+
+      expect(await escrow.seller(2)).to.be.equal(buyer.address)
+      expect(await escrow.buyer(2)).to.be.equal(seller.address)
+      expect(await escrow.inspector(2)).to.be.equal(lender.address)
+      expect(await escrow.lender(2)).to.be.equal(inspector.address)
+
+      // The first listing keeps its own parties
+      expect(await escrow.seller(1)).to.be.equal(seller.address)
+      expect(await escrow.inspector(1)).to.be.equal(inspector.address)
     })
   })
 
@@ -164,11 +464,48 @@ describe('Escrow', () => {
       const result = await escrow.getBalance()
       expect(result).to.be.equal(tokens(5))
     })
+
+    it('Records earnest against the listing', async () => {
+      const { escrow, buyer } = await loadFixture(listPropertyFixture)
+
+      const transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) });
+      await transaction.wait();
+      expect(await escrow.earnestDeposited(1)).to.be.equal(tokens(5))
+      expect(await escrow.earnestDeposited(2)).to.be.equal(0)
+      expect(await escrow.getListingBalance(1)).to.be.equal(tokens(5))
+    })
+
+    it('Records lender funding against the listing', async () => {
+      const { escrow, lender } = await loadFixture(listPropertyFixture)
+
+      const transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) });
+      await transaction.wait();
+      expect(await escrow.lenderFunded(1)).to.be.equal(tokens(5))
+      expect(await escrow.getListingBalance(1)).to.be.equal(tokens(5))
+    })
+
+    it('should throw an error if funding an unlisted property', async () => {
+      const { escrow, lender } = await loadFixture(listPropertyFixture)
+
+      await expect(escrow.connect(lender).fundLoan(2, { value: tokens(5) })).to.be.revertedWith('Only lender can call this method');
+    })
+
+    it('should throw an error if funding is attempted by non-lender', async () => {
+      const { escrow, buyer } = await loadFixture(listPropertyFixture)
+
+      await expect(escrow.connect(buyer).fundLoan(1, { value: tokens(5) })).to.be.revertedWith('Only lender can call this method');
+    })
+
+    it('should throw an error if ETH is sent directly to the contract', async () => {
+      const { escrow, lender } = await loadFixture(listPropertyFixture)
+
+      await expect(lender.sendTransaction({ to: await escrow.getAddress(), value: tokens(5) })).to.be.reverted;
+    })
   })
 
   describe('Inspection ', () => {
     it('Updates inspection status', async () => {
-      const { escrow, inspector } = await loadFixture(listPropertyFixture)
+      const { escrow, inspector } = await loadFixture(depositEarnestFixture)
 
       // Pre-condition checks
       expect(await escrow.inspectionPassed(1)).to.be.equal(false)
@@ -182,7 +519,7 @@ describe('Escrow', () => {
     })
 
     it('should throw an error if updating inspection status is attempted by non-inspector', async () => {
-      const { escrow, seller } = await loadFixture(listPropertyFixture)
+      const { escrow, seller } = await loadFixture(depositEarnestFixture)
 
       await expect(escrow.connect(seller).updateInspectionStatus(1, true)).to.be.revertedWith('Only inspector can call this method');
     })
@@ -190,7 +527,7 @@ describe('Escrow', () => {
 
   describe('Approval ', () => {
     it('Updates approval status', async () => {
-      const { escrow, buyer, seller, lender } = await loadFixture(listPropertyFixture)
+      const { escrow, buyer, seller, lender } = await loadFixture(depositEarnestFixture)
 
       // Block for the buyer to approve
       let transaction = await escrow.connect(buyer).approveSale(1);
@@ -228,5 +565,923 @@ describe('Escrow', () => {
 
       expect(await escrow.getBalance()).to.be.equal(0);
     })
+
+    it('Pays out only the finalized listing', async () => {
+      const { escrow, buyer, seller, inspector, lender } = await loadFixture(listSecondPropertyFixture)
+
+      let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) });
+      await transaction.wait();
+      transaction = await escrow.connect(inspector).updateInspectionStatus(1, true);
+      await transaction.wait();
+      transaction = await escrow.connect(buyer).approveSale(1);
+      await transaction.wait();
+      transaction = await escrow.connect(seller).approveSale(1);
+      await transaction.wait();
+      transaction = await escrow.connect(lender).approveSale(1);
+      await transaction.wait();
+      transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) });
+      await transaction.wait();
+
+      await expect(escrow.connect(seller).finalizeSale(1)).to.changeEtherBalance(seller, tokens(10));
+
+      expect(await escrow.getListingBalance(1)).to.be.equal(0);
+      expect(await escrow.getListingBalance(2)).to.be.equal(tokens(2));
+      expect(await escrow.getBalance()).to.be.equal(tokens(2));
+    })
+  })
+
+  describe('Cancellation', () => {
+    it('Refunds only the cancelled listing', async () => {
+      const { escrow, buyer } = await loadFixture(listSecondPropertyFixture)
+
+      let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) });
+      await transaction.wait();
+
+      await expect(escrow.connect(buyer).cancelSale(1)).to.changeEtherBalance(buyer, tokens(5));
+
+      expect(await escrow.getListingBalance(1)).to.be.equal(0);
+      expect(await escrow.getListingBalance(2)).to.be.equal(tokens(2));
+      expect(await escrow.getBalance()).to.be.equal(tokens(2));
+    })
+
+    it('Returns lender funding to the lender', async () => {
+      const { escrow, buyer, lender } = await loadFixture(listPropertyFixture)
+
+      let transaction = await escrow.connect(buyer).depositEarnest(1, { value: tokens(5) });
+      await transaction.wait();
+      transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) });
+      await transaction.wait();
+
+      await expect(escrow.connect(buyer).cancelSale(1)).to.changeEtherBalances([buyer, lender], [tokens(5), tokens(5)]);
+    })
+  })
+
+  describe('State machine', () => {
+    describe('Happy path', () => {
+      it('Starts unlisted', async () => {
+        const { escrow } = await loadFixture(listPropertyFixture)
+        expect(await escrow.state(2)).to.be.equal(State.Unlisted)
+      })
+
+      it('Moves to Listed', async () => {
+        const { escrow } = await loadFixture(listPropertyFixture)
+        expect(await escrow.state(1)).to.be.equal(State.Listed)
+      })
+
+      it('Moves to EarnestDeposited', async () => {
+        const { escrow } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+        expect(await escrow.state(1)).to.be.equal(State.EarnestDeposited)
+      })
+
+      it('Moves to Inspected', async () => {
+        const { escrow } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+        expect(await escrow.state(1)).to.be.equal(State.Inspected)
+      })
+
+      it('Moves back to EarnestDeposited when inspection fails', async () => {
+        const { escrow, inspector } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+        const transaction = await escrow.connect(inspector).updateInspectionStatus(1, false);
+        await transaction.wait();
+        expect(await escrow.state(1)).to.be.equal(State.EarnestDeposited)
+      })
+
+      it('Moves to Approved once inspected and all parties approve', async () => {
+        const { escrow } = await advanceTo(State.Approved, await loadFixture(listPropertyFixture))
+        expect(await escrow.state(1)).to.be.equal(State.Approved)
+      })
+
+      it('Moves to Approved when inspection passes after all approvals', async () => {
+        const { escrow, buyer, seller, inspector, lender } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+        for (const party of [buyer, seller, lender]) {
+          const transaction = await escrow.connect(party).approveSale(1);
+          await transaction.wait();
+        }
+        expect(await escrow.state(1)).to.be.equal(State.EarnestDeposited)
+
+        const transaction = await escrow.connect(inspector).updateInspectionStatus(1, true);
+        await transaction.wait();
+        expect(await escrow.state(1)).to.be.equal(State.Approved)
+      })
+
+      it('Moves to Closed', async () => {
+        const { escrow } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+        expect(await escrow.state(1)).to.be.equal(State.Closed)
+        expect(await escrow.isListed(1)).to.be.equal(false)
+      })
+
+      it('Moves to Cancelled and returns the property to the seller', async () => {
+        const { realEstate, escrow, seller } = await advanceTo(State.Cancelled, await loadFixture(listPropertyFixture))
+        expect(await escrow.state(1)).to.be.equal(State.Cancelled)
+        expect(await escrow.isListed(1)).to.be.equal(false)
+        expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+      })
+
+      it('Allows the new owner to relist after closing', async () => {
+        const { realEstate, escrow, buyer, seller, inspector, lender } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+
+        let transaction = await realEstate.connect(buyer).approve(await escrow.getAddress(), 1)
+        await transaction.wait()
+        transaction = await escrow.connect(buyer).list(1, seller.address, inspector.address, lender.address, tokens(12), tokens(6), 0, 0, ethers.ZeroAddress);
+        await transaction.wait()
+
+        expect(await escrow.state(1)).to.be.equal(State.Listed)
+        expect(await escrow.seller(1)).to.be.equal(buyer.address)
+        expect(await escrow.inspectionPassed(1)).to.be.equal(false)
+        expect(await escrow.approval(1, buyer.address)).to.be.equal(false)
+        expect(await escrow.approval(1, lender.address)).to.be.equal(false)
+      })
+    })
+
+    describe('list', () => {
+      it('should throw an error if the property is already listed', async () => {
+        const { realEstate, escrow, seller, buyer, inspector, lender } = await advanceTo(State.Cancelled, await loadFixture(listPropertyFixture))
+
+        // Relist after cancellation, then try to list again while still owning nothing
+        let transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 1)
+        await transaction.wait()
+        transaction = await escrow.connect(seller).list(1, buyer.address, inspector.address, lender.address, tokens(10), tokens(5), 0, 0, ethers.ZeroAddress);
+        await transaction.wait()
+
+        await expect(escrow.connect(seller).list(1, buyer.address, inspector.address, lender.address, tokens(10), tokens(5), 0, 0, ethers.ZeroAddress)).to.be.revertedWith('Only property owner can list');
+      })
+    })
+
+    describe('depositEarnest', () => {
+      it('should throw an error on an unlisted property', async () => {
+        const { escrow, buyer } = await loadFixture(listPropertyFixture)
+
+        await expect(escrow.connect(buyer).depositEarnest(2, { value: tokens(5) })).to.be.revertedWith('Only buyer can call this method');
+      })
+
+      it('should throw an error if earnest was already deposited', async () => {
+        const { escrow, buyer } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error after the sale is closed', async () => {
+        const { escrow, buyer } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error after the sale is cancelled', async () => {
+        const { escrow, buyer } = await advanceTo(State.Cancelled, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(buyer).depositEarnest(1, { value: tokens(5) })).to.be.revertedWith('Invalid listing state');
+      })
+    })
+
+    describe('updateInspectionStatus', () => {
+      it('should throw an error before earnest is deposited', async () => {
+        const { escrow, inspector } = await loadFixture(listPropertyFixture)
+
+        await expect(escrow.connect(inspector).updateInspectionStatus(1, true)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error once the sale is approved', async () => {
+        const { escrow, inspector } = await advanceTo(State.Approved, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(inspector).updateInspectionStatus(1, false)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error after the sale is closed', async () => {
+        const { escrow, inspector } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(inspector).updateInspectionStatus(1, false)).to.be.revertedWith('Invalid listing state');
+      })
+    })
+
+    describe('approveSale', () => {
+      it('should throw an error if approval is attempted by a non-party', async () => {
+        const { escrow, inspector } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(inspector).approveSale(1)).to.be.revertedWith('Only buyer, seller or lender can call this method');
+      })
+
+      it('should throw an error on an unlisted property', async () => {
+        const { escrow, buyer } = await loadFixture(listPropertyFixture)
+
+        await expect(escrow.connect(buyer).approveSale(2)).to.be.revertedWith('Only buyer, seller or lender can call this method');
+      })
+
+      it('should throw an error before earnest is deposited', async () => {
+        const { escrow, seller } = await loadFixture(listPropertyFixture)
+
+        await expect(escrow.connect(seller).approveSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error after the sale is closed', async () => {
+        const { escrow, seller } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(seller).approveSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error after the sale is cancelled', async () => {
+        const { escrow, seller } = await advanceTo(State.Cancelled, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(seller).approveSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+    })
+
+    describe('finalizeSale', () => {
+      it('should throw an error if finalizing is attempted by a non-party', async () => {
+        const { escrow, inspector } = await advanceTo(State.Approved, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(inspector).finalizeSale(1)).to.be.revertedWith('Only buyer, seller or lender can call this method');
+      })
+
+      it('should throw an error before inspection', async () => {
+        const { escrow, buyer, seller, lender } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+        for (const party of [buyer, seller, lender]) {
+          const transaction = await escrow.connect(party).approveSale(1);
+          await transaction.wait();
+        }
+
+        await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error before all parties approve', async () => {
+        const { escrow, buyer, seller } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+        const transaction = await escrow.connect(buyer).approveSale(1);
+        await transaction.wait();
+
+        await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error if finalized twice', async () => {
+        const { escrow, seller } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error after the sale is cancelled', async () => {
+        const { escrow, seller } = await advanceTo(State.Cancelled, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+    })
+
+    describe('cancelSale', () => {
+      it('Allows the seller to withdraw a listing without earnest', async () => {
+        const { realEstate, escrow, seller } = await loadFixture(listPropertyFixture)
+
+        const transaction = await escrow.connect(seller).cancelSale(1);
+        await transaction.wait();
+        expect(await escrow.state(1)).to.be.equal(State.Cancelled)
+        expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+      })
+
+      it('Refunds the buyer when the seller cancels before inspection', async () => {
+        const { escrow, buyer, seller } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(seller).cancelSale(1)).to.changeEtherBalance(buyer, tokens(5));
+      })
+
+      it('Pays the seller when the buyer backs out after inspection', async () => {
+        const { escrow, buyer, seller } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(buyer).cancelSale(1)).to.changeEtherBalance(seller, tokens(5));
+      })
+
+      it('should throw an error on an unlisted property', async () => {
+        const { escrow, seller } = await loadFixture(listPropertyFixture)
+
+        await expect(escrow.connect(seller).cancelSale(2)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error if the buyer cancels before earnest is deposited', async () => {
+        const { escrow, buyer } = await loadFixture(listPropertyFixture)
+
+        await expect(escrow.connect(buyer).cancelSale(1)).to.be.revertedWith('Only seller can call this method');
+      })
+
+      it('should throw an error if a non-party cancels after earnest is deposited', async () => {
+        const { escrow, lender } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(lender).cancelSale(1)).to.be.revertedWith('Only buyer or seller can call this method');
+      })
+
+      it('should throw an error if the seller cancels after inspection', async () => {
+        const { escrow, seller } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(seller).cancelSale(1)).to.be.revertedWith('Only buyer can call this method');
+      })
+
+      it('should throw an error once the sale is approved', async () => {
+        const { escrow, buyer } = await advanceTo(State.Approved, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(buyer).cancelSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error after the sale is closed', async () => {
+        const { escrow, buyer } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(buyer).cancelSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+
+      it('should throw an error if cancelled twice', async () => {
+        const { escrow, buyer } = await advanceTo(State.Cancelled, await loadFixture(listPropertyFixture))
+
+        await expect(escrow.connect(buyer).cancelSale(1)).to.be.revertedWith('Invalid listing state');
+      })
+    })
+  })
+
+  describe('Events', () => {
+    it('Emits PropertyMinted and Listed', async () => {
+      const { realEstate, escrow, buyer, seller, inspector, lender } = await loadFixture(listPropertyFixture)
+
+      const uri = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+      await expect(realEstate.mint(seller.address, uri, ...parcel(2)))
+        .to.emit(realEstate, 'PropertyMinted').withArgs(2, seller.address, uri)
+
+      let transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+      await transaction.wait()
+
+      await expect(escrow.connect(seller).list(2, buyer.address, inspector.address, lender.address, tokens(4), tokens(2), 0, 0, ethers.ZeroAddress))
+        .to.emit(escrow, 'Listed').withArgs(2, seller.address, buyer.address, inspector.address, lender.address, tokens(4), tokens(2))
+    })
+
+    it('Emits EarnestDeposited', async () => {
+      const { escrow, buyer } = await loadFixture(listPropertyFixture)
+
+      await expect(escrow.connect(buyer).depositEarnest(1, { value: tokens(5) }))
+        .to.emit(escrow, 'EarnestDeposited').withArgs(1, buyer.address, tokens(5))
+    })
+
+    it('Emits InspectionUpdated', async () => {
+      const { escrow, inspector } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+      await expect(escrow.connect(inspector).updateInspectionStatus(1, true))
+        .to.emit(escrow, 'InspectionUpdated').withArgs(1, inspector.address, true)
+    })
+
+    it('Emits SaleApproved', async () => {
+      const { escrow, lender } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+      await expect(escrow.connect(lender).approveSale(1))
+        .to.emit(escrow, 'SaleApproved').withArgs(1, lender.address)
+    })
+
+    it('Emits SaleFinalized', async () => {
+      const { escrow, buyer, seller } = await advanceTo(State.Approved, await loadFixture(listPropertyFixture))
+
+      await expect(escrow.connect(seller).finalizeSale(1))
+        .to.emit(escrow, 'SaleFinalized').withArgs(1, buyer.address, seller.address, tokens(10))
+    })
+
+    it('Emits SaleCancelled with the refunded earnest', async () => {
+      const { escrow, buyer } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+      await expect(escrow.connect(buyer).cancelSale(1))
+        .to.emit(escrow, 'SaleCancelled').withArgs(1, buyer.address, tokens(5), 0)
+    })
+
+    it('Emits SaleCancelled with the forfeited earnest', async () => {
+      const { escrow, buyer } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      await expect(escrow.connect(buyer).cancelSale(1))
+        .to.emit(escrow, 'SaleCancelled').withArgs(1, buyer.address, 0, tokens(5))
+    })
+  })
+
+  describe('Deadlines', () => {
+    it('Returns deadlines', async () => {
+      const { escrow } = await loadFixture(listPropertyFixture)
+
+      const inspectionDeadline = await escrow.inspectionDeadline(1)
+      const financingDeadline = await escrow.financingDeadline(1)
+      expect(financingDeadline - inspectionDeadline).to.be.equal(days(7))
+    })
+
+    it('should throw an error if a deadline is in the past', async () => {
+      const { realEstate, escrow, buyer, seller, inspector, lender } = await loadFixture(listPropertyFixture)
+
+      let transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(2))
+      await transaction.wait()
+      transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+      await transaction.wait()
+
+      const now = await time.latest()
+      await expect(escrow.connect(seller).list(2, buyer.address, inspector.address, lender.address, tokens(4), tokens(2), now, 0, ethers.ZeroAddress)).to.be.revertedWith('Inspection deadline must be in the future');
+      await expect(escrow.connect(seller).list(2, buyer.address, inspector.address, lender.address, tokens(4), tokens(2), 0, now, ethers.ZeroAddress)).to.be.revertedWith('Financing deadline must be in the future');
+    })
+
+    it('Refunds the buyer after a missed inspection deadline', async () => {
+      const { realEstate, escrow, buyer, seller } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+      await time.increaseTo((await escrow.inspectionDeadline(1)) + 1n)
+      expect(await escrow.isInspectionDeadlineMissed(1)).to.be.equal(true)
+
+      await expect(escrow.connect(buyer).reclaimEarnest(1)).to.changeEtherBalance(buyer, tokens(5));
+      expect(await escrow.state(1)).to.be.equal(State.Cancelled)
+      expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+    })
+
+    it('Refunds the buyer after a missed financing deadline', async () => {
+      const { escrow, buyer } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      await time.increaseTo((await escrow.financingDeadline(1)) + 1n)
+      expect(await escrow.isFinancingDeadlineMissed(1)).to.be.equal(true)
+
+      await expect(escrow.connect(buyer).reclaimEarnest(1)).to.changeEtherBalance(buyer, tokens(5));
+    })
+
+    it('Refunds the buyer when the lender approves but never funds', async () => {
+      const { escrow, buyer, seller, lender } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      for (const party of [buyer, seller, lender]) {
+        const transaction = await escrow.connect(party).approveSale(1);
+        await transaction.wait();
+      }
+      await time.increaseTo((await escrow.financingDeadline(1)) + 1n)
+
+      await expect(escrow.connect(buyer).reclaimEarnest(1)).to.changeEtherBalance(buyer, tokens(5));
+    })
+
+    it('Pays the seller when the buyer misses the financing deadline', async () => {
+      const { escrow, buyer, seller, lender } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      let transaction = await escrow.connect(lender).approveSale(1);
+      await transaction.wait();
+      transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) });
+      await transaction.wait();
+      await time.increaseTo((await escrow.financingDeadline(1)) + 1n)
+      expect(await escrow.isBuyerDeadlineMissed(1)).to.be.equal(true)
+
+      await expect(escrow.connect(buyer).reclaimEarnest(1)).to.be.revertedWith('No contingency deadline has been missed');
+      await expect(escrow.connect(seller).claimEarnest(1)).to.changeEtherBalances([seller, lender], [tokens(5), tokens(5)]);
+      expect(await escrow.state(1)).to.be.equal(State.Cancelled)
+    })
+
+    it('should throw an error if the buyer reclaims before a deadline', async () => {
+      const { escrow, buyer } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+      await expect(escrow.connect(buyer).reclaimEarnest(1)).to.be.revertedWith('No contingency deadline has been missed');
+    })
+
+    it('should throw an error if reclaiming is attempted by non-buyer', async () => {
+      const { escrow, seller } = await advanceTo(State.EarnestDeposited, await loadFixture(listPropertyFixture))
+
+      await time.increaseTo((await escrow.inspectionDeadline(1)) + 1n)
+      await expect(escrow.connect(seller).reclaimEarnest(1)).to.be.revertedWith('Only buyer can call this method');
+    })
+
+    it('should throw an error if the seller claims before the financing deadline', async () => {
+      const { escrow, seller, lender } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      let transaction = await escrow.connect(lender).approveSale(1);
+      await transaction.wait();
+      transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(5) });
+      await transaction.wait();
+
+      await expect(escrow.connect(seller).claimEarnest(1)).to.be.revertedWith('Buyer has not missed a deadline');
+    })
+
+    it('should throw an error if the seller claims when the lender missed the deadline', async () => {
+      const { escrow, seller } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      await time.increaseTo((await escrow.financingDeadline(1)) + 1n)
+      await expect(escrow.connect(seller).claimEarnest(1)).to.be.revertedWith('Buyer has not missed a deadline');
+    })
+
+    it('should throw an error after the sale is closed', async () => {
+      const { escrow, buyer } = await advanceTo(State.Closed, await loadFixture(listPropertyFixture))
+
+      await time.increaseTo((await escrow.financingDeadline(1)) + 1n)
+      await expect(escrow.connect(buyer).reclaimEarnest(1)).to.be.revertedWith('Invalid listing state');
+    })
+  })
+
+  describe('Settlement', () => {
+    it('Pays the seller exactly the purchase price and refunds the lender overpayment', async () => {
+      const { escrow, buyer, seller, lender } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      for (const party of [buyer, seller, lender]) {
+        const transaction = await escrow.connect(party).approveSale(1);
+        await transaction.wait();
+      }
+      // Lender sends 7 ETH when only 5 ETH is needed
+      const transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(7) });
+      await transaction.wait();
+
+      await expect(escrow.connect(seller).finalizeSale(1)).to.changeEtherBalances(
+        [seller, lender, buyer],
+        [tokens(10), tokens(2), 0]
+      );
+      expect(await escrow.getBalance()).to.be.equal(0)
+    })
+
+    it('Refunds the buyer when earnest alone exceeds the purchase price', async () => {
+      const { realEstate, escrow, buyer, seller, inspector, lender } = await loadFixture(listPropertyFixture)
+
+      let transaction = await realEstate.mint(seller.address, PROPERTY_URI, ...parcel(2))
+      await transaction.wait()
+      transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+      await transaction.wait()
+      transaction = await escrow.connect(seller).list(2, buyer.address, inspector.address, lender.address, tokens(4), tokens(2), 0, 0, ethers.ZeroAddress);
+      await transaction.wait()
+
+      transaction = await escrow.connect(buyer).depositEarnest(2, { value: tokens(6) });
+      await transaction.wait();
+      transaction = await escrow.connect(inspector).updateInspectionStatus(2, true);
+      await transaction.wait();
+      for (const party of [buyer, seller, lender]) {
+        transaction = await escrow.connect(party).approveSale(2);
+        await transaction.wait();
+      }
+
+      await expect(escrow.connect(seller).finalizeSale(2)).to.changeEtherBalances(
+        [seller, buyer, lender],
+        [tokens(4), tokens(2), 0]
+      );
+    })
+
+    it('Emits LoanFunded', async () => {
+      const { escrow, lender } = await loadFixture(listPropertyFixture)
+
+      await expect(escrow.connect(lender).fundLoan(1, { value: tokens(5) }))
+        .to.emit(escrow, 'LoanFunded').withArgs(1, lender.address, tokens(5))
+    })
+
+    it('should throw an error if funds are short of the purchase price', async () => {
+      const { escrow, buyer, seller, lender } = await advanceTo(State.Inspected, await loadFixture(listPropertyFixture))
+
+      for (const party of [buyer, seller, lender]) {
+        const transaction = await escrow.connect(party).approveSale(1);
+        await transaction.wait();
+      }
+      const transaction = await escrow.connect(lender).fundLoan(1, { value: tokens(4) });
+      await transaction.wait();
+
+      await expect(escrow.connect(seller).finalizeSale(1)).to.be.reverted;
+    })
+  })
+
+  describe('Stablecoin settlement', () => {
+    it('Returns payment token', async () => {
+      const { escrow, stablecoin } = await loadFixture(listTokenPropertyFixture)
+
+      expect(await escrow.paymentToken(2)).to.be.equal(await stablecoin.getAddress())
+      expect(await escrow.paymentToken(1)).to.be.equal(ethers.ZeroAddress)
+    })
+
+    it('Pulls exactly the escrow amount as earnest', async () => {
+      const { escrow, stablecoin, buyer } = await loadFixture(listTokenPropertyFixture)
+
+      let transaction = await stablecoin.connect(buyer).approve(await escrow.getAddress(), usd(5000))
+      await transaction.wait()
+
+      await expect(escrow.connect(buyer).depositEarnest(2)).to.changeTokenBalances(
+        stablecoin,
+        [buyer, escrow],
+        [-usd(2000), usd(2000)]
+      );
+      expect(await escrow.earnestDeposited(2)).to.be.equal(usd(2000))
+    })
+
+    it('Pulls the outstanding amount from the lender', async () => {
+      const { escrow, stablecoin, buyer, lender } = await loadFixture(listTokenPropertyFixture)
+
+      let transaction = await stablecoin.connect(buyer).approve(await escrow.getAddress(), usd(2000))
+      await transaction.wait()
+      transaction = await escrow.connect(buyer).depositEarnest(2)
+      await transaction.wait()
+      transaction = await stablecoin.connect(lender).approve(await escrow.getAddress(), usd(6000))
+      await transaction.wait()
+
+      await expect(escrow.connect(lender).fundLoan(2)).to.changeTokenBalance(stablecoin, lender, -usd(6000));
+      expect(await escrow.getListingBalance(2)).to.be.equal(usd(8000))
+    })
+
+    it('Pays the seller in the stablecoin', async () => {
+      const { realEstate, escrow, stablecoin, buyer, seller, inspector, lender } = await loadFixture(listTokenPropertyFixture)
+
+      let transaction = await stablecoin.connect(buyer).approve(await escrow.getAddress(), usd(2000))
+      await transaction.wait()
+      transaction = await escrow.connect(buyer).depositEarnest(2)
+      await transaction.wait()
+      transaction = await escrow.connect(inspector).updateInspectionStatus(2, true)
+      await transaction.wait()
+      for (const party of [buyer, seller, lender]) {
+        transaction = await escrow.connect(party).approveSale(2);
+        await transaction.wait();
+      }
+      transaction = await stablecoin.connect(lender).approve(await escrow.getAddress(), usd(6000))
+      await transaction.wait()
+      transaction = await escrow.connect(lender).fundLoan(2)
+      await transaction.wait()
+
+      await expect(escrow.connect(seller).finalizeSale(2)).to.changeTokenBalances(
+        stablecoin,
+        [seller, escrow],
+        [usd(8000), -usd(8000)]
+      );
+      expect(await realEstate.ownerOf(2)).to.be.equal(buyer.address)
+    })
+
+    it('Refunds earnest in the stablecoin on cancellation', async () => {
+      const { escrow, stablecoin, buyer } = await loadFixture(listTokenPropertyFixture)
+
+      let transaction = await stablecoin.connect(buyer).approve(await escrow.getAddress(), usd(2000))
+      await transaction.wait()
+      transaction = await escrow.connect(buyer).depositEarnest(2)
+      await transaction.wait()
+
+      await expect(escrow.connect(buyer).cancelSale(2)).to.changeTokenBalance(stablecoin, buyer, usd(2000));
+    })
+
+    it('should throw an error if ETH is sent to a token listing', async () => {
+      const { escrow, buyer } = await loadFixture(listTokenPropertyFixture)
+
+      await expect(escrow.connect(buyer).depositEarnest(2, { value: tokens(1) })).to.be.revertedWith('ETH not accepted for token listings');
+    })
+
+    it('should throw an error without a token allowance', async () => {
+      const { escrow, stablecoin, buyer } = await loadFixture(listTokenPropertyFixture)
+
+      await expect(escrow.connect(buyer).depositEarnest(2)).to.be.revertedWithCustomError(stablecoin, 'ERC20InsufficientAllowance');
+    })
+  })
+
+  describe('Offers', () => {
+    it('Holds the earnest with each offer', async () => {
+      const { escrow, buyer, bidder } = await loadFixture(makeOffersFixture)
+
+      expect(await escrow.getOfferIds(2)).to.deep.equal([1n, 2n])
+      const offer = await escrow.offers(2)
+      expect(offer.buyer).to.be.equal(bidder.address)
+      expect(offer.price).to.be.equal(tokens(11))
+      expect(offer.earnest).to.be.equal(tokens(3))
+      expect(offer.status).to.be.equal(OfferStatus.Open)
+      expect((await escrow.offers(1)).buyer).to.be.equal(buyer.address)
+      expect(await escrow.getListingBalance(2)).to.be.equal(0)
+      expect(await escrow.getBalance()).to.be.equal(tokens(5))
+    })
+
+    it('Accepting sets the buyer, price and earnest and rejects the other offers', async () => {
+      const { escrow, seller, bidder } = await loadFixture(makeOffersFixture)
+
+      await expect(escrow.connect(seller).acceptOffer(2))
+        .to.emit(escrow, 'OfferAccepted').withArgs(2, 2, bidder.address, tokens(11))
+        .and.to.emit(escrow, 'OfferRejected').withArgs(2, 1, (await escrow.offers(1)).buyer)
+        .and.to.emit(escrow, 'EarnestDeposited').withArgs(2, bidder.address, tokens(3))
+
+      expect(await escrow.buyer(2)).to.be.equal(bidder.address)
+      expect(await escrow.purchasePrice(2)).to.be.equal(tokens(11))
+      expect(await escrow.earnestDeposited(2)).to.be.equal(tokens(3))
+      expect(await escrow.state(2)).to.be.equal(State.EarnestDeposited)
+      expect((await escrow.offers(1)).status).to.be.equal(OfferStatus.Rejected)
+      expect((await escrow.offers(2)).status).to.be.equal(OfferStatus.Accepted)
+    })
+
+    it('Refunds rejected offers', async () => {
+      const { escrow, seller, buyer } = await loadFixture(makeOffersFixture)
+
+      let transaction = await escrow.connect(seller).acceptOffer(2)
+      await transaction.wait()
+
+      await expect(escrow.connect(buyer).withdrawOffer(1)).to.changeEtherBalance(buyer, tokens(2))
+      expect((await escrow.offers(1)).earnest).to.be.equal(0)
+      await expect(escrow.connect(buyer).withdrawOffer(1)).to.be.revertedWith('Earnest already refunded')
+    })
+
+    it('Lets the seller reject an offer', async () => {
+      const { escrow, seller, buyer } = await loadFixture(makeOffersFixture)
+
+      await expect(escrow.connect(seller).rejectOffer(1))
+        .to.emit(escrow, 'OfferRejected').withArgs(2, 1, buyer.address)
+      await expect(escrow.connect(seller).acceptOffer(1)).to.be.revertedWith('Offer is not open')
+    })
+
+    it('Lets the buyer withdraw an open offer', async () => {
+      const { escrow, buyer } = await loadFixture(makeOffersFixture)
+
+      await expect(escrow.connect(buyer).withdrawOffer(1))
+        .to.emit(escrow, 'OfferWithdrawn').withArgs(2, 1, buyer.address, tokens(2))
+      expect((await escrow.offers(1)).status).to.be.equal(OfferStatus.Withdrawn)
+    })
+
+    it('should throw an error if an expired offer is accepted', async () => {
+      const { escrow, seller, bidder } = await loadFixture(makeOffersFixture)
+
+      await time.increase(days(2))
+      expect(await escrow.isOfferExpired(2)).to.be.equal(true)
+      await expect(escrow.connect(seller).acceptOffer(2)).to.be.revertedWith('Offer has expired')
+      await expect(escrow.connect(bidder).withdrawOffer(2)).to.changeEtherBalance(bidder, tokens(3))
+    })
+
+    it('Does not carry offers over to a new listing', async () => {
+      const { escrow, realEstate, seller, inspector, lender } = await loadFixture(makeOffersFixture)
+
+      let transaction = await escrow.connect(seller).cancelSale(2)
+      await transaction.wait()
+      transaction = await realEstate.connect(seller).approve(await escrow.getAddress(), 2)
+      await transaction.wait()
+      transaction = await escrow.connect(seller).list(2, ethers.ZeroAddress, inspector.address, lender.address, tokens(10), tokens(2), 0, 0, ethers.ZeroAddress)
+      await transaction.wait()
+
+      await expect(escrow.connect(seller).acceptOffer(1)).to.be.revertedWith('Offer is not open')
+    })
+
+    it('should throw an error if a non-seller accepts or rejects', async () => {
+      const { escrow, buyer } = await loadFixture(makeOffersFixture)
+
+      await expect(escrow.connect(buyer).acceptOffer(2)).to.be.revertedWith('Only seller can call this method')
+      await expect(escrow.connect(buyer).rejectOffer(2)).to.be.revertedWith('Only seller can call this method')
+    })
+
+    it('should throw an error if someone else withdraws an offer', async () => {
+      const { escrow, buyer } = await loadFixture(makeOffersFixture)
+
+      await expect(escrow.connect(buyer).withdrawOffer(2)).to.be.revertedWith("Only the offer's buyer can call this method")
+    })
+
+    it('should throw an error if the listing has a buyer', async () => {
+      const { escrow, bidder } = await loadFixture(makeOffersFixture)
+
+      await expect(escrow.connect(bidder).makeOffer(1, tokens(12), 0, { value: tokens(5) })).to.be.revertedWith('Listing is not open to offers')
+    })
+
+    it('should throw an error if the earnest is too low or the offer invalid', async () => {
+      const { escrow, seller, bidder } = await loadFixture(makeOffersFixture)
+
+      await expect(escrow.connect(bidder).makeOffer(2, tokens(12), 0, { value: tokens(1) })).to.be.revertedWith('Received amount is less than escrow amount')
+      await expect(escrow.connect(bidder).makeOffer(2, tokens(1), 0, { value: tokens(2) })).to.be.revertedWith('Earnest cannot exceed the offer price')
+      await expect(escrow.connect(bidder).makeOffer(2, tokens(12), 1, { value: tokens(2) })).to.be.revertedWith('Offer expiry must be in the future')
+      await expect(escrow.connect(seller).makeOffer(2, tokens(12), 0, { value: tokens(2) })).to.be.revertedWith('Seller cannot make an offer')
+    })
+
+    it('should throw an error if an offer is made after one was accepted', async () => {
+      const { escrow, seller, bidder } = await loadFixture(makeOffersFixture)
+
+      let transaction = await escrow.connect(seller).acceptOffer(1)
+      await transaction.wait()
+
+      await expect(escrow.connect(bidder).makeOffer(2, tokens(12), 0, { value: tokens(2) })).to.be.revertedWith('Invalid listing state')
+    })
+  })
+
+  describe('Closing conditions', () => {
+    it('Sets the closing conditions for a listing', async () => {
+      const { escrow, buyer, seller, titleAgent, appraiser } = await loadFixture(closingConditionsFixture)
+
+      expect(await escrow.titleAgent(1)).to.be.equal(titleAgent.address)
+      expect(await escrow.appraiser(1)).to.be.equal(appraiser.address)
+      expect(await escrow.areClosingConditionsMet(1)).to.be.equal(false)
+
+      await expect(escrow.connect(buyer).setClosingConditions(1, titleAgent.address, appraiser.address)).to.be.revertedWith('Only seller can call this method')
+      // Conditions are fixed once the listing is under contract
+      await expect(escrow.connect(seller).setClosingConditions(1, ethers.ZeroAddress, ethers.ZeroAddress)).to.be.revertedWith('Invalid listing state')
+    })
+
+    it('Waits for every condition before approving the sale', async () => {
+      const { escrow, buyer, seller, lender, titleAgent, appraiser } = await loadFixture(closingConditionsFixture)
+
+      for (const party of [buyer, seller, lender]) {
+        await (await escrow.connect(party).approveSale(1)).wait()
+      }
+      await (await escrow.connect(lender).fundLoan(1, { value: tokens(5) })).wait()
+      expect(await escrow.state(1)).to.be.equal(State.Inspected)
+
+      await expect(escrow.connect(titleAgent).updateTitleStatus(1, true))
+        .to.emit(escrow, 'TitleUpdated').withArgs(1, titleAgent.address, true)
+      expect(await escrow.state(1)).to.be.equal(State.Inspected)
+      await expect(escrow.connect(seller).finalizeSale(1)).to.be.revertedWith('Invalid listing state')
+
+      await expect(escrow.connect(appraiser).submitAppraisal(1, tokens(5)))
+        .to.emit(escrow, 'AppraisalSubmitted').withArgs(1, appraiser.address, tokens(5), tokens(5))
+      expect(await escrow.areClosingConditionsMet(1)).to.be.equal(true)
+      expect(await escrow.state(1)).to.be.equal(State.Approved)
+
+      await expect(escrow.connect(seller).finalizeSale(1)).to.changeEtherBalance(seller, tokens(10))
+    })
+
+    it('Requires the appraisal to meet the loan amount', async () => {
+      const { escrow, titleAgent, appraiser } = await loadFixture(closingConditionsFixture)
+
+      await (await escrow.connect(titleAgent).updateTitleStatus(1, true)).wait()
+      expect(await escrow.getLoanAmount(1)).to.be.equal(tokens(5))
+
+      await (await escrow.connect(appraiser).submitAppraisal(1, tokens(4))).wait()
+      expect(await escrow.areClosingConditionsMet(1)).to.be.equal(false)
+
+      await (await escrow.connect(appraiser).submitAppraisal(1, tokens(6))).wait()
+      expect(await escrow.areClosingConditionsMet(1)).to.be.equal(true)
+    })
+
+    it('should throw an error if a condition is attested by another role', async () => {
+      const { escrow, inspector, titleAgent, appraiser } = await loadFixture(closingConditionsFixture)
+
+      await expect(escrow.connect(inspector).updateTitleStatus(1, true)).to.be.revertedWith('Only title agent can call this method')
+      await expect(escrow.connect(titleAgent).submitAppraisal(1, tokens(5))).to.be.revertedWith('Only appraiser can call this method')
+      await expect(escrow.connect(appraiser).submitAppraisal(1, 0)).to.be.revertedWith('Appraised value must be greater than 0')
+    })
+
+    it('Refunds a buyer who backs out over a failed title and clears the conditions on relisting', async () => {
+      const { escrow, realEstate, buyer, seller, inspector, lender, titleAgent } = await loadFixture(closingConditionsFixture)
+
+      await (await escrow.connect(titleAgent).updateTitleStatus(1, false)).wait()
+      await expect(escrow.connect(buyer).cancelSale(1)).to.changeEtherBalance(buyer, tokens(5))
+
+      await (await realEstate.connect(seller).approve(await escrow.getAddress(), 1)).wait()
+      await (await escrow.connect(seller).list(1, buyer.address, inspector.address, lender.address, tokens(10), tokens(5), 0, 0, ethers.ZeroAddress)).wait()
+      expect(await escrow.titleAgent(1)).to.be.equal(ethers.ZeroAddress)
+      expect(await escrow.appraiser(1)).to.be.equal(ethers.ZeroAddress)
+      expect(await escrow.titleCleared(1)).to.be.equal(false)
+
+      await expect(escrow.connect(seller).setClosingConditions(1, titleAgent.address, ethers.ZeroAddress))
+        .to.emit(escrow, 'ClosingConditionsSet').withArgs(1, titleAgent.address, ethers.ZeroAddress)
+    })
+  })
+
+  describe('Disputes', () => {
+    it('Freezes the listing while a dispute is open', async () => {
+      const { escrow, buyer, seller } = await loadFixture(disputeFixture)
+
+      await expect(escrow.connect(buyer).openDispute(1, 'Roof damage hidden at inspection'))
+        .to.emit(escrow, 'DisputeOpened').withArgs(1, 1, buyer.address, 'Roof damage hidden at inspection')
+      expect(await escrow.activeDispute(1)).to.be.equal(1)
+      expect(await escrow.getDisputeIds(1)).to.deep.equal([1n])
+      expect((await escrow.disputes(1)).status).to.be.equal(DisputeStatus.Open)
+
+      await expect(escrow.connect(seller).approveSale(1)).to.be.revertedWith('Listing is under dispute')
+      await expect(escrow.connect(buyer).cancelSale(1)).to.be.revertedWith('Listing is under dispute')
+      await expect(escrow.connect(seller).openDispute(1, 'Again')).to.be.revertedWith('Listing is under dispute')
+    })
+
+    it('Records evidence from the parties', async () => {
+      const { escrow, buyer, seller, lender } = await loadFixture(disputeFixture)
+
+      await (await escrow.connect(buyer).openDispute(1, 'Roof damage')).wait()
+
+      const contentHash = ethers.keccak256(ethers.toUtf8Bytes('report'))
+      await expect(escrow.connect(seller).submitEvidence(1, 'doc_1', contentHash))
+        .to.emit(escrow, 'EvidenceSubmitted').withArgs(1, 1, seller.address, 'doc_1', contentHash)
+      await expect(escrow.connect(lender).submitEvidence(1, 'doc_2', contentHash)).to.be.revertedWith('Only buyer, seller or arbiter can call this method')
+    })
+
+    it('Splits the earnest as the arbiter decides and cancels the sale', async () => {
+      const { escrow, realEstate, buyer, seller, lender, arbiter } = await loadFixture(disputeFixture)
+
+      await (await escrow.connect(seller).openDispute(1, 'Buyer stopped responding')).wait()
+
+      const transaction = escrow.connect(arbiter).resolveDispute(1, tokens(3))
+      await expect(transaction).to.changeEtherBalances([buyer, seller, lender], [tokens(3), tokens(2), tokens(5)])
+      await expect(transaction)
+        .to.emit(escrow, 'DisputeResolved').withArgs(1, 1, arbiter.address, tokens(3), tokens(2))
+        .and.to.emit(escrow, 'SaleCancelled').withArgs(1, arbiter.address, tokens(3), tokens(2))
+
+      const dispute = await escrow.disputes(1)
+      expect(dispute.status).to.be.equal(DisputeStatus.Resolved)
+      expect(dispute.sellerAward).to.be.equal(tokens(2))
+      expect(await escrow.activeDispute(1)).to.be.equal(0)
+      expect(await escrow.state(1)).to.be.equal(State.Cancelled)
+      expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+    })
+
+    it('Lets the sale carry on after a dismissal', async () => {
+      const { escrow, buyer, seller, arbiter } = await loadFixture(disputeFixture)
+
+      await (await escrow.connect(buyer).openDispute(1, 'Roof damage')).wait()
+      await expect(escrow.connect(arbiter).dismissDispute(1))
+        .to.emit(escrow, 'DisputeDismissed').withArgs(1, 1, arbiter.address)
+
+      expect((await escrow.disputes(1)).status).to.be.equal(DisputeStatus.Dismissed)
+      await (await escrow.connect(seller).approveSale(1)).wait()
+      await expect(escrow.connect(arbiter).resolveDispute(1, 0)).to.be.revertedWith('Dispute is not open')
+    })
+
+    it('should throw an error if a dismissed dispute is reopened before the cooldown', async () => {
+      const { escrow, buyer, seller, arbiter } = await loadFixture(disputeFixture)
+
+      await (await escrow.connect(buyer).openDispute(1, 'Roof damage')).wait()
+      await (await escrow.connect(arbiter).dismissDispute(1)).wait()
+
+      await expect(escrow.connect(buyer).openDispute(1, 'Roof damage')).to.be.revertedWith('Dispute was recently dismissed')
+      await expect(escrow.connect(seller).openDispute(1, 'Buyer stopped responding')).to.be.revertedWith('Dispute was recently dismissed')
+
+      await time.increase(await escrow.DISPUTE_COOLDOWN())
+      await expect(escrow.connect(seller).openDispute(1, 'Buyer stopped responding'))
+        .to.emit(escrow, 'DisputeOpened').withArgs(1, 2, seller.address, 'Buyer stopped responding')
+    })
+
+    it('should throw an error if a dispute is opened or decided by the wrong party', async () => {
+      const { escrow, buyer, seller, lender, arbiter } = await loadFixture(disputeFixture)
+
+      await expect(escrow.connect(lender).openDispute(1, 'Late')).to.be.revertedWith('Only buyer or seller can call this method')
+      await (await escrow.connect(buyer).openDispute(1, 'Roof damage')).wait()
+
+      await expect(escrow.connect(seller).resolveDispute(1, 0)).to.be.revertedWith('Only arbiter can call this method')
+      await expect(escrow.connect(arbiter).resolveDispute(1, tokens(6))).to.be.revertedWith('Award exceeds the escrowed earnest')
+
+      await (await escrow.setArbiter(ethers.ZeroAddress)).wait()
+      await expect(escrow.connect(arbiter).dismissDispute(1)).to.be.revertedWith('Only arbiter can call this method')
+    })
   })
 })
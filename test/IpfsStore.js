@@ -0,0 +1,20 @@
+const { expect } = require('chai');
+const { computeCid, isCid, toIpfsUri } = require('../scripts/ipfs-store');
+
+describe('IpfsStore', () => {
+    it('computes the same CIDv1 as `ipfs add --cid-version=1`', async () => {
+        expect(computeCid(Buffer.from('hello world'))).to.equal('bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e')
+    })
+
+    it('addresses content, not file names', async () => {
+        expect(computeCid(Buffer.from('{"id":"1"}'))).to.equal(computeCid(Buffer.from('{"id":"1"}')))
+        expect(computeCid(Buffer.from('{"id":"1"}'))).to.not.equal(computeCid(Buffer.from('{"id":"2"}')))
+    })
+
+    it('recognises CIDs and builds ipfs:// URIs', async () => {
+        const cid = computeCid(Buffer.from('hello world'))
+        expect(isCid(cid)).to.equal(true)
+        expect(isCid('../package.json')).to.equal(false)
+        expect(toIpfsUri(cid)).to.equal(`ipfs://${cid}`)
+    })
+})
@@ -0,0 +1,57 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+const COORDINATES_HASH = ethers.keccak256(ethers.toUtf8Bytes("12.9716,77.5946"))
+
+async function deployMulticallFixture() {
+  const [registrar, owner] = await ethers.getSigners()
+
+  const RealEstate = await ethers.getContractFactory('RealEstate')
+  const realEstate = await RealEstate.deploy()
+  const transaction = await realEstate.mint(owner.address, PROPERTY_URI, '45', '2', '560001', COORDINATES_HASH)
+  await transaction.wait()
+
+  const Multicall3 = await ethers.getContractFactory('Multicall3')
+  const multicall = await Multicall3.deploy()
+
+  return { owner, realEstate, multicall }
+}
+
+describe('Multicall3', () => {
+  it('Returns the result of every call in order', async () => {
+    const { owner, realEstate, multicall } = await loadFixture(deployMulticallFixture)
+    const target = await realEstate.getAddress()
+
+    const results = await multicall.aggregate3.staticCall([
+      { target, allowFailure: false, callData: realEstate.interface.encodeFunctionData('tokenURI', [1]) },
+      { target, allowFailure: false, callData: realEstate.interface.encodeFunctionData('ownerOf', [1]) },
+    ])
+
+    expect(results[0].success).to.be.equal(true)
+    expect(realEstate.interface.decodeFunctionResult('tokenURI', results[0].returnData)[0]).to.be.equal(PROPERTY_URI)
+    expect(realEstate.interface.decodeFunctionResult('ownerOf', results[1].returnData)[0]).to.be.equal(owner.address)
+  })
+
+  it('Reports failed calls that allow failure', async () => {
+    const { realEstate, multicall } = await loadFixture(deployMulticallFixture)
+    const target = await realEstate.getAddress()
+
+    const results = await multicall.aggregate3.staticCall([
+      { target, allowFailure: true, callData: realEstate.interface.encodeFunctionData('ownerOf', [2]) },
+      { target, allowFailure: false, callData: realEstate.interface.encodeFunctionData('totalSupply') },
+    ])
+
+    expect(results[0].success).to.be.equal(false)
+    expect(results[1].success).to.be.equal(true)
+  })
+
+  it('Reverts when a required call fails', async () => {
+    const { realEstate, multicall } = await loadFixture(deployMulticallFixture)
+
+    await expect(multicall.aggregate3.staticCall([
+      { target: await realEstate.getAddress(), allowFailure: false, callData: realEstate.interface.encodeFunctionData('ownerOf', [2]) },
+    ])).to.be.revertedWith('Multicall3: call failed')
+  })
+})
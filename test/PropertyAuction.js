@@ -0,0 +1,319 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const tokens = (n) => {
+    return ethers.parseUnits(n.toString(), 'ether')
+}
+
+const usd = (n) => {
+    return ethers.parseUnits(n.toString(), 6)
+}
+
+const hours = (n) => n * 60 * 60
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+// Escrow.State.EarnestDeposited
+const EARNEST_DEPOSITED = 2
+
+const SALT = ethers.id('salt')
+
+async function deployAuctionFixture() {
+  // Setup accounts
+  const [seller, inspector, lender, alice, bob] = await ethers.getSigners()
+
+  // Deploy Real Estate and mint two properties to the seller
+  const RealEstate = await ethers.getContractFactory('RealEstate')
+  const realEstate = await RealEstate.deploy()
+
+  let transaction = await realEstate.mint(seller.address, PROPERTY_URI, '1', '', '560001', ethers.ZeroHash)
+  await transaction.wait()
+  transaction = await realEstate.mint(seller.address, PROPERTY_URI, '2', '', '560001', ethers.ZeroHash)
+  await transaction.wait()
+
+  // Deploy the Escrow behind a UUPS proxy
+  const Escrow = await ethers.getContractFactory('Escrow')
+  const implementation = await Escrow.deploy()
+  const ERC1967Proxy = await ethers.getContractFactory('ERC1967Proxy')
+  const initData = Escrow.interface.encodeFunctionData('initialize', [await realEstate.getAddress()])
+  const proxy = await ERC1967Proxy.deploy(await implementation.getAddress(), initData)
+  const escrow = Escrow.attach(await proxy.getAddress())
+
+  // Deploy a stablecoin for token auctions and fund the bidders
+  const MockStablecoin = await ethers.getContractFactory('MockStablecoin')
+  const stablecoin = await MockStablecoin.deploy()
+  await (await stablecoin.mint(alice.address, usd(1000))).wait()
+  await (await stablecoin.mint(bob.address, usd(1000))).wait()
+
+  // Deploy the auction house and register it with the Escrow
+  const PropertyAuction = await ethers.getContractFactory('PropertyAuction')
+  const auction = await PropertyAuction.deploy(await escrow.getAddress())
+  await (await escrow.setAuctionHouse(await auction.getAddress())).wait()
+
+  // List property 1 in ETH and property 2 in the stablecoin, both open to offers
+  const escrowAddress = await escrow.getAddress()
+  await (await realEstate.connect(seller).approve(escrowAddress, 1)).wait()
+  await (await escrow.connect(seller).list(1, ethers.ZeroAddress, inspector.address, lender.address, tokens(10), tokens(1), 0, 0, ethers.ZeroAddress)).wait()
+  await (await realEstate.connect(seller).approve(escrowAddress, 2)).wait()
+  await (await escrow.connect(seller).list(2, ethers.ZeroAddress, inspector.address, lender.address, usd(500), usd(50), 0, 0, await stablecoin.getAddress())).wait()
+
+  return { seller, inspector, lender, alice, bob, realEstate, escrow, stablecoin, auction }
+}
+
+async function englishAuctionFixture() {
+  const { seller, inspector, lender, alice, bob, realEstate, escrow, stablecoin, auction } = await loadFixture(deployAuctionFixture)
+
+  // 12 ETH reserve, 0.5 ETH increments, one hour of bidding
+  const transaction = await auction.connect(seller).createEnglishAuction(1, tokens(12), tokens(0.5), hours(1))
+  await transaction.wait()
+
+  return { seller, inspector, lender, alice, bob, realEstate, escrow, stablecoin, auction }
+}
+
+async function englishBidsFixture() {
+  const { seller, inspector, lender, alice, bob, realEstate, escrow, stablecoin, auction } = await loadFixture(englishAuctionFixture)
+
+  let transaction = await auction.connect(alice).bid(1, tokens(11), { value: tokens(1) })
+  await transaction.wait()
+  transaction = await auction.connect(bob).bid(1, tokens(12), { value: tokens(1) })
+  await transaction.wait()
+  transaction = await auction.connect(alice).bid(1, tokens(13))
+  await transaction.wait()
+
+  return { seller, inspector, lender, alice, bob, realEstate, escrow, stablecoin, auction }
+}
+
+async function sealedBidAuctionFixture() {
+  const { seller, inspector, lender, alice, bob, realEstate, escrow, stablecoin, auction } = await loadFixture(englishBidsFixture)
+
+  // Property 2 (stablecoin): 400 mUSD reserve, one hour to commit and one to reveal
+  const transaction = await auction.connect(seller).createSealedBidAuction(2, usd(400), hours(1), hours(1))
+  await transaction.wait()
+
+  const auctionAddress = await auction.getAddress()
+  await (await stablecoin.connect(alice).approve(auctionAddress, usd(50))).wait()
+  await (await stablecoin.connect(bob).approve(auctionAddress, usd(50))).wait()
+  await (await auction.connect(alice).commitBid(2, await auction.bidHash(2, alice.address, usd(450), SALT))).wait()
+  await (await auction.connect(bob).commitBid(2, await auction.bidHash(2, bob.address, usd(480), SALT))).wait()
+
+  return { seller, inspector, lender, alice, bob, realEstate, escrow, stablecoin, auction }
+}
+
+describe('PropertyAuction', () => {
+  describe('English auctions', () => {
+    it('Locks the listing against offers and cancellation', async () => {
+      const { escrow, auction, seller, alice } = await loadFixture(englishAuctionFixture)
+
+      expect(await escrow.isAuctioned(1)).to.be.equal(true)
+      expect(await auction.latestAuction(1)).to.be.equal(1)
+      await expect(escrow.connect(alice).makeOffer(1, tokens(12), 0, { value: tokens(1) })).to.be.revertedWith('Listing is being auctioned')
+      await expect(escrow.connect(seller).cancelSale(1)).to.be.revertedWith('Listing is being auctioned')
+    })
+
+    it('Releases the listing when the reserve is not met', async () => {
+      const { escrow, auction, seller, alice } = await loadFixture(englishAuctionFixture)
+
+      let transaction = await auction.connect(alice).bid(1, tokens(11), { value: tokens(1) })
+      await transaction.wait()
+      await time.increase(hours(1))
+
+      await expect(auction.settle(1)).to.emit(escrow, 'AuctionReleased').withArgs(1)
+      expect(await escrow.isAuctioned(1)).to.be.equal(false)
+      expect(await escrow.buyer(1)).to.be.equal(ethers.ZeroAddress)
+      await expect(auction.connect(alice).withdrawDeposit(1)).to.changeEtherBalance(alice, tokens(1))
+
+      transaction = await escrow.connect(seller).cancelSale(1)
+      await transaction.wait()
+    })
+
+    it('Tracks the highest bid and locks one deposit per bidder', async () => {
+      const { auction, alice } = await loadFixture(englishBidsFixture)
+
+      const result = await auction.auctions(1)
+      expect(result.highestBidder).to.be.equal(alice.address)
+      expect(result.highestBid).to.be.equal(tokens(13))
+      expect(await auction.deposits(1, alice.address)).to.be.equal(tokens(1))
+    })
+
+    it('Extends the auction when a bid lands in its last minutes', async () => {
+      const { auction, bob } = await loadFixture(englishBidsFixture)
+
+      await time.increase(hours(1) - 60)
+      await expect(auction.connect(bob).bid(1, tokens(14))).to.emit(auction, 'BidPlaced')
+      expect((await auction.auctions(1)).endsAt).to.be.equal(BigInt(await time.latest()) + 300n)
+    })
+
+    it('Sells to the winner through the escrow', async () => {
+      const { escrow, auction, alice } = await loadFixture(englishBidsFixture)
+
+      await time.increase(hours(1))
+      await expect(auction.settle(1))
+        .to.emit(escrow, 'AuctionSettled').withArgs(1, alice.address, tokens(13))
+        .and.to.emit(escrow, 'EarnestDeposited').withArgs(1, alice.address, tokens(1))
+
+      expect(await escrow.buyer(1)).to.be.equal(alice.address)
+      expect(await escrow.purchasePrice(1)).to.be.equal(tokens(13))
+      expect(await escrow.earnestDeposited(1)).to.be.equal(tokens(1))
+      expect(await escrow.state(1)).to.be.equal(EARNEST_DEPOSITED)
+      expect(await escrow.isAuctioned(1)).to.be.equal(false)
+    })
+
+    it('Closes the auctioned sale through the escrow pipeline', async () => {
+      const { escrow, realEstate, auction, seller, inspector, lender, alice } = await loadFixture(englishBidsFixture)
+
+      await time.increase(hours(1))
+      await (await auction.settle(1)).wait()
+
+      // The lender covers the winning bid less the deposit
+      await (await escrow.connect(lender).fundLoan(1, { value: tokens(12) })).wait()
+      await (await escrow.connect(inspector).updateInspectionStatus(1, true)).wait()
+      await (await escrow.connect(alice).approveSale(1)).wait()
+      await (await escrow.connect(lender).approveSale(1)).wait()
+      await (await escrow.connect(seller).approveSale(1)).wait()
+
+      await expect(escrow.connect(seller).finalizeSale(1)).to.changeEtherBalance(seller, tokens(13))
+      expect(await realEstate.ownerOf(1)).to.be.equal(alice.address)
+    })
+
+    it('Forfeits the deposit to the seller when the winner backs out', async () => {
+      const { escrow, realEstate, auction, seller, alice } = await loadFixture(englishBidsFixture)
+
+      await time.increase(hours(1))
+      await (await auction.settle(1)).wait()
+
+      const transaction = escrow.connect(alice).cancelSale(1)
+      await expect(transaction).to.changeEtherBalances([alice, seller], [0, tokens(1)])
+      await expect(transaction).to.emit(escrow, 'SaleCancelled').withArgs(1, alice.address, 0, tokens(1))
+      expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+    })
+
+    it('Refunds the winner who backs out after a failed inspection', async () => {
+      const { escrow, auction, seller, inspector, alice } = await loadFixture(englishBidsFixture)
+
+      await time.increase(hours(1))
+      await (await auction.settle(1)).wait()
+      await (await escrow.connect(inspector).updateInspectionStatus(1, false)).wait()
+      expect(await escrow.state(1)).to.be.equal(EARNEST_DEPOSITED)
+
+      const transaction = escrow.connect(alice).cancelSale(1)
+      await expect(transaction).to.changeEtherBalances([alice, seller], [tokens(1), 0])
+      await expect(transaction).to.emit(escrow, 'SaleCancelled').withArgs(1, alice.address, tokens(1), 0)
+    })
+
+    it('Refunds the winner when the seller cancels', async () => {
+      const { escrow, auction, seller, alice } = await loadFixture(englishBidsFixture)
+
+      await time.increase(hours(1))
+      await (await auction.settle(1)).wait()
+
+      await expect(escrow.connect(seller).cancelSale(1)).to.changeEtherBalances([alice, seller], [tokens(1), 0])
+    })
+
+    it('Refunds outbid deposits', async () => {
+      const { auction, bob, alice } = await loadFixture(englishBidsFixture)
+
+      await expect(auction.connect(alice).withdrawDeposit(1)).to.be.revertedWith('Leading bidder cannot withdraw before settlement')
+      await expect(auction.connect(bob).withdrawDeposit(1)).to.changeEtherBalance(bob, tokens(1))
+      await expect(auction.connect(bob).withdrawDeposit(1)).to.be.revertedWith('No deposit to withdraw')
+    })
+
+    it('should throw an error if a bid is too low or late', async () => {
+      const { auction, bob } = await loadFixture(englishBidsFixture)
+
+      await expect(auction.connect(bob).bid(1, tokens(13.2))).to.be.revertedWith('Bid is too low')
+      await expect(auction.connect(bob).bid(1, tokens(0.5))).to.be.revertedWith('Bid cannot be less than the deposit')
+      await time.increase(hours(1))
+      await expect(auction.connect(bob).bid(1, tokens(20))).to.be.revertedWith('Auction has ended')
+    })
+
+    it('should throw an error if the deposit is wrong', async () => {
+      const { auction, lender } = await loadFixture(englishBidsFixture)
+
+      await expect(auction.connect(lender).bid(1, tokens(20), { value: tokens(0.5) })).to.be.revertedWith('Deposit must equal the escrow amount')
+    })
+
+    it('should throw an error if settled early or twice', async () => {
+      const { auction } = await loadFixture(englishBidsFixture)
+
+      await expect(auction.settle(1)).to.be.revertedWith('Auction has not ended')
+      await time.increase(hours(1))
+      await (await auction.settle(1)).wait()
+      await expect(auction.settle(1)).to.be.revertedWith('Auction already settled')
+    })
+
+    it('should throw an error if someone else starts an auction', async () => {
+      const { auction, escrow, alice } = await loadFixture(englishBidsFixture)
+
+      await expect(auction.connect(alice).createEnglishAuction(2, 0, 0, hours(1))).to.be.revertedWith('Only seller can call this method')
+      await expect(escrow.connect(alice).startAuction(2)).to.be.revertedWith('Only auction house can call this method')
+    })
+
+    it('should throw an error if the listing is already being auctioned', async () => {
+      const { auction, seller } = await loadFixture(englishBidsFixture)
+
+      await expect(auction.connect(seller).createEnglishAuction(1, 0, 0, hours(1))).to.be.revertedWith('Listing is being auctioned')
+    })
+  })
+
+  describe('Sealed-bid auctions', () => {
+    it('Pulls the token deposit with each commitment', async () => {
+      const { auction, stablecoin, alice } = await loadFixture(sealedBidAuctionFixture)
+
+      expect(await auction.deposits(2, alice.address)).to.be.equal(usd(50))
+      expect(await stablecoin.balanceOf(await auction.getAddress())).to.be.equal(usd(100))
+    })
+
+    it('should throw an error if bids are revealed while bidding is open', async () => {
+      const { auction, alice } = await loadFixture(sealedBidAuctionFixture)
+
+      await expect(auction.connect(alice).revealBid(2, usd(450), SALT)).to.be.revertedWith('Bidding is still open')
+    })
+
+    it('should throw an error if a reveal does not match the commitment', async () => {
+      const { auction, alice } = await loadFixture(sealedBidAuctionFixture)
+
+      await time.increase(hours(1))
+      await expect(auction.connect(alice).revealBid(2, usd(500), SALT)).to.be.revertedWith('Bid does not match commitment')
+    })
+
+    it('Sells to the highest reveal in the listing currency', async () => {
+      const { escrow, auction, stablecoin, alice, bob } = await loadFixture(sealedBidAuctionFixture)
+
+      await time.increase(hours(1))
+      await expect(auction.connect(alice).revealBid(2, usd(450), SALT)).to.emit(auction, 'BidRevealed').withArgs(2, 2, alice.address, usd(450))
+      await (await auction.connect(bob).revealBid(2, usd(480), SALT)).wait()
+      await expect(auction.settle(2)).to.be.revertedWith('Auction has not ended')
+
+      await time.increase(hours(1))
+      await expect(auction.settle(2)).to.emit(auction, 'AuctionEnded').withArgs(2, 2, bob.address, usd(480))
+
+      expect(await escrow.buyer(2)).to.be.equal(bob.address)
+      expect(await escrow.purchasePrice(2)).to.be.equal(usd(480))
+      expect(await stablecoin.balanceOf(await escrow.getAddress())).to.be.equal(usd(50))
+
+      await expect(auction.connect(alice).withdrawDeposit(2)).to.changeTokenBalance(stablecoin, alice, usd(50))
+    })
+
+    it('Ignores unrevealed bids and refunds their deposits', async () => {
+      const { escrow, auction, stablecoin, alice, bob } = await loadFixture(sealedBidAuctionFixture)
+
+      await time.increase(hours(1))
+      await (await auction.connect(alice).revealBid(2, usd(450), SALT)).wait()
+      await time.increase(hours(1))
+      await expect(auction.connect(bob).revealBid(2, usd(480), SALT)).to.be.revertedWith('Reveal period has ended')
+
+      await (await auction.settle(2)).wait()
+      expect(await escrow.buyer(2)).to.be.equal(alice.address)
+      await expect(auction.connect(bob).withdrawDeposit(2)).to.changeTokenBalance(stablecoin, bob, usd(50))
+    })
+
+    it('should throw an error if a bid is committed after bidding closes', async () => {
+      const { auction, alice } = await loadFixture(sealedBidAuctionFixture)
+
+      await time.increase(hours(1))
+      await expect(auction.connect(alice).commitBid(2, ethers.id('late'))).to.be.revertedWith('Bidding has closed')
+      await expect(auction.connect(alice).bid(2, usd(500))).to.be.revertedWith('Wrong auction type')
+    })
+  })
+})
@@ -0,0 +1,249 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const tokens = (n) => {
+    return ethers.parseUnits(n.toString(), 'ether')
+}
+
+const usd = (n) => {
+    return ethers.parseUnits(n.toString(), 6)
+}
+
+const days = (n) => n * 24 * 60 * 60
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+// PropertyLease.Status
+const Status = { None: 0, Offered: 1, Active: 2, Ended: 3, Cancelled: 4 }
+
+const RENT_PERIOD = days(30)
+
+async function deployLeaseFixture() {
+  // Setup accounts
+  const [landlord, tenant, alice] = await ethers.getSigners()
+
+  // Deploy Real Estate and mint two properties to the landlord
+  const RealEstate = await ethers.getContractFactory('RealEstate')
+  const realEstate = await RealEstate.deploy()
+
+  let transaction = await realEstate.mint(landlord.address, PROPERTY_URI, '1', '', '560001', ethers.ZeroHash)
+  await transaction.wait()
+  transaction = await realEstate.mint(landlord.address, PROPERTY_URI, '2', '', '560001', ethers.ZeroHash)
+  await transaction.wait()
+
+  // Deploy a stablecoin for token leases and fund the tenant
+  const MockStablecoin = await ethers.getContractFactory('MockStablecoin')
+  const stablecoin = await MockStablecoin.deploy()
+  await (await stablecoin.mint(tenant.address, usd(10000))).wait()
+
+  // Deploy PropertyLease
+  const PropertyLease = await ethers.getContractFactory('PropertyLease')
+  const lease = await PropertyLease.deploy(await realEstate.getAddress())
+
+  return { landlord, tenant, alice, realEstate, stablecoin, lease }
+}
+
+async function offerLeasesFixture() {
+  const { landlord, tenant, alice, realEstate, stablecoin, lease } = await loadFixture(deployLeaseFixture)
+
+  // Property 1: 1 ETH rent, 2 ETH deposit, 3 periods, 0.1 ETH late fee, 5 days grace, open to anyone
+  let transaction = await lease.connect(landlord).offerLease(1, ethers.ZeroAddress, ethers.ZeroAddress, tokens(1), tokens(2), 3, tokens(0.1), days(5))
+  await transaction.wait()
+
+  // Property 2: 500 mUSD rent, 1000 mUSD deposit, 2 periods, 50 mUSD late fee, 3 days grace, for the tenant only
+  transaction = await lease.connect(landlord).offerLease(2, tenant.address, await stablecoin.getAddress(), usd(500), usd(1000), 2, usd(50), days(3))
+  await transaction.wait()
+
+  return { landlord, tenant, alice, realEstate, stablecoin, lease }
+}
+
+async function signLeasesFixture() {
+  const { landlord, tenant, alice, realEstate, stablecoin, lease } = await loadFixture(offerLeasesFixture)
+
+  let transaction = await lease.connect(tenant).signLease(1, { value: tokens(2) })
+  await transaction.wait()
+
+  // The tenant allows the lease contract to pull the deposit and both months of rent
+  transaction = await stablecoin.connect(tenant).approve(await lease.getAddress(), usd(2100))
+  await transaction.wait()
+  transaction = await lease.connect(tenant).signLease(2)
+  await transaction.wait()
+
+  return { landlord, tenant, alice, realEstate, stablecoin, lease }
+}
+
+describe('PropertyLease', () => {
+  describe('Offering', () => {
+    it('Only lets the property owner offer a lease', async () => {
+      const { lease, alice } = await loadFixture(deployLeaseFixture)
+
+      await expect(lease.connect(alice).offerLease(1, ethers.ZeroAddress, ethers.ZeroAddress, tokens(1), tokens(2), 3, 0, 0))
+        .to.be.revertedWith('Only property owner can offer a lease')
+    })
+
+    it('Stores the lease terms', async () => {
+      const { lease, landlord } = await loadFixture(offerLeasesFixture)
+
+      const result = await lease.leases(1)
+      expect(result.nftID).to.be.equal(1)
+      expect(result.landlord).to.be.equal(landlord.address)
+      expect(result.tenant).to.be.equal(ethers.ZeroAddress)
+      expect(result.rent).to.be.equal(tokens(1))
+      expect(result.deposit).to.be.equal(tokens(2))
+      expect(result.term).to.be.equal(3)
+      expect(result.status).to.be.equal(Status.Offered)
+      expect(await lease.currentLease(1)).to.be.equal(1)
+      expect(await lease.getLeasesOf(landlord.address)).to.deep.equal([1n, 2n])
+    })
+
+    it('Allows one lease per property at a time', async () => {
+      const { lease, landlord } = await loadFixture(offerLeasesFixture)
+
+      await expect(lease.connect(landlord).offerLease(1, ethers.ZeroAddress, ethers.ZeroAddress, tokens(1), tokens(2), 3, 0, 0))
+        .to.be.revertedWith('Property already has a lease')
+    })
+
+    it('Cancels an unsigned offer', async () => {
+      const { lease, landlord, tenant } = await loadFixture(offerLeasesFixture)
+
+      await expect(lease.connect(tenant).cancelOffer(1)).to.be.revertedWith('Only landlord can call this method')
+      await expect(lease.connect(landlord).cancelOffer(1)).to.emit(lease, 'LeaseOfferCancelled').withArgs(1, 1)
+
+      expect((await lease.leases(1)).status).to.be.equal(Status.Cancelled)
+      expect(await lease.currentLease(1)).to.be.equal(0)
+      await expect(lease.connect(tenant).signLease(1, { value: tokens(2) })).to.be.revertedWith('Invalid lease status')
+    })
+  })
+
+  describe('Signing', () => {
+    it('Only lets the named tenant sign', async () => {
+      const { lease, alice } = await loadFixture(offerLeasesFixture)
+
+      await expect(lease.connect(alice).signLease(2)).to.be.revertedWith('Only tenant can call this method')
+    })
+
+    it('Requires the exact deposit', async () => {
+      const { lease, tenant } = await loadFixture(offerLeasesFixture)
+
+      await expect(lease.connect(tenant).signLease(1, { value: tokens(1) })).to.be.revertedWith('Incorrect payment amount')
+    })
+
+    it('Holds the deposits and starts the term', async () => {
+      const { lease, tenant, stablecoin } = await loadFixture(signLeasesFixture)
+
+      const result = await lease.leases(1)
+      expect(result.tenant).to.be.equal(tenant.address)
+      expect(result.status).to.be.equal(Status.Active)
+      expect(result.startsAt).to.be.greaterThan(0)
+      expect(await ethers.provider.getBalance(await lease.getAddress())).to.be.equal(tokens(2))
+      expect(await stablecoin.balanceOf(await lease.getAddress())).to.be.equal(usd(1000))
+      expect(await lease.getLeasesOf(tenant.address)).to.deep.equal([1n, 2n])
+    })
+  })
+
+  describe('Rent', () => {
+    it('Forwards pushed rent to the landlord', async () => {
+      const { lease, landlord, tenant } = await loadFixture(signLeasesFixture)
+
+      const balanceBefore = await ethers.provider.getBalance(landlord.address)
+      await expect(lease.connect(tenant).payRent(1, { value: tokens(1) }))
+        .to.emit(lease, 'RentPaid').withArgs(1, 1, tenant.address, 0, tokens(1), 0)
+
+      expect(await ethers.provider.getBalance(landlord.address)).to.be.equal(balanceBefore + tokens(1))
+      expect((await lease.leases(1)).periodsPaid).to.be.equal(1)
+    })
+
+    it('Charges the late fee after the grace period', async () => {
+      const { lease, tenant } = await loadFixture(signLeasesFixture)
+
+      await (await lease.connect(tenant).payRent(1, { value: tokens(1) })).wait()
+
+      // Period 1 is due after 30 days; pay it 6 days late
+      await time.increase(RENT_PERIOD + days(6))
+      const [amount, lateFee] = await lease.amountDue(1)
+      expect(amount).to.be.equal(tokens(1.1))
+      expect(lateFee).to.be.equal(tokens(0.1))
+
+      await expect(lease.connect(tenant).payRent(1, { value: tokens(1) })).to.be.revertedWith('Incorrect payment amount')
+      await expect(lease.connect(tenant).payRent(1, { value: tokens(1.1) }))
+        .to.emit(lease, 'RentPaid').withArgs(1, 1, tenant.address, 1, tokens(1.1), tokens(0.1))
+    })
+
+    it('Lets the landlord pull token rent once it is due', async () => {
+      const { lease, landlord, tenant, stablecoin } = await loadFixture(signLeasesFixture)
+
+      // Period 0 is due at signing
+      await expect(lease.connect(landlord).collectRent(2))
+        .to.emit(lease, 'RentPaid').withArgs(2, 2, landlord.address, 0, usd(500), 0)
+      expect(await stablecoin.balanceOf(landlord.address)).to.be.equal(usd(500))
+
+      await expect(lease.connect(landlord).collectRent(2)).to.be.revertedWith('Rent is not due yet')
+      await expect(lease.connect(tenant).collectRent(2)).to.be.revertedWith('Only landlord can call this method')
+    })
+
+    it('Only pulls rent for token leases', async () => {
+      const { lease, landlord } = await loadFixture(signLeasesFixture)
+
+      await expect(lease.connect(landlord).collectRent(1)).to.be.revertedWith('Rent can only be collected for token leases')
+    })
+
+    it('Stops taking rent once the term is paid', async () => {
+      const { lease, tenant } = await loadFixture(signLeasesFixture)
+
+      await (await lease.connect(tenant).payRent(2)).wait()
+      await (await lease.connect(tenant).payRent(2)).wait()
+      await expect(lease.connect(tenant).payRent(2)).to.be.revertedWith('Rent is paid for the whole term')
+    })
+  })
+
+  describe('Ending', () => {
+    it('Cannot end before the term is over', async () => {
+      const { lease, tenant } = await loadFixture(signLeasesFixture)
+
+      await expect(lease.connect(tenant).endLease(1)).to.be.revertedWith('Lease term has not ended')
+    })
+
+    it('Returns the full deposit when all rent is paid', async () => {
+      const { lease, landlord, tenant, stablecoin } = await loadFixture(signLeasesFixture)
+
+      await (await lease.connect(tenant).payRent(2)).wait()
+      await (await lease.connect(tenant).payRent(2)).wait()
+      await time.increase(RENT_PERIOD * 2)
+
+      await expect(lease.connect(landlord).endLease(2)).to.emit(lease, 'LeaseEnded').withArgs(2, 2, usd(1000), 0)
+      expect(await stablecoin.balanceOf(landlord.address)).to.be.equal(usd(1000))
+      expect(await stablecoin.balanceOf(tenant.address)).to.be.equal(usd(9000))
+      expect((await lease.leases(2)).status).to.be.equal(Status.Ended)
+      expect(await lease.currentLease(2)).to.be.equal(0)
+    })
+
+    it('Withholds unpaid rent and late fees from the deposit', async () => {
+      const { lease, landlord, tenant, alice } = await loadFixture(signLeasesFixture)
+
+      // Only the first of three periods is paid: 2 x (1 + 0.1) = 2.2 ETH owed against a 2 ETH deposit
+      await (await lease.connect(tenant).payRent(1, { value: tokens(1) })).wait()
+      await time.increase(RENT_PERIOD * 3)
+
+      await expect(lease.connect(alice).endLease(1)).to.be.revertedWith('Only landlord or tenant can call this method')
+
+      const balanceBefore = await ethers.provider.getBalance(landlord.address)
+      await expect(lease.connect(tenant).endLease(1)).to.emit(lease, 'LeaseEnded').withArgs(1, 1, 0, tokens(2))
+      expect(await ethers.provider.getBalance(landlord.address)).to.be.equal(balanceBefore + tokens(2))
+      expect(await ethers.provider.getBalance(await lease.getAddress())).to.be.equal(0)
+    })
+
+    it('Allows the property to be leased again', async () => {
+      const { lease, landlord, tenant, alice } = await loadFixture(signLeasesFixture)
+
+      for (let i = 0; i < 3; i++) {
+        await (await lease.connect(tenant).payRent(1, { value: tokens(1) })).wait()
+      }
+      await time.increase(RENT_PERIOD * 3)
+      await (await lease.connect(landlord).endLease(1)).wait()
+
+      await expect(lease.connect(landlord).offerLease(1, alice.address, ethers.ZeroAddress, tokens(1), 0, 1, 0, 0))
+        .to.emit(lease, 'LeaseOffered').withArgs(1, 3, landlord.address, alice.address, tokens(1), 0, 1)
+    })
+  })
+})
@@ -0,0 +1,189 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const tokens = (n) => {
+    return ethers.parseUnits(n.toString(), 'ether')
+}
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+// PropertyMortgage.Status
+const Status = { None: 0, Active: 1, Repaid: 2 }
+
+async function deployMortgageFixture() {
+  // Setup accounts
+  const [buyer, seller, inspector, lender, other] = await ethers.getSigners()
+
+  // Deploy Real Estate and mint two properties to the seller
+  const RealEstate = await ethers.getContractFactory('RealEstate')
+  const realEstate = await RealEstate.deploy()
+
+  let transaction = await realEstate.mint(seller.address, PROPERTY_URI, '1', '', '560001', ethers.ZeroHash)
+  await transaction.wait()
+  transaction = await realEstate.mint(seller.address, PROPERTY_URI, '2', '', '560001', ethers.ZeroHash)
+  await transaction.wait()
+
+  // Deploy the Escrow behind a UUPS proxy
+  const Escrow = await ethers.getContractFactory('Escrow')
+  const implementation = await Escrow.deploy()
+  const ERC1967Proxy = await ethers.getContractFactory('ERC1967Proxy')
+  const initData = Escrow.interface.encodeFunctionData('initialize', [await realEstate.getAddress()])
+  const proxy = await ERC1967Proxy.deploy(await implementation.getAddress(), initData)
+  const escrow = Escrow.attach(await proxy.getAddress())
+
+  // Deploy the mortgage registry, let it place liens and register it with the Escrow
+  const PropertyMortgage = await ethers.getContractFactory('PropertyMortgage')
+  const mortgage = await PropertyMortgage.deploy(await realEstate.getAddress(), await escrow.getAddress())
+  await (await realEstate.grantRole(await realEstate.LIEN_MANAGER_ROLE(), await mortgage.getAddress())).wait()
+  await (await escrow.setMortgageRegistry(await mortgage.getAddress())).wait()
+
+  // List both properties at 100 ETH with 20 ETH earnest and take them through inspection and approvals
+  const escrowAddress = await escrow.getAddress()
+  for (const nftID of [1, 2]) {
+    await (await realEstate.connect(seller).approve(escrowAddress, nftID)).wait()
+    await (await escrow.connect(seller).list(nftID, buyer.address, inspector.address, lender.address, tokens(100), tokens(20), 0, 0, ethers.ZeroAddress)).wait()
+    await (await escrow.connect(buyer).depositEarnest(nftID, { value: tokens(20) })).wait()
+    await (await escrow.connect(inspector).updateInspectionStatus(nftID, true)).wait()
+    for (const party of [buyer, seller, lender]) {
+      await (await escrow.connect(party).approveSale(nftID)).wait()
+    }
+  }
+
+  return { buyer, seller, inspector, lender, other, realEstate, escrow, mortgage }
+}
+
+async function originateFixture() {
+  const { buyer, seller, inspector, lender, other, realEstate, escrow, mortgage } = await loadFixture(deployMortgageFixture)
+
+  // Property 1: the lender funds the 80 ETH gap as a 6% loan over 12 months
+  let transaction = await escrow.connect(lender).fundMortgage(1, 600, 12, { value: tokens(80) })
+  await transaction.wait()
+  transaction = await escrow.connect(buyer).finalizeSale(1)
+  await transaction.wait()
+
+  return { buyer, seller, inspector, lender, other, realEstate, escrow, mortgage }
+}
+
+describe('PropertyMortgage', () => {
+  describe('Origination', () => {
+    it('Only originates loans for the escrow', async () => {
+      const { mortgage, buyer, lender } = await loadFixture(deployMortgageFixture)
+
+      await expect(mortgage.connect(lender).originate(1, buyer.address, lender.address, ethers.ZeroAddress, tokens(80), 600, 12))
+        .to.be.revertedWith('Only escrow can call this method')
+    })
+
+    it('Validates the loan terms at funding', async () => {
+      const { escrow, lender } = await loadFixture(deployMortgageFixture)
+
+      await expect(escrow.connect(lender).fundMortgage(1, 600, 0, { value: tokens(80) })).to.be.revertedWith('Term must be between 1 and 480 months')
+      await expect(escrow.connect(lender).fundMortgage(1, 10001, 12, { value: tokens(80) })).to.be.revertedWith('Interest rate cannot exceed 100%')
+    })
+
+    it('Records the loan terms at funding', async () => {
+      const { escrow, lender } = await loadFixture(deployMortgageFixture)
+
+      await expect(escrow.connect(lender).fundMortgage(1, 600, 12, { value: tokens(80) }))
+        .to.emit(escrow, 'LoanTermsSet').withArgs(1, lender.address, 600, 12)
+        .and.to.emit(escrow, 'LoanFunded').withArgs(1, lender.address, tokens(80))
+      expect(await escrow.loanTerm(1)).to.be.equal(12)
+    })
+
+    it('Records the mortgage when the sale closes', async () => {
+      const { escrow, mortgage, buyer, lender } = await loadFixture(originateFixture)
+
+      const loan = await mortgage.loans(1)
+      expect(loan.nftID).to.be.equal(1)
+      expect(loan.borrower).to.be.equal(buyer.address)
+      expect(loan.lender).to.be.equal(lender.address)
+      expect(loan.principal).to.be.equal(tokens(80))
+      expect(loan.balance).to.be.equal(tokens(80))
+      expect(loan.rateBps).to.be.equal(600)
+      expect(loan.term).to.be.equal(12)
+      expect(loan.status).to.be.equal(Status.Active)
+      expect(await mortgage.currentLoan(1)).to.be.equal(1)
+      expect(await escrow.loanTerm(1)).to.be.equal(0)
+    })
+
+    it('Computes the amortized installment', async () => {
+      const { mortgage } = await loadFixture(originateFixture)
+
+      // 80 ETH at 0.5% a month over 12 months: 80 * 0.005 / (1 - 1.005^-12) = 6.885314...
+      const installment = (await mortgage.loans(1)).installment
+      expect(installment).to.be.closeTo(tokens('6.885314'), tokens('0.000001'))
+      expect(await mortgage.installmentAmount(tokens(120), 0, 12)).to.be.equal(tokens(10))
+    })
+
+    it('Places the lender\'s lien on the property', async () => {
+      const { realEstate, buyer, lender, other } = await loadFixture(originateFixture)
+
+      expect(await realEstate.ownerOf(1)).to.be.equal(buyer.address)
+      expect(await realEstate.lienHolder(1)).to.be.equal(lender.address)
+      await expect(realEstate.connect(buyer).transferFrom(buyer.address, other.address, 1)).to.be.revertedWith('Property has an active lien')
+    })
+
+    it('Does not record a loan funded without terms', async () => {
+      const { escrow, mortgage, realEstate, buyer, lender } = await loadFixture(originateFixture)
+
+      await (await escrow.connect(lender).fundLoan(2, { value: tokens(80) })).wait()
+      await (await escrow.connect(buyer).finalizeSale(2)).wait()
+
+      expect(await mortgage.currentLoan(2)).to.be.equal(0)
+      expect(await realEstate.lienHolder(2)).to.be.equal(ethers.ZeroAddress)
+    })
+  })
+
+  describe('Repayment', () => {
+    it('Splits an installment into interest and principal', async () => {
+      const { mortgage, buyer, lender } = await loadFixture(originateFixture)
+
+      const [amount, interest, principal] = await mortgage.nextInstallment(1)
+      expect(interest).to.be.equal(tokens(0.4))
+      expect(amount).to.be.equal((await mortgage.loans(1)).installment)
+
+      const balanceBefore = await ethers.provider.getBalance(lender.address)
+      await expect(mortgage.connect(buyer).repay(1, { value: amount }))
+        .to.emit(mortgage, 'InstallmentPaid').withArgs(1, 1, buyer.address, 0, amount, interest, principal, tokens(80) - principal)
+
+      expect(await ethers.provider.getBalance(lender.address)).to.be.equal(balanceBefore + amount)
+      expect((await mortgage.loans(1)).installmentsPaid).to.be.equal(1)
+    })
+
+    it('Requires the exact installment', async () => {
+      const { mortgage, buyer } = await loadFixture(originateFixture)
+
+      await expect(mortgage.connect(buyer).repay(1, { value: tokens(1) })).to.be.revertedWith('Incorrect payment amount')
+    })
+
+    it('Clears the balance and releases the lien with the last installment', async () => {
+      const { mortgage, realEstate, buyer, other } = await loadFixture(originateFixture)
+
+      for (let i = 0; i < 12; i++) {
+        const [amount] = await mortgage.nextInstallment(1)
+        const transaction = await mortgage.connect(buyer).repay(1, { value: amount })
+        if (i === 11) await expect(transaction).to.emit(mortgage, 'LoanRepaid').withArgs(1, 1)
+      }
+
+      const loan = await mortgage.loans(1)
+      expect(loan.balance).to.be.equal(0)
+      expect(loan.status).to.be.equal(Status.Repaid)
+      expect(await mortgage.currentLoan(1)).to.be.equal(0)
+      expect(await realEstate.lienHolder(1)).to.be.equal(ethers.ZeroAddress)
+
+      await (await realEstate.connect(buyer).transferFrom(buyer.address, other.address, 1)).wait()
+      await expect(mortgage.connect(buyer).repay(1)).to.be.revertedWith('Loan is not active')
+    })
+
+    it('Pays the loan off early', async () => {
+      const { mortgage, realEstate, buyer } = await loadFixture(originateFixture)
+
+      const payoff = await mortgage.payoffAmount(1)
+      expect(payoff).to.be.equal(tokens(80.4))
+
+      await expect(mortgage.connect(buyer).payOff(1, { value: payoff }))
+        .to.emit(mortgage, 'LoanRepaid').withArgs(1, 1)
+      expect(await realEstate.lienHolder(1)).to.be.equal(ethers.ZeroAddress)
+    })
+  })
+})
@@ -0,0 +1,315 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const tokens = (n) => {
+    return ethers.parseUnits(n.toString(), 'ether')
+}
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+
+async function deployVaultFixture() {
+  // Setup accounts
+  const [buyer, seller, alice, bob] = await ethers.getSigners()
+
+  // Deploy Real Estate and mint a property to the seller
+  const RealEstate = await ethers.getContractFactory('RealEstate')
+  const realEstate = await RealEstate.deploy()
+
+  let transaction = await realEstate.mint(seller.address, PROPERTY_URI, '1', '', '560001', ethers.ZeroHash)
+  await transaction.wait()
+
+  // Deploy PropertyVault
+  const PropertyVault = await ethers.getContractFactory('PropertyVault')
+  const vault = await PropertyVault.deploy(await realEstate.getAddress())
+
+  return { buyer, seller, alice, bob, realEstate, vault }
+}
+
+async function fractionalizeFixture() {
+  const { buyer, seller, alice, bob, realEstate, vault } = await loadFixture(deployVaultFixture)
+
+  // Lock the property and split it 50 / 30 / 20 with a 60% sale quorum
+  let transaction = await realEstate.connect(seller).approve(await vault.getAddress(), 1)
+  await transaction.wait()
+  transaction = await vault.connect(seller).fractionalize(1, [seller.address, alice.address, bob.address], [50, 30, 20], 6000)
+  await transaction.wait()
+
+  return { buyer, seller, alice, bob, realEstate, vault }
+}
+
+async function proposeSaleFixture() {
+  const { buyer, seller, alice, bob, realEstate, vault } = await loadFixture(fractionalizeFixture)
+
+  const transaction = await vault.connect(seller).proposeSale(1, buyer.address, tokens(30))
+  await transaction.wait()
+
+  return { buyer, seller, alice, bob, realEstate, vault }
+}
+
+async function completeSaleFixture() {
+  const { buyer, seller, alice, bob, realEstate, vault } = await loadFixture(proposeSaleFixture)
+
+  let transaction = await vault.connect(alice).approveSale(1)
+  await transaction.wait()
+  transaction = await vault.connect(buyer).completeSale(1, { value: tokens(30) })
+  await transaction.wait()
+
+  return { buyer, seller, alice, bob, realEstate, vault }
+}
+
+describe('PropertyVault', () => {
+  // Restoring a fixture invalidates snapshots taken after it, so each block
+  // only moves forward through deploy -> fractionalize -> propose -> complete
+  describe('Deployment', () => {
+    it('Returns NFT address', async () => {
+      const { realEstate, vault } = await loadFixture(deployVaultFixture)
+
+      expect(await vault.nftAddress()).to.be.equal(await realEstate.getAddress())
+    })
+
+    it('Emits Fractionalized', async () => {
+      const { seller, alice, realEstate, vault } = await loadFixture(deployVaultFixture)
+
+      await realEstate.connect(seller).approve(await vault.getAddress(), 1)
+      await expect(vault.connect(seller).fractionalize(1, [seller.address, alice.address], [60, 40], 5000))
+        .to.emit(vault, 'Fractionalized')
+        .withArgs(1, seller.address, 100, 5000)
+    })
+
+    it('should throw an error if fractionalized by non-owner', async () => {
+      const { alice, vault } = await loadFixture(deployVaultFixture)
+
+      await expect(vault.connect(alice).fractionalize(1, [alice.address], [100], 5000)).to.be.revertedWith('Only property owner can fractionalize')
+    })
+
+    it('should throw an error for mismatched allocations', async () => {
+      const { seller, alice, vault } = await loadFixture(deployVaultFixture)
+
+      await expect(vault.connect(seller).fractionalize(1, [seller.address, alice.address], [100], 5000)).to.be.revertedWith('Invalid share allocation')
+      await expect(vault.connect(seller).fractionalize(1, [seller.address], [0], 5000)).to.be.revertedWith('Invalid share allocation')
+    })
+
+    it('should throw an error for an invalid quorum', async () => {
+      const { seller, vault } = await loadFixture(deployVaultFixture)
+
+      await expect(vault.connect(seller).fractionalize(1, [seller.address], [100], 0)).to.be.revertedWith('Invalid quorum')
+      await expect(vault.connect(seller).fractionalize(1, [seller.address], [100], 10001)).to.be.revertedWith('Invalid quorum')
+    })
+  })
+
+  describe('Fractionalization', () => {
+    it('Locks the property in the vault', async () => {
+      const { realEstate, vault } = await loadFixture(fractionalizeFixture)
+
+      expect(await realEstate.ownerOf(1)).to.be.equal(await vault.getAddress())
+      expect(await vault.isVaulted(1)).to.be.equal(true)
+    })
+
+    it('Mints shares to each co-owner', async () => {
+      const { seller, alice, bob, vault } = await loadFixture(fractionalizeFixture)
+
+      expect(await vault.balanceOf(seller.address, 1)).to.be.equal(50)
+      expect(await vault.balanceOf(alice.address, 1)).to.be.equal(30)
+      expect(await vault.balanceOf(bob.address, 1)).to.be.equal(20)
+      expect(await vault['totalSupply(uint256)'](1)).to.be.equal(100)
+    })
+
+    it('Records curator and quorum', async () => {
+      const { seller, vault } = await loadFixture(fractionalizeFixture)
+
+      expect(await vault.curator(1)).to.be.equal(seller.address)
+      expect(await vault.quorumBps(1)).to.be.equal(6000)
+    })
+
+    it('Uses the property metadata for its shares', async () => {
+      const { vault } = await loadFixture(fractionalizeFixture)
+
+      expect(await vault.uri(1)).to.be.equal(PROPERTY_URI)
+    })
+
+    it('should throw an error if fractionalized again', async () => {
+      const { seller, vault } = await loadFixture(fractionalizeFixture)
+
+      await expect(vault.connect(seller).fractionalize(1, [seller.address], [100], 5000)).to.be.revertedWith('Only property owner can fractionalize')
+    })
+  })
+
+  describe('Cap table', () => {
+    it('Returns current shareholders and balances', async () => {
+      const { seller, alice, bob, vault } = await loadFixture(fractionalizeFixture)
+
+      const [holders, balances] = await vault.getCapTable(1)
+      expect(holders).to.deep.equal([seller.address, alice.address, bob.address])
+      expect(balances).to.deep.equal([50n, 30n, 20n])
+    })
+
+    it('Tracks share transfers', async () => {
+      const { buyer, seller, alice, bob, vault } = await loadFixture(fractionalizeFixture)
+
+      await vault.connect(bob).safeTransferFrom(bob.address, buyer.address, 1, 20, "0x")
+
+      const [holders, balances] = await vault.getCapTable(1)
+      expect(holders).to.deep.equal([seller.address, alice.address, buyer.address])
+      expect(balances).to.deep.equal([50n, 30n, 20n])
+    })
+  })
+
+  describe('Unlocking', () => {
+    it('Returns the property to a holder of every share', async () => {
+      const { seller, alice, bob, realEstate, vault } = await loadFixture(fractionalizeFixture)
+
+      await vault.connect(alice).safeTransferFrom(alice.address, seller.address, 1, 30, "0x")
+      await vault.connect(bob).safeTransferFrom(bob.address, seller.address, 1, 20, "0x")
+
+      await expect(vault.connect(seller).unlock(1))
+        .to.emit(vault, 'Unlocked')
+        .withArgs(1, seller.address)
+      expect(await realEstate.ownerOf(1)).to.be.equal(seller.address)
+      expect(await vault['totalSupply(uint256)'](1)).to.be.equal(0)
+    })
+
+    it('should throw an error without every share', async () => {
+      const { seller, vault } = await loadFixture(fractionalizeFixture)
+
+      await expect(vault.connect(seller).unlock(1)).to.be.revertedWith('Must hold all shares')
+    })
+  })
+
+  describe('Sale quorum', () => {
+    it('should throw an error if proposed by non-shareholder', async () => {
+      const { buyer, vault } = await loadFixture(fractionalizeFixture)
+
+      await expect(vault.connect(buyer).proposeSale(1, buyer.address, tokens(30))).to.be.revertedWith('Only shareholders can call this method')
+    })
+
+    it('should throw an error if approved without a proposal', async () => {
+      const { alice, vault } = await loadFixture(fractionalizeFixture)
+
+      await expect(vault.connect(alice).approveSale(1)).to.be.revertedWith('No sale has been proposed')
+    })
+
+    it('should throw an error if redeemed before a sale', async () => {
+      const { alice, vault } = await loadFixture(fractionalizeFixture)
+
+      await expect(vault.connect(alice).redeem(1)).to.be.revertedWith('Property has not been sold')
+    })
+
+    it('Records the proposal and the proposer approval', async () => {
+      const { buyer, seller, vault } = await loadFixture(proposeSaleFixture)
+
+      expect(await vault.saleBuyer(1)).to.be.equal(buyer.address)
+      expect(await vault.salePrice(1)).to.be.equal(tokens(30))
+      expect(await vault.getSaleApprovers(1)).to.deep.equal([seller.address])
+      expect(await vault.saleApprovalShares(1)).to.be.equal(50)
+    })
+
+    it('Is not approved below quorum', async () => {
+      const { vault } = await loadFixture(proposeSaleFixture)
+
+      expect(await vault.isSaleApproved(1)).to.be.equal(false)
+    })
+
+    it('Is approved once quorum is reached', async () => {
+      const { bob, vault } = await loadFixture(proposeSaleFixture)
+
+      await vault.connect(bob).approveSale(1)
+      expect(await vault.saleApprovalShares(1)).to.be.equal(70)
+      expect(await vault.isSaleApproved(1)).to.be.equal(true)
+    })
+
+    it('Counts shares held at the time of the sale', async () => {
+      const { seller, alice, bob, vault } = await loadFixture(proposeSaleFixture)
+
+      // Approving shares keep counting when moved between approvers...
+      await vault.connect(alice).approveSale(1)
+      await vault.connect(seller).safeTransferFrom(seller.address, alice.address, 1, 10, "0x")
+      expect(await vault.saleApprovalShares(1)).to.be.equal(80)
+
+      // ...but stop counting once sold to a holder who has not approved
+      await vault.connect(alice).safeTransferFrom(alice.address, bob.address, 1, 40, "0x")
+      expect(await vault.saleApprovalShares(1)).to.be.equal(40)
+      expect(await vault.isSaleApproved(1)).to.be.equal(false)
+    })
+
+    it('Resets approvals on a new proposal', async () => {
+      const { buyer, alice, bob, vault } = await loadFixture(proposeSaleFixture)
+
+      await vault.connect(bob).approveSale(1)
+      await vault.connect(alice).proposeSale(1, buyer.address, tokens(40))
+
+      expect(await vault.getSaleApprovers(1)).to.deep.equal([alice.address])
+      expect(await vault.isSaleApproved(1)).to.be.equal(false)
+    })
+
+    it('Emits SaleProposed and SaleApproved', async () => {
+      const { buyer, alice, bob, vault } = await loadFixture(proposeSaleFixture)
+
+      await expect(vault.connect(alice).proposeSale(1, buyer.address, tokens(40)))
+        .to.emit(vault, 'SaleProposed')
+        .withArgs(1, 3, alice.address, buyer.address, tokens(40))
+      await expect(vault.connect(bob).approveSale(1))
+        .to.emit(vault, 'SaleApproved')
+        .withArgs(1, 3, bob.address)
+    })
+
+    it('should throw an error if approved twice', async () => {
+      const { seller, vault } = await loadFixture(proposeSaleFixture)
+
+      await expect(vault.connect(seller).approveSale(1)).to.be.revertedWith('Sale already approved')
+    })
+  })
+
+  describe('Sale', () => {
+    it('should throw an error below quorum', async () => {
+      const { buyer, vault } = await loadFixture(proposeSaleFixture)
+
+      await expect(vault.connect(buyer).completeSale(1, { value: tokens(30) })).to.be.revertedWith('Sale quorum not reached')
+    })
+
+    it('should throw an error if not called by the proposed buyer', async () => {
+      const { alice, vault } = await loadFixture(proposeSaleFixture)
+
+      await vault.connect(alice).approveSale(1)
+      await expect(vault.connect(alice).completeSale(1, { value: tokens(30) })).to.be.revertedWith('Only buyer can call this method')
+    })
+
+    it('should throw an error for an incorrect price', async () => {
+      const { buyer, alice, vault } = await loadFixture(proposeSaleFixture)
+
+      await vault.connect(alice).approveSale(1)
+      await expect(vault.connect(buyer).completeSale(1, { value: tokens(20) })).to.be.revertedWith('Incorrect sale price')
+    })
+
+    it('Emits SaleCompleted and SharesRedeemed', async () => {
+      const { buyer, alice, vault } = await loadFixture(proposeSaleFixture)
+
+      await vault.connect(alice).approveSale(1)
+      await expect(vault.connect(buyer).completeSale(1, { value: tokens(30) }))
+        .to.emit(vault, 'SaleCompleted')
+        .withArgs(1, buyer.address, tokens(30))
+      await expect(vault.connect(alice).redeem(1))
+        .to.emit(vault, 'SharesRedeemed')
+        .withArgs(1, alice.address, 30, tokens(9))
+    })
+
+    it('Transfers the property to the buyer', async () => {
+      const { buyer, realEstate, vault } = await loadFixture(completeSaleFixture)
+
+      expect(await realEstate.ownerOf(1)).to.be.equal(buyer.address)
+      expect(await vault.isVaulted(1)).to.be.equal(false)
+      expect(await vault.saleProceeds(1)).to.be.equal(tokens(30))
+    })
+
+    it('Pays shareholders pro rata on redemption', async () => {
+      const { seller, alice, bob, vault } = await loadFixture(completeSaleFixture)
+
+      await expect(vault.connect(alice).redeem(1)).to.changeEtherBalance(alice, tokens(9))
+      await expect(vault.connect(seller).redeem(1)).to.changeEtherBalance(seller, tokens(15))
+      await expect(vault.connect(bob).redeem(1)).to.changeEtherBalance(bob, tokens(6))
+
+      expect(await vault['totalSupply(uint256)'](1)).to.be.equal(0)
+      expect(await vault.saleProceeds(1)).to.be.equal(0)
+    })
+  })
+})
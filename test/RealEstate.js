@@ -0,0 +1,241 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers")
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+
+const PROPERTY_URI = "https://ipfs.io/ipfs/QmTudSYeM7mz3PkYEWXWqPjomRPHogcMFSq7XAvsvsgAPS"
+const COORDINATES_HASH = ethers.keccak256(ethers.toUtf8Bytes("12.9716,77.5946"))
+
+const RequestStatus = { None: 0, Pending: 1, Approved: 2, Rejected: 3 }
+
+async function mintRegisteredPropertyFixture() {
+  // Setup accounts; the deployer is the admin and first registrar
+  const [admin, owner, other, registrar] = await ethers.getSigners()
+
+  // Deploy Real Estate and register survey 45/2 in pincode 560001 for the owner
+  const RealEstate = await ethers.getContractFactory('RealEstate')
+  const realEstate = await RealEstate.deploy()
+
+  const transaction = await realEstate.mint(owner.address, PROPERTY_URI, '45', '2', '560001', COORDINATES_HASH)
+  await transaction.wait()
+
+  return { admin, owner, other, registrar, realEstate }
+}
+
+async function requestMintFixture() {
+  const { admin, owner, other, registrar, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+  // Grant a second registrar and have another owner request a mint
+  let transaction = await realEstate.grantRole(await realEstate.REGISTRAR_ROLE(), registrar.address)
+  await transaction.wait()
+  transaction = await realEstate.connect(other).requestMint(PROPERTY_URI, '46', '', '560001', COORDINATES_HASH)
+  await transaction.wait()
+
+  return { admin, owner, other, registrar, realEstate }
+}
+
+describe('RealEstate', () => {
+  describe('Registry', () => {
+    it('Mints to the owner with the token URI', async () => {
+      const { owner, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      expect(await realEstate.ownerOf(1)).to.be.equal(owner.address)
+      expect(await realEstate.tokenURI(1)).to.be.equal(PROPERTY_URI)
+      expect(await realEstate.totalSupply()).to.be.equal(1)
+    })
+
+    it('Stores the registry record', async () => {
+      const { realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      const record = await realEstate.getPropertyRecord(1)
+      expect(record.surveyNumber).to.be.equal('45')
+      expect(record.subDivision).to.be.equal('2')
+      expect(record.pincode).to.be.equal('560001')
+      expect(record.coordinatesHash).to.be.equal(COORDINATES_HASH)
+    })
+
+    it('Resolves token id by parcel', async () => {
+      const { realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      expect(await realEstate.getTokenIdByParcel('45', '2', '560001')).to.be.equal(1)
+      expect(await realEstate.getTokenIdByParcel('45', '3', '560001')).to.be.equal(0)
+    })
+
+    it('Resolves token ids by survey number', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      // Another sub-division of the same survey number
+      await realEstate.mint(other.address, PROPERTY_URI, '45', '3', '560001', ethers.ZeroHash)
+
+      expect(await realEstate.getTokenIdsBySurveyNumber('45')).to.deep.equal([1n, 2n])
+      expect(await realEstate.getTokenIdsBySurveyNumber('46')).to.deep.equal([])
+    })
+
+    it('Allows the same survey number in another pincode', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await realEstate.mint(other.address, PROPERTY_URI, '45', '2', '560002', ethers.ZeroHash)
+      expect(await realEstate.getTokenIdByParcel('45', '2', '560002')).to.be.equal(2)
+    })
+
+    it('Emits PropertyMinted and PropertyRegistered', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await expect(realEstate.mint(other.address, PROPERTY_URI, '46', '', '560001', COORDINATES_HASH))
+        .to.emit(realEstate, 'PropertyMinted').withArgs(2, other.address, PROPERTY_URI)
+        .and.to.emit(realEstate, 'PropertyRegistered').withArgs(2, '46', '', '560001', COORDINATES_HASH)
+    })
+
+    it('should throw an error for a duplicate parcel', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await expect(realEstate.mint(other.address, PROPERTY_URI, '45', '2', '560001', ethers.ZeroHash)).to.be.revertedWith('Property already registered')
+    })
+
+    it('should throw an error without a survey number or pincode', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await expect(realEstate.mint(other.address, PROPERTY_URI, '', '', '560001', ethers.ZeroHash)).to.be.revertedWith('Survey number is required')
+      await expect(realEstate.mint(other.address, PROPERTY_URI, '47', '', '', ethers.ZeroHash)).to.be.revertedWith('Pincode is required')
+    })
+
+    it('should throw an error reading the record of an unminted token', async () => {
+      const { realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await expect(realEstate.getPropertyRecord(2)).to.be.revertedWithCustomError(realEstate, 'ERC721NonexistentToken')
+    })
+  })
+
+  describe('Roles', () => {
+    it('Makes the deployer admin and registrar', async () => {
+      const { admin, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      expect(await realEstate.hasRole(await realEstate.DEFAULT_ADMIN_ROLE(), admin.address)).to.be.equal(true)
+      expect(await realEstate.hasRole(await realEstate.REGISTRAR_ROLE(), admin.address)).to.be.equal(true)
+    })
+
+    it('Lets the admin grant and revoke registrars', async () => {
+      const { registrar, other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+      const REGISTRAR_ROLE = await realEstate.REGISTRAR_ROLE()
+
+      await realEstate.grantRole(REGISTRAR_ROLE, registrar.address)
+      await realEstate.connect(registrar).mint(other.address, PROPERTY_URI, '46', '', '560001', ethers.ZeroHash)
+      expect(await realEstate.ownerOf(2)).to.be.equal(other.address)
+
+      await realEstate.revokeRole(REGISTRAR_ROLE, registrar.address)
+      await expect(realEstate.connect(registrar).mint(other.address, PROPERTY_URI, '47', '', '560001', ethers.ZeroHash))
+        .to.be.revertedWithCustomError(realEstate, 'AccessControlUnauthorizedAccount')
+        .withArgs(registrar.address, REGISTRAR_ROLE)
+    })
+
+    it('should throw an error if a non-registrar mints', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await expect(realEstate.connect(other).mint(other.address, PROPERTY_URI, '46', '', '560001', ethers.ZeroHash))
+        .to.be.revertedWithCustomError(realEstate, 'AccessControlUnauthorizedAccount')
+    })
+
+    it('should throw an error if a non-admin grants registrars', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await expect(realEstate.connect(other).grantRole(await realEstate.REGISTRAR_ROLE(), other.address))
+        .to.be.revertedWithCustomError(realEstate, 'AccessControlUnauthorizedAccount')
+    })
+  })
+
+  describe('Liens', () => {
+    it('Blocks transfers until the lien is released', async () => {
+      const { owner, other, registrar, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await realEstate.grantRole(await realEstate.LIEN_MANAGER_ROLE(), registrar.address)
+      await expect(realEstate.connect(registrar).placeLien(1, other.address))
+        .to.emit(realEstate, 'LienPlaced').withArgs(1, other.address)
+      expect(await realEstate.lienHolder(1)).to.be.equal(other.address)
+
+      await expect(realEstate.connect(owner).transferFrom(owner.address, other.address, 1)).to.be.revertedWith('Property has an active lien')
+      await expect(realEstate.connect(registrar).placeLien(1, registrar.address)).to.be.revertedWith('Property already has a lien')
+
+      await expect(realEstate.connect(registrar).releaseLien(1))
+        .to.emit(realEstate, 'LienReleased').withArgs(1, other.address)
+      await realEstate.connect(owner).transferFrom(owner.address, other.address, 1)
+      expect(await realEstate.ownerOf(1)).to.be.equal(other.address)
+    })
+
+    it('should throw an error if a non-lien manager places a lien', async () => {
+      const { other, realEstate } = await loadFixture(mintRegisteredPropertyFixture)
+
+      await expect(realEstate.connect(other).placeLien(1, other.address))
+        .to.be.revertedWithCustomError(realEstate, 'AccessControlUnauthorizedAccount')
+      await expect(realEstate.releaseLien(1)).to.be.revertedWithCustomError(realEstate, 'AccessControlUnauthorizedAccount')
+    })
+  })
+
+  describe('Mint requests', () => {
+    it('Records a pending request', async () => {
+      const { other, realEstate } = await loadFixture(requestMintFixture)
+
+      const request = await realEstate.getMintRequest(1)
+      expect(request.requester).to.be.equal(other.address)
+      expect(request.tokenURI).to.be.equal(PROPERTY_URI)
+      expect(request.record.surveyNumber).to.be.equal('46')
+      expect(request.status).to.be.equal(RequestStatus.Pending)
+      expect(await realEstate.getPendingMintRequestIds()).to.deep.equal([1n])
+    })
+
+    it('Does not mint until approved', async () => {
+      const { realEstate } = await loadFixture(requestMintFixture)
+
+      expect(await realEstate.totalSupply()).to.be.equal(1)
+    })
+
+    it('Mints to the requester on approval', async () => {
+      const { other, registrar, realEstate } = await loadFixture(requestMintFixture)
+
+      await expect(realEstate.connect(registrar).approveMintRequest(1))
+        .to.emit(realEstate, 'MintRequestApproved').withArgs(1, registrar.address, 2)
+        .and.to.emit(realEstate, 'PropertyMinted').withArgs(2, other.address, PROPERTY_URI)
+
+      const request = await realEstate.getMintRequest(1)
+      expect(request.status).to.be.equal(RequestStatus.Approved)
+      expect(request.tokenId).to.be.equal(2)
+      expect(await realEstate.ownerOf(2)).to.be.equal(other.address)
+      expect(await realEstate.getPendingMintRequestIds()).to.deep.equal([])
+    })
+
+    it('Rejects a request with a reason', async () => {
+      const { registrar, realEstate } = await loadFixture(requestMintFixture)
+
+      await expect(realEstate.connect(registrar).rejectMintRequest(1, 'Survey records do not match'))
+        .to.emit(realEstate, 'MintRequestRejected').withArgs(1, registrar.address, 'Survey records do not match')
+
+      expect((await realEstate.getMintRequest(1)).status).to.be.equal(RequestStatus.Rejected)
+      await expect(realEstate.connect(registrar).approveMintRequest(1)).to.be.revertedWith('Mint request is not pending')
+    })
+
+    it('Emits MintRequested', async () => {
+      const { owner, realEstate } = await loadFixture(requestMintFixture)
+
+      await expect(realEstate.connect(owner).requestMint(PROPERTY_URI, '47', '', '560001', ethers.ZeroHash))
+        .to.emit(realEstate, 'MintRequested').withArgs(2, owner.address, '47', '560001')
+    })
+
+    it('should throw an error requesting an already registered parcel', async () => {
+      const { other, realEstate } = await loadFixture(requestMintFixture)
+
+      await expect(realEstate.connect(other).requestMint(PROPERTY_URI, '45', '2', '560001', ethers.ZeroHash)).to.be.revertedWith('Property already registered')
+    })
+
+    it('should throw an error if a non-registrar approves', async () => {
+      const { other, realEstate } = await loadFixture(requestMintFixture)
+
+      await expect(realEstate.connect(other).approveMintRequest(1)).to.be.revertedWithCustomError(realEstate, 'AccessControlUnauthorizedAccount')
+      await expect(realEstate.connect(other).rejectMintRequest(1, '')).to.be.revertedWithCustomError(realEstate, 'AccessControlUnauthorizedAccount')
+    })
+
+    it('should throw an error for an unknown request', async () => {
+      const { realEstate } = await loadFixture(requestMintFixture)
+
+      await expect(realEstate.getMintRequest(2)).to.be.revertedWith('Mint request does not exist')
+      await expect(realEstate.approveMintRequest(2)).to.be.revertedWith('Mint request is not pending')
+    })
+  })
+})